@@ -1,41 +1,50 @@
 import axios from 'axios';
 import configs from './configs';
 
-const apiClient = {
-  configs: configs
-};
+/**
+ * Create an api client bound to its own configuration object
+ * @param {Object} clientConfigs - Instance configuration
+ * @returns {Object} - Api client
+ */
+export const createApiClient = (clientConfigs = configs) => {
+  const apiClient = {
+    configs: clientConfigs
+  };
 
-apiClient.reSetConfig = (config) => {
-  apiClient.configs = {
-    ...apiClient.configs,
-    ...config
+  apiClient.reSetConfig = (config) => {
+    apiClient.configs = {
+      ...apiClient.configs,
+      ...config
+    };
   };
-};
 
-apiClient.getInstance = (baseUrl = apiClient.configs.webrtc_url, customConfigs = {}) => {
-  const client = axios.create({
-    baseURL: baseUrl,
-    withCredentials: false,
-    crossDomain: true,
-    headers: {
-      "Accept": "application/json",
-      "Content-type": "application/json",
-      ...apiClient.configs.axios.headers
-    },
-    ...customConfigs
-  });
-
-  client.interceptors.request.use(async (request) => {
-    // modify request before send
-    return request
-  });
-
-  client.defaults.validateStatus = (status) => {
-    // validate response status
-    return status >= 200 && status < 300;
+  apiClient.getInstance = (baseUrl = apiClient.configs.webrtc_url, customConfigs = {}) => {
+    const client = axios.create({
+      baseURL: baseUrl,
+      withCredentials: false,
+      crossDomain: true,
+      headers: {
+        "Accept": "application/json",
+        "Content-type": "application/json",
+        ...apiClient.configs.axios.headers
+      },
+      ...customConfigs
+    });
+
+    client.interceptors.request.use(async (request) => {
+      // modify request before send
+      return request
+    });
+
+    client.defaults.validateStatus = (status) => {
+      // validate response status
+      return status >= 200 && status < 300;
+    };
+
+    return client;
   };
 
-  return client;
+  return apiClient;
 };
 
-export default apiClient;
+export default createApiClient();
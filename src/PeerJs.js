@@ -1,5 +1,4 @@
 import PeerJS from 'peerjs';
-import configs from "./configs";
 
 class VideoPeer
 {
@@ -9,6 +8,9 @@ class VideoPeer
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
+    this.reconnectTimeout = null;
+    this.connectionTimeout = null;
+    this.destroyed = false;
     this.peerJsId = null;
     this.videoPeer = null;
     this.parent = parent;
@@ -62,7 +64,7 @@ class VideoPeer
       });
 
       this.videoPeer.on('disconnected', () => {
-        if (configs.debug) {
+        if (this.parent.configs.debug) {
           console.log('Peer connection disconnected, attempting to reconnect...');
         }
 
@@ -79,7 +81,7 @@ class VideoPeer
         mediaConnection.answer(this.parent.Media.userMedia);
       });
 
-      setTimeout(() => {
+      this.connectionTimeout = setTimeout(() => {
         if (!this.initialize) {
           this.dispatchPeerConnectionFailedEvent({
             message: 'Peer connection timeout'
@@ -98,8 +100,10 @@ class VideoPeer
    * @private
    */
   attemptReconnection() {
+    if (this.destroyed) return;
+
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      if (configs.debug) {
+      if (this.parent.configs.debug) {
         console.error('Max reconnection attempts reached');
       }
 
@@ -109,9 +113,9 @@ class VideoPeer
       return;
     }
 
-    setTimeout(() => {
+    this.reconnectTimeout = setTimeout(() => {
       if (this.videoPeer && this.videoPeer.disconnected) {
-        if (configs.debug) {
+        if (this.parent.configs.debug) {
           console.log('Reconnection attempt ' + (this.reconnectAttempts + 1));
         }
 
@@ -125,7 +129,7 @@ class VideoPeer
             this.reconnectDelay * 2 + Math.random() * 1000
           );
         } catch (error) {
-          if (configs.debug) {
+          if (this.parent.configs.debug) {
             console.log('Reconnection failed:', error.message);
           }
         }
@@ -147,13 +151,21 @@ class VideoPeer
    * @returns {PeerJS} A new PeerJS instance
    */
   createPeerJsInstance() {
-    return new PeerJS(undefined, {
-      host: configs.peer_host,
-      port: configs.peer_port,
-      secure: /^true$/i.test(configs.peer_secure),
+    const options = {
+      host: this.parent.configs.peer_host,
+      port: this.parent.configs.peer_port,
+      secure: /^true$/i.test(this.parent.configs.peer_secure),
       referrerPolicy: '',
       token: this.token,
-    });
+    };
+
+    const config = this.parent.helpers.iceServer.getRtcConfig();
+
+    if (config) {
+      options.config = config;
+    }
+
+    return new PeerJS(undefined, options);
   }
 
 
@@ -202,6 +214,22 @@ class VideoPeer
   disconnect() {
     this.videoPeer.destroy();
   }
+
+  /**
+   * Destroys the peer and cancels pending connection and reconnection timers
+   */
+  destroy() {
+    this.destroyed = true;
+
+    clearTimeout(this.connectionTimeout);
+    clearTimeout(this.reconnectTimeout);
+    this.connectionTimeout = null;
+    this.reconnectTimeout = null;
+
+    if (this.videoPeer && !this.videoPeer.destroyed) {
+      this.videoPeer.destroy();
+    }
+  }
 }
 
 export default VideoPeer;
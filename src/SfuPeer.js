@@ -0,0 +1,600 @@
+/**
+ * SFU transport, an alternative to the PeerJS full mesh of VideoPeer with the same public surface.
+ * Local media is published once to the SFU and remote media is received on a single subscriber
+ * connection, signalling is carried over the existing Socket.IO connection:
+ *
+ *  client -> server  'sfu:join'             ({}, ack({ peerJsId, error }))
+ *  client -> server  'sfu:publish'          ({ sdp, streams }, ack({ sdp, error }))
+ *  client -> server  'sfu:unpublish'        ({ streamId })
+ *  client -> server  'sfu:subscribe'        ({ peerJsId })
+ *  server -> client  'sfu:subscribe-offer'  ({ sdp, streams })
+ *  client -> server  'sfu:subscribe-answer' ({ sdp })
+ *  both directions   'sfu:candidate'        ({ target: 'publish'|'subscribe', candidate })
+ *  client -> server  'sfu:layer'            ({ peerJsId, rid }), simulcast layer the SFU forwards of that participant
+ *  client -> server  'sfu:data'             ({ to, data }), relayed as ({ from, data })
+ *  client -> server  'sfu:restart'          ({ target: 'subscribe' }), server answers with a new subscribe offer
+ *  client -> server  'sfu:leave'            ({})
+ *
+ * `streams` maps a MediaStream id to its owner: { peerJsId, type, sharePeerJsId }.
+ * Remote participants are exposed as PeerJS like media/data connection objects so People,
+ * Media and ShareScreen work with either transport.
+ */
+
+class SfuEmitter
+{
+  constructor() {
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    (this.handlers[event] = this.handlers[event] || []).push(handler);
+    return this;
+  }
+
+  once(event, handler) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      handler(...args);
+    };
+
+    return this.on(event, wrapper);
+  }
+
+  off(event, handler) {
+    this.handlers[event] = (this.handlers[event] || []).filter(item => item !== handler);
+    return this;
+  }
+
+  emit(event, ...args) {
+    [...(this.handlers[event] || [])].forEach(handler => handler(...args));
+  }
+}
+
+/**
+ * PeerJS MediaConnection/DataConnection stand-in for a remote participant behind the SFU
+ */
+class SfuConnection extends SfuEmitter
+{
+  constructor(transport, peer, type, metadata = {}) {
+    super();
+    this.transport = transport;
+    this.peer = peer;
+    this.type = type;
+    this.metadata = metadata;
+    this.open = true;
+    this.remoteStream = null;
+  }
+
+  /**
+   * Media of every participant shares the transport connections, there is no connection per peer
+   * to tune or restart, see SfuPeer.getSenders and SfuPeer.restartIce
+   * @returns {null}
+   */
+  get peerConnection() {
+    return null;
+  }
+
+  answer() {
+    // media is published once for everyone, nothing to answer
+  }
+
+  addStream(stream) {
+    this.remoteStream = stream;
+    this.emit('stream', stream);
+  }
+
+  send(data) {
+    this.transport.parent.socket.emit('sfu:data', { to: this.peer, data });
+  }
+
+  close() {
+    if (!this.open) return;
+
+    this.open = false;
+    this.emit('close');
+  }
+}
+
+/**
+ * Screen share peer stand-in used by ShareScreen through createPeerJsInstance()
+ */
+class SfuSharePeer extends SfuEmitter
+{
+  constructor(transport) {
+    super();
+    this.transport = transport;
+    this.id = `${transport.peerJsId}-share`;
+    this.destroyed = false;
+    this.media = null;
+    this.options = transport.options;
+    this.socket = {
+      on: (event, handler) => {
+        if (event === 'message') {
+          setTimeout(() => handler({ type: 'welcome' }));
+        }
+      }
+    };
+
+    setTimeout(() => this.emit('open', this.id));
+  }
+
+  call(peerJsId, media, options = {}) {
+    if (!this.media) {
+      this.media = media;
+      this.transport.publish(media, options.metadata).catch(error => this.emit('error', error));
+    }
+
+    return new SfuConnection(this.transport, peerJsId, 'media', options.metadata);
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+
+    this.destroyed = true;
+
+    if (this.media) {
+      this.transport.unpublish(this.media);
+      this.media = null;
+    }
+  }
+}
+
+class SfuPeer
+{
+  constructor(parent, token) {
+    this.parent = parent;
+    this.token = token;
+    this.peerJsId = null;
+    this.connectionDelay = 10000;
+    this.connectionTimeout = null;
+    this.destroyed = false;
+    this.disconnected = false;
+    this.publisher = null;
+    this.subscriber = null;
+    this.published = new Map();
+    this.streamOwners = {};
+    this.connections = new Map();
+    this.shares = new Map();
+    this.callHandlers = [];
+    this.socketHandlers = {};
+    this.publishQueue = Promise.resolve();
+    this.restarting = null;
+    this.options = { config: parent.helpers.iceServer.getRtcConfig() };
+
+    // mirrors VideoPeer.videoPeer for callers inspecting the underlying peer
+    this.videoPeer = this;
+
+    return new Promise((resolve, reject) => {
+      this.initializeSfuPeer(resolve, reject);
+    });
+  }
+
+  /**
+   * Unregister the signalling handlers from the socket
+   * @private
+   */
+  removeSocketHandlers() {
+    const socket = this.parent.socket;
+
+    Object.entries(this.socketHandlers).forEach(([eventName, handler]) => {
+      socket?.unlisten(eventName, handler);
+    });
+
+    this.socketHandlers = {};
+  }
+
+  /**
+   * Join the SFU session and register signalling handlers
+   * @param {Function} resolve - Promise resolve function
+   * @param {Function} reject - Promise reject function
+   * @private
+   */
+  initializeSfuPeer(resolve, reject) {
+    const socket = this.parent.socket;
+
+    if (!socket?.isConnected()) {
+      reject(new Error('SFU transport requires an open socket connection'));
+      return;
+    }
+
+    this.parent.on('peerJsData', 'muteMedia', this.parent.Media.setConnectionMediaStatus);
+
+    this.socketHandlers = {
+      'sfu:subscribe-offer': this.handleSubscribeOffer.bind(this),
+      'sfu:candidate': this.handleCandidate.bind(this),
+      'sfu:data': this.handleData.bind(this),
+      'disconnect': () => this.destroy(),
+    };
+
+    Object.entries(this.socketHandlers).forEach(([eventName, handler]) => {
+      socket.listen(eventName, handler);
+    });
+
+    this.connectionTimeout = setTimeout(() => {
+      this.removeSocketHandlers();
+      this.parent.emit('onPeerJsConnectionFailed', {
+        detail: { message: 'SFU connection timeout' }
+      });
+
+      reject(new Error('SFU connection timeout'));
+    }, this.connectionDelay);
+
+    socket.emit('sfu:join', {}, (response = {}) => {
+      clearTimeout(this.connectionTimeout);
+
+      if (response.error || !response.peerJsId) {
+        this.removeSocketHandlers();
+        reject(new Error(response.error || 'SFU join failed'));
+        return;
+      }
+
+      this.peerJsId = response.peerJsId;
+      resolve(this);
+    });
+  }
+
+  /**
+   * Create a peer connection forwarding ICE candidates for the given target
+   * @param {'publish'|'subscribe'} target
+   * @returns {RTCPeerConnection}
+   * @private
+   */
+  createPeerConnection(target) {
+    const peerConnection = new RTCPeerConnection(this.options.config);
+
+    peerConnection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.parent.socket.emit('sfu:candidate', { target, candidate: event.candidate });
+      }
+    };
+
+    // PeerHealth does not watch a connection every participant shares, a failure is restarted here once
+    peerConnection.addEventListener('connectionstatechange', () => {
+      if (peerConnection.connectionState === 'failed') {
+        this.restartIce();
+      }
+    });
+
+    return peerConnection;
+  }
+
+  /**
+   * Publish a stream to the SFU, renegotiating the publisher connection
+   * @param {MediaStream} stream - Stream to publish
+   * @param {object} [metadata={}] - Stream owner metadata, e.g. screen-sharing type
+   * @returns {Promise<void>}
+   */
+  publish(stream, metadata = {}) {
+    this.publishQueue = this.publishQueue.catch(() => {}).then(async () => {
+      if (!stream || this.published.has(stream.id) || this.destroyed) return;
+
+      if (!this.publisher) {
+        this.publisher = this.createPeerConnection('publish');
+      }
+
+      const senders = stream.getTracks().map(track => {
+        const encodings = track.kind === 'video' ? this.parent.Simulcast?.getSendEncodings() : undefined;
+        const init = { direction: 'sendonly', streams: [stream] };
+
+        if (encodings) {
+          init.sendEncodings = encodings;
+        }
+
+        return this.publisher.addTransceiver(track, init).sender;
+      });
+
+      this.published.set(stream.id, {
+        senders,
+        owner: { peerJsId: this.peerJsId, type: 'media', ...metadata },
+      });
+
+      await this.negotiatePublisher();
+    });
+
+    return this.publishQueue;
+  }
+
+  /**
+   * Stop publishing a stream
+   * @param {MediaStream} stream - Published stream
+   * @returns {Promise<void>}
+   */
+  unpublish(stream) {
+    this.publishQueue = this.publishQueue.catch(() => {}).then(async () => {
+      const item = this.published.get(stream.id);
+
+      if (!item || this.destroyed) return;
+
+      item.senders.forEach(sender => this.publisher.removeTrack(sender));
+      this.published.delete(stream.id);
+      this.parent.socket.emit('sfu:unpublish', { streamId: stream.id });
+
+      await this.negotiatePublisher();
+    });
+
+    return this.publishQueue;
+  }
+
+  /**
+   * Senders of the published user media, shared by every participant
+   * @returns {RTCRtpSender[]}
+   */
+  getSenders() {
+    return [...this.published.values()]
+      .filter(item => item.owner.type === 'media')
+      .flatMap(item => item.senders);
+  }
+
+  /**
+   * Publisher and subscriber connections, shared by every participant
+   * @returns {RTCPeerConnection[]}
+   */
+  getPeerConnections() {
+    return [this.publisher, this.subscriber].filter(Boolean);
+  }
+
+  /**
+   * Restart ICE of both SFU connections, shared by every participant
+   * @returns {Promise<void>}
+   */
+  restartIce() {
+    if (this.restarting || this.destroyed) return this.restarting;
+
+    this.parent.socket.emit('sfu:restart', { target: 'subscribe' });
+
+    if (!this.publisher) return Promise.resolve();
+
+    this.restarting = this.publishQueue = this.publishQueue.catch(() => {})
+      .then(() => this.negotiatePublisher({ iceRestart: true }))
+      .catch(error => {
+        if (this.parent.configs.debug) {
+          console.error('SFU ICE restart failed:', error);
+        }
+      })
+      .finally(() => {
+        this.restarting = null;
+      });
+
+    return this.restarting;
+  }
+
+  /**
+   * Offer the publisher connection to the SFU and apply its answer
+   * @param {RTCOfferOptions} [options] - Offer options, e.g. iceRestart
+   * @private
+   */
+  async negotiatePublisher(options) {
+    const offer = await this.publisher.createOffer(options);
+    await this.publisher.setLocalDescription(offer);
+
+    const streams = {};
+    this.published.forEach((item, streamId) => {
+      streams[streamId] = item.owner;
+    });
+
+    const answer = await new Promise((resolve, reject) => {
+      this.parent.socket.emit('sfu:publish', { sdp: offer, streams }, (response = {}) => {
+        response.error ? reject(new Error(response.error)) : resolve(response.sdp);
+      });
+    });
+
+    await this.publisher.setRemoteDescription(answer);
+  }
+
+  /**
+   * Apply a subscriber offer from the SFU and answer it
+   * @param {object} payload - Offer sdp and stream owners
+   * @private
+   */
+  async handleSubscribeOffer(payload) {
+    try {
+      if (!this.subscriber) {
+        this.subscriber = this.createPeerConnection('subscribe');
+        this.subscriber.ontrack = (event) => this.handleTrack(event.streams[0]);
+      }
+
+      Object.assign(this.streamOwners, payload.streams || {});
+
+      // an offer lists every forwarded stream, a share missing from it has ended
+      if (payload.streams) {
+        this.shares.forEach((mediaConnection, streamId) => {
+          if (!payload.streams[streamId]) mediaConnection.close();
+        });
+      }
+
+      await this.subscriber.setRemoteDescription(payload.sdp);
+
+      const answer = await this.subscriber.createAnswer();
+      await this.subscriber.setLocalDescription(answer);
+
+      this.parent.socket.emit('sfu:subscribe-answer', { sdp: answer });
+    } catch (error) {
+      if (this.parent.configs.debug) {
+        console.error('SFU subscribe negotiation failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Route a remote stream to its participant or to the screen share call handlers.
+   * ontrack fires once per track, a screen share with audio is offered to the call handlers once.
+   * @param {MediaStream} stream - Remote stream
+   * @private
+   */
+  async handleTrack(stream) {
+    const owner = stream && this.streamOwners[stream.id];
+
+    if (!owner || owner.peerJsId === this.peerJsId) return;
+
+    if (owner.type === 'screen-sharing') {
+      if (this.shares.has(stream.id)) return;
+
+      const mediaConnection = new SfuConnection(this, owner.sharePeerJsId, 'media', owner);
+
+      this.shares.set(stream.id, mediaConnection);
+      mediaConnection.once('close', () => this.shares.delete(stream.id));
+
+      this.callHandlers.forEach(handler => handler(mediaConnection));
+      mediaConnection.addStream(stream);
+      return;
+    }
+
+    const isNew = !this.connections.has(owner.peerJsId);
+    const connection = this.getConnection(owner.peerJsId);
+
+    if (isNew) {
+      await this.parent.People.add(connection.mediaConnection, connection.dataConnection);
+
+      // like answering a mesh call, a participant already in the room publishes for the newcomer
+      this.publish(this.parent.Media.userMedia).catch(error => {
+        if (this.parent.configs.debug) {
+          console.error('SFU publish failed:', error);
+        }
+      });
+    }
+
+    if (connection.mediaConnection.remoteStream !== stream) {
+      connection.mediaConnection.addStream(stream);
+    }
+  }
+
+  /**
+   * Add a remote ICE candidate to the targeted connection
+   * @param {object} payload - Target and candidate
+   * @private
+   */
+  async handleCandidate(payload) {
+    const peerConnection = payload.target === 'publish' ? this.publisher : this.subscriber;
+
+    try {
+      await peerConnection?.addIceCandidate(payload.candidate);
+    } catch (error) {
+      if (this.parent.configs.debug) {
+        console.warn('Failed to add SFU ICE candidate:', error);
+      }
+    }
+  }
+
+  /**
+   * Deliver relayed data messages like PeerJS data connections do
+   * @param {object} payload - Sender id and data
+   * @private
+   */
+  handleData(payload) {
+    const data = { ...payload.data, peerJsId: payload.from };
+    this.parent.Events.executeHandler('peerJsData', data.event || 'unknown', data);
+  }
+
+  /**
+   * Get or create the connection stand-ins of a participant
+   * @param {string} peerJsId - Participant id
+   * @returns {{mediaConnection: SfuConnection, dataConnection: SfuConnection}}
+   * @private
+   */
+  getConnection(peerJsId) {
+    if (!this.connections.has(peerJsId)) {
+      const mediaConnection = new SfuConnection(this, peerJsId, 'media');
+      const dataConnection = new SfuConnection(this, peerJsId, 'data');
+
+      mediaConnection.once('close', () => {
+        this.connections.delete(peerJsId);
+        dataConnection.close();
+      });
+
+      setTimeout(() => dataConnection.emit('open'));
+
+      this.connections.set(peerJsId, { mediaConnection, dataConnection });
+    }
+
+    return this.connections.get(peerJsId);
+  }
+
+  /**
+   * Ask the SFU to forward another simulcast layer of a participant
+   * @param {string} peerJsId - Participant id
+   * @param {string} rid - Layer rid, see SIMULCAST_LAYERS
+   */
+  selectLayer(peerJsId, rid) {
+    this.parent.socket.emit('sfu:layer', { peerJsId, rid });
+  }
+
+  /**
+   * Gets the participant id assigned by the SFU
+   * @returns {string|null}
+   */
+  getId() {
+    return this.peerJsId;
+  }
+
+  listen(eventName, callback) {
+    if (eventName === 'call') {
+      this.callHandlers.push(callback);
+    }
+  }
+
+  /**
+   * Creates a screen share peer publishing through this SFU session
+   * @returns {SfuSharePeer}
+   */
+  createPeerJsInstance() {
+    return new SfuSharePeer(this);
+  }
+
+  async establishConnectionWithUser(data) {
+    try {
+      await this.publish(this.parent.Media.userMedia);
+
+      const { mediaConnection, dataConnection } = this.getConnection(data.peerJsId);
+
+      await this.parent.People.add(mediaConnection, dataConnection, data);
+      this.parent.socket.emit('sfu:subscribe', { peerJsId: data.peerJsId });
+
+      return {
+        mediaConnection,
+        dataConnection
+      };
+    } catch(error) {
+      if (this.parent.configs.debug) {
+        console.error('Error establishing a user connection.', error);
+      }
+
+      throw error;
+    }
+  }
+
+  disconnect() {
+    this.destroy();
+  }
+
+  /**
+   * Leaves the SFU session and closes every connection
+   */
+  destroy() {
+    if (this.destroyed) return;
+
+    this.destroyed = true;
+    this.disconnected = true;
+    clearTimeout(this.connectionTimeout);
+
+    const socket = this.parent.socket;
+
+    this.removeSocketHandlers();
+
+    if (socket?.isConnected()) {
+      socket.emit('sfu:leave', {});
+    }
+
+    this.connections.forEach(({ mediaConnection }) => mediaConnection.close());
+    this.connections.clear();
+    this.shares.forEach(mediaConnection => mediaConnection.close());
+    this.shares.clear();
+
+    this.publisher?.close();
+    this.subscriber?.close();
+    this.publisher = null;
+    this.subscriber = null;
+    this.published.clear();
+  }
+}
+
+export default SfuPeer;
@@ -8,6 +8,7 @@ class SocketIO {
   constructor() {
     this.socket = null;
     this.initialized = false;
+    this.reconnectFailedHandler = null;
 
     /**
      * Reconnection configuration
@@ -74,6 +75,10 @@ class SocketIO {
     }
 
     if (this.reconnectionConfig.currentAttempt >= this.reconnectionConfig.attempts) {
+      if (typeof this.reconnectFailedHandler === 'function') {
+        this.reconnectFailedHandler();
+      }
+
       return;
     }
 
@@ -202,6 +207,27 @@ class SocketIO {
     this.socket.on(eventName, handler);
   }
 
+  /**
+   * Register a callback executed when all reconnection attempts failed
+   * @param {Function} handler - The callback function
+   * @returns {void}
+   */
+  onReconnectFailed(handler) {
+    this.reconnectFailedHandler = handler;
+  }
+
+  /**
+   * Stop listening for an event from the server
+   * @param {string} eventName - The event name
+   * @param {Function} handler - The previously registered callback
+   * @returns {void}
+   */
+  unlisten(eventName, handler) {
+    if (this.socket) {
+      this.socket.off(eventName, handler);
+    }
+  }
+
   /**
    * Get the socket ID if connected
    * @returns {string|null} Socket ID or null if not connected
@@ -216,6 +242,7 @@ class SocketIO {
    */
   disconnect() {
     this.reconnectionConfig.enabled = false;
+    this.reconnectFailedHandler = null;
 
     if (this.reconnectionConfig.timeout) {
       clearTimeout(this.reconnectionConfig.timeout);
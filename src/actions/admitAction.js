@@ -1,3 +1,5 @@
+import { ROOM_STATES, ROOM_JOIN_ERRORS } from "../modules/Room.js";
+
 export default () => {
   const action = {};
 
@@ -11,6 +13,7 @@ export default () => {
           access: data.attributes.access
         });
       } else {
+        api.setRoomState(ROOM_STATES.FAILED, { reason: ROOM_JOIN_ERRORS.DECLINED });
         api.notify('Request Declined', 'Your request to join this room was not approved.');
         api.emit('onExitConference');
       }
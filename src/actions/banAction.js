@@ -1,3 +1,5 @@
+import { ROOM_STATES } from "../modules/Room.js";
+
 export default () => {
 
   const action = {};
@@ -6,6 +8,7 @@ export default () => {
     const peerJsId = api.getPeerJsId();
 
     if (data.attributes.ban.peerJsId === peerJsId) {
+      api.setRoomState(ROOM_STATES.BANNED);
       api.notify('User ban', 'You have been banned from this meeting by a moderator.');
       api.leftRoom();
       api.emit('onExitConference');
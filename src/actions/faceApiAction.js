@@ -1,7 +1,44 @@
 export default () => {
   const action = {};
 
-  action.run = (api, data) => {
+  /**
+   * Enable or disable a face overlay for this user.
+   * Attributes: type (overlay name), status, and optionally an overlay definition or a pack url to register first.
+   * Any participant can run this action, so packs and overlay images are only loaded from allowed origins.
+   */
+  action.run = async (api, data) => {
+    const overlays = api.core.helpers.faceApiAction;
+    const { overlay, pack, status } = data.attributes;
+    const type = data.attributes.type || overlay?.name;
+
+    try {
+      if (pack && !overlays.isAllowedUrl(pack)) {
+        throw new Error(`Overlay pack origin is not allowed: ${pack}`);
+      }
+
+      if (overlay?.src && !overlays.isAllowedUrl(overlay.src)) {
+        throw new Error(`Overlay origin is not allowed: ${overlay.src}`);
+      }
+
+      if (pack) {
+        await overlays.loadPack(pack);
+      }
+
+      if (overlay) {
+        overlays.register(overlay);
+      }
+
+      if (type) {
+        overlays.setStatus({ detail: { type, status } });
+      }
+    } catch (error) {
+      if (api.core.configs.debug) {
+        console.error('Face overlay action failed:', error);
+      }
+
+      return;
+    }
+
     api.emit('onFaceDetectDraw', {
       detail: data.attributes
     });
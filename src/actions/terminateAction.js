@@ -1,7 +1,10 @@
+import { ROOM_STATES } from "../modules/Room.js";
+
 export default () => {
   const action = {};
 
   action.run = (api, data) => {
+    api.setRoomState(ROOM_STATES.TERMINATED);
     api.leftRoom();
     api.emit('onTerminateConference');
   };
@@ -1,25 +1,145 @@
-export default {
+const configs = {
   debug: false,
+  instance: null,
   api_token_url: '/api/vidus/userToken',
   webrtc_url: 'https://api.vidus.app',
   webrtc_connection: 'api.vidus.app',
   peer_secure: true,
   peer_host: 'peer.vidus.app',
   peer_port: '443',
+  transport: 'mesh',
+  iceServers: [],
+  iceTransportPolicy: 'all',
+  turn: {
+    credentials_url: null,
+    refresh_before_expiry: 60000,
+    retry_delay: 2000,
+    max_retry_delay: 60000,
+  },
   theme: 'default',
+  bandwidth: {
+    enable: true,
+    profile: 'balanced',
+    uplink: null,
+  },
+  simulcast: {
+    enable: false,
+    default_layer: 'high',
+  },
+  stats: {
+    enable: true,
+    interval: 2000,
+    history: 30,
+  },
+  active_speaker: {
+    enable: true,
+    interval: 100,
+    smoothing: 0.8,
+    speaking_threshold: 0.04,
+    silence_threshold: 0.02,
+    release: 600,
+    switch_interval: 1500,
+  },
+  audio_processing: {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+    noise_gate: {
+      enable: false,
+      threshold: -50,
+      attack: 0.01,
+      release: 0.2,
+    },
+    gain: 1,
+    denoiser: null,
+  },
+  talking_while_muted: {
+    enable: true,
+    interval: 50,
+    threshold: -45,
+    speech_ratio: 0.5,
+    min_duration: 600,
+    window: 1500,
+    cooldown: 10000,
+  },
+  connection_recovery: {
+    grace_period: 3000,
+    ice_restart_timeout: 10000,
+    max_attempts: 5,
+    delay: 1000,
+    max_delay: 30000,
+    takeover_delay: 15000,
+  },
   mediapipe: {
     models: {
       faceDetector: 'https://codenidus.com/videoconference/models/face',
       bodySegmentation: 'https://codenidus.com/videoconference/models/selfie'
     },
-    fps: 30
+    fps: 30,
+    worker: true,
+    model: 'general',
+    max_faces: 4,
+    face_landmarker: {
+      enable: false,
+      model_path: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
+      wasm_path: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/wasm',
+      num_faces: 4,
+    },
+  },
+  auto_framing: {
+    enable: false,
+    padding: 0.8,
+    max_zoom: 2,
+    transition_speed: 3,
+    detection_interval: 100,
+    hold: 2000,
+  },
+  face_tracking: {
+    smoothing: 0.5,
+    iou_threshold: 0.3,
+    max_age: 500,
+  },
+  face_overlays: {
+    allowed_origins: [],
+  },
+  assets: {
+    paths: {},
+    integrity: {},
+    preload: {},
+    cache: true,
+    cache_name: 'vidus-assets',
+    version: '1',
+  },
+  blur: {
+    level: 0.4,
+    foreground_threshold: 0.5,
+    edge_blur: 3,
+    auto_quality: true,
+  },
+  color_filters: {
+    persist: true,
+    low_light: {
+      enable: false,
+      target: 0.45,
+      max_gain: 1.8,
+      interval: 500,
+    },
+  },
+  processors: {
+    budget: null,
+    max_overruns: 30,
+    auto_disable: true,
   },
   axios: {
     headers: {}
   },
+  events: {
+    mirror_to_document: false,
+  },
   authorization: {
     url: '/',
     storage_token: 'codenidus.vidus.package.token',
+    user_token: 'codenidus.vidus.user.token',
   },
   aws: {
     bucket_name: 'video-conference-bucket-a',
@@ -29,4 +149,38 @@ export default {
       enable: false,
     }
   }
-}
+};
+
+/**
+ * Recursively merge plain config objects into a fresh copy
+ * @param {Object} target - Base configuration
+ * @param {Object} source - Configuration overrides
+ * @returns {Object} - Merged configuration sharing no nested objects with its inputs
+ */
+const mergeConfigs = (target = {}, source = {}) => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const result = {};
+
+  [...Object.keys(target), ...Object.keys(source)].forEach((key) => {
+    const value = key in source ? source[key] : target[key];
+
+    if (isObject(value)) {
+      result[key] = mergeConfigs(isObject(target[key]) ? target[key] : {}, key in source ? value : {});
+    } else {
+      result[key] = Array.isArray(value) ? [...value] : value;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Create an independent configuration object for a single instance
+ * @param {Object} overrides - Configuration overrides
+ * @returns {Object} - Configuration object not shared with other instances
+ */
+export const createConfigs = (overrides = {}) => {
+  return mergeConfigs(configs, overrides);
+};
+
+export default configs;
@@ -0,0 +1,73 @@
+
+/**
+ * @typedef {Object} BackgroundItem
+ * @property {string} name - File name inside the bucket
+ * @property {string} url - Public url of the file
+ * @property {'image'|'video'} type - Background type derived from the extension
+ */
+
+/**
+ * @module BackgroundHelper
+ * @description Lists virtual background images and videos stored in the room bucket
+ * and resolves background names used with Media.setBackground to their urls.
+ */
+export default (options) => {
+
+    const Helper = {
+        backgrounds: [],
+        extensions: {
+            image: ['png', 'jpg', 'jpeg', 'webp'],
+            video: ['mp4', 'webm'],
+        },
+    };
+
+    Helper.setup = () => {
+        return Helper;
+    };
+
+    /**
+     * Retrieves background files from the bucket of a specific room
+     * @param {string} roomId - The ID of the room to fetch backgrounds for
+     * @returns {Promise<BackgroundItem[]>} Backgrounds found in the bucket
+     */
+    Helper.getBackgroundsFromBucket = async (roomId) => {
+        const response = await options.authenticatedRequest('GET', '/api/bucket/images-list?roomId=' + roomId);
+        const files = Array.isArray(response.files) ? response.files : [];
+        const amazonBucketBaseUrl = `https://${options.configs.aws.bucket_name}.s3.amazonaws.com/`;
+
+        Helper.backgrounds = files
+            .filter(file => file.includes('background'))
+            .map(file => ({
+                name: file.split('/').pop(),
+                url: amazonBucketBaseUrl + file,
+                type: Helper.getType(file),
+            }))
+            .filter(item => item.type !== null);
+
+        return Helper.backgrounds;
+    };
+
+    /**
+     * Derives the background type from a file extension
+     * @param {string} file - File name or url
+     * @returns {'image'|'video'|null}
+     */
+    Helper.getType = (file) => {
+        const extension = file.split('?')[0].split('.').pop().toLowerCase();
+
+        return Object.keys(Helper.extensions).find(type => Helper.extensions[type].includes(extension)) || null;
+    };
+
+    /**
+     * Resolves a bucket background name to its url, other sources are returned unchanged
+     * @param {string} source - Background name or url
+     * @returns {string}
+     */
+    Helper.resolve = (source) => {
+        const item = Helper.backgrounds.find(background => background.name === source);
+
+        return item ? item.url : source;
+    };
+
+    return Helper.setup();
+};
@@ -1,38 +1,77 @@
 /**
  * @typedef {Object} BoundingBox
- * @property {number} xMin - The normalized x-coordinate of the top-left corner (0 to 1).
- * @property {number} yMin - The normalized y-coordinate of the top-left corner (0 to 1).
- * @property {number} width - The normalized width of the bounding box (0 to 1).
- * @property {number} height - The normalized height of the bounding box (0 to 1).
+ * @property {number} xMin - The x-coordinate of the top-left corner in pixels.
+ * @property {number} yMin - The y-coordinate of the top-left corner in pixels.
+ * @property {number} width - The width of the bounding box in pixels.
+ * @property {number} height - The height of the bounding box in pixels.
+ */
+
+/**
+ * @typedef {Object} OverlayDefinition
+ * @property {string} name - Unique overlay name, also the faceApi action type
+ * @property {string} src - Image, sprite sheet or animated WebP url
+ * @property {'image'|'sprite'|'animated'} [type] - Derived from frames and the extension when omitted
+ * @property {'forehead'|'nose'|'chin'|'chest'} [anchor='nose'] - Face point the overlay is attached to
+ * @property {number} [scale=1] - Overlay width relative to the face width
+ * @property {number} [offsetX=0] - Horizontal offset relative to the face width
+ * @property {number} [offsetY=0] - Vertical offset relative to the face width
+ * @property {{x: number, y: number}} [origin] - Point of the image placed on the anchor, 0 to 1, center by default
+ * @property {boolean} [rotate=true] - Follow the head roll
+ * @property {boolean} [allFaces=false] - Draw on every face instead of the largest one
+ * @property {number} [frames] - Sprite sheet frame count
+ * @property {number} [columns] - Sprite sheet columns, frames by default
+ * @property {number} [fps=12] - Sprite sheet frame rate
  */
 
 /**
  * @module FaceOverlayHelper
+ * @description Declarative face overlay registry. Overlays are drawn by face detector callbacks and
+ * enabled per user through the faceApi action, packs are JSON manifests in the room bucket.
  */
 export default (options) => {
 
+    const DEFAULT_OVERLAY = {
+        type: null,
+        anchor: 'nose',
+        scale: 1,
+        offsetX: 0,
+        offsetY: 0,
+        origin: { x: 0.5, y: 0.5 },
+        rotate: true,
+        allFaces: false,
+        frames: 1,
+        columns: null,
+        fps: 12,
+    };
+
     const Helper = {
-        imagesItems: [
-            { type: 'hat', path: 'https://codenidus.com/videoconference/pirate-hat.webp' },
-            { type: 'medal', path: 'https://codenidus.com/videoconference/medal.png' },
+        ready: false,
+        overlays: {},
+        packs: [],
+        defaults: [
+            {
+                name: 'hat',
+                src: 'https://codenidus.com/videoconference/pirate-hat.webp',
+                anchor: 'forehead',
+                scale: 2.6,
+                offsetY: 0.3,
+                origin: { x: 0.5, y: 1 },
+            },
+            {
+                name: 'medal',
+                src: 'https://codenidus.com/videoconference/medal.png',
+                anchor: 'chest',
+                scale: 0.55,
+                origin: { x: 0.5, y: 0 },
+                rotate: false,
+            },
         ],
-        faceApi: {
-            callbacks: {
-                hat: null,
-                medal: null,
-            }
-        },
-        images: {
-            medal: null,
-            hat: null,
-            faceTest: null,
-        }
     };
 
     Helper.setup = () => {
-        Helper.setImages();
+        Helper.defaults.forEach(overlay => Helper.register(overlay));
 
-        document.addEventListener("onAppReady", (event) => {
+        options.core.EventBus.on("onAppReady", (event) => {
             Helper.initialCallbacks();
         });
 
@@ -40,16 +79,15 @@ export default (options) => {
     };
 
     /**
-     * Registers face detector callbacks
+     * Registers face detector callbacks of every overlay
      */
     Helper.initialCallbacks = () => {
         try {
-            Helper.faceApi.callbacks = {
-                hat: options.media.registerFaceDetectorCallback('hat', Helper.draw),
-                medal: options.media.registerFaceDetectorCallback('medal', Helper.draw)
-            }
+            Helper.ready = true;
+
+            Object.values(Helper.overlays).forEach(overlay => Helper.attach(overlay));
         } catch(error) {
-            if (options.config.debug) {
+            if (options.configs.debug) {
                 console.error('Failed to initialize callbacks:', error);
             }
 
@@ -58,45 +96,295 @@ export default (options) => {
     };
 
     /**
-     * Loads and prepares images for overlay drawing
+     * Registers the face detector callback of an overlay, keeping its enable state
+     * @param {object} overlay - Registered overlay
      */
-    Helper.setImages = () => {
-        Helper.imagesItems.forEach(item => {
-            Helper.images[item.type] = new Image;
-            Helper.images[item.type].crossOrigin = 'anonymous';
-            Helper.images[item.type].src = item.path;
-            Helper.images[item.type].onerror = () => console.error(`Failed to load ${item.type} image`);
-        });
+    Helper.attach = (overlay) => {
+        if (!Helper.ready) return;
+
+        const enable = overlay.callback?.enable || false;
+
+        overlay.callback = options.media.registerFaceDetectorCallback(overlay.name, Helper.draw);
+        overlay.callback.enable = enable;
+    };
+
+    /**
+     * Adds or replaces an overlay and starts loading its image
+     * @param {OverlayDefinition} definition
+     * @returns {object} Registered overlay
+     */
+    Helper.register = (definition) => {
+        if (!definition?.name || !definition?.src) {
+            throw new Error('Overlay requires a name and a src');
+        }
+
+        const previous = Helper.overlays[definition.name];
+
+        const overlay = {
+            ...DEFAULT_OVERLAY,
+            ...definition,
+            origin: { ...DEFAULT_OVERLAY.origin, ...definition.origin },
+            type: definition.type || Helper.getType(definition),
+            definition,
+            image: null,
+            objectUrl: null,
+            animation: null,
+            callback: previous?.callback || null,
+        };
+
+        if (previous) {
+            Helper.release(previous);
+        }
+
+        Helper.overlays[overlay.name] = overlay;
+        Helper.load(overlay);
+        Helper.attach(overlay);
+
+        return overlay;
     };
 
     /**
-     * Draws the specified overlay type on the canvas based on face position
-     * @param {BoundingBox} lastPosition - The last detected face position data
+     * Removes an overlay and disables its callback
+     * @param {string} name - Overlay name
+     */
+    Helper.unregister = (name) => {
+        const overlay = Helper.overlays[name];
+
+        if (!overlay) return;
+
+        if (overlay.callback) {
+            overlay.callback.enable = false;
+        }
+
+        Helper.release(overlay);
+        delete Helper.overlays[name];
+    };
+
+    /**
+     * Frees the decoded frames and the object url of an overlay image
+     * @param {object} overlay - Registered overlay
+     */
+    Helper.release = (overlay) => {
+        overlay.animation?.frames.forEach(frame => frame.bitmap.close());
+        overlay.animation = null;
+
+        options.core.Assets.revoke(overlay.objectUrl);
+        overlay.objectUrl = null;
+    };
+
+    /**
+     * Whether an overlay was replaced or removed while its image loaded
+     * @param {object} overlay
+     * @returns {boolean}
+     * @private
+     */
+    const isStale = (overlay) => Helper.overlays[overlay.name] !== overlay;
+
+    /**
+     * Registered overlay definitions
+     * @returns {OverlayDefinition[]}
+     */
+    Helper.getOverlays = () => {
+        return Object.values(Helper.overlays).map(overlay => ({
+            ...overlay.definition,
+            enabled: !!overlay.callback?.enable,
+        }));
+    };
+
+    /**
+     * Derives the overlay type from its frames and extension
+     * @param {OverlayDefinition} definition
+     * @returns {'image'|'sprite'|'animated'}
+     */
+    Helper.getType = (definition) => {
+        if (definition.frames > 1) return 'sprite';
+
+        const extension = definition.src.split('?')[0].split('.').pop().toLowerCase();
+
+        return extension === 'webp' && typeof ImageDecoder !== 'undefined' ? 'animated' : 'image';
+    };
+
+    /**
+     * Loads the image of an overlay through the asset loader, animated WebP files are decoded into frames
+     * @param {object} overlay - Registered overlay
+     */
+    Helper.load = async (overlay) => {
+        if (overlay.type === 'animated') {
+            try {
+                overlay.animation = await Helper.decodeAnimation(overlay.src);
+
+                if (isStale(overlay)) {
+                    Helper.release(overlay);
+                    return;
+                }
+
+                if (overlay.animation.frames.length > 1) return;
+            } catch(error) {
+                if (options.configs.debug) {
+                    console.warn(`Failed to decode ${overlay.name} animation, using a still image:`, error);
+                }
+            }
+
+            overlay.animation?.frames.forEach(frame => frame.bitmap.close());
+            overlay.animation = null;
+            overlay.type = 'image';
+        }
+
+        const image = new Image;
+        image.crossOrigin = 'anonymous';
+        image.onerror = () => console.error(`Failed to load ${overlay.name} image`);
+
+        try {
+            const objectUrl = await options.core.Assets.loadUrl(overlay.src, { feature: 'faceOverlay' });
+
+            if (isStale(overlay)) {
+                options.core.Assets.revoke(objectUrl);
+                return;
+            }
+
+            overlay.objectUrl = objectUrl;
+            image.src = objectUrl;
+        } catch(error) {
+            if (options.core.Assets.getIntegrity(overlay.src)) {
+                console.error(`Failed to load ${overlay.name} image:`, error);
+                return;
+            }
+
+            // not fetchable through the loader, let the browser load it directly
+            image.src = options.core.Assets.resolve(overlay.src);
+        }
+
+        overlay.image = image;
+    };
+
+    /**
+     * Decodes every frame of an animated image with the ImageDecoder API
+     * @param {string} src - Image url
+     * @returns {Promise<{frames: Array<{bitmap: ImageBitmap, end: number}>, duration: number}>}
+     */
+    Helper.decodeAnimation = async (src) => {
+        const blob = await options.core.Assets.load(src, { feature: 'faceOverlay' });
+        const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: 'image/webp' });
+        const frames = [];
+        let duration = 0;
+
+        try {
+            await decoder.tracks.ready;
+
+            const frameCount = decoder.tracks.selectedTrack.frameCount;
+
+            for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+                const { image } = await decoder.decode({ frameIndex });
+
+                duration += (image.duration || 100000) / 1000;
+                frames.push({ bitmap: await createImageBitmap(image), end: duration });
+                image.close();
+            }
+        } finally {
+            decoder.close();
+        }
+
+        return { frames, duration };
+    };
+
+    /**
+     * Source of the current overlay frame
+     * @param {object} overlay - Registered overlay
+     * @param {number} now - Timestamp in ms
+     * @returns {{source: CanvasImageSource, sx: number, sy: number, sw: number, sh: number}|null}
+     */
+    Helper.getFrame = (overlay, now) => {
+        if (overlay.animation) {
+            const { frames, duration } = overlay.animation;
+            const time = now % duration;
+            const frame = frames.find(item => time < item.end) || frames[0];
+
+            return { source: frame.bitmap, sx: 0, sy: 0, sw: frame.bitmap.width, sh: frame.bitmap.height };
+        }
+
+        const image = overlay.image;
+
+        if (!image?.complete || !image.naturalWidth) return null;
+
+        if (overlay.type === 'sprite') {
+            const columns = overlay.columns || overlay.frames;
+            const rows = Math.ceil(overlay.frames / columns);
+            const index = Math.floor(now / 1000 * overlay.fps) % overlay.frames;
+            const sw = image.naturalWidth / columns;
+            const sh = image.naturalHeight / rows;
+
+            return { source: image, sx: (index % columns) * sw, sy: Math.floor(index / columns) * sh, sw, sh };
+        }
+
+        return { source: image, sx: 0, sy: 0, sw: image.naturalWidth, sh: image.naturalHeight };
+    };
+
+    /**
+     * Anchor point and head roll of a face
+     * @param {{box: BoundingBox, keypoints?: Array<{x: number, y: number, name?: string}>}} face
+     * @param {string} anchor - forehead, nose, chin or chest
+     * @returns {{x: number, y: number, angle: number}}
+     */
+    Helper.getAnchor = (face, anchor) => {
+        const box = face.box;
+        const keypoint = (name) => face.keypoints?.find(item => item.name === name);
+        const eyes = [keypoint('leftEye'), keypoint('rightEye')].filter(Boolean).sort((a, b) => a.x - b.x);
+        const nose = keypoint('noseTip') || { x: box.xMin + box.width / 2, y: box.yMin + box.height / 2 };
+        const mouth = keypoint('mouthCenter') || { x: nose.x, y: box.yMin + box.height * 0.75 };
+        const angle = eyes.length === 2 ? Math.atan2(eyes[1].y - eyes[0].y, eyes[1].x - eyes[0].x) : 0;
+        const centerX = eyes.length === 2 ? (eyes[0].x + eyes[1].x) / 2 : nose.x;
+
+        const anchors = {
+            forehead: { x: centerX, y: box.yMin },
+            nose: { x: nose.x, y: nose.y },
+            chin: { x: mouth.x, y: box.yMin + box.height },
+            chest: { x: box.xMin + box.width / 2, y: box.yMin + box.height * 1.6 },
+        };
+
+        return { ...(anchors[anchor] || anchors.nose), angle };
+    };
+
+    /**
+     * Draws the overlay of the callback on the detected faces
+     * @param {BoundingBox} lastPosition - Box of the largest detected face
      * @param {HTMLCanvasElement} canvas - The canvas element to draw on
-     * @param {string} type - The type of overlay to draw ('hat' or 'medal')
+     * @param {string} type - Overlay name
+     * @param {Array<object>} [faces] - Tracked faces with keypoints
      */
-    Helper.draw = (lastPosition, canvas, type) => {
+    Helper.draw = (lastPosition, canvas, type, faces) => {
         try {
             if (!Helper.checkCallbackTimeOut(type)) return;
-            if (!Helper.images[type]) return;
+
+            const overlay = Helper.overlays[type];
+            const frame = Helper.getFrame(overlay, performance.now());
+
+            if (!frame) return;
 
             const ctx = canvas.getContext("2d");
-            const methodName = 'calculate' + type.charAt(0).toUpperCase() + type.slice(1) + 'Position';
+            const targets = faces?.length ? faces : [{ box: lastPosition }];
 
-            if (!Helper.calculatePositions[methodName]) {
-                console.error(`Position calculation method not found: ${methodName}`);
-                return;
-            }
+            (overlay.allFaces ? targets : targets.slice(0, 1)).forEach(face => {
+                const faceWidth = face.box.width;
+                const anchor = Helper.getAnchor(face, overlay.anchor);
+                const width = faceWidth * overlay.scale;
+                const height = width * frame.sh / frame.sw;
 
-            const typePosition = Helper.calculatePositions[methodName](lastPosition);
+                ctx.save();
+                ctx.translate(anchor.x, anchor.y);
 
-            ctx.drawImage(Helper.images[type],
-              typePosition.posX,
-              typePosition.posY,
-              typePosition.width,
-              typePosition.height);
+                if (overlay.rotate) {
+                    ctx.rotate(anchor.angle);
+                }
+
+                ctx.drawImage(frame.source,
+                  frame.sx, frame.sy, frame.sw, frame.sh,
+                  overlay.offsetX * faceWidth - width * overlay.origin.x,
+                  overlay.offsetY * faceWidth - height * overlay.origin.y,
+                  width,
+                  height);
 
-            ctx.restore();
+                ctx.restore();
+            });
         } catch(error) {
             if (options.configs.debug) {
                 console.error(`Error drawing ${type}:`, error);
@@ -106,11 +394,20 @@ export default (options) => {
 
     /**
      * Sets a status for the specified overlay type
-     * @param {CustomEvent} e - Event containing type and timeout details
+     * @param {CustomEvent} e - Event containing type and status details
      */
     Helper.setStatus = (e) => {
         const { type, status } = e.detail;
-        Helper.faceApi.callbacks[type].enable = status;
+        const overlay = Helper.overlays[type];
+
+        if (!overlay?.callback) {
+            if (options.configs.debug) {
+                console.warn(`Face overlay not found: ${type}`);
+            }
+            return;
+        }
+
+        overlay.callback.enable = status;
     };
 
     /**
@@ -118,69 +415,99 @@ export default (options) => {
      * @param {string} type - The type of overlay to check
      * @returns {boolean} True if the callback should execute, false otherwise
      */
-    Helper.checkCallbackTimeOut = async (type) => {
-        if (!Helper.faceApi.callbacks[type].enable) {
-            return false;
-        }
+    Helper.checkCallbackTimeOut = (type) => {
+        return !!Helper.overlays[type]?.callback?.enable;
+    };
 
-        return true;
+    /**
+     * Origins overlays and packs may be loaded from: the room bucket, the page itself and configs.face_overlays.allowed_origins
+     * @returns {string[]}
+     */
+    Helper.getAllowedOrigins = () => {
+        return [
+            `https://${options.configs.aws.bucket_name}.s3.amazonaws.com`,
+            ...(typeof location !== 'undefined' ? [location.origin] : []),
+            ...(options.configs.face_overlays?.allowed_origins || []),
+        ];
     };
 
+    /**
+     * Checks whether a url belongs to an allowed origin
+     * @param {string} url - Absolute or page relative url
+     * @param {string[]} [origins=[]] - Origins allowed in addition to getAllowedOrigins()
+     * @returns {boolean}
+     */
+    Helper.isAllowedUrl = (url, origins = []) => {
+        try {
+            const { origin } = new URL(url, typeof location !== 'undefined' ? location.href : undefined);
+
+            return [...Helper.getAllowedOrigins(), ...origins].includes(origin);
+        } catch(error) {
+            return false;
+        }
+    };
 
     /**
-     * @namespace calculatePositions
-     * @description Collection of methods for calculating overlay positions
+     * Loads an overlay pack manifest, overlay sources are relative to the manifest url.
+     * Overlays hosted outside the manifest origin and the allowed origins are skipped.
+     * @param {string} url - Manifest url, a JSON object with name and overlays
+     * @returns {Promise<object[]>} Registered overlays
      */
-    Helper.calculatePositions = {
-        calculateHatPosition: (data) => {
-            const width = data.width * 2.6;
-            const aspectRatio = Helper.images.hat.naturalHeight / Helper.images.hat.naturalWidth;
+    Helper.loadPack = async (url) => {
+        const response = await options.axios.getInstance().get(url);
+        const pack = response.data || {};
+        const manifestOrigin = new URL(url, typeof location !== 'undefined' ? location.href : undefined).origin;
 
-            return {
-                width: width,
-                height: width * aspectRatio,
-                posX: data.xMin - ((width - data.width) / 2),
-                posY: data.yMin - ((width - data.width) / 1.22),
-            };
-        },
-        calculateMedalPosition: (data) => {
-            const width = data.width / 1.8;
-            const aspectRatio = Helper.images.medal.naturalHeight / Helper.images.medal.naturalWidth;
+        const overlays = (Array.isArray(pack.overlays) ? pack.overlays : []).flatMap(definition => {
+            const src = new URL(definition.src, url).href;
 
-            return {
-                width: width,
-                height: width * aspectRatio,
-                posX: data.xMin + (data.xMin / 1.32),
-                posY: data.yMin + data.height + (data.height / 10)
-            };
-        }
+            if (!Helper.isAllowedUrl(src, [manifestOrigin])) {
+                if (options.configs.debug) {
+                    console.warn(`Skipping overlay ${definition.name} from a not allowed origin: ${src}`);
+                }
+
+                return [];
+            }
+
+            return [Helper.register({ ...definition, src })];
+        });
+
+        Helper.packs = Helper.packs.filter(item => item.url !== url);
+        Helper.packs.push({ name: pack.name || url, url, overlays: overlays.map(overlay => overlay.name) });
+
+        return overlays;
     };
 
     /**
-     * Retrieves custom images from the bucket for a specific room
+     * Retrieves overlay packs and custom images from the bucket of a specific room.
+     * Files containing "overlay" and ending with .json are pack manifests,
+     * images named after a registered overlay replace its source.
      * @param {string} roomId - The ID of the room to fetch images for
      * @returns {Promise<boolean>} Resolves to true when operation completes
      */
     Helper.getImagesFromBucket = async (roomId) => {
-        try {
-            const response = await options.authenticatedRequest('GET', '/api/bucket/images-list?roomId=' + roomId);
+        const response = await options.authenticatedRequest('GET', '/api/bucket/images-list?roomId=' + roomId);
 
-            const files = response.files;
-            const amazonBucketBaseUrl = `https://${options.configs.aws.bucket_name}.s3.amazonaws.com/`;
+        const files = Array.isArray(response.files) ? response.files : [];
+        const amazonBucketBaseUrl = `https://${options.configs.aws.bucket_name}.s3.amazonaws.com/`;
 
-            Helper.imagesItems.forEach(item => {
-                const itemIndex = Helper.searchInArray(item.type + '.png', files);
+        Object.values(Helper.overlays).forEach(overlay => {
+            const itemIndex = Helper.searchInArray(overlay.name + '.png', files);
 
-                if (itemIndex > -1) {
-                    Helper.images[item.type].src = amazonBucketBaseUrl + files[itemIndex];
-                }
+            if (itemIndex > -1) {
+                const { type, ...definition } = overlay.definition;
 
-            });
+                Helper.register({ ...definition, src: amazonBucketBaseUrl + files[itemIndex] });
+            }
+        });
 
-            return true;
-        } catch(error) {
-            throw error;
-        }
+        const manifests = files.filter(file => file.includes('overlay') && file.endsWith('.json'));
+
+        await Promise.all(manifests.map(file => Helper.loadPack(amazonBucketBaseUrl + file).catch(error => {
+            console.error(`Failed to load overlay pack ${file}:`, error);
+        })));
+
+        return true;
     };
 
     /**
@@ -0,0 +1,177 @@
+
+/**
+ * @typedef {Object} TurnCredentialsResponse
+ * @property {RTCIceServer[]} iceServers - Short-lived TURN/STUN servers
+ * @property {number} [ttl] - Credentials lifetime in seconds, credentials without ttl are never refreshed
+ */
+
+/**
+ * @module IceServerHelper
+ * @description Builds the RTCPeerConnection configuration from configs.iceServers and
+ * short-lived TURN credentials fetched from configs.turn.credentials_url.
+ */
+export default (options) => {
+
+    const MIN_REFRESH_DELAY = 5000;
+
+    const Helper = {
+        turnServers: [],
+        expiresAt: null,
+        refreshTimer: null,
+        attempts: 0,
+    };
+
+    Helper.setup = () => {
+        return Helper;
+    };
+
+    /**
+     * Fetches TURN credentials when an endpoint is configured and they are missing or expired
+     * @returns {Promise<RTCConfiguration>} Configuration to pass to PeerJS
+     */
+    Helper.prepare = async () => {
+        const url = options.configs.turn?.credentials_url;
+
+        if (url && (!Helper.expiresAt || Helper.expiresAt <= Date.now())) {
+            await Helper.refresh();
+        }
+
+        return Helper.getRtcConfig();
+    };
+
+    /**
+     * Requests new TURN credentials, applies them to live peers and schedules the next refresh
+     * @returns {Promise<boolean>} True when credentials were refreshed
+     */
+    Helper.refresh = async () => {
+        const url = options.configs.turn?.credentials_url;
+
+        if (!url) return false;
+
+        try {
+            /** @type {TurnCredentialsResponse} */
+            const response = await options.authenticatedRequest('GET', url);
+
+            Helper.turnServers = response.iceServers || [];
+            Helper.expiresAt = response.ttl > 0 ? Date.now() + response.ttl * 1000 : Infinity;
+            Helper.attempts = 0;
+
+            Helper.apply();
+            Helper.scheduleRefresh();
+
+            return true;
+        } catch (error) {
+            if (options.configs.debug) {
+                console.error('Failed to fetch TURN credentials:', error);
+            }
+
+            Helper.scheduleRetry();
+
+            return false;
+        }
+    };
+
+    /**
+     * Schedules a refresh shortly before the current credentials expire,
+     * credentials living shorter than the margin are refreshed halfway through their lifetime
+     * @private
+     */
+    Helper.scheduleRefresh = () => {
+        clearTimeout(Helper.refreshTimer);
+        Helper.refreshTimer = null;
+
+        if (!Helper.expiresAt || Helper.expiresAt === Infinity) return;
+
+        const margin = options.configs.turn?.refresh_before_expiry ?? 60000;
+        const lifetime = Helper.expiresAt - Date.now();
+        const delay = Math.max(lifetime - margin, lifetime / 2, MIN_REFRESH_DELAY);
+
+        Helper.refreshTimer = setTimeout(Helper.refresh, delay);
+    };
+
+    /**
+     * Schedules another attempt after a failed refresh with exponential backoff
+     * @private
+     */
+    Helper.scheduleRetry = () => {
+        clearTimeout(Helper.refreshTimer);
+
+        const { retry_delay = 2000, max_retry_delay = 60000 } = options.configs.turn || {};
+        const delay = Math.min(max_retry_delay, retry_delay * Math.pow(2, Helper.attempts));
+
+        Helper.attempts++;
+        Helper.refreshTimer = setTimeout(Helper.refresh, delay);
+    };
+
+    /**
+     * Returns the RTCPeerConnection configuration or undefined to keep the PeerJS defaults.
+     * A relay only policy without servers stays relay only so no host or reflexive candidates leak.
+     * @returns {RTCConfiguration|undefined}
+     */
+    Helper.getRtcConfig = () => {
+        const iceServers = [...(options.configs.iceServers || []), ...Helper.turnServers];
+        const iceTransportPolicy = options.configs.iceTransportPolicy || 'all';
+
+        if (iceServers.length === 0) {
+            if (iceTransportPolicy === 'relay') {
+                console.warn('iceTransportPolicy is relay but no ICE servers are configured.');
+
+                return { iceServers: [], iceTransportPolicy };
+            }
+
+            return undefined;
+        }
+
+        return { iceServers, iceTransportPolicy };
+    };
+
+    /**
+     * Applies the current configuration to the main peer, the screen share peer and open connections,
+     * including the connections a transport or the screen share keep outside People (SFU, outgoing shares)
+     * @private
+     */
+    Helper.apply = () => {
+        const config = Helper.getRtcConfig();
+        const core = options.core;
+
+        if (!config) return;
+
+        [core.peerJs?.videoPeer, core.Media?.screenShare?.sharePeer].forEach(peer => {
+            if (peer?.options) {
+                peer.options.config = config;
+            }
+        });
+
+        const peerConnections = new Set([
+            ...(core.People?.getConnections() || []).flatMap(connection => {
+                return [connection.mediaConnection, connection.dataConnection, connection.shareMediaConnection]
+                    .map(item => item?.peerConnection);
+            }),
+            ...(core.peerJs?.getPeerConnections?.() || []),
+            ...(core.Media?.screenShare?.getPeerConnections?.() || []),
+        ]);
+
+        peerConnections.forEach(peerConnection => {
+            try {
+                peerConnection?.setConfiguration(config);
+            } catch (error) {
+                if (options.configs.debug) {
+                    console.warn('Failed to update peer connection configuration:', error);
+                }
+            }
+        });
+    };
+
+    /**
+     * Cancels the scheduled refresh and forgets fetched credentials
+     */
+    Helper.destroy = () => {
+        clearTimeout(Helper.refreshTimer);
+        Helper.refreshTimer = null;
+        Helper.turnServers = [];
+        Helper.expiresAt = null;
+        Helper.attempts = 0;
+    };
+
+    return Helper.setup();
+};
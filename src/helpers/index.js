@@ -4,6 +4,8 @@ import canvasTextAction from './canvasTextAction.js';
 import faceApiAction from './faceApiAction.js';
 import uiHelper from './uiHelper.js';
 import actionHelper from './actionHelper.js';
+import iceServerHelper from './iceServerHelper.js';
+import backgroundHelper from './backgroundHelper.js';
 
 export default (axios, configs, self) => {
 
@@ -37,6 +39,8 @@ export default (axios, configs, self) => {
             ui: uiHelper(Helper),
             authenticatedRequest: Helper.authenticatedRequest,
             action: actionHelper(Helper),
+            iceServer: iceServerHelper(Helper),
+            background: backgroundHelper(Helper),
         };
     };
 
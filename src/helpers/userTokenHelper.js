@@ -15,13 +15,16 @@ export default (options) => {
             expired: null,
             abilities: {},
         },
-        storageName: 'codenidus.vidus.user.token',
+        storageName: null,
     };
 
     /**
-     * Initializes the helper instance with provided options
+     * Initializes the helper instance with provided options, the token is stored per instance
+     * under configs.authorization.user_token suffixed with the instance id
      */
     Helper.setup = () => {
+        Helper.storageName = `${options.configs.authorization.user_token}.${options.core.instanceId}`;
+
         try {
             const data = localStorage.getItem(Helper.storageName);
 
@@ -1,26 +1,49 @@
 import Socket from "./Socket.js";
 import PeerJs from "./PeerJs.js";
-import configs from "./configs";
-import axios from "./Axios.js";
+import SfuPeer from "./SfuPeer.js";
+import { createConfigs } from "./configs";
+import { createApiClient } from "./Axios.js";
 
-import createRoom from "./modules/Room.js";
+import createRoom, { ROOM_STATES, ROOM_JOIN_ERRORS, RoomJoinError } from "./modules/Room.js";
 import createMedia from "./modules/Media.js";
 import createPeople from "./modules/People.js";
 import createEvents from "./modules/Events.js";
+import createEventBus, { EVENT_NAMES } from "./modules/EventBus.js";
+import createStats from "./modules/Stats.js";
+import createBandwidth, { BANDWIDTH_PROFILES } from "./modules/Bandwidth.js";
+import createSimulcast, { SIMULCAST_LAYERS } from "./modules/Simulcast.js";
+import createActiveSpeaker from "./modules/ActiveSpeaker.js";
+import createAssetLoader from "./modules/AssetLoader.js";
 import createDevelopment from "./modules/Development";
 
 import createHelpers from "./helpers";
 
+/**
+ * Media transports selectable with configs.transport, a custom transport class
+ * with the same surface as VideoPeer may be passed instead of a name
+ */
+export const TRANSPORTS = Object.freeze({
+  mesh: PeerJs,
+  sfu: SfuPeer,
+});
+
+let instances = 0;
+
 class Webrtc
 {
-  constructor() {
+  /**
+   * @param {Object} configs - Instance configuration overrides
+   */
+  constructor(configs = {}) {
     this.socket = null;
     this.peerJs = null;
     this.userSettings = {};
     this.initialized = false;
     this.peerJsId = null;
-    this.configs = configs;
-    this.axios = axios;
+    this.configs = createConfigs(configs);
+    // keys instance scoped browser storage, configs.instance keeps it stable across page loads
+    this.instanceId = this.configs.instance || `vidus-${++instances}`;
+    this.axios = createApiClient(this.configs);
     this.actions = {};
     this.themes = {};
     this.options = {
@@ -37,11 +60,19 @@ class Webrtc
     this.Media = createMedia();
     this.People = createPeople();
     this.Events = createEvents();
-
-    this.helpers = createHelpers(axios, configs, this);
+    this.EventBus = createEventBus();
+    this.EventBus.setup(this);
+    this.Assets = createAssetLoader();
+    this.Assets.setup(this);
+    this.Stats = createStats();
+    this.Bandwidth = createBandwidth();
+    this.Simulcast = createSimulcast();
+    this.ActiveSpeaker = createActiveSpeaker();
+
+    this.helpers = createHelpers(this.axios, this.configs, this);
     this.develop.methods = createDevelopment(this);
 
-    if (configs.debug === true) {
+    if (this.configs.debug === true) {
       console.info('Vidus debug mode is enabled.');
     }
   }
@@ -64,11 +95,32 @@ class Webrtc
     await this.Room.setup(this, options);
     await this.People.setup(this, connections, waitingList, options);
     await this.Media.setup(this, options);
-
+    this.Stats.setup(this);
+    this.Bandwidth.setup(this);
+    this.Simulcast.setup(this);
+    this.ActiveSpeaker.setup(this);
 
     this.emit('onAppReady');
   }
 
+  /**
+   * Start a pre-join device preview, usable before setup and join
+   * @param {Object} [devices={}] - Camera and microphone device ids
+   * @param {Object} [params={}]
+   * @param {Object} [params.options] - Media options later passed to setup, e.g. resolution and localVideoRef
+   * @param {Function} [params.onAudioLevel] - Called with the microphone level while previewing
+   * @returns {Promise<Object>} Preview session, see Media.preview
+   */
+  async preview(devices = {}, { options, onAudioLevel } = {}) {
+    this.options = Object.assign(this.options, options);
+
+    if (!this.Media.video) {
+      this.Media.prepare(this, this.options);
+    }
+
+    return this.Media.preview(devices, { onAudioLevel });
+  }
+
   /**
    * Initialize the WebRTC connection with custom configurations
    * @param {Object} configs - Configuration overrides
@@ -84,7 +136,7 @@ class Webrtc
     this.overrides.value = overrides;
 
     // reset axios configuration
-    axios.reSetConfig(this.configs);
+    this.axios.reSetConfig(this.configs);
 
     try {
       this.Events.setup(this);
@@ -108,8 +160,9 @@ class Webrtc
       this.socket.initialize(this.configs);
       this.Events.listen();
 
-      return this.socket.setConnection(true, token);
+      return await this.socket.setConnection(true, token);
     } catch(error) {
+      this.Room.setState(ROOM_STATES.FAILED, { reason: ROOM_JOIN_ERRORS.FAILED });
       console.error('Socket initializing error.');
       throw error;
     }
@@ -123,6 +176,44 @@ class Webrtc
     return this.socket.setConnection(false);
   }
 
+  /**
+   * Release every subsystem: room, connections, media, peer, socket and listeners.
+   * Safe to call more than once, the instance can be initialized again with initial()
+   * @returns {Promise<boolean>} - Resolves when everything is released
+   */
+  async destroy() {
+    try {
+      this.Stats.destroy();
+      this.Bandwidth.destroy();
+      this.ActiveSpeaker.destroy();
+      this.Room.destroy();
+      this.People.destroy();
+      await this.Media.destroy();
+
+      if (this.peerJs) {
+        this.peerJs.destroy();
+        this.peerJs = null;
+        this.peerJsId = null;
+      }
+
+      this.Events.destroy();
+      this.helpers.iceServer.destroy();
+      this.Assets.destroy();
+
+      if (this.socket) {
+        this.socket.disconnect();
+        this.socket = null;
+      }
+
+      this.initialized = false;
+
+      return true;
+    } catch(error) {
+      console.error('Failed to destroy WebRTC instance:', error);
+      throw error;
+    }
+  }
+
   /**
    * Initialize PeerJS connection
    * @param {string} token - Authentication token
@@ -130,7 +221,17 @@ class Webrtc
    */
   async initialPeerJs(token) {
     try {
-      this.peerJs = await new PeerJs(this, token);
+      await this.helpers.iceServer.prepare();
+
+      const Transport = typeof this.configs.transport === 'function'
+        ? this.configs.transport
+        : TRANSPORTS[this.configs.transport || 'mesh'];
+
+      if (!Transport) {
+        throw new Error(`Unknown transport: ${this.configs.transport}`);
+      }
+
+      this.peerJs = await new Transport(this, token);
       this.peerJsId = this.peerJs.getId();
       this.emit('onPeerJsReady');
 
@@ -198,14 +299,40 @@ class Webrtc
 
   /**
    * Register an event handler
-   * @param {string} type - Event type
-   * @param {string} event - Event name
+   * Called with an event name and a handler it subscribes to the instance event bus,
+   * called with a type, event name and method it registers a data handler (e.g. peerJsData)
+   * @param {string} type - Event type or bus event name
+   * @param {string|Function} event - Event name or bus event handler
    * @param {Function} method - Event handler function
+   * @returns {Function|void} - Unsubscribe handle for bus events
    */
   on(type, event, method) {
+    if (typeof event === 'function') {
+      return this.EventBus.on(type, event);
+    }
+
     this.Events.addEventHandler(type, event, method);
   }
 
+  /**
+   * Subscribe to the next occurrence of a bus event
+   * @param {string} type - Event name
+   * @param {Function} handler - Event handler function
+   * @returns {Function} - Unsubscribe handle
+   */
+  once(type, handler) {
+    return this.EventBus.once(type, handler);
+  }
+
+  /**
+   * Unsubscribe a bus event handler
+   * @param {string} type - Event name
+   * @param {Function} handler - Event handler function
+   */
+  off(type, handler) {
+    this.EventBus.off(type, handler);
+  }
+
   /**
    * Convert camelCase to kebab-case
    * @param {string} name - String in camelCase
@@ -295,7 +422,7 @@ class Webrtc
   }
 
   /**
-   * Trigger custom event
+   * Trigger custom event on the instance event bus
    * @param {string} type
    * @param {object} data (optional)
    * @private
@@ -307,8 +434,7 @@ class Webrtc
       data = { detail: { ...data} };
     }
 
-    const event = new CustomEvent(type, data);
-    document.dispatchEvent(event);
+    this.EventBus.emit(type, data);
   }
 
   /**
@@ -352,6 +478,17 @@ class Webrtc
   }
 }
 
-const webrtc = new Webrtc();
+/**
+ * Create an independent Vidus instance with its own socket, peer, modules and helpers
+ * @param {Object} configs - Instance configuration overrides
+ * @returns {Webrtc} - New instance
+ */
+export const createVidus = (configs = {}) => {
+  return new Webrtc(configs);
+};
+
+const webrtc = createVidus();
+
+export { EVENT_NAMES, ROOM_STATES, ROOM_JOIN_ERRORS, RoomJoinError, BANDWIDTH_PROFILES, SIMULCAST_LAYERS };
 
 export default webrtc;
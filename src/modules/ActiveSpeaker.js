@@ -0,0 +1,292 @@
+/**
+ * Active speaker detection.
+ * Web Audio analysers measure the level of every remote connection stream and of the local
+ * microphone, levels are smoothed and speaking state uses separate start/stop thresholds
+ * so it does not flicker. The loudest speaker becomes dominant after holding the floor.
+ */
+export default () => {
+
+  const DEFAULT_ACTIVE_SPEAKER = {
+    enable: true,
+    interval: 100,
+    smoothing: 0.8,
+    speaking_threshold: 0.04,
+    silence_threshold: 0.02,
+    release: 600,
+    switch_interval: 1500,
+  };
+
+  const ActiveSpeaker = {
+    parent: null,
+    context: null,
+    interval: null,
+    analysers: new Map(),
+    local: { speaking: false, audioLevel: 0 },
+    dominant: null,
+    dominantSince: 0,
+  };
+
+  /**
+   * Setup the module and start measuring when enabled
+   * @param {object} parent - Webrtc object
+   */
+  ActiveSpeaker.setup = (parent) => {
+    ActiveSpeaker.parent = parent;
+    ActiveSpeaker.destroy();
+
+    if (ActiveSpeaker.getConfigs().enable) {
+      ActiveSpeaker.start();
+    }
+  };
+
+  /**
+   * Active speaker configuration merged with the defaults
+   * @returns {object}
+   * @private
+   */
+  ActiveSpeaker.getConfigs = () => {
+    return { ...DEFAULT_ACTIVE_SPEAKER, ...(ActiveSpeaker.parent?.configs.active_speaker || {}) };
+  };
+
+  /**
+   * Start periodic measurement
+   */
+  ActiveSpeaker.start = () => {
+    ActiveSpeaker.stop();
+    ActiveSpeaker.interval = setInterval(ActiveSpeaker.measure, ActiveSpeaker.getConfigs().interval);
+  };
+
+  /**
+   * Stop periodic measurement
+   */
+  ActiveSpeaker.stop = () => {
+    clearInterval(ActiveSpeaker.interval);
+    ActiveSpeaker.interval = null;
+  };
+
+  /**
+   * Stop measuring, disconnect every analyser and close the audio context
+   */
+  ActiveSpeaker.destroy = () => {
+    ActiveSpeaker.stop();
+
+    [...ActiveSpeaker.analysers.keys()].forEach(ActiveSpeaker.detach);
+
+    if (ActiveSpeaker.context) {
+      ActiveSpeaker.context.close().catch(() => {});
+      ActiveSpeaker.context = null;
+    }
+
+    ActiveSpeaker.local = { speaking: false, audioLevel: 0 };
+    ActiveSpeaker.dominant = null;
+    ActiveSpeaker.dominantSince = 0;
+  };
+
+  /**
+   * Shared audio context, created lazily because browsers limit how many can exist
+   * @returns {AudioContext|null}
+   * @private
+   */
+  ActiveSpeaker.getContext = () => {
+    if (!ActiveSpeaker.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+      if (!AudioContext) return null;
+
+      ActiveSpeaker.context = new AudioContext();
+    }
+
+    // contexts created before a user gesture start suspended
+    if (ActiveSpeaker.context.state === 'suspended') {
+      ActiveSpeaker.context.resume().catch(() => {});
+    }
+
+    return ActiveSpeaker.context;
+  };
+
+  /**
+   * Attach an analyser to the audio track of a stream, re-attaching when the track of a key changed.
+   * Tracks are replaced inside the same stream (Media.replaceOutgoingTrack), a source node keeps reading the old one.
+   * @param {string} key - peerJsId, the local user uses its own peerJsId
+   * @param {MediaStream} stream - Stream with an audio track
+   * @private
+   */
+  ActiveSpeaker.attach = (key, stream) => {
+    const current = ActiveSpeaker.analysers.get(key);
+    const track = stream?.getAudioTracks()[0] || null;
+
+    if (current && current.trackId === track?.id) return;
+
+    ActiveSpeaker.detach(key);
+
+    const context = ActiveSpeaker.getContext();
+
+    if (!context || !track) return;
+
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+
+    analyser.fftSize = 512;
+    source.connect(analyser);
+
+    ActiveSpeaker.analysers.set(key, {
+      trackId: track.id,
+      source,
+      analyser,
+      buffer: new Float32Array(analyser.fftSize),
+      level: 0,
+      speaking: false,
+      silentSince: null,
+    });
+  };
+
+  /**
+   * Disconnect the analyser of a key
+   * @param {string} key - Analyser key
+   * @private
+   */
+  ActiveSpeaker.detach = (key) => {
+    const entry = ActiveSpeaker.analysers.get(key);
+
+    if (!entry) return;
+
+    entry.source.disconnect();
+    ActiveSpeaker.analysers.delete(key);
+  };
+
+  /**
+   * Attach analysers to new streams and drop the ones of connections which are gone
+   * @private
+   */
+  ActiveSpeaker.sync = () => {
+    const keys = [];
+    const localKey = ActiveSpeaker.parent.peerJsId;
+
+    (ActiveSpeaker.parent.People.getConnections() || []).forEach(connection => {
+      if (connection.stream) {
+        keys.push(connection.peerJsId);
+        ActiveSpeaker.attach(connection.peerJsId, connection.stream);
+      }
+    });
+
+    if (localKey && ActiveSpeaker.parent.Media.userMedia) {
+      keys.push(localKey);
+      ActiveSpeaker.attach(localKey, ActiveSpeaker.parent.Media.userMedia);
+    }
+
+    [...ActiveSpeaker.analysers.keys()].forEach(key => {
+      if (!keys.includes(key)) {
+        ActiveSpeaker.detach(key);
+      }
+    });
+  };
+
+  /**
+   * Root mean square level of the latest audio frame
+   * @param {object} entry - Analyser entry
+   * @returns {number} Level between 0 and 1
+   * @private
+   */
+  ActiveSpeaker.readLevel = (entry) => {
+    entry.analyser.getFloatTimeDomainData(entry.buffer);
+
+    let sum = 0;
+
+    for (let i = 0; i < entry.buffer.length; i++) {
+      sum += entry.buffer[i] * entry.buffer[i];
+    }
+
+    return Math.min(1, Math.sqrt(sum / entry.buffer.length));
+  };
+
+  /**
+   * Measure every stream once, update speaking state and pick the dominant speaker
+   * @private
+   */
+  ActiveSpeaker.measure = () => {
+    if (!ActiveSpeaker.parent?.People.getConnections()) return;
+
+    const configs = ActiveSpeaker.getConfigs();
+    const now = Date.now();
+
+    ActiveSpeaker.sync();
+
+    ActiveSpeaker.analysers.forEach((entry, key) => {
+      const muted = key === ActiveSpeaker.parent.peerJsId
+        ? ActiveSpeaker.parent.userSettings.micDisable
+        : ActiveSpeaker.parent.People.findOne('peerJsId', key)?.micMute;
+
+      const level = muted ? 0 : ActiveSpeaker.readLevel(entry);
+
+      entry.level = entry.level * configs.smoothing + level * (1 - configs.smoothing);
+
+      if (entry.level >= configs.speaking_threshold) {
+        entry.speaking = true;
+        entry.silentSince = null;
+      } else if (entry.speaking && entry.level < configs.silence_threshold) {
+        entry.silentSince = entry.silentSince || now;
+
+        if (now - entry.silentSince >= configs.release) {
+          entry.speaking = false;
+          entry.silentSince = null;
+        }
+      }
+
+      const target = key === ActiveSpeaker.parent.peerJsId
+        ? ActiveSpeaker.local
+        : ActiveSpeaker.parent.People.findOne('peerJsId', key);
+
+      if (target) {
+        target.audioLevel = entry.level;
+        target.speaking = entry.speaking;
+      }
+    });
+
+    ActiveSpeaker.updateDominant(now);
+  };
+
+  /**
+   * Switch the dominant speaker to the loudest one once the current one held the floor long enough
+   * @param {number} now - Current timestamp
+   * @private
+   */
+  ActiveSpeaker.updateDominant = (now) => {
+    const configs = ActiveSpeaker.getConfigs();
+    const current = ActiveSpeaker.analysers.get(ActiveSpeaker.dominant);
+    let loudest = null;
+
+    ActiveSpeaker.analysers.forEach((entry, key) => {
+      if (entry.speaking && (!loudest || entry.level > loudest.level)) {
+        loudest = { key, level: entry.level };
+      }
+    });
+
+    if (!loudest || loudest.key === ActiveSpeaker.dominant) return;
+
+    // keep the current speaker while it is still talking and recently took the floor
+    if (current?.speaking && now - ActiveSpeaker.dominantSince < configs.switch_interval) return;
+
+    const previous = ActiveSpeaker.dominant;
+
+    ActiveSpeaker.dominant = loudest.key;
+    ActiveSpeaker.dominantSince = now;
+
+    ActiveSpeaker.parent.emit('onActiveSpeakerChange', {
+      detail: {
+        peerJsId: loudest.key,
+        previous,
+        local: loudest.key === ActiveSpeaker.parent.peerJsId,
+      }
+    });
+  };
+
+  /**
+   * The current dominant speaker
+   * @returns {string|null} peerJsId of the dominant speaker
+   */
+  ActiveSpeaker.getActiveSpeaker = () => {
+    return ActiveSpeaker.dominant;
+  };
+
+  return ActiveSpeaker;
+};
@@ -0,0 +1,314 @@
+/**
+ * Model and asset loader.
+ * Remote urls can be remapped to self-hosted paths, downloads report progress, are verified against
+ * SRI-style integrity hashes and kept in Cache Storage under a versioned cache name.
+ */
+export default () => {
+
+  const DEFAULT_ASSETS = {
+    paths: {},
+    integrity: {},
+    preload: {},
+    cache: true,
+    cache_name: 'vidus-assets',
+    version: '1',
+  };
+
+  const ALGORITHMS = {
+    sha256: 'SHA-256',
+    sha384: 'SHA-384',
+    sha512: 'SHA-512',
+  };
+
+  const AssetLoader = {
+    parent: null,
+    preloaded: new Map(),
+    pending: new Map(),
+  };
+
+  /**
+   * Asset configs merged with the defaults, read on use as configs may change with initial()
+   * @returns {object}
+   */
+  const getConfigs = () => ({ ...DEFAULT_ASSETS, ...AssetLoader.parent?.configs.assets });
+
+  /**
+   * Setup the loader with the instance configs and drop caches of older versions
+   * @param {object} parent - Webrtc instance
+   * @returns {object} AssetLoader
+   */
+  AssetLoader.setup = (parent) => {
+    AssetLoader.parent = parent;
+
+    AssetLoader.clearOldCaches().catch(() => {});
+
+    return AssetLoader;
+  };
+
+  /**
+   * Name of the cache holding assets of the configured version
+   * @returns {string}
+   */
+  AssetLoader.getCacheName = () => {
+    const configs = getConfigs();
+
+    return `${configs.cache_name}-v${configs.version}`;
+  };
+
+  /**
+   * Whether Cache Storage can be used
+   * @returns {boolean}
+   */
+  AssetLoader.canCache = () => {
+    return getConfigs().cache && typeof caches !== 'undefined';
+  };
+
+  /**
+   * Remove caches left by previous asset versions
+   */
+  AssetLoader.clearOldCaches = async () => {
+    if (!AssetLoader.canCache()) return;
+
+    const current = AssetLoader.getCacheName();
+    const names = await caches.keys();
+
+    await Promise.all(names
+      .filter(name => name.startsWith(getConfigs().cache_name + '-v') && name !== current)
+      .map(name => caches.delete(name)));
+  };
+
+  /**
+   * Map a url to its self-hosted location using the longest matching prefix in configs.assets.paths
+   * @param {string} url
+   * @returns {string}
+   */
+  AssetLoader.resolve = (url) => {
+    const paths = getConfigs().paths;
+    const prefix = Object.keys(paths)
+      .filter(item => url.startsWith(item))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? paths[prefix] + url.slice(prefix.length) : url;
+  };
+
+  /**
+   * Integrity hash configured for a url, looked up by its original and resolved form
+   * @param {string} url
+   * @returns {string|null}
+   */
+  AssetLoader.getIntegrity = (url) => {
+    const integrity = getConfigs().integrity;
+
+    return integrity[url] || integrity[AssetLoader.resolve(url)] || null;
+  };
+
+  /**
+   * Verify data against an SRI-style integrity value, any matching hash of the strongest algorithm passes
+   * @param {ArrayBuffer} buffer
+   * @param {string} integrity - e.g. "sha384-<base64>", several hashes separated by spaces
+   * @returns {Promise<boolean>}
+   */
+  AssetLoader.verify = async (buffer, integrity) => {
+    const hashes = integrity.trim().split(/\s+/)
+      .map(item => {
+        const [algorithm, ...value] = item.split('-');
+        return { algorithm: algorithm.toLowerCase(), value: value.join('-') };
+      })
+      .filter(item => ALGORITHMS[item.algorithm]);
+
+    if (!hashes.length) {
+      throw new Error(`Unsupported integrity value: ${integrity}`);
+    }
+
+    const strongest = Object.keys(ALGORITHMS).reverse().find(algorithm => hashes.some(item => item.algorithm === algorithm));
+    const digest = new Uint8Array(await crypto.subtle.digest(ALGORITHMS[strongest], buffer));
+    const actual = btoa(String.fromCharCode(...digest));
+
+    return hashes.some(item => item.algorithm === strongest && item.value === actual);
+  };
+
+  /**
+   * Download a url while emitting onAssetLoadProgress
+   * @param {string} url - Resolved url
+   * @param {string} [feature] - Feature the asset belongs to
+   * @returns {Promise<{buffer: ArrayBuffer, type: string}>}
+   */
+  AssetLoader.download = async (url, feature) => {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+
+    const type = response.headers.get('content-type') || '';
+    const total = Number(response.headers.get('content-length')) || null;
+
+    if (!response.body) {
+      const buffer = await response.arrayBuffer();
+      AssetLoader.emitProgress(url, feature, buffer.byteLength, buffer.byteLength);
+      return { buffer, type };
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true) {
+      const { value, done } = await reader.read();
+
+      if (done) break;
+
+      chunks.push(value);
+      loaded += value.byteLength;
+
+      AssetLoader.emitProgress(url, feature, loaded, total);
+    }
+
+    const buffer = new Uint8Array(loaded);
+    let offset = 0;
+
+    chunks.forEach(chunk => {
+      buffer.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+
+    return { buffer: buffer.buffer, type };
+  };
+
+  /**
+   * Emit download progress
+   * @param {string} url
+   * @param {string} [feature]
+   * @param {number} loaded - Bytes received
+   * @param {number|null} total - Expected bytes when known
+   */
+  AssetLoader.emitProgress = (url, feature, loaded, total) => {
+    AssetLoader.parent?.emit('onAssetLoadProgress', {
+      detail: {
+        url,
+        feature: feature || null,
+        loaded,
+        total,
+        progress: total ? Math.min(1, loaded / total) : null,
+      }
+    });
+  };
+
+  /**
+   * Load an asset from Cache Storage or the network, verify it and store it in the cache.
+   * Concurrent loads of the same url share one download.
+   * @param {string} url - Asset url, remapped with configs.assets.paths
+   * @param {{feature?: string, integrity?: string}} [options={}]
+   * @returns {Promise<Blob>}
+   */
+  AssetLoader.load = (url, options = {}) => {
+    const resolved = AssetLoader.resolve(url);
+
+    if (!AssetLoader.pending.has(resolved)) {
+      const request = AssetLoader.fetchAsset(url, resolved, options)
+        .finally(() => AssetLoader.pending.delete(resolved));
+
+      AssetLoader.pending.set(resolved, request);
+    }
+
+    return AssetLoader.pending.get(resolved);
+  };
+
+  /**
+   * Cached entries are verified like downloads, a mismatching entry is evicted and downloaded again
+   * @private
+   */
+  AssetLoader.fetchAsset = async (url, resolved, options) => {
+    const integrity = options.integrity || AssetLoader.getIntegrity(url);
+    const cache = AssetLoader.canCache() ? await caches.open(AssetLoader.getCacheName()).catch(() => null) : null;
+    const cached = await cache?.match(resolved);
+
+    if (cached) {
+      const blob = await cached.blob();
+
+      if (!integrity || await AssetLoader.verify(await blob.arrayBuffer(), integrity)) {
+        return blob;
+      }
+
+      console.warn(`Cached ${resolved} failed the integrity check, downloading it again`);
+      await cache.delete(resolved);
+    }
+
+    const { buffer, type } = await AssetLoader.download(resolved, options.feature);
+
+    if (integrity && !await AssetLoader.verify(buffer, integrity)) {
+      throw new Error(`Integrity check failed for ${resolved}`);
+    }
+
+    const blob = new Blob([buffer], { type });
+
+    await cache?.put(resolved, new Response(blob, { headers: { 'content-type': type } })).catch(error => {
+      console.warn(`Failed to cache ${resolved}:`, error.message);
+    });
+
+    return blob;
+  };
+
+  /**
+   * Load an asset and return an object url, the caller owns it and releases it with revoke
+   * @param {string} url
+   * @param {{feature?: string, integrity?: string}} [options={}]
+   * @returns {Promise<string>}
+   */
+  AssetLoader.loadUrl = async (url, options = {}) => {
+    return URL.createObjectURL(await AssetLoader.load(url, options));
+  };
+
+  /**
+   * Release an object url created by loadUrl
+   * @param {string|null} objectUrl
+   */
+  AssetLoader.revoke = (objectUrl) => {
+    if (objectUrl?.startsWith('blob:')) {
+      URL.revokeObjectURL(objectUrl);
+    }
+  };
+
+  /**
+   * Load and verify the files of a model directory listed in configs.assets.preload.
+   * The model gets the verified files through the returned locateFile, so they are not downloaded again
+   * outside the loader, files not listed resolve to their self-hosted url.
+   * @param {string} feature - Preload key, e.g. faceDetector or bodySegmentation
+   * @param {string} basePath - Model directory url as configured, it is remapped like any other url
+   * @returns {Promise<function(string): string>} locateFile for MediaPipe solutions
+   */
+  AssetLoader.preload = async (feature, basePath) => {
+    const files = getConfigs().preload[feature] || [];
+    const base = basePath.replace(/\/+$/, '') + '/';
+    const urls = {};
+
+    await Promise.all(files.map(async file => {
+      const url = base + file;
+
+      if (!AssetLoader.preloaded.has(url)) {
+        const objectUrl = await AssetLoader.loadUrl(url, { feature });
+
+        // a concurrent preload of the same file may have finished first
+        if (AssetLoader.preloaded.has(url)) {
+          AssetLoader.revoke(objectUrl);
+        } else {
+          AssetLoader.preloaded.set(url, objectUrl);
+        }
+      }
+
+      urls[file] = AssetLoader.preloaded.get(url);
+    }));
+
+    return (file) => urls[file] || AssetLoader.resolve(base + file);
+  };
+
+  /**
+   * Release the object urls of preloaded model files, urls returned by loadUrl stay with their owner
+   */
+  AssetLoader.destroy = () => {
+    AssetLoader.preloaded.forEach(objectUrl => AssetLoader.revoke(objectUrl));
+    AssetLoader.preloaded = new Map();
+  };
+
+  return AssetLoader;
+};
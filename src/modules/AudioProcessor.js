@@ -0,0 +1,311 @@
+
+/**
+ * AudioProcessor module for the outgoing microphone audio, the audio counterpart of the canvas pipeline.
+ * raw track -> [denoiser] -> noise gate and gain worklet -> processed track sent to peers.
+ *
+ * A denoiser is an async factory receiving the AudioContext and returning an AudioNode,
+ * e.g. an RNNoise WASM AudioWorkletNode: `(context) => Promise<AudioNode>`.
+ */
+
+const NOISE_GATE_PROCESSOR = 'vidus-noise-gate';
+
+const NOISE_GATE_WORKLET = `
+class VidusNoiseGate extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.enabled = false;
+        this.threshold = -50;
+        this.attack = 0.01;
+        this.release = 0.2;
+        this.gain = 1;
+        this.envelope = 1;
+        this.port.onmessage = (event) => Object.assign(this, event.data);
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+
+        if (!input || input.length === 0) return true;
+
+        let sum = 0;
+        for (let i = 0; i < input[0].length; i++) sum += input[0][i] * input[0][i];
+
+        const level = 20 * Math.log10(Math.sqrt(sum / input[0].length) || 1e-8);
+        const target = !this.enabled || level >= this.threshold ? 1 : 0;
+        const time = Math.max(target > this.envelope ? this.attack : this.release, 0.001);
+        const coefficient = Math.exp(-input[0].length / (sampleRate * time));
+
+        this.envelope = target + (this.envelope - target) * coefficient;
+
+        for (let channel = 0; channel < output.length; channel++) {
+            const samples = input[channel] || input[0];
+
+            for (let i = 0; i < output[channel].length; i++) {
+                output[channel][i] = samples[i] * this.envelope * this.gain;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('${NOISE_GATE_PROCESSOR}', VidusNoiseGate);
+`;
+
+export default () => {
+
+    const DEFAULT_AUDIO_PROCESSING = {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true,
+        noise_gate: {
+            enable: false,
+            threshold: -50,
+            attack: 0.01,
+            release: 0.2,
+        },
+        gain: 1,
+        denoiser: null,
+    };
+
+    const CONSTRAINTS = ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+
+    const AudioProcessor = {
+        parent: null,
+        settings: null,
+        rawTrack: null,
+        track: null,
+        _audioContext: null,
+        _nodes: [],
+    };
+
+    /**
+     * Initialize the AudioProcessor module
+     * @param {Object} parent - Parent module instance
+     * @returns {Object} AudioProcessor instance
+     */
+    AudioProcessor.initial = (parent) => {
+        AudioProcessor.parent = parent;
+        AudioProcessor.stop();
+
+        const configs = parent.configs.audio_processing || {};
+
+        AudioProcessor.settings = {
+            ...DEFAULT_AUDIO_PROCESSING,
+            ...configs,
+            noise_gate: { ...DEFAULT_AUDIO_PROCESSING.noise_gate, ...(configs.noise_gate || {}) },
+        };
+
+        return AudioProcessor;
+    };
+
+    /**
+     * getUserMedia audio constraints for the browser built-in processing
+     * @returns {Object}
+     */
+    AudioProcessor.getConstraints = () => {
+        return CONSTRAINTS.reduce((constraints, key) => {
+            constraints[key] = AudioProcessor.settings[key] !== false;
+            return constraints;
+        }, {});
+    };
+
+    /**
+     * Whether the custom chain is needed, built-in constraints alone leave the raw track untouched
+     * @returns {boolean}
+     */
+    AudioProcessor.isActive = () => {
+        const settings = AudioProcessor.settings;
+
+        return settings.noise_gate.enable === true || settings.gain !== 1 || typeof settings.denoiser === 'function';
+    };
+
+    /**
+     * Run a raw microphone track through the processing chain.
+     * The new graph is built first, handed to swap and only then the previous graph is torn down,
+     * so the sender never points at an ended track.
+     * @param {MediaStreamTrack} rawTrack - Raw microphone track
+     * @param {Function} [swap] - `(track) => Promise` switching the senders to the new track
+     * @returns {Promise<MediaStreamTrack>} Processed track, or the raw track when no processing is needed
+     */
+    AudioProcessor.process = async (rawTrack, swap = async () => {}) => {
+        const previous = AudioProcessor.detach();
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+        AudioProcessor.rawTrack = rawTrack;
+
+        let track = rawTrack;
+
+        if (rawTrack && AudioProcessor.isActive() && AudioContext) {
+            const graph = { context: null, nodes: [], track: null };
+
+            try {
+                graph.context = new AudioContext();
+
+                const source = graph.context.createMediaStreamSource(new MediaStream([rawTrack]));
+                const destination = graph.context.createMediaStreamDestination();
+
+                graph.nodes.push(source);
+
+                if (typeof AudioProcessor.settings.denoiser === 'function') {
+                    graph.nodes.push(await AudioProcessor.settings.denoiser(graph.context));
+                }
+
+                graph.nodes.push(await AudioProcessor.createGate(graph.context));
+                graph.nodes.push(destination);
+
+                graph.nodes.reduce((previousNode, node) => {
+                    previousNode.connect(node);
+                    return node;
+                });
+
+                // a context created outside a user gesture starts suspended and would send silence
+                if (graph.context.state === 'suspended') {
+                    graph.context.resume().catch(error => {
+                        console.warn('[AudioProcessor.process] Failed to resume the audio context:', error);
+                    });
+                }
+
+                graph.track = destination.stream.getAudioTracks()[0];
+
+                AudioProcessor._audioContext = graph.context;
+                AudioProcessor._nodes = graph.nodes;
+                AudioProcessor.track = graph.track;
+
+                track = graph.track;
+            } catch (error) {
+                console.warn('[AudioProcessor.process] Falling back to the raw microphone track:', error);
+                AudioProcessor.teardown(graph);
+            }
+        }
+
+        try {
+            await swap(track);
+        } finally {
+            AudioProcessor.teardown(previous);
+        }
+
+        return track;
+    };
+
+    /**
+     * Create the noise gate and gain stage, a plain gain node when AudioWorklet is unavailable
+     * @param {AudioContext} context
+     * @returns {Promise<AudioNode>}
+     * @private
+     */
+    AudioProcessor.createGate = async (context) => {
+        const { noise_gate: gate, gain } = AudioProcessor.settings;
+
+        if (!context.audioWorklet) {
+            const node = context.createGain();
+            node.gain.value = gain;
+            return node;
+        }
+
+        const url = URL.createObjectURL(new Blob([NOISE_GATE_WORKLET], { type: 'application/javascript' }));
+
+        try {
+            await context.audioWorklet.addModule(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        const node = new AudioWorkletNode(context, NOISE_GATE_PROCESSOR);
+
+        node.port.postMessage({
+            enabled: gate.enable === true,
+            threshold: gate.threshold,
+            attack: gate.attack,
+            release: gate.release,
+            gain,
+        });
+
+        return node;
+    };
+
+    /**
+     * Change processing settings at runtime and return the track to send
+     * @param {Object} options - Any of the audio_processing settings
+     * @param {Function} [swap] - `(track) => Promise` switching the senders to the new track, see process
+     * @returns {Promise<MediaStreamTrack|null>} Track to send, null when no microphone is active
+     */
+    AudioProcessor.update = async (options = {}, swap) => {
+        const previous = AudioProcessor.settings;
+
+        AudioProcessor.settings = {
+            ...previous,
+            ...options,
+            noise_gate: { ...previous.noise_gate, ...(options.noise_gate || {}) },
+        };
+
+        const rawTrack = AudioProcessor.rawTrack;
+
+        if (!rawTrack || rawTrack.readyState !== 'live') return null;
+
+        if (CONSTRAINTS.some(key => key in options && options[key] !== previous[key])) {
+            try {
+                await rawTrack.applyConstraints({ ...rawTrack.getConstraints(), ...AudioProcessor.getConstraints() });
+            } catch (error) {
+                console.warn('[AudioProcessor.update] Failed to apply audio constraints:', error);
+            }
+        }
+
+        return AudioProcessor.process(rawTrack, swap);
+    };
+
+    /**
+     * Take the current graph out of the module without stopping it
+     * @returns {{context: AudioContext|null, nodes: AudioNode[], track: MediaStreamTrack|null}}
+     * @private
+     */
+    AudioProcessor.detach = () => {
+        const graph = {
+            context: AudioProcessor._audioContext,
+            nodes: AudioProcessor._nodes,
+            track: AudioProcessor.track,
+        };
+
+        AudioProcessor._audioContext = null;
+        AudioProcessor._nodes = [];
+        AudioProcessor.track = null;
+
+        return graph;
+    };
+
+    /**
+     * Disconnect the nodes, stop the processed track and close the context of a graph
+     * @param {{context: AudioContext|null, nodes: AudioNode[], track: MediaStreamTrack|null}} graph
+     * @private
+     */
+    AudioProcessor.teardown = (graph) => {
+        graph.nodes.forEach(node => {
+            try {
+                node.disconnect();
+            } catch (error) {
+                // node was never connected
+            }
+        });
+
+        graph.track?.stop();
+        graph.context?.close().catch(() => {});
+    };
+
+    /**
+     * Tear down the processing graph, the raw track is owned by Media
+     */
+    AudioProcessor.stop = () => {
+        AudioProcessor.teardown(AudioProcessor.detach());
+        AudioProcessor.rawTrack = null;
+    };
+
+    /**
+     * Tear down the processing graph
+     */
+    AudioProcessor.destroy = () => {
+        AudioProcessor.stop();
+    };
+
+    return AudioProcessor;
+};
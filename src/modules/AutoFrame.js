@@ -0,0 +1,144 @@
+/**
+ * Auto-framing (smart crop).
+ * Face boxes give a target window around everyone in view, the visible window eases towards it
+ * and is drawn back over the whole canvas so the speaker stays centred before the frame is captured.
+ */
+export default () => {
+
+  const DEFAULT_AUTO_FRAMING = {
+    enable: false,
+    padding: 0.8,
+    max_zoom: 2,
+    transition_speed: 3,
+    detection_interval: 100,
+    hold: 2000,
+  };
+
+  // share of the window height the faces are moved above the centre
+  const HEADROOM = 0.1;
+
+  const AutoFrame = {
+    enabled: false,
+    configs: { ...DEFAULT_AUTO_FRAMING },
+    window: null,
+    target: null,
+    lastDetection: -Infinity,
+    lastFaceAt: -Infinity,
+    lastRender: null,
+    buffer: null,
+  };
+
+  /**
+   * Apply auto-framing configuration
+   * @param {object} [configs={}] - auto_framing configs
+   */
+  AutoFrame.configure = (configs = {}) => {
+    AutoFrame.configs = { ...AutoFrame.configs, ...configs };
+  };
+
+  /**
+   * Whether faces should be detected again on this frame
+   * @param {number} now - Frame timestamp
+   * @returns {boolean}
+   */
+  AutoFrame.shouldDetect = (now) => {
+    return now - AutoFrame.lastDetection >= AutoFrame.configs.detection_interval;
+  };
+
+  /**
+   * Compute the target window from the detected faces, the full frame when nobody is seen for a while
+   * @param {Array<{box: object}>} faces - Detected faces in canvas pixels
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} now - Frame timestamp
+   */
+  AutoFrame.update = (faces, canvas, now) => {
+    const full = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+    AutoFrame.lastDetection = now;
+
+    if (!faces.length) {
+      if (now - AutoFrame.lastFaceAt > AutoFrame.configs.hold) {
+        AutoFrame.target = full;
+      }
+      return;
+    }
+
+    AutoFrame.lastFaceAt = now;
+
+    const xMin = Math.min(...faces.map(face => face.box.xMin));
+    const yMin = Math.min(...faces.map(face => face.box.yMin));
+    const xMax = Math.max(...faces.map(face => face.box.xMax));
+    const yMax = Math.max(...faces.map(face => face.box.yMax));
+
+    const { padding, max_zoom } = AutoFrame.configs;
+    const aspect = canvas.width / canvas.height;
+    const faceHeight = yMax - yMin;
+
+    let height = faceHeight + faceHeight * padding * 2;
+    height = Math.max(height, (xMax - xMin + faceHeight * padding * 2) / aspect);
+    height = Math.min(canvas.height, Math.max(canvas.height / Math.max(1, max_zoom), height));
+
+    const width = height * aspect;
+    const centerX = (xMin + xMax) / 2;
+    const centerY = (yMin + yMax) / 2 + height * HEADROOM;
+
+    AutoFrame.target = {
+      x: Math.min(canvas.width - width, Math.max(0, centerX - width / 2)),
+      y: Math.min(canvas.height - height, Math.max(0, centerY - height / 2)),
+      width,
+      height,
+    };
+  };
+
+  /**
+   * Ease the visible window towards the target and draw it over the canvas
+   * @param {HTMLCanvasElement} canvas - Canvas holding the frame
+   * @param {number} now - Frame timestamp
+   */
+  AutoFrame.render = (canvas, now) => {
+    const full = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+    const target = AutoFrame.target || full;
+
+    if (!AutoFrame.window) {
+      AutoFrame.window = { ...full };
+    }
+
+    const elapsed = AutoFrame.lastRender === null ? 0 : Math.max(0, now - AutoFrame.lastRender);
+    const factor = 1 - Math.exp(-AutoFrame.configs.transition_speed * elapsed / 1000);
+
+    AutoFrame.lastRender = now;
+
+    ['x', 'y', 'width', 'height'].forEach(key => {
+      AutoFrame.window[key] += (target[key] - AutoFrame.window[key]) * factor;
+    });
+
+    const { x, y, width, height } = AutoFrame.window;
+
+    if (width >= canvas.width - 0.5 && height >= canvas.height - 0.5) return;
+
+    if (!AutoFrame.buffer) {
+      AutoFrame.buffer = document.createElement('canvas');
+    }
+
+    if (AutoFrame.buffer.width !== canvas.width || AutoFrame.buffer.height !== canvas.height) {
+      AutoFrame.buffer.width = canvas.width;
+      AutoFrame.buffer.height = canvas.height;
+    }
+
+    AutoFrame.buffer.getContext('2d').drawImage(canvas, 0, 0);
+    canvas.getContext('2d').drawImage(AutoFrame.buffer, x, y, width, height, 0, 0, canvas.width, canvas.height);
+  };
+
+  /**
+   * Return to the full frame and drop the detection state
+   */
+  AutoFrame.reset = () => {
+    AutoFrame.window = null;
+    AutoFrame.target = null;
+    AutoFrame.lastDetection = -Infinity;
+    AutoFrame.lastFaceAt = -Infinity;
+    AutoFrame.lastRender = null;
+  };
+
+  return AutoFrame;
+};
@@ -0,0 +1,246 @@
+/**
+ * Adaptive outgoing video bandwidth controller.
+ * Reacts to onConnectionQuality samples and tunes each connection video sender through
+ * RTCRtpSender.setParameters, inside the limits of the selected profile.
+ */
+
+export const BANDWIDTH_PROFILES = Object.freeze({
+  'data-saver': { maxBitrate: 300000, minBitrate: 100000, maxFramerate: 15, scaleResolutionDownBy: 2, recordBitrate: 1000000 },
+  'balanced': { maxBitrate: 1000000, minBitrate: 150000, maxFramerate: 24, scaleResolutionDownBy: 1, recordBitrate: 2500000 },
+  'high': { maxBitrate: 2500000, minBitrate: 300000, maxFramerate: 30, scaleResolutionDownBy: 1, recordBitrate: 5000000 },
+});
+
+export default () => {
+
+  const DEFAULT_BANDWIDTH = {
+    enable: true,
+    profile: 'balanced',
+    uplink: null,
+  };
+
+  const Bandwidth = {
+    parent: null,
+    profile: DEFAULT_BANDWIDTH.profile,
+    senders: new Map(),
+    overrides: new Map(),
+    listeners: [],
+  };
+
+  /**
+   * Setup the controller and subscribe to quality samples
+   * @param {object} parent - Webrtc object
+   */
+  Bandwidth.setup = (parent) => {
+    Bandwidth.parent = parent;
+    Bandwidth.destroy();
+
+    const configs = Bandwidth.getConfigs();
+    Bandwidth.profile = BANDWIDTH_PROFILES[configs.profile] ? configs.profile : DEFAULT_BANDWIDTH.profile;
+
+    if (configs.enable) {
+      Bandwidth.listeners = [
+        parent.EventBus.on('onConnectionQuality', Bandwidth.handleQuality),
+      ];
+    }
+  };
+
+  /**
+   * Bandwidth configuration merged with the defaults
+   * @returns {object}
+   * @private
+   */
+  Bandwidth.getConfigs = () => {
+    return { ...DEFAULT_BANDWIDTH, ...(Bandwidth.parent?.configs.bandwidth || {}) };
+  };
+
+  /**
+   * Unsubscribe and forget per connection state
+   */
+  Bandwidth.destroy = () => {
+    Bandwidth.listeners.forEach(unsubscribe => unsubscribe());
+    Bandwidth.listeners = [];
+    Bandwidth.senders = new Map();
+    Bandwidth.overrides = new Map();
+  };
+
+  /**
+   * Get the active profile settings
+   * @returns {object}
+   */
+  Bandwidth.getProfile = () => {
+    return BANDWIDTH_PROFILES[Bandwidth.profile];
+  };
+
+  /**
+   * Switch profile and re-apply it to every connection without an override
+   * @param {'data-saver'|'balanced'|'high'} name - Profile name
+   */
+  Bandwidth.setProfile = (name) => {
+    if (!BANDWIDTH_PROFILES[name]) {
+      throw new Error(`Unknown bandwidth profile: ${name}`);
+    }
+
+    Bandwidth.profile = name;
+    Bandwidth.senders = new Map();
+
+    Bandwidth.parent.People.getConnections().forEach(connection => {
+      if (!Bandwidth.overrides.has(connection.peerJsId)) {
+        Bandwidth.apply(connection.peerJsId, Bandwidth.getLimits(Bandwidth.getPeerBudget(), connection.peerJsId));
+      }
+    });
+  };
+
+  /**
+   * Manually pin encoding parameters of a connection, adaptation is skipped for it until cleared
+   * @param {string} peerJsId - Remote peer id
+   * @param {{maxBitrate?: number, scaleResolutionDownBy?: number, maxFramerate?: number}} parameters
+   */
+  Bandwidth.setOverride = (peerJsId, parameters) => {
+    Bandwidth.overrides.set(peerJsId, { ...parameters });
+    Bandwidth.apply(peerJsId, parameters);
+  };
+
+  /**
+   * Remove a manual override and return the connection to adaptive control
+   * @param {string} peerJsId - Remote peer id
+   */
+  Bandwidth.clearOverride = (peerJsId) => {
+    Bandwidth.overrides.delete(peerJsId);
+    Bandwidth.senders.delete(peerJsId);
+  };
+
+  /**
+   * Re-apply adaptive limits of a connection, e.g. after its receiver asked for another simulcast layer
+   * @param {string} peerJsId - Remote peer id
+   * @returns {Promise<boolean>} True when parameters were applied
+   */
+  Bandwidth.refresh = (peerJsId) => {
+    if (Bandwidth.overrides.has(peerJsId)) return Promise.resolve(false);
+
+    const bitrate = Bandwidth.senders.get(peerJsId)?.maxBitrate || Bandwidth.getPeerBudget();
+
+    Bandwidth.senders.delete(peerJsId);
+
+    return Bandwidth.apply(peerJsId, Bandwidth.getLimits(bitrate, peerJsId));
+  };
+
+  /**
+   * Bitrate budget of a single connection, the configured uplink is shared by all connections
+   * @returns {number}
+   * @private
+   */
+  Bandwidth.getPeerBudget = () => {
+    const profile = Bandwidth.getProfile();
+    const uplink = Bandwidth.getConfigs().uplink;
+    const count = Math.max(1, Bandwidth.parent.People.getConnections()?.length || 1);
+
+    return uplink ? Math.min(profile.maxBitrate, uplink / count) : profile.maxBitrate;
+  };
+
+  /**
+   * Encoding limits for a target bitrate, lowering resolution and frame rate as bitrate drops.
+   * A simulcast layer requested by the receiver caps the profile further.
+   * @param {number} bitrate - Target bitrate in bps
+   * @param {string} [peerJsId] - Remote peer id
+   * @returns {{maxBitrate: number, scaleResolutionDownBy: number, maxFramerate: number}}
+   * @private
+   */
+  Bandwidth.getLimits = (bitrate, peerJsId = null) => {
+    const profile = Bandwidth.getProfile();
+    const layer = peerJsId ? Bandwidth.parent.Simulcast?.getLayer(peerJsId) : null;
+    const ceiling = Math.min(profile.maxBitrate, layer?.maxBitrate ?? Infinity);
+    const maxBitrate = Math.round(Math.min(ceiling, Math.max(profile.minBitrate, bitrate)));
+    const ratio = maxBitrate / ceiling;
+
+    let scaleResolutionDownBy = Math.max(profile.scaleResolutionDownBy, layer?.scaleResolutionDownBy ?? 1);
+    let maxFramerate = Math.min(profile.maxFramerate, layer?.maxFramerate ?? Infinity);
+
+    if (ratio < 0.5) scaleResolutionDownBy *= 2;
+    if (ratio < 0.25) {
+      scaleResolutionDownBy *= 2;
+      maxFramerate = Math.min(maxFramerate, 15);
+    }
+
+    return { maxBitrate, scaleResolutionDownBy, maxFramerate };
+  };
+
+  /**
+   * Adjust a connection from its latest quality sample
+   * @param {CustomEvent} event - onConnectionQuality event
+   * @private
+   */
+  Bandwidth.handleQuality = (event) => {
+    const { peerJsId, type, metrics } = event.detail;
+
+    if (type !== 'media' || Bandwidth.overrides.has(peerJsId)) return;
+
+    const budget = Bandwidth.getPeerBudget();
+    const current = Bandwidth.senders.get(peerJsId)?.maxBitrate || budget;
+    let target = current;
+
+    if (metrics.outgoingPacketLoss > 10 || metrics.rtt > 0.5) {
+      target = current * 0.85;
+    } else if ((metrics.outgoingPacketLoss ?? 0) < 2) {
+      target = current * 1.1;
+    }
+
+    if (metrics.availableOutgoingBitrate) {
+      target = Math.min(target, metrics.availableOutgoingBitrate * 0.85);
+    }
+
+    Bandwidth.apply(peerJsId, Bandwidth.getLimits(Math.min(target, budget), peerJsId));
+  };
+
+  /**
+   * Write encoding parameters to the video sender of a connection when they changed
+   * @param {string} peerJsId - Remote peer id
+   * @param {object} parameters - Encoding parameters
+   * @returns {Promise<boolean>} True when parameters were applied
+   */
+  Bandwidth.apply = async (peerJsId, parameters) => {
+    const connection = Bandwidth.parent.People.findOne('peerJsId', peerJsId);
+    const peerConnection = connection?.mediaConnection?.peerConnection;
+    const sender = peerConnection?.getSenders().find(item => item.track?.kind === 'video');
+
+    // transports with a shared upstream (SfuPeer) have no sender per peer to shape
+    if (!sender) return false;
+
+    const previous = Bandwidth.senders.get(peerJsId);
+
+    if (previous && Object.keys(parameters).every(key => previous[key] === parameters[key])) {
+      return false;
+    }
+
+    try {
+      const senderParameters = sender.getParameters();
+
+      if (!senderParameters.encodings || senderParameters.encodings.length === 0) {
+        senderParameters.encodings = [{}];
+      }
+
+      // simulcast senders are shaped by their layers and the browser congestion control
+      if (senderParameters.encodings.length > 1) return false;
+
+      senderParameters.encodings.forEach(encoding => {
+        Object.entries(parameters).forEach(([key, value]) => {
+          if (value !== undefined) {
+            encoding[key] = value;
+          }
+        });
+      });
+
+      await sender.setParameters(senderParameters);
+      Bandwidth.senders.set(peerJsId, { ...previous, ...parameters });
+
+      return true;
+    } catch (error) {
+      if (Bandwidth.parent.configs.debug) {
+        console.warn(`Failed to apply bandwidth parameters for ${peerJsId}:`, error);
+      }
+
+      return false;
+    }
+  };
+
+  return Bandwidth;
+};
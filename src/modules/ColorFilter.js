@@ -0,0 +1,281 @@
+/**
+ * Colour correction of the outgoing video.
+ * Brightness, contrast, saturation and white balance are applied with canvas filters, the optional
+ * low-light enhancement measures the frame luminance and raises brightness towards a target.
+ * Adjustments are stored in localStorage per user so they follow the user between sessions.
+ */
+export default () => {
+
+  const DEFAULT_COLOR_FILTERS = {
+    persist: true,
+    low_light: {
+      enable: false,
+      target: 0.45,
+      max_gain: 1.8,
+      interval: 500,
+    },
+  };
+
+  const NEUTRAL = {
+    brightness: 1,
+    contrast: 1,
+    saturation: 1,
+    temperature: 0,
+    lowLight: false,
+  };
+
+  const STORAGE_PREFIX = 'codenidus.vidus.colorFilters';
+
+  const RANGES = {
+    brightness: [0.5, 2],
+    contrast: [0.5, 2],
+    saturation: [0, 2],
+    temperature: [-1, 1],
+  };
+
+  const ColorFilter = {
+    storageName: null,
+    configs: { ...DEFAULT_COLOR_FILTERS },
+    values: { ...NEUTRAL },
+    gain: 1,
+    luminance: null,
+    lastMeasure: -Infinity,
+    buffer: null,
+    probe: null,
+  };
+
+  /**
+   * Storage key of a user, null without a user
+   * @param {string|null} user
+   * @returns {string|null}
+   * @private
+   */
+  const getStorageName = (user) => {
+    return user ? `${STORAGE_PREFIX}.${user}` : null;
+  };
+
+  /**
+   * Reset the adjustments and restore the ones stored for the user
+   * @param {string|null} user
+   * @returns {object} ColorFilter
+   * @private
+   */
+  const load = (user) => {
+    ColorFilter.storageName = getStorageName(user);
+    ColorFilter.values = {
+      ...NEUTRAL,
+      lowLight: ColorFilter.configs.low_light.enable,
+    };
+
+    const stored = ColorFilter.restore();
+
+    if (Object.keys(stored).length) {
+      ColorFilter.set(stored);
+    }
+
+    return ColorFilter;
+  };
+
+  /**
+   * Apply configuration and restore the stored adjustments of the user
+   * @param {object} [configs={}] - color_filters configs
+   * @param {string|null} [user=null] - Username the adjustments are stored for
+   * @returns {object} ColorFilter
+   */
+  ColorFilter.initial = (configs = {}, user = null) => {
+    ColorFilter.configs = {
+      ...DEFAULT_COLOR_FILTERS,
+      ...configs,
+      low_light: { ...DEFAULT_COLOR_FILTERS.low_light, ...configs.low_light },
+    };
+
+    return load(user);
+  };
+
+  /**
+   * Switch the storage to another user and restore their adjustments,
+   * nothing is stored without a user so accounts never share settings
+   * @param {string|null} user - Username
+   * @returns {object} ColorFilter
+   */
+  ColorFilter.setUser = (user) => {
+    if (getStorageName(user) === ColorFilter.storageName) return ColorFilter;
+
+    return load(user);
+  };
+
+  /**
+   * Read the stored adjustments
+   * @returns {object}
+   */
+  ColorFilter.restore = () => {
+    if (!ColorFilter.configs.persist || !ColorFilter.storageName) return {};
+
+    try {
+      const store = JSON.parse(localStorage.getItem(ColorFilter.storageName));
+
+      return store && typeof store === 'object' ? store : {};
+    } catch (error) {
+      return {};
+    }
+  };
+
+  /**
+   * Store the current adjustments
+   */
+  ColorFilter.store = () => {
+    if (!ColorFilter.configs.persist || !ColorFilter.storageName) return;
+
+    try {
+      localStorage.setItem(ColorFilter.storageName, JSON.stringify(ColorFilter.values));
+    } catch (error) {
+      console.warn('Failed to store colour filters in localStorage:', error.message);
+    }
+  };
+
+  /**
+   * Update adjustments, values outside their range are clamped
+   * @param {{brightness?: number, contrast?: number, saturation?: number, temperature?: number, lowLight?: boolean}} values
+   * @returns {object} Current adjustments
+   */
+  ColorFilter.set = (values = {}) => {
+    Object.entries(values).forEach(([key, value]) => {
+      if (key === 'lowLight') {
+        ColorFilter.values.lowLight = !!value;
+        return;
+      }
+
+      if (!RANGES[key] || typeof value !== 'number' || Number.isNaN(value)) return;
+
+      ColorFilter.values[key] = Math.min(RANGES[key][1], Math.max(RANGES[key][0], value));
+    });
+
+    if (!ColorFilter.values.lowLight) {
+      ColorFilter.gain = 1;
+    }
+
+    ColorFilter.store();
+
+    return ColorFilter.get();
+  };
+
+  /**
+   * Current adjustments
+   * @returns {object}
+   */
+  ColorFilter.get = () => {
+    return { ...ColorFilter.values };
+  };
+
+  /**
+   * Return every adjustment to neutral
+   * @returns {object} Current adjustments
+   */
+  ColorFilter.reset = () => {
+    return ColorFilter.set(NEUTRAL);
+  };
+
+  /**
+   * Whether any adjustment changes the frame
+   * @returns {boolean}
+   */
+  ColorFilter.isActive = () => {
+    const { lowLight, ...values } = ColorFilter.values;
+
+    return lowLight || Object.keys(values).some(key => values[key] !== NEUTRAL[key]);
+  };
+
+  /**
+   * Measure the average luminance of the frame on a small copy and update the low-light gain
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} now - Frame timestamp
+   */
+  ColorFilter.measure = (canvas, now) => {
+    const { target, max_gain, interval } = ColorFilter.configs.low_light;
+
+    if (now - ColorFilter.lastMeasure < interval) return;
+
+    ColorFilter.lastMeasure = now;
+
+    if (!ColorFilter.probe) {
+      ColorFilter.probe = Object.assign(document.createElement('canvas'), { width: 32, height: 18 });
+    }
+
+    const ctx = ColorFilter.probe.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(canvas, 0, 0, ColorFilter.probe.width, ColorFilter.probe.height);
+
+    const { data } = ctx.getImageData(0, 0, ColorFilter.probe.width, ColorFilter.probe.height);
+    let sum = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+      sum += 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    }
+
+    ColorFilter.luminance = sum / (data.length / 4) / 255;
+
+    const gain = Math.min(max_gain, Math.max(1, target / Math.max(ColorFilter.luminance, 0.01)));
+
+    ColorFilter.gain += (gain - ColorFilter.gain) * 0.3;
+  };
+
+  /**
+   * Apply the adjustments to the canvas
+   * @param {HTMLCanvasElement} canvas - Canvas holding the frame
+   * @param {number} now - Frame timestamp
+   */
+  ColorFilter.process = (canvas, now) => {
+    const { brightness, contrast, saturation, temperature, lowLight } = ColorFilter.values;
+
+    if (lowLight) {
+      ColorFilter.measure(canvas, now);
+    }
+
+    // the low-light gain also lifts contrast and saturation a little, dark frames look flat
+    const gain = lowLight ? ColorFilter.gain : 1;
+    const boost = (gain - 1) * 0.25;
+
+    if (!ColorFilter.buffer) {
+      ColorFilter.buffer = document.createElement('canvas');
+    }
+
+    if (ColorFilter.buffer.width !== canvas.width || ColorFilter.buffer.height !== canvas.height) {
+      ColorFilter.buffer.width = canvas.width;
+      ColorFilter.buffer.height = canvas.height;
+    }
+
+    ColorFilter.buffer.getContext('2d').drawImage(canvas, 0, 0);
+
+    const ctx = canvas.getContext('2d');
+
+    ctx.save();
+    ctx.filter = `brightness(${brightness * gain}) contrast(${contrast * (1 + boost)}) saturate(${saturation * (1 + boost)})`;
+    ctx.drawImage(ColorFilter.buffer, 0, 0);
+    ctx.filter = 'none';
+
+    if (temperature !== 0) {
+      const strength = Math.abs(temperature);
+      const tint = temperature > 0
+        ? [255, 255 - 25 * strength, 255 - 70 * strength]
+        : [255 - 70 * strength, 255 - 25 * strength, 255];
+
+      ctx.globalCompositeOperation = 'multiply';
+      ctx.fillStyle = `rgb(${tint.map(Math.round).join(',')})`;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    ctx.restore();
+  };
+
+  /**
+   * Drop the working canvases and the low-light state
+   */
+  ColorFilter.destroy = () => {
+    ColorFilter.buffer = null;
+    ColorFilter.probe = null;
+    ColorFilter.gain = 1;
+    ColorFilter.luminance = null;
+    ColorFilter.lastMeasure = -Infinity;
+  };
+
+  return ColorFilter;
+};
@@ -35,12 +35,15 @@ export default (webrtc) => {
       'emit': webrtc.emit?.bind(webrtc),
       'notify': webrtc.notify?.bind(webrtc),
       'leftRoom': webrtc.Room?.left?.bind(webrtc.Room),
+      'setRoomState': webrtc.Room?.setState?.bind(webrtc.Room),
       'muteCamera': () => webrtc.Media.muteCamera(true),
       'muteMicrophone': () => webrtc.Media.muteMicrophone(true),
       'unmuteCamera': () => webrtc.Media.muteCamera(false),
       'unmuteMicrophone': () => webrtc.Media.muteMicrophone(false),
+      'autoFraming': (status = true, options) => webrtc.Media.setAutoFraming(status, options),
       'getRequest': develop._getRequest,
       'getToken': webrtc.getUserToken?.bind(webrtc),
+      'exportStats': () => webrtc.Stats.export(),
     };
 
     Object.entries(methods).forEach(([methodName, handler]) => {
@@ -0,0 +1,127 @@
+
+/**
+ * @typedef {'onAppReady'|'onPeerJsReady'|'onPeerJsConnectionFailed'|'onMediaStreamReady'|'onMediaStreamReset'|
+ *   'onRoomAdmitWait'|'onAdmissionRequest'|'onAdmissionCancel'|'onRoomJoined'|'onRoomLeft'|'onRoomInvalid'|
+ *   'onRoomBanned'|'onUserJoined'|'onUserConnected'|'onScreenShareDisplay'|'onScreenRecordStateChange'|
+ *   'onChatMessageReceived'|'onFaceDetectDraw'|'onExitConference'|'onTerminateConference'|'onAdmitAction'|
+ *   'onBanAction'|'onChatAction'|'onFaceApiAction'|'onMuteUserMicAction'|'onTerminateAction'|
+ *   'onRoomStateChange'|'onSessionResumed'|'onSessionLost'|'onPeerConnectionStateChange'|
+ *   'onConnectionQuality'|'onActiveSpeakerChange'|'onTalkingWhileMuted'|
+ *   'onDevicesChanged'|'onProcessorDisabled'|
+ *   'onSegmentationQualityChange'|'onFeatureUnavailable'|'onAssetLoadProgress'} VidusEventName
+ */
+
+/**
+ * Names of all events emitted by a Vidus instance
+ * @type {Readonly<Object<string, VidusEventName>>}
+ */
+export const EVENT_NAMES = Object.freeze({
+  APP_READY: 'onAppReady',
+  PEER_JS_READY: 'onPeerJsReady',
+  PEER_JS_CONNECTION_FAILED: 'onPeerJsConnectionFailed',
+  MEDIA_STREAM_READY: 'onMediaStreamReady',
+  MEDIA_STREAM_RESET: 'onMediaStreamReset',
+  ROOM_ADMIT_WAIT: 'onRoomAdmitWait',
+  ADMISSION_REQUEST: 'onAdmissionRequest',
+  ADMISSION_CANCEL: 'onAdmissionCancel',
+  ROOM_JOINED: 'onRoomJoined',
+  ROOM_LEFT: 'onRoomLeft',
+  ROOM_INVALID: 'onRoomInvalid',
+  ROOM_BANNED: 'onRoomBanned',
+  USER_JOINED: 'onUserJoined',
+  USER_CONNECTED: 'onUserConnected',
+  SCREEN_SHARE_DISPLAY: 'onScreenShareDisplay',
+  SCREEN_RECORD_STATE_CHANGE: 'onScreenRecordStateChange',
+  CHAT_MESSAGE_RECEIVED: 'onChatMessageReceived',
+  FACE_DETECT_DRAW: 'onFaceDetectDraw',
+  EXIT_CONFERENCE: 'onExitConference',
+  TERMINATE_CONFERENCE: 'onTerminateConference',
+  ADMIT_ACTION: 'onAdmitAction',
+  BAN_ACTION: 'onBanAction',
+  CHAT_ACTION: 'onChatAction',
+  FACE_API_ACTION: 'onFaceApiAction',
+  MUTE_USER_MIC_ACTION: 'onMuteUserMicAction',
+  TERMINATE_ACTION: 'onTerminateAction',
+  ROOM_STATE_CHANGE: 'onRoomStateChange',
+  SESSION_RESUMED: 'onSessionResumed',
+  SESSION_LOST: 'onSessionLost',
+  PEER_CONNECTION_STATE_CHANGE: 'onPeerConnectionStateChange',
+  CONNECTION_QUALITY: 'onConnectionQuality',
+  ACTIVE_SPEAKER_CHANGE: 'onActiveSpeakerChange',
+  TALKING_WHILE_MUTED: 'onTalkingWhileMuted',
+  DEVICES_CHANGED: 'onDevicesChanged',
+  PROCESSOR_DISABLED: 'onProcessorDisabled',
+  SEGMENTATION_QUALITY_CHANGE: 'onSegmentationQualityChange',
+  FEATURE_UNAVAILABLE: 'onFeatureUnavailable',
+  ASSET_LOAD_PROGRESS: 'onAssetLoadProgress',
+});
+
+/**
+ * Instance scoped event bus, events never leave the instance unless document mirroring is enabled
+ */
+export default () => {
+
+  const EventBus = {
+    parent: null,
+    target: new EventTarget(),
+  };
+
+  /**
+   * Set up the event bus with parent context
+   * @param {Object} parent - Webrtc object
+   */
+  EventBus.setup = (parent) => {
+    EventBus.parent = parent;
+  };
+
+  /**
+   * Subscribe to an event
+   * @param {VidusEventName|string} type - Event name
+   * @param {Function} handler - Receives the CustomEvent
+   * @param {Object} [options={}] - addEventListener options
+   * @returns {Function} - Unsubscribe handle
+   */
+  EventBus.on = (type, handler, options = {}) => {
+    if (typeof handler !== 'function') {
+      throw new Error('Event handler must be a function');
+    }
+
+    EventBus.target.addEventListener(type, handler, options);
+
+    return () => EventBus.off(type, handler);
+  };
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {VidusEventName|string} type - Event name
+   * @param {Function} handler - Receives the CustomEvent
+   * @returns {Function} - Unsubscribe handle
+   */
+  EventBus.once = (type, handler) => {
+    return EventBus.on(type, handler, { once: true });
+  };
+
+  /**
+   * Unsubscribe a handler from an event
+   * @param {VidusEventName|string} type - Event name
+   * @param {Function} handler - Previously subscribed handler
+   */
+  EventBus.off = (type, handler) => {
+    EventBus.target.removeEventListener(type, handler);
+  };
+
+  /**
+   * Dispatch an event to the instance subscribers and, when enabled, mirror it to the document
+   * @param {VidusEventName|string} type - Event name
+   * @param {Object} data - CustomEvent init object including detail
+   */
+  EventBus.emit = (type, data = {}) => {
+    EventBus.target.dispatchEvent(new CustomEvent(type, data));
+
+    if (EventBus.parent?.configs?.events?.mirror_to_document === true && typeof document !== 'undefined') {
+      document.dispatchEvent(new CustomEvent(type, data));
+    }
+  };
+
+  return EventBus;
+};
@@ -1,4 +1,6 @@
 
+import { ROOM_STATES, ROOM_JOIN_ERRORS } from "./Room.js";
+
 export default () => {
   const Events = {
     parent: null,
@@ -43,22 +45,50 @@ export default () => {
       'failed-run-action': Events._handleFailedRunAction,
       // Moderation events
       'you-are-ban': Events._handleYouAreBan,
+      // Connection events
+      'connection:ready': Events._handleConnectionReady,
+      'disconnect': Events._handleDisconnect,
       // Debug events
       'info-room-data': Events._handleInfoRoomData
     };
 
     // Register all event handlers
     Object.entries(eventHandlers).forEach(([eventName, handler]) => {
-      Events.parent.socket.listen(eventName, handler.bind(Events));
-      Events.eventHandlers.set(eventName, handler);
+      const boundHandler = handler.bind(Events);
+
+      Events.parent.socket.listen(eventName, boundHandler);
+      Events.eventHandlers.set(eventName, boundHandler);
     });
 
+    Events.parent.socket.onReconnectFailed(Events._handleReconnectFailed);
+
     if (Events.parent.configs.debug) {
       console.log('All event listeners registered');
     }
   };
 
 
+  /**
+   * Remove all socket event listeners registered by listen
+   */
+  Events.unlisten = () => {
+    if (Events.parent?.socket) {
+      Events.eventHandlers.forEach((handler, eventName) => {
+        Events.parent.socket.unlisten(eventName, handler);
+      });
+    }
+
+    Events.eventHandlers.clear();
+  };
+
+  /**
+   * Release socket listeners and registered custom event handlers
+   */
+  Events.destroy = () => {
+    Events.unlisten();
+    Events.events = [];
+  };
+
   /**
    * Add custom event handler
    * @param {string} type - Event type
@@ -109,6 +139,7 @@ export default () => {
    * @private
    */
   Events._handleWaitAcceptRoomJoin = function(data) {
+    Events.parent.Room.setState(ROOM_STATES.WAITING_ADMISSION);
     Events.parent.emit('onRoomAdmitWait', data);
   };
 
@@ -139,6 +170,7 @@ export default () => {
    */
   Events._handleConnectRoomSuccess = function(data) {
     Events.parent.emit('onRoomJoined', data);
+    Events.parent.Room.setState(ROOM_STATES.JOINED);
   };
 
   /**
@@ -156,6 +188,8 @@ export default () => {
     if (user && user.hasOwnProperty('roomCreator')) {
       Events.parent.userSettings.isCreator = user.roomCreator;
     }
+
+    Events.parent.Room.resumeInformation(data);
   };
 
   /**
@@ -174,6 +208,7 @@ export default () => {
    * @private
    */
   Events._handleUserLeftRoom = function(data) {
+    Events._forgetUser(data.peerJsId);
     Events.parent.People.remove(data.peerJsId);
     Events.parent.emit('onRoomLeft', data);
   };
@@ -184,10 +219,24 @@ export default () => {
    * @private
    */
   Events._handleUserDisconnected = function(data) {
+    Events._forgetUser(data.peerJsId);
     Events.parent.People.remove(data.peerJsId);
     Events.parent.emit('onRoomLeft', data);
   };
 
+  /**
+   * Drop a user who left from the room user list so a late connection close is not taken for a failure
+   * @param {string} peerJsId - User peer id
+   * @private
+   */
+  Events._forgetUser = function(peerJsId) {
+    const information = Events.parent.Room.information;
+
+    if (Array.isArray(information?.users)) {
+      information.users = information.users.filter(user => user.peerJsId !== peerJsId);
+    }
+  };
+
   /**
    * Handle invalid room ID
    * @param {Object} data - Error data
@@ -195,6 +244,7 @@ export default () => {
    */
   Events._handleRoomIdInvalid = function(data) {
     Events.parent.emit('onRoomInvalid', data);
+    Events.parent.Room.setState(ROOM_STATES.FAILED, { reason: ROOM_JOIN_ERRORS.INVALID_ROOM });
   };
 
   /**
@@ -234,9 +284,42 @@ export default () => {
    * @private
    */
   Events._handleYouAreBan = function(data) {
+    Events.parent.Room.setState(ROOM_STATES.BANNED);
     Events.parent.emit('onRoomBanned', data);
   };
 
+  /**
+   * Handle the server being ready after a socket (re)connection, rejoin the room when the
+   * connection was lost while inside it. The raw connect event comes before the server accepts join-room.
+   * @private
+   */
+  Events._handleConnectionReady = function() {
+    if (Events.parent.Room.state === ROOM_STATES.RECONNECTING) {
+      Events.parent.Room.resume();
+    }
+  };
+
+  /**
+   * Handle socket giving up on reconnection
+   * @private
+   */
+  Events._handleReconnectFailed = function() {
+    if (Events.parent.Room.state === ROOM_STATES.RECONNECTING) {
+      Events.parent.Room.sessionLost('socket-reconnect-failed');
+    }
+  };
+
+  /**
+   * Handle socket disconnection while inside a room
+   * @param {string} reason - Socket.IO disconnect reason
+   * @private
+   */
+  Events._handleDisconnect = function(reason) {
+    if (reason !== 'io client disconnect' && Events.parent.Room.state === ROOM_STATES.JOINED) {
+      Events.parent.Room.setState(ROOM_STATES.RECONNECTING, { reason });
+    }
+  };
+
   /**
    * Handle room data info (debug)
    * @param {Object} data - Room data
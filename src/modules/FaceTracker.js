@@ -0,0 +1,150 @@
+/**
+ * Face tracking across frames.
+ * Detections are matched to existing tracks by box overlap so each face keeps a stable id,
+ * boxes and keypoints are exponentially smoothed to remove jitter.
+ *
+ * @typedef {Object} TrackedFace
+ * @property {number} id - Stable track id
+ * @property {{xMin: number, yMin: number, xMax: number, yMax: number, width: number, height: number}} box - Smoothed box in pixels
+ * @property {Array<{x: number, y: number, name?: string}>} keypoints - Smoothed keypoints in pixels
+ * @property {Array<{x: number, y: number, z?: number}>} [landmarks] - Mesh landmarks when FaceLandmarker is used
+ * @property {number} age - Frames since the track started
+ */
+export default () => {
+
+  const DEFAULT_FACE_TRACKING = {
+    smoothing: 0.5,
+    iou_threshold: 0.3,
+    max_age: 500,
+  };
+
+  const FaceTracker = {
+    configs: { ...DEFAULT_FACE_TRACKING },
+    tracks: [],
+    nextId: 1,
+  };
+
+  /**
+   * Apply tracking configuration
+   * @param {object} [configs={}] - face_tracking configs
+   */
+  FaceTracker.configure = (configs = {}) => {
+    FaceTracker.configs = { ...DEFAULT_FACE_TRACKING, ...configs };
+  };
+
+  /**
+   * Intersection over union of two boxes
+   * @param {object} a
+   * @param {object} b
+   * @returns {number}
+   * @private
+   */
+  const iou = (a, b) => {
+    const width = Math.max(0, Math.min(a.xMax, b.xMax) - Math.max(a.xMin, b.xMin));
+    const height = Math.max(0, Math.min(a.yMax, b.yMax) - Math.max(a.yMin, b.yMin));
+    const intersection = width * height;
+    const union = a.width * a.height + b.width * b.height - intersection;
+
+    return union > 0 ? intersection / union : 0;
+  };
+
+  /**
+   * Blend a value towards its new measurement
+   * @private
+   */
+  const blend = (previous, next, factor) => previous + (next - previous) * factor;
+
+  /**
+   * Smooth a track with a new detection
+   * @param {object} track - Existing track
+   * @param {object} face - New detection
+   * @private
+   */
+  const smooth = (track, face) => {
+    const factor = 1 - FaceTracker.configs.smoothing;
+    const box = {};
+
+    ['xMin', 'yMin', 'xMax', 'yMax'].forEach(key => {
+      box[key] = blend(track.box[key], face.box[key], factor);
+    });
+
+    box.width = box.xMax - box.xMin;
+    box.height = box.yMax - box.yMin;
+
+    track.box = box;
+    track.keypoints = (face.keypoints || []).map((keypoint, index) => {
+      const previous = track.keypoints.find(item => item.name && item.name === keypoint.name) || track.keypoints[index];
+
+      return previous
+        ? { ...keypoint, x: blend(previous.x, keypoint.x, factor), y: blend(previous.y, keypoint.y, factor) }
+        : { ...keypoint };
+    });
+
+    if (face.landmarks) {
+      track.landmarks = face.landmarks;
+    }
+  };
+
+  /**
+   * Update tracks with the detections of a frame
+   * @param {Array<object>} faces - Detected faces with box and keypoints
+   * @param {number} [now=performance.now()] - Frame timestamp
+   * @returns {TrackedFace[]} Faces seen in this frame, largest first
+   */
+  FaceTracker.update = (faces = [], now = performance.now()) => {
+    const unmatched = [...FaceTracker.tracks];
+    const seen = [];
+
+    faces.forEach(face => {
+      let best = null;
+      let bestScore = FaceTracker.configs.iou_threshold;
+
+      unmatched.forEach(track => {
+        const score = iou(track.box, face.box);
+
+        if (score >= bestScore) {
+          best = track;
+          bestScore = score;
+        }
+      });
+
+      if (best) {
+        unmatched.splice(unmatched.indexOf(best), 1);
+        smooth(best, face);
+        best.lastSeen = now;
+        best.age++;
+        seen.push(best);
+        return;
+      }
+
+      const track = {
+        id: FaceTracker.nextId++,
+        box: { ...face.box },
+        keypoints: (face.keypoints || []).map(keypoint => ({ ...keypoint })),
+        landmarks: face.landmarks,
+        lastSeen: now,
+        age: 0,
+      };
+
+      FaceTracker.tracks.push(track);
+      seen.push(track);
+    });
+
+    FaceTracker.tracks = FaceTracker.tracks.filter(track => {
+      return seen.includes(track) || now - track.lastSeen <= FaceTracker.configs.max_age;
+    });
+
+    return seen
+      .map(({ id, box, keypoints, landmarks, age }) => ({ id, box, keypoints, landmarks, age }))
+      .sort((a, b) => b.box.width * b.box.height - a.box.width * a.box.height);
+  };
+
+  /**
+   * Forget every track
+   */
+  FaceTracker.reset = () => {
+    FaceTracker.tracks = [];
+  };
+
+  return FaceTracker;
+};
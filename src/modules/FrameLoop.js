@@ -0,0 +1,203 @@
+/**
+ * Frame scheduler for the video pipeline.
+ * Runs once per decoded video frame with requestVideoFrameCallback, falls back to
+ * requestAnimationFrame and to a timer while the tab is hidden, throttled to the target fps.
+ */
+export default () => {
+
+  const FrameLoop = {
+    video: null,
+    callback: null,
+    running: false,
+    busy: false,
+    mode: null,
+    handle: null,
+    watchdog: null,
+    interval: 0,
+    lastTick: 0,
+    lastProcessed: 0,
+    lastPresentedFrames: null,
+    stats: null,
+  };
+
+  /**
+   * Start calling back for every frame of a video
+   * @param {HTMLVideoElement} video - Source video element
+   * @param {Function} callback - Async frame handler receiving (now, metadata)
+   * @param {{fps?: number}} [options={}]
+   */
+  FrameLoop.start = (video, callback, options = {}) => {
+    FrameLoop.stop();
+
+    FrameLoop.video = video;
+    FrameLoop.callback = callback;
+    FrameLoop.interval = 1000 / (options.fps || 30);
+    FrameLoop.mode = video.requestVideoFrameCallback ? 'video-frame' : 'animation-frame';
+    FrameLoop.running = true;
+    FrameLoop.lastTick = performance.now();
+    FrameLoop.resetStats();
+
+    FrameLoop.schedule();
+    FrameLoop.watchdog = setInterval(FrameLoop.checkStalled, Math.max(250, FrameLoop.interval * 4));
+  };
+
+  /**
+   * Stop calling back
+   */
+  FrameLoop.stop = () => {
+    FrameLoop.running = false;
+    FrameLoop.cancel();
+
+    clearInterval(FrameLoop.watchdog);
+    FrameLoop.watchdog = null;
+  };
+
+  /**
+   * Cancel the pending frame request
+   * @private
+   */
+  FrameLoop.cancel = () => {
+    if (FrameLoop.handle === null) return;
+
+    if (FrameLoop.mode === 'video-frame') {
+      FrameLoop.video?.cancelVideoFrameCallback?.(FrameLoop.handle);
+    } else if (FrameLoop.mode === 'animation-frame') {
+      cancelAnimationFrame(FrameLoop.handle);
+    }
+
+    FrameLoop.handle = null;
+  };
+
+  /**
+   * Request the next frame
+   * @private
+   */
+  FrameLoop.schedule = () => {
+    if (!FrameLoop.running) return;
+
+    FrameLoop.handle = FrameLoop.mode === 'video-frame'
+      ? FrameLoop.video.requestVideoFrameCallback(FrameLoop.tick)
+      : requestAnimationFrame(FrameLoop.tick);
+  };
+
+  /**
+   * Frame request callback
+   * @param {number} now - Frame timestamp
+   * @param {VideoFrameCallbackMetadata} [metadata] - Only with requestVideoFrameCallback
+   * @private
+   */
+  FrameLoop.tick = (now, metadata) => {
+    FrameLoop.handle = null;
+    FrameLoop.lastTick = performance.now();
+    FrameLoop.schedule();
+    FrameLoop.run(now, metadata);
+  };
+
+  /**
+   * Keep frames flowing when frame requests stop firing, e.g. the video element is not
+   * rendered (no video frame callbacks) or the tab is hidden (no animation frames)
+   * @private
+   */
+  FrameLoop.checkStalled = () => {
+    const now = performance.now();
+
+    if (!FrameLoop.running || now - FrameLoop.lastTick < Math.max(250, FrameLoop.interval * 4)) return;
+
+    if (FrameLoop.mode === 'video-frame' && !document.hidden) {
+      FrameLoop.cancel();
+      FrameLoop.mode = 'animation-frame';
+      FrameLoop.schedule();
+      return;
+    }
+
+    FrameLoop.stats.timerFrames++;
+    FrameLoop.run(now);
+  };
+
+  /**
+   * Run the callback for a frame unless it is too early or the previous frame is still processed
+   * @param {number} now - Frame timestamp
+   * @param {VideoFrameCallbackMetadata} [metadata]
+   * @private
+   */
+  FrameLoop.run = async (now, metadata) => {
+    const stats = FrameLoop.stats;
+
+    stats.frames++;
+
+    // frames presented by the video element which never reached a callback
+    if (metadata?.presentedFrames !== undefined) {
+      if (FrameLoop.lastPresentedFrames !== null) {
+        stats.missed += Math.max(0, metadata.presentedFrames - FrameLoop.lastPresentedFrames - 1);
+      }
+
+      FrameLoop.lastPresentedFrames = metadata.presentedFrames;
+    }
+
+    if (now - FrameLoop.lastProcessed < FrameLoop.interval * 0.9) {
+      stats.skipped++;
+      return;
+    }
+
+    if (FrameLoop.busy) {
+      stats.dropped++;
+      return;
+    }
+
+    FrameLoop.busy = true;
+    FrameLoop.lastProcessed = now;
+
+    const startedAt = performance.now();
+
+    try {
+      await FrameLoop.callback(now, metadata);
+    } finally {
+      const duration = performance.now() - startedAt;
+
+      stats.processed++;
+      stats.processingTime = stats.processingTime ? stats.processingTime * 0.9 + duration * 0.1 : duration;
+      stats.overBudget += duration > FrameLoop.interval ? 1 : 0;
+
+      FrameLoop.busy = false;
+    }
+  };
+
+  /**
+   * Reset frame accounting
+   * @private
+   */
+  FrameLoop.resetStats = () => {
+    FrameLoop.lastProcessed = 0;
+    FrameLoop.lastPresentedFrames = null;
+    FrameLoop.stats = {
+      startedAt: Date.now(),
+      frames: 0,
+      processed: 0,
+      skipped: 0,
+      dropped: 0,
+      missed: 0,
+      overBudget: 0,
+      timerFrames: 0,
+      processingTime: 0,
+    };
+  };
+
+  /**
+   * Frame accounting since the loop started
+   * @returns {object} Counters, average processing time in ms and effective fps
+   */
+  FrameLoop.getStats = () => {
+    const stats = FrameLoop.stats || {};
+    const seconds = stats.startedAt ? (Date.now() - stats.startedAt) / 1000 : 0;
+
+    return {
+      ...stats,
+      mode: FrameLoop.mode,
+      running: FrameLoop.running,
+      budget: FrameLoop.interval,
+      fps: seconds > 0 ? stats.processed / seconds : 0,
+    };
+  };
+
+  return FrameLoop;
+};
@@ -0,0 +1,222 @@
+/**
+ * Ordered chain of frame processors run on the Media canvas after the camera frame is drawn.
+ * A processor is a function receiving the frame, or an object with
+ * `process(frame)`, optional `isActive()` to skip idle frames, optional `degrade()` and optional `destroy()`.
+ * `degrade()` is asked before a processor over the budget is disabled, it returns true when
+ * the processor lowered its own cost and keeps running.
+ *
+ * @typedef {Object} Frame
+ * @property {HTMLCanvasElement} canvas - Canvas holding the frame, transform it in place
+ * @property {HTMLVideoElement} video - Source video element
+ * @property {number} now - Frame timestamp
+ * @property {Object} [metadata] - requestVideoFrameCallback metadata when available
+ * @property {Object} media - Media module
+ */
+export default (options = {}) => {
+
+  const FrameProcessors = {
+    items: [],
+  };
+
+  /**
+   * Normalize a processor to the object form
+   * @param {Function|Object} processor
+   * @returns {Object}
+   * @private
+   */
+  const normalize = (processor) => {
+    if (typeof processor === 'function') {
+      return { process: processor };
+    }
+
+    if (!processor || typeof processor.process !== 'function') {
+      throw new Error('A processor must be a function or an object with a process method');
+    }
+
+    return processor;
+  };
+
+  /**
+   * Add or replace a processor
+   * @param {string} name - Unique processor name
+   * @param {Function|Object} processor - Processor function or object
+   * @param {{order?: number, enabled?: boolean}} [settings={}] - Lower order runs first
+   * @returns {Object} Processor entry
+   */
+  FrameProcessors.add = (name, processor, settings = {}) => {
+    FrameProcessors.remove(name);
+
+    const entry = {
+      name,
+      processor: normalize(processor),
+      order: settings.order ?? 500,
+      enabled: settings.enabled !== false,
+      disabledReason: null,
+      overruns: 0,
+      metrics: { calls: 0, lastTime: 0, averageTime: 0, maxTime: 0, overBudget: 0, errors: 0 },
+    };
+
+    FrameProcessors.items.push(entry);
+    FrameProcessors.items.sort((a, b) => a.order - b.order);
+
+    return entry;
+  };
+
+  /**
+   * Remove a processor
+   * @param {string} name - Processor name
+   * @returns {boolean} True when a processor was removed
+   */
+  FrameProcessors.remove = (name) => {
+    const index = FrameProcessors.items.findIndex(item => item.name === name);
+
+    if (index < 0) return false;
+
+    const [entry] = FrameProcessors.items.splice(index, 1);
+
+    try {
+      entry.processor.destroy?.();
+    } catch (error) {
+      console.warn(`[FrameProcessors.remove] Failed to destroy '${name}':`, error);
+    }
+
+    return true;
+  };
+
+  /**
+   * Find a processor entry
+   * @param {string} name - Processor name
+   * @returns {Object|null}
+   */
+  FrameProcessors.get = (name) => {
+    return FrameProcessors.items.find(item => item.name === name) || null;
+  };
+
+  /**
+   * Enable or disable a processor, enabling also clears an automatic disable
+   * @param {string} name - Processor name
+   * @param {boolean} [status=true]
+   * @returns {boolean} False when the processor does not exist
+   */
+  FrameProcessors.setEnabled = (name, status = true) => {
+    const entry = FrameProcessors.get(name);
+
+    if (!entry) return false;
+
+    entry.enabled = status;
+    entry.disabledReason = status ? null : 'manual';
+    entry.overruns = 0;
+
+    return true;
+  };
+
+  /**
+   * Whether a processor would run on the next frame
+   * @param {Object} entry - Processor entry
+   * @returns {boolean}
+   * @private
+   */
+  const isActive = (entry) => {
+    return entry.enabled && (typeof entry.processor.isActive !== 'function' || entry.processor.isActive());
+  };
+
+  /**
+   * Names of the processors which would run on the next frame
+   * @returns {string[]}
+   */
+  FrameProcessors.getActive = () => {
+    return FrameProcessors.items.filter(isActive).map(item => item.name);
+  };
+
+  /**
+   * Let a processor over the budget lower its cost instead of being disabled
+   * @param {Object} entry - Processor entry
+   * @returns {boolean} True when the processor keeps running
+   * @private
+   */
+  const degrade = (entry) => {
+    if (typeof entry.processor.degrade !== 'function') return false;
+
+    try {
+      return entry.processor.degrade() === true;
+    } catch (error) {
+      console.warn(`[FrameProcessors.run] Processor '${entry.name}' failed to degrade:`, error);
+      return false;
+    }
+  };
+
+  /**
+   * Run every active processor in order and measure it against the frame budget.
+   * A processor above the budget for max_overruns frames in a row is degraded when it
+   * supports it, otherwise disabled.
+   * @param {Frame} frame
+   * @param {{budget: number, maxOverruns?: number, autoDisable?: boolean}} limits
+   */
+  FrameProcessors.run = async (frame, limits) => {
+    for (const entry of [...FrameProcessors.items]) {
+      if (!isActive(entry)) continue;
+
+      const startedAt = performance.now();
+
+      try {
+        await entry.processor.process(frame);
+      } catch (error) {
+        entry.metrics.errors++;
+        console.warn(`[FrameProcessors.run] Processor '${entry.name}' failed:`, error);
+      }
+
+      const duration = performance.now() - startedAt;
+      const metrics = entry.metrics;
+
+      metrics.calls++;
+      metrics.lastTime = duration;
+      metrics.maxTime = Math.max(metrics.maxTime, duration);
+      metrics.averageTime = metrics.calls === 1 ? duration : metrics.averageTime * 0.9 + duration * 0.1;
+
+      if (duration > limits.budget) {
+        metrics.overBudget++;
+        entry.overruns++;
+      } else {
+        entry.overruns = 0;
+      }
+
+      if (limits.autoDisable !== false && entry.overruns >= (limits.maxOverruns || 30)) {
+        entry.overruns = 0;
+
+        if (degrade(entry)) continue;
+
+        entry.enabled = false;
+        entry.disabledReason = 'budget';
+
+        options.onDisabled?.(entry, limits.budget);
+      }
+    }
+  };
+
+  /**
+   * Timing metrics of every processor
+   * @returns {Object<string, Object>} Metrics keyed by processor name
+   */
+  FrameProcessors.getMetrics = () => {
+    return FrameProcessors.items.reduce((metrics, entry) => {
+      metrics[entry.name] = {
+        ...entry.metrics,
+        order: entry.order,
+        enabled: entry.enabled,
+        active: isActive(entry),
+        disabledReason: entry.disabledReason,
+      };
+
+      return metrics;
+    }, {});
+  };
+
+  /**
+   * Remove every processor
+   */
+  FrameProcessors.clear = () => {
+    [...FrameProcessors.items].forEach(item => FrameProcessors.remove(item.name));
+  };
+
+  return FrameProcessors;
+};
@@ -0,0 +1,171 @@
+/**
+ * Off main thread video path for frames which need no main thread processor.
+ * MediaStreamTrackProcessor frames are drawn, mirrored when asked, on an OffscreenCanvas inside
+ * a worker and written to a MediaStreamTrackGenerator whose track is sent instead of the canvas track.
+ */
+
+const WORKER_SOURCE = `
+let canvas = null;
+let context = null;
+const stats = { frames: 0, processed: 0, skipped: 0, dropped: 0 };
+
+self.onmessage = async ({ data }) => {
+  if (data.type !== 'start') return;
+
+  const interval = 1000 / data.fps;
+  const reader = data.readable.getReader();
+  const writer = data.writable.getWriter();
+  const report = setInterval(() => self.postMessage({ type: 'stats', stats }), 1000);
+  let last = -Infinity;
+
+  try {
+    while (true) {
+      const { value: frame, done } = await reader.read();
+
+      if (done) break;
+
+      stats.frames++;
+
+      const time = frame.timestamp / 1000;
+
+      if (time - last < interval * 0.9) {
+        stats.skipped++;
+        frame.close();
+        continue;
+      }
+
+      if (writer.desiredSize !== null && writer.desiredSize <= 0) {
+        stats.dropped++;
+        frame.close();
+        continue;
+      }
+
+      last = time;
+
+      const width = frame.displayWidth;
+      const height = frame.displayHeight;
+
+      if (!canvas || canvas.width !== width || canvas.height !== height) {
+        canvas = new OffscreenCanvas(width, height);
+        context = canvas.getContext('2d');
+      }
+
+      context.setTransform(data.mirror ? -1 : 1, 0, 0, 1, data.mirror ? width : 0, 0);
+      context.drawImage(frame, 0, 0, width, height);
+
+      const output = new VideoFrame(canvas, { timestamp: frame.timestamp });
+      frame.close();
+
+      writer.write(output).catch(() => output.close());
+      stats.processed++;
+    }
+  } finally {
+    clearInterval(report);
+    writer.close().catch(() => {});
+  }
+};
+`;
+
+export default () => {
+
+  const FrameWorker = {
+    worker: null,
+    source: null,
+    mirror: true,
+    track: null,
+    stats: null,
+    startedAt: null,
+  };
+
+  /**
+   * Whether the browser can run the worker path
+   * @returns {boolean}
+   */
+  FrameWorker.isSupported = () => {
+    return typeof Worker !== 'undefined'
+      && typeof OffscreenCanvas !== 'undefined'
+      && typeof MediaStreamTrackProcessor !== 'undefined'
+      && typeof MediaStreamTrackGenerator !== 'undefined';
+  };
+
+  /**
+   * Start processing a camera track in the worker
+   * @param {MediaStreamTrack} source - Raw camera track, it is not stopped by the worker
+   * @param {{fps?: number, mirror?: boolean}} [options={}]
+   * @returns {MediaStreamTrack} Processed track
+   */
+  FrameWorker.start = (source, options = {}) => {
+    FrameWorker.stop();
+
+    const processor = new MediaStreamTrackProcessor({ track: source });
+    const generator = new MediaStreamTrackGenerator({ kind: 'video' });
+    const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'application/javascript' }));
+
+    try {
+      FrameWorker.worker = new Worker(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    FrameWorker.worker.onmessage = ({ data }) => {
+      if (data.type === 'stats') {
+        FrameWorker.stats = data.stats;
+      }
+    };
+
+    FrameWorker.worker.postMessage({
+      type: 'start',
+      fps: options.fps || 30,
+      mirror: options.mirror !== false,
+      readable: processor.readable,
+      writable: generator.writable,
+    }, [processor.readable, generator.writable]);
+
+    FrameWorker.source = source;
+    FrameWorker.mirror = options.mirror !== false;
+    FrameWorker.track = generator;
+    FrameWorker.startedAt = Date.now();
+    FrameWorker.stats = { frames: 0, processed: 0, skipped: 0, dropped: 0 };
+
+    return generator;
+  };
+
+  /**
+   * Stop the worker and its output track
+   */
+  FrameWorker.stop = () => {
+    FrameWorker.worker?.terminate();
+    FrameWorker.worker = null;
+
+    FrameWorker.track?.stop();
+    FrameWorker.track = null;
+    FrameWorker.source = null;
+  };
+
+  /**
+   * Whether the worker path is running
+   * @returns {boolean}
+   */
+  FrameWorker.isRunning = () => {
+    return FrameWorker.worker !== null;
+  };
+
+  /**
+   * Frame accounting reported by the worker
+   * @returns {object|null}
+   */
+  FrameWorker.getStats = () => {
+    if (!FrameWorker.stats) return null;
+
+    const seconds = (Date.now() - FrameWorker.startedAt) / 1000;
+
+    return {
+      ...FrameWorker.stats,
+      mode: 'worker',
+      running: FrameWorker.isRunning(),
+      fps: seconds > 0 ? FrameWorker.stats.processed / seconds : 0,
+    };
+  };
+
+  return FrameWorker;
+};
@@ -1,12 +1,21 @@
 import createFaceDetection from "./MediapipeFaceDetect.js";
-import createBodySegmentation from "./MediapipeBodySegment.js";
+import createFaceTracker from "./FaceTracker.js";
+import createAutoFrame from "./AutoFrame.js";
+import createColorFilter from "./ColorFilter.js";
+import createBodySegmentation, { SEGMENTATION_QUALITIES } from "./MediapipeBodySegment.js";
 import createScreenShare from "./ShareScreen";
 import createRecordScreen from "./RecordScreen";
+import createMuteMonitor from "./MuteMonitor";
+import createAudioProcessor from "./AudioProcessor";
+import createPreview from "./Preview";
+import createFrameLoop from "./FrameLoop";
+import createFrameWorker from "./FrameWorker";
+import createFrameProcessors from "./FrameProcessors";
 
 export default () => {
 
   const DEFAULT_FPS = 30;
-  const BLUR_INTENSITY = 8;
+  const MAX_BLUR_RADIUS = 20;
   const VIDEO_SCALE = 1.33;
   const RESOLUTIONS = {
     qvga: 320,
@@ -24,9 +33,30 @@ export default () => {
   ];
 
   const faceDetection = createFaceDetection();
+  const faceTracker = createFaceTracker();
+  const autoFrame = createAutoFrame();
+  const colorFilter = createColorFilter();
   const bodySegmentation = createBodySegmentation();
   const screenShare = createScreenShare();
   const screenRecord = createRecordScreen();
+  const muteMonitor = createMuteMonitor();
+  const audioProcessor = createAudioProcessor();
+  const preview = createPreview();
+  const frameLoop = createFrameLoop();
+  const frameWorker = createFrameWorker();
+  const processors = createFrameProcessors({
+    onDisabled: (entry, budget) => {
+      console.warn(`[Media] Processor '${entry.name}' disabled, it exceeds the ${budget.toFixed(1)}ms frame budget`);
+
+      Media.parent.emit('onProcessorDisabled', {
+        detail: {
+          name: entry.name,
+          averageTime: entry.metrics.averageTime,
+          budget,
+        }
+      });
+    },
+  });
 
   /**
    * Create an empty, disabled video track by drawing a black canvas frame.
@@ -42,6 +72,95 @@ export default () => {
     return Object.assign(track, { enabled: false });
   };
 
+  /**
+   * Camera constraints for a device at the configured resolution, browser default device when missing.
+   * @param {string} deviceId
+   */
+  const getVideoConstraints = (deviceId) => {
+    return {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+      width: {
+        min: Media.options.minVideoWidth,
+        max: Media.options.maxVideoWidth
+      },
+      height: {
+        min: Media.options.minVideoHeight,
+        max: Media.options.maxVideoHeight
+      }
+    };
+  };
+
+  /**
+   * Microphone constraints for a device including the browser audio processing settings.
+   * @param {string} deviceId
+   */
+  const getAudioConstraints = (deviceId) => {
+    return {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+      ...Media.audioProcessor.getConstraints()
+    };
+  };
+
+  /**
+   * Resolve a bucket background name to its url.
+   * @param {string} source
+   */
+  const resolveBackgroundSource = (source) => {
+    return Media.parent.helpers?.background?.resolve(source) || source;
+  };
+
+  /**
+   * Username of the signed in user, per user settings are keyed by it.
+   */
+  const getUsername = () => {
+    return Media.parent.helpers?.userToken?.webrtcToken?.username || null;
+  };
+
+  /**
+   * Load a background image from an url, bucket name or image element.
+   * @param {string|HTMLImageElement} source
+   * @returns {Promise<HTMLImageElement>}
+   */
+  const loadBackgroundImage = (source) => {
+    if (typeof source !== 'string') return Promise.resolve(source);
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Failed to load background image ${source}`));
+      image.src = resolveBackgroundSource(source);
+    });
+  };
+
+  /**
+   * Load a looping, muted background video from an url, bucket name or video element.
+   * @param {string|HTMLVideoElement} source
+   * @returns {Promise<HTMLVideoElement>}
+   */
+  const loadBackgroundVideo = (source) => {
+    const video = typeof source === 'string' ? document.createElement('video') : source;
+
+    return new Promise((resolve, reject) => {
+      video.crossOrigin = 'anonymous';
+      video.muted = true;
+      video.loop = true;
+      video.playsInline = true;
+
+      if (video.readyState >= 2) {
+        video.play().then(() => resolve(video), reject);
+        return;
+      }
+
+      video.addEventListener('loadeddata', () => video.play().then(() => resolve(video), reject), { once: true });
+      video.addEventListener('error', () => reject(new Error(`Failed to load background video ${source}`)), { once: true });
+
+      if (typeof source === 'string') {
+        video.src = resolveBackgroundSource(source);
+      }
+    });
+  };
+
   /**
    * Draw the current frame from a video element onto a canvas.
    * @param {HTMLVideoElement} video
@@ -72,62 +191,212 @@ export default () => {
     options: null,
     canvas: null,
     video: null,
-    interval: null,
+    speaker: null,
+    canvasTrack: null,
     process: false,
+    workerUnavailable: false,
     events: null,
     bodySegmenter: {
       segmenter: null,
+      model: 'general',
       blur: 0,
+      portraitLight: 0,
+      background: null,
+      threshold: 0.5,
+      feather: 3,
+      quality: 'high',
+      autoQuality: true,
+      budget: null,
+      segmentationTime: 0,
+      frameId: null,
+      maskFrame: null,
+      buffers: null,
+      onQualityChange: null,
+      loading: null,
+    },
+    features: {
+      bodySegmentation: false,
+      faceDetection: false,
     },
     faceDetector: {
       detector: null,
       detect: false,
       positions: null,
+      faces: [],
       callbacks: []
     },
   };
 
   /**
-   * Setup the Media module with parent config and options.
-   * Initialize user video and canvas elements, user video resolutions, and subsystems.
+   * Apply the segmentation settings of configs.blur and configs.mediapipe.
+   * @private
    */
-  Media.setup = async (parent, options) => {
+  const configureSegmenter = () => {
+    const blurConfigs = Media.parent.configs.blur || {};
+
+    Object.assign(Media.bodySegmenter, {
+      model: Media.parent.configs.mediapipe?.model || 'general',
+      threshold: blurConfigs.foreground_threshold ?? 0.5,
+      feather: blurConfigs.edge_blur ?? 3,
+      quality: 'high',
+      autoQuality: blurConfigs.auto_quality !== false,
+      onQualityChange: Media.handleSegmentationQualityChange,
+    });
+  };
+
+  /**
+   * Minimal setup for a pre-join preview: parent, video and canvas elements and the modules
+   * the preview depends on. Media.setup runs it as well and keeps the elements of a running
+   * preview, so its tracks can still be handed to Media.grab.
+   * @param {object} parent - Webrtc object
+   * @param {object} [options={}] - Media options, resolution and video element references
+   */
+  Media.prepare = (parent, options = {}) => {
+    const prepared = Media.parent === parent && !!Media.video && !!Media.canvas;
+
     Media.parent = parent;
     Media.options = options;
-    Media.devices = null;
-    Media.userMedia = null;
-    Media.events = {
+    Media.events = Media.events || {
       play: [],
     };
 
     // set camera resolution size
     const isPortrait = window.innerWidth < window.innerHeight;
-    const resolution = RESOLUTIONS[Media.options.resolution];
+    const resolution = RESOLUTIONS[Media.options.resolution] || RESOLUTIONS.vga;
 
     Media.options.minVideoWidth = isPortrait? resolution / VIDEO_SCALE : resolution;
     Media.options.minVideoHeight = isPortrait? resolution : resolution / VIDEO_SCALE;
     Media.options.maxVideoWidth = isPortrait? resolution / VIDEO_SCALE : resolution;
     Media.options.maxVideoHeight = isPortrait? resolution : resolution / VIDEO_SCALE;
 
-    Media.canvas = document.createElement('canvas');
-    Media.video = document.createElement('video');
+    Media.canvas = Media.canvas || document.createElement('canvas');
+    Media.video = Media.video || document.createElement('video');
 
     Media.canvas.width = Media.options.minVideoWidth;
     Media.canvas.height = Media.options.minVideoHeight;
     Media.video.width = Media.options.minVideoWidth;
     Media.video.height = Media.options.minVideoHeight;
 
+    if (prepared) return;
+
+    Media.audioProcessor = audioProcessor.initial(Media.parent);
+    Media.previewSession = preview.initial(Media.parent);
+    Media.colorFilter = colorFilter.initial(Media.parent.configs.color_filters, getUsername());
+
+    configureSegmenter();
+    Media.registerBuiltInProcessors();
+  };
+
+  /**
+   * Setup the Media module with parent config and options.
+   * Initialize user video and canvas elements, user video resolutions, and subsystems.
+   */
+  Media.setup = async (parent, options) => {
+    Media.prepare(parent, options);
+    // the user may have signed in after a preview prepared the module
+    Media.colorFilter.setUser(getUsername());
+    Media.devices = null;
+    Media.userMedia = null;
+    Media.events = {
+      play: [],
+    };
+
     try {
       Media.screenShare = screenShare.initial(Media.parent);
       Media.screenRecord = screenRecord.initial(Media.parent);
-      Media.bodySegmenter.segmenter = await bodySegmentation.initial(Media.parent.configs);
-      Media.faceDetector.detector = await faceDetection.initial(Media.parent.configs);
+      Media.muteMonitor = muteMonitor.initial(Media.parent);
+
+      navigator.mediaDevices?.addEventListener('devicechange', Media.handleDeviceChange);
+
+      configureSegmenter();
+
+      // models load independently, a missing model only disables the features depending on it
+      await Media.loadSegmenter();
+      Media.faceDetector.detector = await Media.loadFeature('faceDetection', () => {
+        return faceDetection.initial(Media.parent.configs, Media.parent.Assets);
+      });
+      faceTracker.configure(Media.parent.configs.face_tracking);
+      autoFrame.configure(Media.parent.configs.auto_framing);
+      autoFrame.enabled = !!Media.parent.configs.auto_framing?.enable;
     } catch (error) {
       console.error('Media setup failed:', error);
       throw error;
     }
   };
 
+  /**
+   * Load the model of a feature, on failure the feature is marked unavailable and
+   * onFeatureUnavailable is emitted instead of failing the setup.
+   * @param {'bodySegmentation'|'faceDetection'} feature
+   * @param {Function} loader - Resolves with the model
+   * @returns {Promise<object|null>} The model or null when it could not be loaded
+   * @private
+   */
+  Media.loadFeature = async (feature, loader) => {
+    try {
+      const model = await loader();
+
+      Media.features[feature] = true;
+
+      return model;
+    } catch (error) {
+      console.warn(`[Media] ${feature} unavailable:`, error);
+
+      Media.features[feature] = false;
+
+      Media.parent.emit('onFeatureUnavailable', {
+        detail: {
+          feature,
+          error: error?.message || String(error),
+        }
+      });
+
+      return null;
+    }
+  };
+
+  /**
+   * Load the body segmentation model unless it is loaded or loading. Setup loads it, blur,
+   * backgrounds and portrait light load it on demand when they are enabled before setup, e.g. in a preview.
+   * @returns {Promise<boolean>} False when body segmentation is unavailable
+   * @private
+   */
+  Media.loadSegmenter = () => {
+    if (Media.bodySegmenter.segmenter) return Promise.resolve(true);
+
+    if (Media.bodySegmenter.loading) return Media.bodySegmenter.loading;
+
+    const loading = Media.loadFeature('bodySegmentation', () => {
+      return bodySegmentation.initial(Media.parent.configs, Media.bodySegmenter.model, Media.parent.Assets);
+    }).then(segmenter => {
+      // destroyed while loading
+      if (Media.bodySegmenter.loading !== loading) {
+        segmenter?.dispose();
+        Media.features.bodySegmentation = !!Media.bodySegmenter.segmenter;
+        return false;
+      }
+
+      Media.bodySegmenter.loading = null;
+      Media.bodySegmenter.segmenter = segmenter;
+
+      return !!segmenter;
+    });
+
+    Media.bodySegmenter.loading = loading;
+
+    return loading;
+  };
+
+  /**
+   * Whether the model of a feature loaded, blur, backgrounds and portrait light need bodySegmentation,
+   * overlays and auto-framing need faceDetection.
+   * @param {'bodySegmentation'|'faceDetection'} feature
+   * @returns {boolean}
+   */
+  Media.isFeatureAvailable = (feature) => {
+    return !!Media.features[feature];
+  };
+
   /**
    * Requests camera and microphone permissions from the user
    * @returns {object} Media permission state & available devices list
@@ -180,32 +449,11 @@ export default () => {
     try {
       Media.devices = devices;
 
-      let videoParams = (muteVideo)? false : {
-        deviceId: {
-          exact: devices.camera,
-        },
-        width: {
-          min: Media.options.minVideoWidth,
-          max: Media.options.maxVideoWidth
-        },
-        height: {
-          min: Media.options.minVideoHeight,
-          max: Media.options.maxVideoHeight
-        }
-      };
+      // reuse the tracks of a running preview so the user is not prompted again
+      const previewMedia = Media.previewSession.take?.(devices, muteVideo);
+      const media = previewMedia || await navigator.mediaDevices.getUserMedia(Media.getConstraints(devices, muteVideo));
 
-      let audioParams = {
-        deviceId: {
-          exact: devices.microphone
-        }
-      };
-
-      const media = await navigator.mediaDevices.getUserMedia({
-        video: videoParams,
-        audio: audioParams
-      });
-
-      clearInterval(Media.interval);
+      Media.stopFrameLoop();
 
       if (Media.parent.userSettings.camDisable) {
         media.addTrack(createEmptyVideoTrack({ width:640, height:480 }));
@@ -215,13 +463,20 @@ export default () => {
       Media.video.muted = true;
       Media.video.play();
 
-      const audioTrack = media.getAudioTracks()[0];
+      const audioTrack = await Media.audioProcessor.process(media.getAudioTracks()[0]);
 
       Media.video.addEventListener('loadeddata', Media.setInterval);
 
+      // a previewed stream is already loaded and will not fire loadeddata again
+      if (previewMedia && Media.video.readyState >= 2) {
+        Media.setInterval();
+      }
+
       const processedMedia = Media.canvas.captureStream();
       processedMedia.addTrack(audioTrack);
 
+      Media.canvasTrack = processedMedia.getVideoTracks()[0];
+
       Media.userMedia = processedMedia;
       Media.parent.emit('onMediaStreamReady');
 
@@ -238,28 +493,242 @@ export default () => {
   };
 
   /**
-   * Start periodic media processing interval according to configured FPS.
+   * getUserMedia constraints for the selected devices.
+   * @param {{camera?: string, microphone?: string}} devices
+   * @param {boolean} muteVideo
+   * @private
    */
-  Media.setInterval = () => {
-    if (Media.parent.userSettings.camDisable) return;
+  Media.getConstraints = (devices = {}, muteVideo = false) => {
+    return {
+      video: muteVideo ? false : getVideoConstraints(devices.camera),
+      audio: getAudioConstraints(devices.microphone),
+    };
+  };
 
-    if (Media.interval) {
-      clearInterval(Media.interval)
-      Media.interval = null;
+  /**
+   * Start a pre-join preview session rendered through the same canvas pipeline (flip, blur).
+   * Only needs Media.prepare, Webrtc.preview runs it before setup. Provides a microphone level meter, speaker test tone and self-test report, Media.grab
+   * reuses the previewed tracks. See Preview module for the session API.
+   * @param {{camera?: string, microphone?: string}} [devices={}]
+   * @param {Object} [options={}] - { onAudioLevel }
+   * @returns {Promise<Object>} Preview session with getAudioLevel, playTestTone, runSelfTest and stop
+   */
+  Media.preview = async (devices = {}, options = {}) => {
+    if (!Media.parent) {
+      throw new Error('Media.prepare or Media.setup must be called before Media.preview');
     }
 
+    await Media.previewSession.start(devices, options);
+    return Media.previewSession;
+  };
+
+  /**
+   * Start the frame loop, once per camera frame at most at the configured FPS.
+   */
+  Media.setInterval = () => {
+    if (Media.parent.userSettings.camDisable) return;
+
     const fps = Media.parent?.configs?.mediapipe?.fps || DEFAULT_FPS;
 
     Media.process = false;
-    Media.interval = setInterval(Media.processOnMedia, 1000 / fps);
+    frameLoop.start(Media.video, Media.processOnMedia, { fps });
+  };
+
+  /**
+   * Stop the frame loop and the worker path, the canvas track is sent again.
+   */
+  Media.stopFrameLoop = () => {
+    frameLoop.stop();
+
+    if (frameWorker.isRunning()) {
+      frameWorker.stop();
+
+      if (Media.userMedia && Media.canvasTrack) {
+        Media.replaceOutgoingTrack(Media.canvasTrack);
+      }
+    }
+  };
+
+  /**
+   * Frame accounting of the video pipeline.
+   * @returns {object} Frame loop counters, with worker counters when the worker path runs
+   */
+  Media.getFrameStats = () => {
+    return {
+      ...frameLoop.getStats(),
+      worker: frameWorker.getStats(),
+    };
+  };
+
+  /**
+   * Degrade hook of the segmentation processors, the quality steps down before a processor is
+   * disabled. Blur and background replacement keep running at the lowest quality, turning them
+   * off would show the real background.
+   * @param {boolean} privacy - Keep running once the quality can not go lower
+   * @returns {Function}
+   * @private
+   */
+  const degradeSegmentation = (privacy) => () => {
+    return bodySegmentation.degrade(Media.bodySegmenter) || privacy;
+  };
+
+  /**
+   * Register the built-in processors: mirror, colour filters, auto-frame, blur, background, portrait light and face overlay.
+   * @private
+   */
+  Media.registerBuiltInProcessors = () => {
+    processors.add('mirror', ({ canvas }) => flipVideoImage(canvas), { order: 100 });
+
+    processors.add('color-filter', {
+      isActive: () => colorFilter.isActive(),
+      process: ({ canvas, now }) => colorFilter.process(canvas, now),
+    }, { order: 120 });
+
+    processors.add('auto-frame', {
+      isActive: () => autoFrame.enabled && !!Media.faceDetector.detector,
+      process: async ({ canvas, now }) => {
+        if (autoFrame.shouldDetect(now)) {
+          // detect on the whole frame, the face overlay detects again on the framed canvas
+          const state = { detector: Media.faceDetector.detector };
+
+          await faceDetection.detect(state, canvas);
+          autoFrame.update(state.positions || [], canvas, now);
+        }
+
+        autoFrame.render(canvas, now);
+      },
+    }, { order: 150 });
+
+    processors.add('blur', {
+      isActive: () => Media.bodySegmenter.blur > 0 && !!Media.bodySegmenter.segmenter,
+      process: ({ canvas }) => bodySegmentation.blur(Media.bodySegmenter, canvas),
+      degrade: degradeSegmentation(true),
+    }, { order: 200 });
+
+    processors.add('background', {
+      isActive: () => !!Media.bodySegmenter.background && !!Media.bodySegmenter.segmenter,
+      process: ({ canvas }) => bodySegmentation.replace(Media.bodySegmenter, canvas),
+      degrade: degradeSegmentation(true),
+    }, { order: 210 });
+
+    processors.add('portrait-light', {
+      isActive: () => Media.bodySegmenter.portraitLight > 0 && !!Media.bodySegmenter.segmenter,
+      process: ({ canvas }) => bodySegmentation.portraitLight(Media.bodySegmenter, canvas),
+      degrade: degradeSegmentation(false),
+    }, { order: 220 });
+
+    processors.add('face-overlay', {
+      isActive: () => Media.faceDetector.callbacks.some(cb => cb.enable) && !!Media.faceDetector.detector,
+      process: async ({ canvas, now }) => {
+        await faceDetection.detect(Media.faceDetector, canvas);
+
+        const faces = faceTracker.update(Media.faceDetector.positions || [], now);
+        Media.faceDetector.faces = faces;
+
+        if (!faces.length) return;
+
+        Media.faceDetector.callbacks.filter(cb => cb.enable).forEach(cb => {
+          try {
+            cb.callback(faces[0].box, canvas, cb.name, faces);
+          } catch (err) {
+            console.warn(`[Media.processOnMedia] Face detection callback error for '${cb.name}':`, err);
+          }
+        });
+      },
+    }, { order: 300 });
+  };
+
+  /**
+   * Add or replace a frame processor. Processors run in order on Media.canvas after the
+   * camera frame is drawn, the built-ins are mirror (100), color-filter (120), auto-frame (150), blur (200), background (210),
+   * portrait-light (220) and face-overlay (300).
+   * @param {string} name - Unique processor name
+   * @param {Function|Object} processor - `(frame) => void` or `{process(frame), isActive?(), degrade?(), destroy?()}`
+   * @param {{order?: number, enabled?: boolean}} [options={}] - Lower order runs first, default 500
+   * @returns {Object} Processor entry
+   */
+  Media.addProcessor = (name, processor, options = {}) => {
+    return processors.add(name, processor, options);
+  };
+
+  /**
+   * Remove a frame processor.
+   * @param {string} name
+   * @returns {boolean} True when a processor was removed
+   */
+  Media.removeProcessor = (name) => {
+    return processors.remove(name);
+  };
+
+  /**
+   * Enable or disable a frame processor at runtime, enabling also clears an automatic disable.
+   * @param {string} name
+   * @param {boolean} [status=true]
+   * @returns {boolean} False when the processor does not exist
+   */
+  Media.enableProcessor = (name, status = true) => {
+    return processors.setEnabled(name, status);
+  };
+
+  /**
+   * Timing metrics of every frame processor.
+   * @returns {Object<string, Object>} calls, lastTime, averageTime, maxTime, overBudget, errors, enabled, disabledReason
+   */
+  Media.getProcessorMetrics = () => {
+    return processors.getMetrics();
+  };
+
+  /**
+   * Move frames to the worker path while mirror is the only active processor
+   * and back to the canvas when another processor becomes active.
+   * @returns {boolean} True when the worker path produces the outgoing frames
+   * @private
+   */
+  Media.useWorkerPipeline = () => {
+    const source = Media.video.srcObject?.getVideoTracks()[0];
+    const wanted = Media.parent.configs.mediapipe?.worker !== false
+      && !Media.workerUnavailable
+      && frameWorker.isSupported()
+      && !!Media.userMedia
+      && !!Media.canvasTrack
+      && !Media.previewSession.active
+      && source?.readyState === 'live'
+      && processors.getActive().every(name => name === 'mirror');
+
+    const mirror = processors.getActive().includes('mirror');
+
+    if (!wanted) {
+      if (frameWorker.isRunning()) {
+        frameWorker.stop();
+        Media.replaceOutgoingTrack(Media.canvasTrack);
+      }
+
+      return false;
+    }
+
+    if (frameWorker.source !== source || frameWorker.mirror !== mirror) {
+      try {
+        const fps = Media.parent.configs.mediapipe?.fps || DEFAULT_FPS;
+        Media.replaceOutgoingTrack(frameWorker.start(source, { fps, mirror }));
+      } catch (error) {
+        console.warn('[Media.useWorkerPipeline] Worker path unavailable:', error);
+        frameWorker.stop();
+        Media.workerUnavailable = true;
+        Media.replaceOutgoingTrack(Media.canvasTrack);
+
+        return false;
+      }
+    }
+
+    return true;
   };
 
   /**
    * Main media processing loop to capture video frames, flip image,
    * apply body segmentation blur, and detect faces with callbacks.
    */
-  Media.processOnMedia = async () => {
-    if (Media.process) return;
+  Media.processOnMedia = async (now = performance.now(), metadata) => {
+    if (Media.process || Media.useWorkerPipeline()) return;
 
     Media.process = true;
 
@@ -271,46 +740,254 @@ export default () => {
         return;
       }
 
-      await flipVideoImage(Media.canvas);
+      const configs = Media.parent.configs.processors || {};
+      const fps = Media.parent.configs.mediapipe?.fps || DEFAULT_FPS;
+
+      // segmentation is shared by blur, background and portrait light within a frame
+      Media.bodySegmenter.frameId = now;
+      Media.bodySegmenter.budget = 1000 / fps;
+
+      await processors.run({
+        canvas: Media.canvas,
+        video: Media.video,
+        now,
+        metadata,
+        media: Media,
+      }, {
+        budget: configs.budget || 1000 / fps,
+        maxOverruns: configs.max_overruns,
+        autoDisable: configs.auto_disable,
+      });
+    } catch (error) {
+      console.error('[Media.processOnMedia] Processing error:', error);
+    } finally {
+      Media.process = false;
+    }
+  };
+
+  /**
+   * Enable, disable or set the level of background blur (body segmentation), the segmentation
+   * model loads on demand when blur is enabled before setup.
+   * @param {boolean|number} status - true for configs.blur.level, false or 0 to disable, or a level from 0 to 1
+   * @returns {Promise<boolean>} False when body segmentation is unavailable and the blur does not apply
+   */
+  Media.blurBackground = (status = true) => {
+    const level = typeof status === 'number'
+      ? Math.min(1, Math.max(0, status))
+      : (status ? Media.parent.configs.blur?.level ?? 0.4 : 0);
+
+    Media.bodySegmenter.blur = Math.round(level * MAX_BLUR_RADIUS);
+
+    if (level === 0) return Promise.resolve(true);
+
+    Media.clearBackground();
+
+    return Media.loadSegmenter();
+  };
+
+  /**
+   * Current background blur level.
+   * @returns {number} Level from 0 to 1
+   */
+  Media.getBlurLevel = () => {
+    return Media.bodySegmenter.blur / MAX_BLUR_RADIUS;
+  };
+
+  /**
+   * Light the user and dim the background, the segmentation model loads on demand like for blur.
+   * @param {boolean|number} status - true for full intensity, false or 0 to disable, or an intensity from 0 to 1
+   * @returns {Promise<boolean>} False when body segmentation is unavailable and the light does not apply
+   */
+  Media.setPortraitLight = (status = true) => {
+    Media.bodySegmenter.portraitLight = typeof status === 'number'
+      ? Math.min(1, Math.max(0, status))
+      : (status ? 1 : 0);
+
+    return Media.bodySegmenter.portraitLight > 0 ? Media.loadSegmenter() : Promise.resolve(true);
+  };
+
+  /**
+   * Adjust the colours of the outgoing video, changes apply on the next frame and are stored for the user.
+   * @param {{brightness?: number, contrast?: number, saturation?: number, temperature?: number, lowLight?: boolean}} values
+   *   brightness, contrast (0.5 to 2) and saturation (0 to 2) are neutral at 1, temperature (-1 cool to 1 warm) at 0
+   * @returns {object} Current adjustments
+   */
+  Media.setColorFilters = (values) => {
+    return colorFilter.set(values);
+  };
+
+  /**
+   * Current colour adjustments.
+   * @returns {object}
+   */
+  Media.getColorFilters = () => {
+    return colorFilter.get();
+  };
+
+  /**
+   * Return every colour adjustment to neutral.
+   * @returns {object} Current adjustments
+   */
+  Media.resetColorFilters = () => {
+    return colorFilter.reset();
+  };
+
+  /**
+   * Enable or disable the automatic low-light enhancement.
+   * @param {boolean} [status=true]
+   */
+  Media.setLowLightEnhancement = (status = true) => {
+    colorFilter.set({ lowLight: status });
+  };
+
+  /**
+   * Enable or disable auto-framing, the crop follows the faces in view.
+   * @param {boolean} [status=true]
+   * @param {{padding?: number, max_zoom?: number, transition_speed?: number, detection_interval?: number, hold?: number}} [options={}]
+   *   Overrides of configs.auto_framing: padding around the faces relative to the face height, maximum zoom factor,
+   *   transition speed (higher is faster), detection interval in ms and how long to hold the crop once nobody is seen
+   */
+  Media.setAutoFraming = (status = true, options = {}) => {
+    autoFrame.configure(options);
+
+    if (autoFrame.enabled !== !!status) {
+      autoFrame.reset();
+    }
+
+    autoFrame.enabled = !!status;
+  };
+
+  /**
+   * Whether auto-framing is enabled.
+   * @returns {boolean}
+   */
+  Media.isAutoFraming = () => {
+    return autoFrame.enabled;
+  };
+
+  /**
+   * Switch the selfie segmentation model.
+   * @param {'general'|'landscape'} model - general (256x256) is more accurate, landscape (144x256) is faster
+   * @returns {Promise<boolean>} True when the model is in use
+   */
+  Media.setSegmentationModel = async (model) => {
+    if (!['general', 'landscape'].includes(model)) {
+      throw new Error(`Unknown segmentation model: ${model}`);
+    }
+
+    if (model === Media.bodySegmenter.model && Media.bodySegmenter.segmenter) return true;
+
+    const segmenter = await bodySegmentation.initial(Media.parent.configs, model, Media.parent.Assets);
+    const previous = Media.bodySegmenter.segmenter;
+
+    // a load still running on the previous model is dropped once it resolves
+    Media.bodySegmenter.loading = null;
+    Media.bodySegmenter.segmenter = segmenter;
+    Media.bodySegmenter.model = model;
+    Media.bodySegmenter.maskFrame = null;
+    Media.features.bodySegmentation = true;
+
+    previous?.dispose();
+
+    return true;
+  };
+
+  /**
+   * Pin the segmentation quality or let it follow the frame budget.
+   * @param {'auto'|'high'|'medium'|'low'} quality
+   */
+  Media.setSegmentationQuality = (quality) => {
+    if (quality === 'auto') {
+      Media.bodySegmenter.autoQuality = true;
+      return;
+    }
+
+    if (!SEGMENTATION_QUALITIES[quality]) {
+      throw new Error(`Unknown segmentation quality: ${quality}`);
+    }
+
+    Media.bodySegmenter.autoQuality = false;
+    Media.bodySegmenter.quality = quality;
+  };
 
-      if (Media.bodySegmenter.blur > 0) {
-        await bodySegmentation.blur(Media.bodySegmenter, Media.canvas);
+  /**
+   * Announce automatic segmentation quality changes.
+   * @param {string} quality - New quality
+   * @param {string} previous - Previous quality
+   * @private
+   */
+  Media.handleSegmentationQualityChange = (quality, previous) => {
+    Media.parent.emit('onSegmentationQualityChange', {
+      detail: {
+        quality,
+        previous,
+        budget: Media.bodySegmenter.budget,
       }
+    });
+  };
 
-      const faceDetectorCallbacks = Media.faceDetector.callbacks.filter(cb => cb.enable);
+  /**
+   * Replace the background behind the user, blur is turned off while a background is set.
+   * Image and video sources may be urls or names of backgrounds listed from the room bucket
+   * with helpers.background.getBackgroundsFromBucket.
+   * @param {Object} options
+   * @param {'none'|'image'|'video'|'color'} options.type - Background type
+   * @param {string|HTMLImageElement|HTMLVideoElement} [options.source] - Url, bucket name, element or CSS colour
+   * @param {number} [options.feather=4] - Edge feathering in pixels
+   * @param {number} [options.threshold] - Foreground probability threshold, blur.foreground_threshold when missing
+   * @returns {Promise<boolean>} True when the background is applied, false when it does not load
+   *   or body segmentation is unavailable
+   */
+  Media.setBackground = async ({ type = 'none', source = null, feather = 4, threshold } = {}) => {
+    if (type === 'none') {
+      Media.clearBackground();
+      return true;
+    }
 
-      if (faceDetectorCallbacks.length > 0) {
-        await faceDetection.detect(Media.faceDetector, Media.canvas);
+    if (!['image', 'video', 'color'].includes(type) || !source) {
+      throw new Error(`Invalid background: ${type}`);
+    }
 
-        if (Media.faceDetector.positions?.length > 0) {
-          const faceBox = Media.faceDetector.positions[0].box;
+    try {
+      const background = { type, source, feather, threshold, element: null };
 
-          faceDetectorCallbacks.forEach(cb => {
-            try {
-              cb.callback(faceBox, Media.canvas, cb.name);
-            } catch (err) {
-              console.warn(`[Media.processOnMedia] Face detection callback error for '${cb.name}':`, err);
-            }
-          });
-        }
+      if (type === 'image') {
+        background.element = await loadBackgroundImage(source);
+      } else if (type === 'video') {
+        background.element = await loadBackgroundVideo(source);
       }
+
+      Media.clearBackground();
+      Media.bodySegmenter.blur = 0;
+      Media.bodySegmenter.background = background;
+
+      return await Media.loadSegmenter();
     } catch (error) {
-      console.error('[Media.processOnMedia] Processing error:', error);
-    } finally {
-      Media.process = false;
+      console.warn('[Media.setBackground] Failed to load background:', error);
+      return false;
     }
   };
 
   /**
-   * Enable or disable background blur (body segmentation).
-   * @param {boolean} status
+   * Remove the background replacement and release a background video.
    */
-  Media.blurBackground = (status = true) => {
-    Media.bodySegmenter.blur = status? BLUR_INTENSITY : 0;
+  Media.clearBackground = () => {
+    const background = Media.bodySegmenter.background;
+
+    if (background?.type === 'video' && background.element !== background.source) {
+      background.element.pause();
+      background.element.removeAttribute('src');
+      background.element.load();
+    }
+
+    Media.bodySegmenter.background = null;
   };
 
   /**
    * Register or update a face detection callback by name.
+   * The callback receives (box, canvas, name, faces): the smoothed box of the largest face and
+   * every tracked face with its id, box and keypoints (eyes, nose, mouth, ears), plus mesh
+   * landmarks when configs.mediapipe.face_landmarker is enabled.
    * @param {string} name
    * @param {function} callback
    * @returns
@@ -331,6 +1008,14 @@ export default () => {
     return Media.faceDetector.callbacks[index];
   };
 
+  /**
+   * Faces tracked on the last processed frame, largest first
+   * @returns {import('./FaceTracker.js').TrackedFace[]}
+   */
+  Media.getFaces = () => {
+    return Media.faceDetector.faces;
+  };
+
   /**
    * Stop and release user media tracks and clear intervals.
    */
@@ -353,15 +1038,129 @@ export default () => {
     Media.video.pause();
     Media.video.removeEventListener('loadeddata', Media.setInterval);
 
+    Media.muteMonitor.stop?.();
+    Media.audioProcessor.stop?.();
+    Media.stopFrameLoop();
     stopMediaTracks(Media.video);
-    clearInterval(Media.interval);
     Media.video.load();
 
     Media.userMedia = null;
+    Media.canvasTrack = null;
 
     return true;
   };
 
+  /**
+   * Release media and dispose of every subsystem created in setup.
+   * Safe to call more than once, setup can be called again afterwards.
+   */
+  Media.destroy = async () => {
+    if (Media.userMedia) {
+      Media.userMedia.getTracks().forEach(track => track.stop());
+    }
+
+    await Media.release();
+
+    Media.stopFrameLoop();
+
+    navigator.mediaDevices?.removeEventListener('devicechange', Media.handleDeviceChange);
+    Media.speaker = null;
+
+    await Media.screenShare.destroy?.();
+    await Media.screenRecord.destroy?.();
+    Media.muteMonitor.destroy?.();
+    Media.audioProcessor.destroy?.();
+    Media.previewSession.destroy?.();
+
+    processors.clear();
+    Media.clearBackground();
+
+    Media.bodySegmenter.loading = null;
+
+    if (Media.bodySegmenter.segmenter) {
+      Media.bodySegmenter.segmenter.dispose();
+      Media.bodySegmenter.segmenter = null;
+      Media.bodySegmenter.buffers = null;
+      Media.bodySegmenter.maskFrame = null;
+    }
+
+    if (Media.faceDetector.detector) {
+      Media.faceDetector.detector.dispose();
+      Media.faceDetector.detector = null;
+      Media.faceDetector.positions = null;
+      Media.faceDetector.faces = [];
+      faceTracker.reset();
+      autoFrame.reset();
+    }
+
+    Media.features.bodySegmentation = false;
+    Media.features.faceDetection = false;
+    Media.workerUnavailable = false;
+
+    colorFilter.destroy();
+
+    Media.canvas = null;
+    Media.video = null;
+
+    return true;
+  };
+
+  /**
+   * Change outgoing microphone processing at runtime.
+   * The audio sender of every connection switches track with replaceTrack before the previous
+   * processing graph is torn down, no renegotiation is needed.
+   * @param {Object} options - echoCancellation, noiseSuppression, autoGainControl, noise_gate, gain, denoiser
+   * @returns {Promise<boolean>} True when the new track is being sent
+   */
+  Media.setAudioProcessing = async (options = {}) => {
+    const track = await Media.audioProcessor.update(options, async (next) => {
+      if (Media.userMedia) {
+        await Media.replaceOutgoingTrack(next);
+      }
+    });
+
+    return !!track && !!Media.userMedia;
+  };
+
+  /**
+   * Swap a track of the outgoing stream and of every connection sender of the same kind.
+   * @param {MediaStreamTrack} track
+   * @returns {Promise<void>} Resolves when every sender switched
+   */
+  Media.replaceOutgoingTrack = (track) => {
+    Media.userMedia.getTracks()
+      .filter(item => item.kind === track.kind && item !== track)
+      .forEach(item => Media.userMedia.removeTrack(item));
+
+    if (!Media.userMedia.getTracks().includes(track)) {
+      Media.userMedia.addTrack(track);
+    }
+
+    return Promise.all(Media.getOutgoingSenders().map(senders => {
+      const sender = senders.find(x => x.track && x.track.kind === track.kind);
+
+      return sender?.replaceTrack(track).catch(error => {
+        console.warn(`[Media.replaceOutgoingTrack] Failed to replace ${track.kind} track:`, error);
+      });
+    })).then(() => {});
+  };
+
+  /**
+   * Senders of the outgoing user media, one list per connection or a single list when the
+   * transport publishes one shared upstream for every participant (SfuPeer).
+   * @returns {Array<RTCRtpSender[]>}
+   */
+  Media.getOutgoingSenders = () => {
+    const peerJs = Media.parent.peerJs;
+
+    if (typeof peerJs?.getSenders === 'function') {
+      return [peerJs.getSenders()];
+    }
+
+    return Media.parent.People.getConnections()
+      .map(connection => connection.mediaConnection?.peerConnection?.getSenders() || []);
+  };
+
   /**
    * Reset all peer connections' media streams (video/audio).
    */
@@ -412,6 +1211,150 @@ export default () => {
     const audio = document.getElementById(reference);
     if (!audio) return;
     audio.srcObject = media;
+
+    if (Media.speaker && audio.sinkId !== Media.speaker) {
+      audio.setSinkId?.(Media.speaker).catch(error => {
+        console.warn('[Media.streamAudio] Failed to set audio output device:', error);
+      });
+    }
+  };
+
+  /**
+   * Switch the camera without touching the outgoing canvas track or the processing loop.
+   * @param {string} deviceId - videoinput device id
+   * @returns {Promise<boolean>} True when the camera was switched
+   */
+  Media.switchCamera = async (deviceId) => {
+    Media.devices = { ...Media.devices, camera: deviceId };
+
+    if (Media.parent.userSettings.camDisable || !Media.video?.srcObject) return true;
+
+    try {
+      const media = await navigator.mediaDevices.getUserMedia({ video: getVideoConstraints(deviceId) });
+      const source = Media.video.srcObject;
+
+      source.getVideoTracks().forEach(track => {
+        track.stop();
+        source.removeTrack(track);
+      });
+
+      // the element keeps its stream so the processing loop is not restarted
+      media.getVideoTracks().forEach(track => source.addTrack(track));
+
+      return true;
+    } catch (error) {
+      console.warn('[Media.switchCamera] Failed to switch camera:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Switch the microphone, only the audio sender track of each connection is replaced.
+   * @param {string} deviceId - audioinput device id
+   * @returns {Promise<boolean>} True when the microphone was switched
+   */
+  Media.switchMicrophone = async (deviceId) => {
+    Media.devices = { ...Media.devices, microphone: deviceId };
+
+    if (!Media.video?.srcObject || !Media.userMedia) return true;
+
+    try {
+      const media = await navigator.mediaDevices.getUserMedia({ audio: getAudioConstraints(deviceId) });
+      const rawTrack = media.getAudioTracks()[0];
+      const source = Media.video.srcObject;
+
+      rawTrack.enabled = !Media.parent.userSettings.micDisable;
+
+      Media.muteMonitor.stop();
+
+      source.getAudioTracks().forEach(track => {
+        track.stop();
+        source.removeTrack(track);
+      });
+
+      source.addTrack(rawTrack);
+
+      await Media.audioProcessor.process(rawTrack, Media.replaceOutgoingTrack);
+      Media.muteMonitor.update(rawTrack);
+
+      return true;
+    } catch (error) {
+      console.warn('[Media.switchMicrophone] Failed to switch microphone:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Route every remote audio element to an output device.
+   * @param {string} deviceId - audiooutput device id
+   * @returns {Promise<boolean>} False when the browser cannot select audio outputs
+   */
+  Media.setSpeaker = async (deviceId) => {
+    if (typeof HTMLMediaElement === 'undefined' || !('setSinkId' in HTMLMediaElement.prototype)) {
+      return false;
+    }
+
+    Media.speaker = deviceId;
+
+    const results = await Promise.all(Media.parent.People.getConnections().map(async connection => {
+      const audio = document.getElementById(`${Media.options.remoteAudioRef}-${connection.peerJsId}`);
+
+      try {
+        await audio?.setSinkId(deviceId);
+        return true;
+      } catch (error) {
+        console.warn('[Media.setSpeaker] Failed to set audio output device:', error);
+        return false;
+      }
+    }));
+
+    return results.every(Boolean);
+  };
+
+  /**
+   * React to devices being plugged or unplugged, falling back to another device
+   * when the active one disappeared, and emit onDevicesChanged.
+   */
+  Media.handleDeviceChange = async () => {
+    try {
+      const devices = (await navigator.mediaDevices.enumerateDevices()).filter(item => {
+        return item.deviceId !== 'default' && item.deviceId !== 'communications';
+      });
+
+      const cameras = devices.filter(device => device.kind === 'videoinput');
+      const microphones = devices.filter(device => device.kind === 'audioinput');
+      const speakers = devices.filter(device => device.kind === 'audiooutput');
+      const fallback = {};
+
+      const isMissing = (list, deviceId) => deviceId && deviceId !== 'default' && !list.some(device => device.deviceId === deviceId);
+
+      if (isMissing(cameras, Media.devices?.camera) && cameras.length > 0) {
+        fallback.camera = cameras[0].deviceId;
+        await Media.switchCamera(fallback.camera);
+      }
+
+      if (isMissing(microphones, Media.devices?.microphone) && microphones.length > 0) {
+        fallback.microphone = microphones[0].deviceId;
+        await Media.switchMicrophone(fallback.microphone);
+      }
+
+      if (isMissing(speakers, Media.speaker)) {
+        fallback.speaker = speakers[0]?.deviceId || 'default';
+        await Media.setSpeaker(fallback.speaker);
+      }
+
+      Media.parent.emit('onDevicesChanged', {
+        detail: {
+          devices,
+          cameras,
+          microphones,
+          speakers,
+          fallback,
+        }
+      });
+    } catch (error) {
+      console.warn('[Media.handleDeviceChange] Failed to read devices:', error);
+    }
   };
 
   /**
@@ -468,21 +1411,36 @@ export default () => {
   Media.resetConnectionsVideoAudioMedia = (media) => {
     const connections = Media.parent.People.getConnections();
 
+    // a shared upstream (SfuPeer) is switched once, its connection stand-ins have no peer connection
+    if (typeof Media.parent.peerJs?.getSenders === 'function') {
+      Media.parent.peerJs.getSenders().forEach(sender => {
+        const track = media.getTracks().find(item => item.kind === sender.track?.kind);
+
+        if (track) {
+          sender.replaceTrack(track);
+        }
+      });
+    }
+
     connections.forEach(connection => {
-      const senders = connection.mediaConnection.peerConnection.getSenders();
-      const camIndex = senders.findIndex(x => x.track && x.track.kind === 'video');
-      const micIndex = senders.findIndex(x => x.track && x.track.kind === 'audio');
+      const peerConnection = connection.mediaConnection.peerConnection;
 
-      if (camIndex > -1) {
-        senders[camIndex].replaceTrack(media.getVideoTracks()[0]);
-      } else {
-        connection.mediaConnection.peerConnection.addTrack(media.getVideoTracks()[0]);
-      }
+      if (peerConnection) {
+        const senders = peerConnection.getSenders();
+        const camIndex = senders.findIndex(x => x.track && x.track.kind === 'video');
+        const micIndex = senders.findIndex(x => x.track && x.track.kind === 'audio');
 
-      if (micIndex > -1) {
-        senders[micIndex].replaceTrack(media.getAudioTracks()[0]);
-      } else {
-        connection.mediaConnection.peerConnection.addTrack(media.getAudioTracks()[0]);
+        if (camIndex > -1) {
+          senders[camIndex].replaceTrack(media.getVideoTracks()[0]);
+        } else {
+          peerConnection.addTrack(media.getVideoTracks()[0]);
+        }
+
+        if (micIndex > -1) {
+          senders[micIndex].replaceTrack(media.getAudioTracks()[0]);
+        } else {
+          peerConnection.addTrack(media.getAudioTracks()[0]);
+        }
       }
 
       connection.dataConnection.send({
@@ -524,14 +1482,17 @@ export default () => {
         Media.resetConnectionsVideoAudioMedia(media);
       })
     } else if (type === 'video') {
+      Media.stopFrameLoop();
       Media.video.srcObject.getVideoTracks().forEach(track => {
         track.stop();
       });
-      clearInterval(Media.interval);
     } else {
       Media.video.srcObject.getAudioTracks().forEach(track => {
         track.enabled = !Media.parent.userSettings.micDisable;
       });
+
+      // keep listening locally so a muted user can be told they are talking
+      Media.muteMonitor.update(Media.video.srcObject.getAudioTracks()[0]);
     }
 
     Media.sendUserMediaMuteStatusByDataConnection(
@@ -572,6 +1533,9 @@ export default () => {
 
   Media.screenShare = {};
   Media.screenRecord = {};
+  Media.muteMonitor = {};
+  Media.audioProcessor = {};
+  Media.previewSession = {};
 
   return Media;
 };
\ No newline at end of file
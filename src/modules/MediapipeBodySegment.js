@@ -1,45 +1,300 @@
 import * as BodySegmentation from '@tensorflow-models/body-segmentation';
 
+/**
+ * Segmentation input scale of each quality, lower qualities segment a smaller copy of the frame
+ */
+export const SEGMENTATION_QUALITIES = Object.freeze({
+  high: 1,
+  medium: 0.5,
+  low: 0.25,
+});
+
 export default () => {
   const body = {};
 
-  body.initial = async (configs) => {
+  const QUALITY_ORDER = ['high', 'medium', 'low'];
+  const DOWNGRADE_AFTER = 15;
+  const UPGRADE_AFTER = 150;
+
+  /**
+   * Get a canvas kept on the segmenter state, resized only when the requested size changes
+   * @param {object} bodySegmenter - Segmenter state
+   * @param {string} key - Buffer name
+   * @param {number} width
+   * @param {number} height
+   * @returns {HTMLCanvasElement}
+   */
+  const getBuffer = (bodySegmenter, key, width, height) => {
+    if (!bodySegmenter.buffers) {
+      bodySegmenter.buffers = {};
+    }
+
+    if (!bodySegmenter.buffers[key]) {
+      bodySegmenter.buffers[key] = document.createElement('canvas');
+    }
+
+    const buffer = bodySegmenter.buffers[key];
+
+    if (buffer.width !== width || buffer.height !== height) {
+      buffer.width = width;
+      buffer.height = height;
+    }
+
+    return buffer;
+  };
+
+  /**
+   * Draw a background source scaled to cover the canvas
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} background - { type, source, element }
+   * @param {HTMLCanvasElement} canvas
+   */
+  const drawBackground = (ctx, background, canvas) => {
+    if (background.type === 'color') {
+      ctx.fillStyle = background.source;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    const element = background.element;
+    const width = element.videoWidth || element.naturalWidth || element.width;
+    const height = element.videoHeight || element.naturalHeight || element.height;
+
+    if (!width || !height) return;
+
+    const scale = Math.max(canvas.width / width, canvas.height / height);
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+
+    ctx.drawImage(element, (canvas.width - drawWidth) / 2, (canvas.height - drawHeight) / 2, drawWidth, drawHeight);
+  };
+
+  /**
+   * Switch the segmentation quality and start measuring it afresh
+   * @param {object} bodySegmenter - Segmenter state
+   * @param {string} quality - New quality
+   */
+  const changeQuality = (bodySegmenter, quality) => {
+    const previous = bodySegmenter.quality;
+
+    bodySegmenter.quality = quality;
+    bodySegmenter.overruns = 0;
+    bodySegmenter.headroom = 0;
+    bodySegmenter.segmentationTime = 0;
+
+    bodySegmenter.onQualityChange?.(quality, previous);
+  };
+
+  /**
+   * Create the selfie segmenter
+   * @param {object} configs - Instance configs
+   * @param {'general'|'landscape'} [modelType] - Selfie model, configs.mediapipe.model by default
+   * @param {object} [assets] - Asset loader resolving self-hosted paths and providing the verified preloaded files
+   */
+  body.initial = async (configs, modelType = configs.mediapipe.model || 'general', assets = null) => {
+    const solutionPath = configs.mediapipe.models.bodySegmentation;
     const model = BodySegmentation.SupportedModels.MediaPipeSelfieSegmentation;
 
     const segmenterConfig = {
       runtime: 'mediapipe',
-      solutionPath: configs.mediapipe.models.bodySegmentation,
-      modelType: 'general'
+      solutionPath: solutionPath,
+      modelType: modelType
+    }
+
+    if (assets) {
+      segmenterConfig.locateFile = await assets.preload('bodySegmentation', solutionPath);
     }
 
     return await BodySegmentation.createSegmenter(model, segmenterConfig);
   };
 
-  body.blur = async (bodySegmenter, canvas) => {
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = canvas.width;
-    tempCanvas.height = canvas.height;
+  /**
+   * Segment the canvas once per frame and return the person mask at canvas size.
+   * The low quality also reuses the previous mask every other frame, an active background
+   * replacement segments with its own threshold.
+   * @param {object} bodySegmenter - Segmenter state
+   * @param {HTMLCanvasElement} canvas - Canvas holding the frame
+   * @returns {Promise<HTMLCanvasElement>} Mask, opaque where the person is
+   */
+  body.segment = async (bodySegmenter, canvas) => {
+    const mask = getBuffer(bodySegmenter, 'mask', canvas.width, canvas.height);
 
-    const ctx = tempCanvas.getContext('2d');
-    ctx.drawImage(canvas, 0, 0, canvas.width, canvas.height);
+    if (bodySegmenter.maskFrame === bodySegmenter.frameId) return mask;
+
+    if (bodySegmenter.quality === 'low' && bodySegmenter.maskFrame !== null && !bodySegmenter.skipped) {
+      bodySegmenter.skipped = true;
+      bodySegmenter.maskFrame = bodySegmenter.frameId;
+      return mask;
+    }
 
-    const people = await bodySegmenter.segmenter.segmentPeople(tempCanvas, {
+    const startedAt = performance.now();
+    const scale = SEGMENTATION_QUALITIES[bodySegmenter.quality] || 1;
+    const width = Math.max(1, Math.round(canvas.width * scale));
+    const height = Math.max(1, Math.round(canvas.height * scale));
+    const input = getBuffer(bodySegmenter, 'input', width, height);
+    const small = getBuffer(bodySegmenter, 'small', width, height);
+
+    input.getContext('2d').drawImage(canvas, 0, 0, width, height);
+
+    const people = await bodySegmenter.segmenter.segmentPeople(input, {
       multiSegmentation: false,
-      segmentBodyParts: true
+      segmentBodyParts: false
     });
 
-    const foregroundThreshold = 1;
-    const edgeBlurAmount = 3;
-
-    await BodySegmentation.drawBokehEffect(
-      canvas,
-      tempCanvas,
+    const maskImage = await BodySegmentation.toBinaryMask(
       people,
-      foregroundThreshold,
-      bodySegmenter.blur,
-      edgeBlurAmount,
+      { r: 0, g: 0, b: 0, a: 255 },
+      { r: 0, g: 0, b: 0, a: 0 },
       false,
+      bodySegmenter.background?.threshold ?? bodySegmenter.threshold ?? 0.5,
     );
+
+    small.getContext('2d').putImageData(maskImage, 0, 0);
+
+    const maskCtx = mask.getContext('2d');
+    maskCtx.clearRect(0, 0, mask.width, mask.height);
+    maskCtx.drawImage(small, 0, 0, mask.width, mask.height);
+
+    bodySegmenter.maskFrame = bodySegmenter.frameId;
+    bodySegmenter.skipped = false;
+
+    body.adjustQuality(bodySegmenter, performance.now() - startedAt);
+
+    return mask;
+  };
+
+  /**
+   * Track segmentation time against the frame budget, step the quality down when it is
+   * exceeded for a while and back up once there is plenty of headroom
+   * @param {object} bodySegmenter - Segmenter state
+   * @param {number} duration - Last segmentation time in ms
+   */
+  body.adjustQuality = (bodySegmenter, duration) => {
+    const time = bodySegmenter.segmentationTime;
+
+    bodySegmenter.segmentationTime = time ? time * 0.9 + duration * 0.1 : duration;
+
+    if (!bodySegmenter.autoQuality || !bodySegmenter.budget) return;
+
+    const index = QUALITY_ORDER.indexOf(bodySegmenter.quality);
+
+    if (bodySegmenter.segmentationTime > bodySegmenter.budget * 0.8) {
+      bodySegmenter.overruns = (bodySegmenter.overruns || 0) + 1;
+      bodySegmenter.headroom = 0;
+    } else if (bodySegmenter.segmentationTime < bodySegmenter.budget * 0.4) {
+      bodySegmenter.headroom = (bodySegmenter.headroom || 0) + 1;
+      bodySegmenter.overruns = 0;
+    }
+
+    let quality = null;
+
+    if (bodySegmenter.overruns >= DOWNGRADE_AFTER && index < QUALITY_ORDER.length - 1) {
+      quality = QUALITY_ORDER[index + 1];
+    } else if (bodySegmenter.headroom >= UPGRADE_AFTER && index > 0) {
+      quality = QUALITY_ORDER[index - 1];
+    }
+
+    if (!quality) return;
+
+    changeQuality(bodySegmenter, quality);
+  };
+
+  /**
+   * Step the quality down right away, used when a segmentation processor runs over the
+   * frame budget for too long
+   * @param {object} bodySegmenter - Segmenter state
+   * @returns {boolean} False when the quality is pinned or already the lowest
+   */
+  body.degrade = (bodySegmenter) => {
+    const index = QUALITY_ORDER.indexOf(bodySegmenter.quality);
+
+    if (!bodySegmenter.autoQuality || index < 0 || index >= QUALITY_ORDER.length - 1) return false;
+
+    changeQuality(bodySegmenter, QUALITY_ORDER[index + 1]);
+
+    return true;
+  };
+
+  /**
+   * Draw the person over a new background using the feathered mask
+   * @param {object} bodySegmenter - Segmenter state
+   * @param {HTMLCanvasElement} canvas - Canvas holding the frame
+   * @param {object} options
+   * @param {Function} options.background - Draws the background, receives (ctx, frame)
+   * @param {number} options.feather - Edge feathering in pixels
+   * @param {string} [options.personFilter] - Canvas filter applied to the person
+   */
+  body.composite = async (bodySegmenter, canvas, options) => {
+    const mask = await body.segment(bodySegmenter, canvas);
+    const frame = getBuffer(bodySegmenter, 'frame', canvas.width, canvas.height);
+    const person = getBuffer(bodySegmenter, 'person', canvas.width, canvas.height);
+
+    frame.getContext('2d').drawImage(canvas, 0, 0, canvas.width, canvas.height);
+
+    const personCtx = person.getContext('2d');
+    personCtx.globalCompositeOperation = 'source-over';
+    personCtx.clearRect(0, 0, person.width, person.height);
+    personCtx.filter = options.feather > 0 ? `blur(${options.feather}px)` : 'none';
+    personCtx.drawImage(mask, 0, 0);
+    personCtx.filter = options.personFilter || 'none';
+    personCtx.globalCompositeOperation = 'source-in';
+    personCtx.drawImage(frame, 0, 0);
+    personCtx.filter = 'none';
+    personCtx.globalCompositeOperation = 'source-over';
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    options.background(ctx, frame);
+    ctx.drawImage(person, 0, 0);
+  };
+
+  /**
+   * Blur the background behind the person, bodySegmenter.blur is the radius in pixels
+   * @param {object} bodySegmenter - Segmenter state
+   * @param {HTMLCanvasElement} canvas - Canvas holding the frame
+   */
+  body.blur = async (bodySegmenter, canvas) => {
+    await body.composite(bodySegmenter, canvas, {
+      feather: bodySegmenter.feather,
+      background: (ctx, frame) => {
+        ctx.filter = `blur(${bodySegmenter.blur}px)`;
+        ctx.drawImage(frame, 0, 0);
+        ctx.filter = 'none';
+      },
+    });
+  };
+
+  /**
+   * Replace the background behind the person with an image, a video frame or a colour
+   * @param {object} bodySegmenter - Segmenter state with background
+   * @param {HTMLCanvasElement} canvas - Canvas holding the frame
+   */
+  body.replace = async (bodySegmenter, canvas) => {
+    const background = bodySegmenter.background;
+
+    await body.composite(bodySegmenter, canvas, {
+      feather: background.feather ?? bodySegmenter.feather,
+      background: (ctx) => drawBackground(ctx, background, canvas),
+    });
+  };
+
+  /**
+   * Light the person and dim the background, bodySegmenter.portraitLight is the intensity (0-1)
+   * @param {object} bodySegmenter - Segmenter state
+   * @param {HTMLCanvasElement} canvas - Canvas holding the frame
+   */
+  body.portraitLight = async (bodySegmenter, canvas) => {
+    const intensity = bodySegmenter.portraitLight;
+
+    await body.composite(bodySegmenter, canvas, {
+      feather: bodySegmenter.feather,
+      personFilter: `brightness(${1 + 0.2 * intensity}) contrast(${1 + 0.1 * intensity})`,
+      background: (ctx, frame) => {
+        ctx.filter = `brightness(${1 - 0.3 * intensity})`;
+        ctx.drawImage(frame, 0, 0);
+        ctx.filter = 'none';
+      },
+    });
   };
 
   return body;
@@ -1,17 +1,152 @@
-import * as FaceDetection from '@tensorflow-models/face-detection';
+import { FaceDetection } from '@mediapipe/face_detection';
 
 export default () => {
   const face = {};
 
-  face.initial = async (configs) => {
-    const model = FaceDetection.SupportedModels.MediaPipeFaceDetector;
+  /**
+   * FaceLandmarker mesh indices of the keypoints reported by the face detector
+   */
+  const LANDMARK_KEYPOINTS = {
+    rightEye: 33,
+    leftEye: 263,
+    noseTip: 1,
+    mouthCenter: 13,
+    rightEarTragion: 234,
+    leftEarTragion: 454,
+  };
+
+  /**
+   * Create a FaceLandmarker from @mediapipe/tasks-vision exposing the face detector interface
+   * @param {object} landmarkerConfigs - configs.mediapipe.face_landmarker
+   * @param {object} [assets] - Asset loader, the model is then verified and cached
+   * @returns {Promise<object>} Detector with estimateFaces and dispose
+   */
+  const createLandmarker = async (landmarkerConfigs, assets) => {
+    const { FaceLandmarker, FilesetResolver } = await import('@mediapipe/tasks-vision');
+    const fileset = await FilesetResolver.forVisionTasks(assets ? assets.resolve(landmarkerConfigs.wasm_path) : landmarkerConfigs.wasm_path);
+
+    const baseOptions = assets
+      ? { modelAssetBuffer: new Uint8Array(await (await assets.load(landmarkerConfigs.model_path, { feature: 'faceLandmarker' })).arrayBuffer()) }
+      : { modelAssetPath: landmarkerConfigs.model_path };
+
+    const landmarker = await FaceLandmarker.createFromOptions(fileset, {
+      baseOptions: {
+        ...baseOptions,
+        delegate: 'GPU',
+      },
+      runningMode: 'VIDEO',
+      numFaces: landmarkerConfigs.num_faces || 4,
+    });
+
+    let lastTimestamp = 0;
+
+    return {
+      landmarker: true,
+      estimateFaces: async (canvas) => {
+        // timestamps must increase strictly between calls
+        lastTimestamp = Math.max(lastTimestamp + 1, Math.round(performance.now()));
 
-    const detectorConfig = {
-      runtime: 'mediapipe',
-      solutionPath: configs.mediapipe.models.faceDetector,
+        const result = landmarker.detectForVideo(canvas, lastTimestamp);
+
+        return (result.faceLandmarks || []).map(points => {
+          const landmarks = points.map(point => ({
+            x: point.x * canvas.width,
+            y: point.y * canvas.height,
+            z: point.z * canvas.width,
+          }));
+
+          const xs = landmarks.map(point => point.x);
+          const ys = landmarks.map(point => point.y);
+          const box = { xMin: Math.min(...xs), xMax: Math.max(...xs), yMin: Math.min(...ys), yMax: Math.max(...ys) };
+
+          box.width = box.xMax - box.xMin;
+          box.height = box.yMax - box.yMin;
+
+          return {
+            box,
+            keypoints: Object.entries(LANDMARK_KEYPOINTS).map(([name, index]) => ({ ...landmarks[index], name })),
+            landmarks,
+          };
+        });
+      },
+      dispose: () => landmarker.close(),
     };
+  };
+
+  /**
+   * Create the @mediapipe/face_detection solution exposing the face detector interface.
+   * Used directly instead of @tensorflow-models/face-detection, which cannot locate files outside solutionPath.
+   * @param {function(string): string} locateFile - Url of each solution file
+   * @param {number} maxFaces - Faces returned per frame
+   * @returns {Promise<object>} Detector with estimateFaces and dispose
+   */
+  const createSolution = async (locateFile, maxFaces) => {
+    const solution = new FaceDetection({ locateFile });
+    const names = Object.keys(LANDMARK_KEYPOINTS);
+    let selfieMode = false;
+    let faces = [];
+
+    solution.setOptions({ model: 'short', selfieMode });
+    solution.onResults((results) => {
+      const { width, height } = results.image;
+
+      faces = (results.detections || []).slice(0, maxFaces).map(({ boundingBox, landmarks }) => {
+        const box = {
+          xMin: (boundingBox.xCenter - boundingBox.width / 2) * width,
+          yMin: (boundingBox.yCenter - boundingBox.height / 2) * height,
+          width: boundingBox.width * width,
+          height: boundingBox.height * height,
+        };
+
+        box.xMax = box.xMin + box.width;
+        box.yMax = box.yMin + box.height;
+
+        return {
+          box,
+          keypoints: landmarks.map((point, index) => ({ x: point.x * width, y: point.y * height, name: names[index] })),
+        };
+      });
+    });
+
+    await solution.initialize();
+
+    return {
+      estimateFaces: async (canvas, options = {}) => {
+        if (!!options.flipHorizontal !== selfieMode) {
+          selfieMode = !!options.flipHorizontal;
+          solution.setOptions({ selfieMode });
+        }
+
+        await solution.send({ image: canvas });
+
+        return faces;
+      },
+      dispose: () => solution.close(),
+    };
+  };
+
+  /**
+   * Create the face detector, the FaceLandmarker when enabled in configs.mediapipe.face_landmarker
+   * @param {object} configs - Instance configs
+   * @param {object} [assets] - Asset loader resolving self-hosted paths and providing the verified preloaded files
+   */
+  face.initial = async (configs, assets) => {
+    const landmarkerConfigs = configs.mediapipe.face_landmarker;
+    const solutionPath = configs.mediapipe.models.faceDetector;
+
+    if (landmarkerConfigs?.enable) {
+      try {
+        return await createLandmarker(landmarkerConfigs, assets);
+      } catch (error) {
+        console.warn('FaceLandmarker unavailable, falling back to the face detector:', error);
+      }
+    }
+
+    const locateFile = assets
+      ? await assets.preload('faceDetector', solutionPath)
+      : (file) => `${solutionPath.replace(/\/+$/, '')}/${file}`;
 
-    return await FaceDetection.createDetector(model, detectorConfig);
+    return await createSolution(locateFile, configs.mediapipe.max_faces || 4);
   };
 
   face.detect = async (faceDetector, canvas) => {
@@ -0,0 +1,192 @@
+
+/**
+ * MuteMonitor module for noticing users who talk while their microphone is muted.
+ * A local clone of the raw microphone track is analysed, the clone is never added to a peer connection.
+ */
+
+export default () => {
+
+    const DEFAULT_TALKING_WHILE_MUTED = {
+        enable: true,
+        interval: 50,
+        threshold: -45,
+        speech_ratio: 0.5,
+        min_duration: 600,
+        window: 1500,
+        cooldown: 10000,
+    };
+
+    const MuteMonitor = {
+        parent: null,
+        track: null,
+        interval: null,
+        _audioContext: null,
+        _source: null,
+        _analyser: null,
+        _timeData: null,
+        _frequencyData: null,
+        _voiced: [],
+        _lastEmit: 0,
+    };
+
+    /**
+     * Initialize the MuteMonitor module
+     * @param {Object} parent - Parent module instance
+     * @returns {Object} MuteMonitor instance
+     */
+    MuteMonitor.initial = (parent) => {
+        MuteMonitor.parent = parent;
+        MuteMonitor.stop();
+
+        return MuteMonitor;
+    };
+
+    /**
+     * Talking while muted configuration merged with the defaults
+     * @returns {Object}
+     * @private
+     */
+    MuteMonitor.getConfigs = () => {
+        return { ...DEFAULT_TALKING_WHILE_MUTED, ...(MuteMonitor.parent?.configs.talking_while_muted || {}) };
+    };
+
+    /**
+     * Start or stop monitoring according to the microphone mute state
+     * @param {MediaStreamTrack} [rawTrack] - Raw microphone track
+     */
+    MuteMonitor.update = (rawTrack) => {
+        const muted = MuteMonitor.parent?.userSettings.micDisable;
+
+        if (muted && rawTrack && MuteMonitor.getConfigs().enable) {
+            MuteMonitor.start(rawTrack);
+        } else {
+            MuteMonitor.stop();
+        }
+    };
+
+    /**
+     * Analyse an enabled clone of the raw microphone track
+     * @param {MediaStreamTrack} rawTrack - Raw microphone track, possibly disabled
+     */
+    MuteMonitor.start = (rawTrack) => {
+        if (MuteMonitor.track && MuteMonitor.track.readyState === 'live') return;
+
+        MuteMonitor.stop();
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+        if (!AudioContext || rawTrack.readyState !== 'live') return;
+
+        MuteMonitor.track = rawTrack.clone();
+        MuteMonitor.track.enabled = true;
+
+        MuteMonitor._audioContext = new AudioContext();
+        MuteMonitor._source = MuteMonitor._audioContext.createMediaStreamSource(new MediaStream([MuteMonitor.track]));
+        MuteMonitor._analyser = MuteMonitor._audioContext.createAnalyser();
+        MuteMonitor._analyser.fftSize = 1024;
+        MuteMonitor._source.connect(MuteMonitor._analyser);
+
+        MuteMonitor._timeData = new Float32Array(MuteMonitor._analyser.fftSize);
+        MuteMonitor._frequencyData = new Float32Array(MuteMonitor._analyser.frequencyBinCount);
+        MuteMonitor._voiced = [];
+
+        MuteMonitor.interval = setInterval(MuteMonitor.analyse, MuteMonitor.getConfigs().interval);
+    };
+
+    /**
+     * Stop monitoring and release the cloned track
+     */
+    MuteMonitor.stop = () => {
+        clearInterval(MuteMonitor.interval);
+        MuteMonitor.interval = null;
+
+        MuteMonitor._source?.disconnect();
+        MuteMonitor._source = null;
+        MuteMonitor._analyser = null;
+
+        if (MuteMonitor._audioContext) {
+            MuteMonitor._audioContext.close().catch(() => {});
+            MuteMonitor._audioContext = null;
+        }
+
+        if (MuteMonitor.track) {
+            MuteMonitor.track.stop();
+            MuteMonitor.track = null;
+        }
+
+        MuteMonitor._voiced = [];
+    };
+
+    /**
+     * Classify the latest audio frame as speech when it is loud enough and most of its
+     * energy is in the voice band, emit once speech was sustained inside the window
+     * @private
+     */
+    MuteMonitor.analyse = () => {
+        const configs = MuteMonitor.getConfigs();
+        const analyser = MuteMonitor._analyser;
+
+        if (!analyser) return;
+
+        if (MuteMonitor._audioContext.state === 'suspended') {
+            MuteMonitor._audioContext.resume().catch(() => {});
+        }
+
+        analyser.getFloatTimeDomainData(MuteMonitor._timeData);
+        analyser.getFloatFrequencyData(MuteMonitor._frequencyData);
+
+        let sum = 0;
+        MuteMonitor._timeData.forEach(sample => sum += sample * sample);
+
+        const rms = Math.sqrt(sum / MuteMonitor._timeData.length);
+        const level = 20 * Math.log10(rms || 1e-8);
+
+        const binWidth = MuteMonitor._audioContext.sampleRate / analyser.fftSize;
+        let voiceEnergy = 0;
+        let totalEnergy = 0;
+
+        MuteMonitor._frequencyData.forEach((decibels, index) => {
+            const energy = Math.pow(10, decibels / 10);
+            const frequency = index * binWidth;
+
+            totalEnergy += energy;
+
+            if (frequency >= 300 && frequency <= 3400) {
+                voiceEnergy += energy;
+            }
+        });
+
+        const now = Date.now();
+        const voiced = level >= configs.threshold && totalEnergy > 0 && voiceEnergy / totalEnergy >= configs.speech_ratio;
+
+        if (voiced) {
+            MuteMonitor._voiced.push(now);
+        }
+
+        MuteMonitor._voiced = MuteMonitor._voiced.filter(time => now - time <= configs.window);
+
+        const duration = MuteMonitor._voiced.length * configs.interval;
+
+        if (duration < configs.min_duration || now - MuteMonitor._lastEmit < configs.cooldown) return;
+
+        MuteMonitor._lastEmit = now;
+        MuteMonitor._voiced = [];
+
+        MuteMonitor.parent.emit('onTalkingWhileMuted', {
+            detail: {
+                level,
+                duration,
+            }
+        });
+    };
+
+    /**
+     * Stop monitoring and reset the rate limit
+     */
+    MuteMonitor.destroy = () => {
+        MuteMonitor.stop();
+        MuteMonitor._lastEmit = 0;
+    };
+
+    return MuteMonitor;
+};
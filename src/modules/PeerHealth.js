@@ -0,0 +1,413 @@
+/**
+ * Per connection health tracking and recovery.
+ * A connection that stays disconnected gets an ICE restart negotiated over its data connection,
+ * when that does not recover it the connection is dropped and called again with backoff.
+ * Only the peer with the lower peerJsId restarts or calls again so both sides never do it at once,
+ * the other side takes over after takeover_delay when the initiator stays silent, e.g. its tab died.
+ */
+export default () => {
+
+  const DEFAULT_RECOVERY = {
+    grace_period: 3000,
+    ice_restart_timeout: 10000,
+    max_attempts: 5,
+    delay: 1000,
+    max_delay: 30000,
+    takeover_delay: 15000,
+  };
+
+  const PeerHealth = {
+    parent: null,
+    watchers: new Map(),
+  };
+
+  /**
+   * Setup the health tracker
+   * @param {object} parent - Webrtc object
+   */
+  PeerHealth.setup = (parent) => {
+    PeerHealth.parent = parent;
+    PeerHealth.unwatchAll();
+
+    parent.on('peerJsData', 'iceRestart', PeerHealth.handleIceRestart);
+  };
+
+  /**
+   * Recovery configuration merged with the defaults
+   * @returns {object}
+   * @private
+   */
+  PeerHealth.getConfigs = () => {
+    return { ...DEFAULT_RECOVERY, ...(PeerHealth.parent.configs.connection_recovery || {}) };
+  };
+
+  /**
+   * Whether this side is responsible for restarting or calling the connection again
+   * @param {string} peerJsId - Remote peer id
+   * @returns {boolean}
+   */
+  PeerHealth.isInitiator = (peerJsId) => {
+    return String(PeerHealth.parent.peerJsId) < String(peerJsId);
+  };
+
+  /**
+   * Whether the transport sends every participant over one shared connection (SfuPeer), it restarts
+   * that connection itself and a glitch there is no failure of any single peer
+   * @returns {boolean}
+   */
+  PeerHealth.isSharedUpstream = () => {
+    return typeof PeerHealth.parent.peerJs?.restartIce === 'function';
+  };
+
+  /**
+   * Start tracking a connection, attaches to the peer connection once PeerJS created it
+   * @param {object} connection - People connection item
+   */
+  PeerHealth.watch = (connection) => {
+    if (PeerHealth.isSharedUpstream()) return;
+
+    const peerJsId = connection.peerJsId;
+    const previous = PeerHealth.watchers.get(peerJsId);
+
+    if (previous?.connection === connection) return;
+
+    PeerHealth.unwatch(peerJsId, false);
+
+    const watcher = {
+      connection,
+      peerConnection: null,
+      graceTimer: null,
+      restartTimer: null,
+      recallTimer: null,
+      attempts: previous?.attempts || 0,
+      onStateChange: () => PeerHealth.check(peerJsId),
+      onClose: () => PeerHealth.handleClose(peerJsId),
+    };
+
+    const attach = () => {
+      const peerConnection = connection.mediaConnection.peerConnection;
+
+      if (!peerConnection || watcher.peerConnection || PeerHealth.watchers.get(peerJsId) !== watcher) return;
+
+      watcher.peerConnection = peerConnection;
+      peerConnection.addEventListener('iceconnectionstatechange', watcher.onStateChange);
+      peerConnection.addEventListener('connectionstatechange', watcher.onStateChange);
+      PeerHealth.check(peerJsId);
+    };
+
+    PeerHealth.watchers.set(peerJsId, watcher);
+    connection.mediaConnection.on('close', watcher.onClose);
+
+    if (connection.mediaConnection.peerConnection) {
+      attach();
+    } else {
+      connection.mediaConnection.once('stream', attach);
+    }
+  };
+
+  /**
+   * Stop tracking a connection
+   * @param {string} peerJsId - Remote peer id
+   * @param {boolean} [resetAttempts=true] - Forget the backoff state as well
+   */
+  PeerHealth.unwatch = (peerJsId, resetAttempts = true) => {
+    const watcher = PeerHealth.watchers.get(peerJsId);
+
+    if (!watcher) return;
+
+    clearTimeout(watcher.graceTimer);
+    clearTimeout(watcher.restartTimer);
+
+    if (resetAttempts) {
+      clearTimeout(watcher.recallTimer);
+    }
+
+    watcher.connection.mediaConnection.off('close', watcher.onClose);
+
+    if (watcher.peerConnection) {
+      watcher.peerConnection.removeEventListener('iceconnectionstatechange', watcher.onStateChange);
+      watcher.peerConnection.removeEventListener('connectionstatechange', watcher.onStateChange);
+    }
+
+    PeerHealth.watchers.delete(peerJsId);
+  };
+
+  /**
+   * Stop tracking every connection and cancel pending recoveries
+   */
+  PeerHealth.unwatchAll = () => {
+    [...PeerHealth.watchers.keys()].forEach(peerJsId => PeerHealth.unwatch(peerJsId));
+  };
+
+  /**
+   * Read the peer connection state and react to it
+   * @param {string} peerJsId - Remote peer id
+   * @private
+   */
+  PeerHealth.check = (peerJsId) => {
+    const watcher = PeerHealth.watchers.get(peerJsId);
+    const peerConnection = watcher?.peerConnection;
+
+    if (!peerConnection) return;
+
+    const state = peerConnection.connectionState || peerConnection.iceConnectionState;
+
+    PeerHealth.setState(peerJsId, state);
+
+    if (state === 'connected' || state === 'completed') {
+      clearTimeout(watcher.graceTimer);
+      clearTimeout(watcher.restartTimer);
+      watcher.graceTimer = null;
+      watcher.restartTimer = null;
+      watcher.attempts = 0;
+    } else if (state === 'disconnected' && !watcher.graceTimer && !watcher.restartTimer) {
+      watcher.graceTimer = setTimeout(() => {
+        watcher.graceTimer = null;
+        PeerHealth.restartIce(peerJsId);
+      }, PeerHealth.getConfigs().grace_period);
+    } else if (state === 'failed') {
+      PeerHealth.handleFailure(peerJsId);
+    }
+  };
+
+  /**
+   * Whether a user is still listed in the room, true while the room user list is unknown
+   * @param {string} peerJsId - Remote peer id
+   * @returns {boolean}
+   */
+  PeerHealth.isInRoom = (peerJsId) => {
+    const users = PeerHealth.parent.Room?.information?.users;
+
+    return !Array.isArray(users) || users.some(user => user.peerJsId === peerJsId);
+  };
+
+  /**
+   * Handle a closed media connection. A user leaving closes the call before the server announces
+   * user-left-room, so the close only counts as a failure when the user is still in the room after grace_period.
+   * @param {string} peerJsId - Remote peer id
+   * @private
+   */
+  PeerHealth.handleClose = (peerJsId) => {
+    const watcher = PeerHealth.watchers.get(peerJsId);
+
+    if (!watcher || watcher.recallTimer) return;
+
+    clearTimeout(watcher.graceTimer);
+    clearTimeout(watcher.restartTimer);
+    watcher.restartTimer = null;
+    watcher.graceTimer = null;
+
+    if (!PeerHealth.isInRoom(peerJsId)) {
+      PeerHealth.unwatch(peerJsId);
+      return;
+    }
+
+    watcher.graceTimer = setTimeout(() => {
+      watcher.graceTimer = null;
+
+      if (PeerHealth.isInRoom(peerJsId)) {
+        PeerHealth.handleFailure(peerJsId);
+      } else {
+        PeerHealth.unwatch(peerJsId);
+      }
+    }, PeerHealth.getConfigs().grace_period);
+  };
+
+  /**
+   * Store and announce the state of a connection
+   * @param {string} peerJsId - Remote peer id
+   * @param {string} state - Connection state
+   * @private
+   */
+  PeerHealth.setState = (peerJsId, state) => {
+    const connection = PeerHealth.parent.People.findOne('peerJsId', peerJsId);
+
+    if (connection) {
+      if (connection.connectionState === state) return;
+      connection.connectionState = state;
+    }
+
+    PeerHealth.parent.emit('onPeerConnectionStateChange', {
+      detail: {
+        peerJsId,
+        state,
+      }
+    });
+  };
+
+  /**
+   * Negotiate an ICE restart over the data connection
+   * @param {string} peerJsId - Remote peer id
+   */
+  PeerHealth.restartIce = async (peerJsId) => {
+    const watcher = PeerHealth.watchers.get(peerJsId);
+
+    if (!watcher) return;
+
+    // the initiator restarts first, treat the connection as failed when it does not recover in time
+    if (!PeerHealth.isInitiator(peerJsId)) {
+      watcher.restartTimer = setTimeout(() => {
+        watcher.restartTimer = null;
+        PeerHealth.handleFailure(peerJsId);
+      }, PeerHealth.getConfigs().takeover_delay);
+
+      return;
+    }
+
+    const { peerConnection, connection } = watcher;
+
+    if (!connection.dataConnection?.open || peerConnection.signalingState !== 'stable') {
+      PeerHealth.handleFailure(peerJsId);
+      return;
+    }
+
+    try {
+      PeerHealth.setState(peerJsId, 'restarting');
+
+      const offer = await peerConnection.createOffer({ iceRestart: true });
+      await peerConnection.setLocalDescription(offer);
+
+      connection.dataConnection.send({
+        event: 'iceRestart',
+        description: { type: offer.type, sdp: offer.sdp },
+      });
+
+      watcher.restartTimer = setTimeout(() => {
+        watcher.restartTimer = null;
+        PeerHealth.handleFailure(peerJsId);
+      }, PeerHealth.getConfigs().ice_restart_timeout);
+    } catch (error) {
+      if (PeerHealth.parent.configs.debug) {
+        console.error('ICE restart failed:', error);
+      }
+
+      PeerHealth.handleFailure(peerJsId);
+    }
+  };
+
+  /**
+   * Handle ICE restart offers and answers received over the data connection
+   * @param {object} data - Data message with peerJsId and session description
+   */
+  PeerHealth.handleIceRestart = async (data) => {
+    const watcher = PeerHealth.watchers.get(data.peerJsId);
+    const peerConnection = watcher?.peerConnection;
+
+    if (!peerConnection || !data.description) return;
+
+    try {
+      await peerConnection.setRemoteDescription(data.description);
+
+      if (data.description.type === 'offer') {
+        const answer = await peerConnection.createAnswer();
+        await peerConnection.setLocalDescription(answer);
+
+        watcher.connection.dataConnection.send({
+          event: 'iceRestart',
+          description: { type: answer.type, sdp: answer.sdp },
+        });
+      }
+    } catch (error) {
+      if (PeerHealth.parent.configs.debug) {
+        console.error('ICE restart negotiation failed:', error);
+      }
+    }
+  };
+
+  /**
+   * Drop a dead connection and call the user again with backoff.
+   * The non-initiator waits takeover_delay longer so a call from the initiator arrives first.
+   * @param {string} peerJsId - Remote peer id
+   * @private
+   */
+  PeerHealth.handleFailure = (peerJsId) => {
+    const watcher = PeerHealth.watchers.get(peerJsId);
+
+    if (!watcher || watcher.recallTimer) return;
+
+    const connection = watcher.connection;
+    const user = {
+      peerJsId,
+      name: connection.name,
+      roomCreator: connection.isCreator,
+    };
+
+    PeerHealth.unwatch(peerJsId, false);
+    PeerHealth.setState(peerJsId, 'failed');
+    PeerHealth.parent.People.remove(peerJsId);
+    PeerHealth.scheduleRecall(watcher, user);
+  };
+
+  /**
+   * Keep the watcher pending and call the user again after the backoff delay, give up after max_attempts
+   * @param {object} watcher - Watcher of the dropped connection
+   * @param {object} user - User data including peerJsId
+   * @private
+   */
+  PeerHealth.scheduleRecall = (watcher, user) => {
+    const configs = PeerHealth.getConfigs();
+    const peerJsId = user.peerJsId;
+
+    if (watcher.attempts >= configs.max_attempts) {
+      if (PeerHealth.parent.configs.debug) {
+        console.error(`Giving up reconnecting to ${peerJsId} after ${watcher.attempts} attempts`);
+      }
+
+      return;
+    }
+
+    const backoff = Math.min(configs.max_delay, configs.delay * Math.pow(2, watcher.attempts));
+    const delay = PeerHealth.isInitiator(peerJsId) ? backoff : configs.takeover_delay + backoff;
+
+    PeerHealth.watchers.set(peerJsId, {
+      ...watcher,
+      graceTimer: null,
+      restartTimer: null,
+      attempts: watcher.attempts + 1,
+      recallTimer: setTimeout(() => PeerHealth.recall(user), delay),
+    });
+  };
+
+  /**
+   * Call a user again through the video peer
+   * @param {object} user - User data including peerJsId
+   * @private
+   */
+  PeerHealth.recall = async (user) => {
+    const pending = PeerHealth.watchers.get(user.peerJsId);
+
+    if (!PeerHealth.parent.peerJs || !PeerHealth.isInRoom(user.peerJsId) ||
+      PeerHealth.parent.People.findOne('peerJsId', user.peerJsId)) {
+      if (pending?.recallTimer) {
+        PeerHealth.watchers.delete(user.peerJsId);
+      }
+
+      return;
+    }
+
+    PeerHealth.watchers.delete(user.peerJsId);
+    PeerHealth.setState(user.peerJsId, 'reconnecting');
+
+    try {
+      await PeerHealth.parent.peerJs.establishConnectionWithUser(user);
+
+      const watcher = PeerHealth.watchers.get(user.peerJsId);
+
+      if (watcher) {
+        watcher.attempts = pending?.attempts || 0;
+      }
+    } catch (error) {
+      if (PeerHealth.parent.configs.debug) {
+        console.error('Failed to call user again:', error);
+      }
+
+      // nothing watches the user when the call failed before it was added, keep backing off
+      if (pending && !PeerHealth.watchers.has(user.peerJsId)) {
+        PeerHealth.setState(user.peerJsId, 'failed');
+        PeerHealth.scheduleRecall(pending, user);
+      }
+    }
+  };
+
+  return PeerHealth;
+};
@@ -1,10 +1,15 @@
+import createPeerHealth from "./PeerHealth.js";
+
 export default () => {
 
+  const UNHEALTHY_STATES = ['disconnected', 'failed', 'closed'];
+
   const People = {
     parent: null,
     connections: null,
     waitingList: null,
     options: null,
+    health: createPeerHealth(),
   };
 
   /**
@@ -19,6 +24,7 @@ export default () => {
     People.connections = connections;
     People.waitingList = waitingList;
     People.options = options;
+    People.health.setup(parent);
   };
 
   /**
@@ -35,7 +41,11 @@ export default () => {
     try {
       const user = People.connections.find(x => x.id === mediaConnection.peer);
 
-      if (user) {
+      // a dead entry is replaced when the same user calls again
+      if (user && user.mediaConnection !== mediaConnection &&
+        (UNHEALTHY_STATES.includes(user.connectionState) || !user.mediaConnection.open)) {
+        People.remove(user.peerJsId);
+      } else if (user) {
         return true;
       }
 
@@ -55,6 +65,7 @@ export default () => {
         record: false,
         name: userName,
         isCreator: userType,
+        connectionState: 'new',
       });
 
       const connection = People.connections[count - 1];
@@ -80,6 +91,8 @@ export default () => {
         People.parent.Media.streamAudio(mediaConnection.peer, peerVideoStream);
       });
 
+      People.health.watch(connection);
+
       return true;
     } catch (error) {
       if (People.parent.configs.debug) {
@@ -96,6 +109,8 @@ export default () => {
    */
   People.remove = (peerJsId) => {
     try {
+      People.health.unwatch(peerJsId);
+
       const index = People.connections.findIndex(x => x.peerJsId === peerJsId);
 
       if (index > -1) {
@@ -123,6 +138,7 @@ export default () => {
   People.closeAll = () => {
     try {
       People.parent.Media.screenShare.stopShareScreen();
+      People.health.unwatchAll();
 
       People.connections.forEach((connection) => {
         connection.mediaConnection.close();
@@ -136,6 +152,15 @@ export default () => {
     }
   };
 
+  /**
+   * Closes all connections, safe to call when the module was never set up.
+   */
+  People.destroy = () => {
+    if (!People.parent || !People.connections) return;
+
+    People.closeAll();
+  };
+
   /**
    * Returns the current list of connections.
    * @returns {Array} List of connection objects
@@ -0,0 +1,383 @@
+
+/**
+ * Preview module for a pre-join session: local preview through the Media canvas pipeline,
+ * microphone level meter, speaker test tone and a camera/microphone/network self-test.
+ * The previewed tracks are handed to Media.grab so the user is not prompted twice.
+ */
+
+export default () => {
+
+    const Preview = {
+        parent: null,
+        active: false,
+        media: null,
+        stream: null,
+        level: 0,
+        interval: null,
+        _audioContext: null,
+        _analyser: null,
+        _buffer: null,
+        _onAudioLevel: null,
+    };
+
+    /**
+     * Initialize the Preview module
+     * @param {Object} parent - Parent module instance
+     * @returns {Object} Preview instance
+     */
+    Preview.initial = (parent) => {
+        Preview.parent = parent;
+        Preview.stop();
+
+        return Preview;
+    };
+
+    /**
+     * Start previewing the given devices, only Media.prepare must have run, setup and join may follow
+     * @param {{camera?: string, microphone?: string}} [devices={}] - Device ids, browser defaults when missing
+     * @param {Object} [options={}]
+     * @param {Function} [options.onAudioLevel] - Called with the microphone level (0-1) while previewing
+     * @returns {Promise<MediaStream>} Processed preview stream, also rendered in the local video element
+     */
+    Preview.start = async (devices = {}, options = {}) => {
+        const Media = Preview.parent.Media;
+
+        if (!Media.video || !Media.canvas) {
+            throw new Error('Media.prepare must be called before Media.preview');
+        }
+
+        Preview.stop();
+
+        const media = await navigator.mediaDevices.getUserMedia(Media.getConstraints(devices));
+
+        Preview.active = true;
+        Preview.media = media;
+        Preview._onAudioLevel = options.onAudioLevel || null;
+
+        Media.stopFrameLoop();
+
+        Media.video.srcObject = media;
+        Media.video.muted = true;
+        Media.video.play();
+        Media.video.addEventListener('loadeddata', Media.setInterval);
+
+        Preview.stream = Media.canvas.captureStream();
+        Media.streamVideo(null, Preview.stream);
+
+        Preview.startMeter(media.getAudioTracks()[0]);
+
+        return Preview.stream;
+    };
+
+    /**
+     * Measure the microphone level of the preview
+     * @param {MediaStreamTrack} track - Raw microphone track
+     * @private
+     */
+    Preview.startMeter = (track) => {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+        if (!track || !AudioContext) return;
+
+        Preview._audioContext = new AudioContext();
+        Preview._analyser = Preview._audioContext.createAnalyser();
+        Preview._analyser.fftSize = 512;
+        Preview._buffer = new Float32Array(Preview._analyser.fftSize);
+        Preview._audioContext.createMediaStreamSource(new MediaStream([track])).connect(Preview._analyser);
+
+        Preview.interval = setInterval(() => {
+            Preview._analyser.getFloatTimeDomainData(Preview._buffer);
+
+            let sum = 0;
+            Preview._buffer.forEach(sample => sum += sample * sample);
+
+            Preview.level = Math.min(1, Math.sqrt(sum / Preview._buffer.length));
+            Preview._onAudioLevel?.(Preview.level);
+        }, 100);
+    };
+
+    /**
+     * Latest microphone level of the preview
+     * @returns {number} Level between 0 and 1
+     */
+    Preview.getAudioLevel = () => {
+        return Preview.level;
+    };
+
+    /**
+     * Play a short tone on a speaker
+     * @param {Object} [options={}]
+     * @param {string} [options.deviceId] - audiooutput device id, the selected speaker when missing
+     * @param {number} [options.frequency=440] - Tone frequency in Hz
+     * @param {number} [options.duration=1000] - Tone duration in ms
+     * @returns {Promise<boolean>} Resolves when the tone finished
+     */
+    Preview.playTestTone = async (options = {}) => {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+        if (!AudioContext) return false;
+
+        const { frequency = 440, duration = 1000 } = options;
+        const deviceId = options.deviceId || Preview.parent.Media.speaker;
+        const context = new AudioContext();
+        const oscillator = context.createOscillator();
+        const volume = context.createGain();
+        const destination = context.createMediaStreamDestination();
+        const audio = new Audio();
+
+        oscillator.frequency.value = frequency;
+        volume.gain.value = 0.2;
+        oscillator.connect(volume).connect(destination);
+
+        try {
+            audio.srcObject = destination.stream;
+
+            if (deviceId && audio.setSinkId) {
+                await audio.setSinkId(deviceId);
+            }
+
+            oscillator.start();
+            await audio.play();
+            await new Promise(resolve => setTimeout(resolve, duration));
+
+            return true;
+        } catch (error) {
+            console.warn('[Preview.playTestTone] Failed to play test tone:', error);
+            return false;
+        } finally {
+            oscillator.stop();
+            audio.pause();
+            audio.srcObject = null;
+            context.close().catch(() => {});
+        }
+    };
+
+    /**
+     * Check camera, microphone and ICE server reachability
+     * @param {Object} [options={}]
+     * @param {number} [options.duration=1000] - Sampling time for fps and audio level in ms
+     * @param {number} [options.timeout=5000] - ICE gathering timeout in ms
+     * @returns {Promise<Object>} Self-test report
+     */
+    Preview.runSelfTest = async (options = {}) => {
+        const { duration = 1000, timeout = 5000 } = options;
+
+        if (!Preview.active) {
+            throw new Error('Media.preview must be started before running the self-test');
+        }
+
+        const [camera, microphone, network] = await Promise.all([
+            Preview.testCamera(duration),
+            Preview.testMicrophone(duration),
+            Preview.testNetwork(timeout),
+        ]);
+
+        return {
+            createdAt: new Date().toISOString(),
+            camera,
+            microphone,
+            network,
+        };
+    };
+
+    /**
+     * Resolution and measured frame rate of the preview camera
+     * @param {number} duration - Sampling time in ms
+     * @returns {Promise<Object>}
+     * @private
+     */
+    Preview.testCamera = async (duration) => {
+        const track = Preview.media?.getVideoTracks()[0];
+        const video = Preview.parent.Media.video;
+
+        if (!track || track.readyState !== 'live') {
+            return { available: false, width: null, height: null, frameRate: null };
+        }
+
+        const settings = track.getSettings();
+        let frameRate = settings.frameRate ?? null;
+
+        if (video.requestVideoFrameCallback) {
+            let frames = 0;
+            let running = true;
+
+            const count = () => {
+                frames++;
+                if (running) video.requestVideoFrameCallback(count);
+            };
+
+            video.requestVideoFrameCallback(count);
+            await new Promise(resolve => setTimeout(resolve, duration));
+            running = false;
+
+            // video frame callbacks may not fire for an element which is not rendered
+            if (frames > 0) {
+                frameRate = Math.round(frames * 1000 / duration);
+            }
+        }
+
+        return {
+            available: true,
+            deviceId: settings.deviceId,
+            width: settings.width ?? video.videoWidth,
+            height: settings.height ?? video.videoHeight,
+            frameRate,
+        };
+    };
+
+    /**
+     * Peak microphone level while sampling
+     * @param {number} duration - Sampling time in ms
+     * @returns {Promise<Object>}
+     * @private
+     */
+    Preview.testMicrophone = async (duration) => {
+        const track = Preview.media?.getAudioTracks()[0];
+
+        if (!track || track.readyState !== 'live' || !Preview._analyser) {
+            return { available: false, level: 0, detected: false };
+        }
+
+        let peak = 0;
+        const sampler = setInterval(() => peak = Math.max(peak, Preview.level), 50);
+
+        await new Promise(resolve => setTimeout(resolve, duration));
+        clearInterval(sampler);
+
+        return {
+            available: true,
+            deviceId: track.getSettings().deviceId,
+            level: peak,
+            detected: peak > 0.01,
+        };
+    };
+
+    /**
+     * Gather ICE candidates against the configured servers to verify STUN and TURN reachability
+     * @param {number} timeout - Gathering timeout in ms
+     * @returns {Promise<Object>} stun/turn are null when no such server is configured
+     * @private
+     */
+    Preview.testNetwork = async (timeout) => {
+        const config = await Preview.parent.helpers.iceServer.prepare();
+        const urls = (config?.iceServers || []).flatMap(server => [].concat(server.urls || server.url || []));
+        const hasStun = urls.some(url => url.startsWith('stun'));
+        const hasTurn = urls.some(url => url.startsWith('turn'));
+
+        if (!hasStun && !hasTurn) {
+            return { stun: null, turn: null, candidates: [] };
+        }
+
+        const peerConnection = new RTCPeerConnection({ ...config, iceTransportPolicy: 'all' });
+        const candidates = [];
+
+        try {
+            peerConnection.createDataChannel('vidus-self-test');
+
+            const gathered = new Promise(resolve => {
+                const timer = setTimeout(resolve, timeout);
+
+                peerConnection.onicecandidate = (event) => {
+                    if (!event.candidate) {
+                        clearTimeout(timer);
+                        resolve();
+                        return;
+                    }
+
+                    candidates.push(event.candidate.type || event.candidate.candidate.split(' ')[7]);
+                };
+            });
+
+            await peerConnection.setLocalDescription(await peerConnection.createOffer());
+            await gathered;
+        } catch (error) {
+            console.warn('[Preview.testNetwork] ICE gathering failed:', error);
+        } finally {
+            peerConnection.close();
+        }
+
+        return {
+            stun: hasStun ? candidates.includes('srflx') : null,
+            turn: hasTurn ? candidates.includes('relay') : null,
+            candidates: [...new Set(candidates)],
+        };
+    };
+
+    /**
+     * Hand the previewed tracks to Media.grab when they match the requested devices
+     * @param {{camera?: string, microphone?: string}} devices - Devices requested by grab
+     * @param {boolean} [muteVideo=false] - Whether grab was asked for audio only
+     * @returns {MediaStream|null} Raw preview stream, null when it cannot be reused
+     */
+    Preview.take = (devices = {}, muteVideo = false) => {
+        const media = Preview.media;
+
+        if (!Preview.active || !media) return null;
+
+        const matches = (track, deviceId) => !deviceId || track?.getSettings().deviceId === deviceId;
+        const videoTrack = media.getVideoTracks()[0];
+        const audioTrack = media.getAudioTracks()[0];
+        const usable = audioTrack?.readyState === 'live' && matches(audioTrack, devices.microphone)
+            && (muteVideo || (videoTrack?.readyState === 'live' && matches(videoTrack, devices.camera)));
+
+        if (!usable) {
+            Preview.stop();
+            return null;
+        }
+
+        if (muteVideo) {
+            media.getVideoTracks().forEach(track => {
+                track.stop();
+                media.removeTrack(track);
+            });
+        }
+
+        Preview.media = null;
+        Preview.stop();
+
+        return media;
+    };
+
+    /**
+     * Stop the preview session, tracks handed to Media.grab are kept together with the frame loop grab now owns
+     */
+    Preview.stop = () => {
+        const Media = Preview.parent?.Media;
+
+        if (Preview.media && Media?.video) {
+            Media.video.removeEventListener('loadeddata', Media.setInterval);
+            Media.stopFrameLoop();
+            Media.video.srcObject = null;
+        }
+
+        clearInterval(Preview.interval);
+        Preview.interval = null;
+
+        if (Preview._audioContext) {
+            Preview._audioContext.close().catch(() => {});
+            Preview._audioContext = null;
+        }
+
+        Preview._analyser = null;
+        Preview._buffer = null;
+        Preview._onAudioLevel = null;
+        Preview.level = 0;
+
+        Preview.media?.getTracks().forEach(track => track.stop());
+        Preview.media = null;
+
+        Preview.stream?.getTracks().forEach(track => track.stop());
+        Preview.stream = null;
+
+        Preview.active = false;
+    };
+
+    /**
+     * Stop the preview session
+     */
+    Preview.destroy = () => {
+        Preview.stop();
+    };
+
+    return Preview;
+};
@@ -18,6 +18,7 @@ export default () => {
         _screenAudioSource: null,
         _micAudioSource: null,
         _connectionsAudioSource: [],
+        _listeners: [],
     };
 
     /**
@@ -56,13 +57,24 @@ export default () => {
      * Set up event listeners
      */
     RecordScreen.listenToEvents = () => {
-        document.addEventListener('onMediaStreamReset', async function (event) {
-            await RecordScreen.mixMicScreenAudioStreams();
-        });
+        RecordScreen.removeEventsListeners();
+
+        RecordScreen._listeners = [
+            RecordScreen.parent.EventBus.on('onMediaStreamReset', async function (event) {
+                await RecordScreen.mixMicScreenAudioStreams();
+            }),
+            RecordScreen.parent.EventBus.on('onMediaStreamReady', async function (event) {
+                await RecordScreen.mixMicScreenAudioStreams();
+            }),
+        ];
+    };
 
-        document.addEventListener('onMediaStreamReady', async function (event) {
-            await RecordScreen.mixMicScreenAudioStreams();
-        });
+    /**
+     * Remove event listeners registered by listenToEvents
+     */
+    RecordScreen.removeEventsListeners = () => {
+        RecordScreen._listeners.forEach(unsubscribe => unsubscribe());
+        RecordScreen._listeners = [];
     };
 
     /**
@@ -108,7 +120,7 @@ export default () => {
 
             const options = {
                 mimeType: 'video/webm;codecs=h264,opus',
-                videoBitsPerSecond: 2500000 // 2.5Mbps
+                videoBitsPerSecond: RecordScreen.parent.Bandwidth?.getProfile().recordBitrate || 2500000
             };
 
 
@@ -264,6 +276,50 @@ export default () => {
     };
 
 
+    /**
+     * Discard any running recording without saving it and release FFmpeg and audio resources
+     */
+    RecordScreen.destroy = async () => {
+        RecordScreen.removeEventsListeners();
+
+        if (RecordScreen.recorder) {
+            RecordScreen.recorder.ondataavailable = null;
+            RecordScreen.recorder.onstop = null;
+
+            if (RecordScreen.recorder.state !== 'inactive') {
+                RecordScreen.recorder.stop();
+            }
+        }
+
+        if (RecordScreen.mediaStream) {
+            RecordScreen.mediaStream.getTracks().forEach(track => track.stop());
+        }
+
+        if (RecordScreen._audioContext) {
+            await RecordScreen._audioContext.close();
+        }
+
+        if (RecordScreen.ffmpeg) {
+            RecordScreen.ffmpeg.terminate();
+        }
+
+        if (RecordScreen.parent?.userSettings) {
+            RecordScreen.parent.userSettings.record = false;
+        }
+
+        RecordScreen.isRecording = false;
+        RecordScreen.recordedChunks = [];
+        RecordScreen.mediaStream = null;
+        RecordScreen.recorder = null;
+        RecordScreen.ffmpeg = null;
+        RecordScreen.isFFmpegLoaded = false;
+        RecordScreen._audioContext = null;
+        RecordScreen._destination = null;
+        RecordScreen._screenAudioSource = null;
+        RecordScreen._micAudioSource = null;
+        RecordScreen._connectionsAudioSource = [];
+    };
+
     /**
      * Handle new user joining (placeholder implementation)
      * @param {string} peerjsId - PeerJS connection ID
@@ -1,11 +1,83 @@
 import Actions from "../actions/index.js";
 
+/**
+ * @typedef {'idle'|'connecting'|'waiting-admission'|'joined'|'reconnecting'|'left'|'banned'|'terminated'|'failed'} RoomState
+ */
+
+/**
+ * Room lifecycle states
+ * @type {Readonly<Object<string, RoomState>>}
+ */
+export const ROOM_STATES = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  WAITING_ADMISSION: 'waiting-admission',
+  JOINED: 'joined',
+  RECONNECTING: 'reconnecting',
+  LEFT: 'left',
+  BANNED: 'banned',
+  TERMINATED: 'terminated',
+  FAILED: 'failed',
+});
+
+/**
+ * Reasons a room join can be rejected with
+ */
+export const ROOM_JOIN_ERRORS = Object.freeze({
+  INVALID_ROOM: 'invalid-room',
+  BANNED: 'banned',
+  DECLINED: 'declined',
+  TIMEOUT: 'timeout',
+  TERMINATED: 'terminated',
+  LEFT: 'left',
+  FAILED: 'failed',
+});
+
+/**
+ * Error thrown when joining a room does not succeed
+ */
+export class RoomJoinError extends Error
+{
+  /**
+   * @param {string} reason - One of ROOM_JOIN_ERRORS
+   * @param {string} message - Error message
+   */
+  constructor(reason, message = `Room join failed: ${reason}`) {
+    super(message);
+    this.name = 'RoomJoinError';
+    this.reason = reason;
+  }
+}
+
+const TRANSITIONS = {
+  [ROOM_STATES.IDLE]: [ROOM_STATES.CONNECTING, ROOM_STATES.FAILED],
+  [ROOM_STATES.CONNECTING]: [
+    ROOM_STATES.WAITING_ADMISSION, ROOM_STATES.JOINED, ROOM_STATES.LEFT, ROOM_STATES.BANNED, ROOM_STATES.FAILED
+  ],
+  [ROOM_STATES.WAITING_ADMISSION]: [
+    ROOM_STATES.CONNECTING, ROOM_STATES.JOINED, ROOM_STATES.LEFT, ROOM_STATES.BANNED, ROOM_STATES.FAILED
+  ],
+  [ROOM_STATES.JOINED]: [
+    ROOM_STATES.RECONNECTING, ROOM_STATES.LEFT, ROOM_STATES.BANNED, ROOM_STATES.TERMINATED, ROOM_STATES.FAILED
+  ],
+  [ROOM_STATES.RECONNECTING]: [ROOM_STATES.CONNECTING, ROOM_STATES.JOINED, ROOM_STATES.LEFT, ROOM_STATES.FAILED],
+  [ROOM_STATES.LEFT]: [ROOM_STATES.IDLE, ROOM_STATES.CONNECTING],
+  [ROOM_STATES.BANNED]: [ROOM_STATES.IDLE, ROOM_STATES.CONNECTING],
+  [ROOM_STATES.TERMINATED]: [ROOM_STATES.IDLE, ROOM_STATES.CONNECTING],
+  [ROOM_STATES.FAILED]: [ROOM_STATES.IDLE, ROOM_STATES.CONNECTING],
+};
+
 export default () => {
   const Room = {
     parent: null,
     information: null,
     options: null,
     actions: [],
+    state: ROOM_STATES.IDLE,
+    joinTimeout: 30000,
+    lastJoin: null,
+    resuming: null,
+    resumeCallTimer: null,
   };
 
   /**
@@ -27,6 +99,9 @@ export default () => {
   Room.join = (roomId, userData) => {
     const data = { peerJsId: Room.parent.peerJsId, ...userData };
 
+    Room.lastJoin = { roomId, userData };
+    Room.setState(ROOM_STATES.CONNECTING, { roomId });
+
     if (Room.parent.socket.isConnected()) {
       Room.parent.socket.emit('join-room', roomId, data);
     } else {
@@ -36,6 +111,236 @@ export default () => {
     }
   };
 
+  /**
+   * Join a room and wait until the user is inside it
+   * @param {string} roomId - ID of the room to join
+   * @param {object} userData - User data
+   * @param {object} [options={}] - Join options
+   * @param {number} [options.timeout] - Milliseconds to wait before rejecting, 0 waits forever
+   * @returns {Promise<object>} Resolves with the onRoomJoined detail
+   * @throws {RoomJoinError} With reason invalid-room, banned, declined, timeout, terminated, left or failed
+   */
+  Room.joinAndWait = (roomId, userData, options = {}) => {
+    const timeout = options.timeout ?? Room.joinTimeout;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let joinedDetail = {};
+
+      const finish = (callback, value) => {
+        clearTimeout(timer);
+        unsubscribeJoined();
+        unsubscribeState();
+        callback(value);
+      };
+
+      const unsubscribeJoined = Room.parent.EventBus.on('onRoomJoined', (event) => {
+        joinedDetail = event.detail;
+      });
+
+      const unsubscribeState = Room.parent.EventBus.on('onRoomStateChange', (event) => {
+        const { state, reason } = event.detail;
+
+        if (state === ROOM_STATES.JOINED) {
+          finish(resolve, joinedDetail);
+        } else if (state === ROOM_STATES.FAILED) {
+          finish(reject, new RoomJoinError(reason || ROOM_JOIN_ERRORS.FAILED));
+        } else if ([ROOM_STATES.BANNED, ROOM_STATES.TERMINATED, ROOM_STATES.LEFT].includes(state)) {
+          finish(reject, new RoomJoinError(state));
+        }
+      });
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          Room.setState(ROOM_STATES.FAILED, { reason: ROOM_JOIN_ERRORS.TIMEOUT });
+          finish(reject, new RoomJoinError(ROOM_JOIN_ERRORS.TIMEOUT));
+        }, timeout);
+      }
+
+      try {
+        Room.join(roomId, userData);
+      } catch (error) {
+        Room.setState(ROOM_STATES.FAILED, { reason: ROOM_JOIN_ERRORS.FAILED });
+        finish(reject, error);
+      }
+    });
+  };
+
+  /**
+   * Rejoin the last joined room after the socket reconnected.
+   * Reuses the current peer when it is still alive, otherwise a new peer is created.
+   * @returns {Promise<boolean>} True when the room was joined again
+   */
+  Room.resume = async () => {
+    if (Room.resuming) return false;
+
+    const roomId = Room.lastJoin?.roomId;
+
+    if (!roomId) {
+      Room.sessionLost(ROOM_JOIN_ERRORS.FAILED);
+      return false;
+    }
+
+    Room.resuming = { joined: false, information: null };
+    clearTimeout(Room.resumeCallTimer);
+
+    try {
+      const peerJs = Room.parent.peerJs;
+
+      if (!peerJs?.videoPeer || peerJs.videoPeer.destroyed) {
+        peerJs?.destroy();
+        await Room.parent.initialPeerJs(peerJs?.token);
+      }
+
+      await Room.joinAndWait(roomId, Room.lastJoin.userData);
+
+      Room.resuming.joined = true;
+      Room.completeResume();
+
+      return true;
+    } catch (error) {
+      Room.resuming = null;
+      Room.sessionLost(error.reason || ROOM_JOIN_ERRORS.FAILED);
+
+      return false;
+    }
+  };
+
+  /**
+   * Store the server room information received while resuming and finish the resume when joined
+   * @param {object} information - Room information sent by the server
+   */
+  Room.resumeInformation = (information) => {
+    if (!Room.resuming) return;
+
+    Room.resuming.information = information;
+    Room.completeResume();
+  };
+
+  /**
+   * Reconcile connections once the room is joined again and its user list is known
+   * @private
+   */
+  Room.completeResume = () => {
+    if (!Room.resuming?.joined || !Room.resuming.information) return;
+
+    const { added, removed } = Room.reconcile(Room.resuming.information.users || []);
+
+    Room.resuming = null;
+
+    Room.parent.emit('onSessionResumed', {
+      detail: {
+        roomId: Room.lastJoin.roomId,
+        peerJsId: Room.parent.peerJsId,
+        added,
+        removed,
+      }
+    });
+  };
+
+  /**
+   * Diff the server user list against local connections and drop stale ones.
+   * The server announces the rejoin to everyone in the room and they call us like on a first join,
+   * so missing users are only called from this side after takeover_delay when their call never came.
+   * @param {Array} users - Users currently in the room according to the server
+   * @returns {{added: string[], removed: string[]}} Expected and dropped peerJsIds
+   */
+  Room.reconcile = (users) => {
+    const remoteUsers = users.filter(user => user.peerJsId && user.peerJsId !== Room.parent.peerJsId);
+    const remoteIds = remoteUsers.map(user => user.peerJsId);
+
+    const removed = Room.parent.People.getConnections()
+      .filter(connection => !remoteIds.includes(connection.peerJsId) || connection.mediaConnection.open === false)
+      .map(connection => connection.peerJsId);
+
+    removed.forEach(peerJsId => Room.parent.People.remove(peerJsId));
+
+    const added = remoteUsers.filter(user => !Room.parent.People.findOne('peerJsId', user.peerJsId));
+    const delay = Room.parent.configs.connection_recovery?.takeover_delay ?? 15000;
+
+    clearTimeout(Room.resumeCallTimer);
+    Room.resumeCallTimer = added.length ? setTimeout(() => Room.callMissing(added), delay) : null;
+
+    return {
+      added: added.map(user => user.peerJsId),
+      removed: removed.filter(peerJsId => !remoteIds.includes(peerJsId)),
+    };
+  };
+
+  /**
+   * Call the users who are still in the room but did not call after the rejoin
+   * @param {Array} users - Users expected to call
+   * @private
+   */
+  Room.callMissing = (users) => {
+    Room.resumeCallTimer = null;
+
+    if (Room.state !== ROOM_STATES.JOINED) return;
+
+    const roomIds = (Room.information?.users || []).map(user => user.peerJsId);
+
+    users
+      .filter(user => roomIds.includes(user.peerJsId) && !Room.parent.People.findOne('peerJsId', user.peerJsId))
+      .forEach(user => {
+        Room.parent.connectToNewUser(user).catch((error) => {
+          if (Room.parent.configs.debug) {
+            console.error('Failed to call user while resuming session:', error);
+          }
+        });
+      });
+  };
+
+  /**
+   * Mark the session as lost when it can not be resumed
+   * @param {string} reason - Why the session was lost
+   */
+  Room.sessionLost = (reason) => {
+    Room.setState(ROOM_STATES.FAILED, { reason });
+
+    Room.parent.emit('onSessionLost', {
+      detail: {
+        roomId: Room.lastJoin?.roomId || null,
+        reason,
+      }
+    });
+  };
+
+  /**
+   * Check whether the room can move to the given state
+   * @param {RoomState} state - Target state
+   * @returns {boolean}
+   */
+  Room.canTransition = (state) => {
+    return state === Room.state || (TRANSITIONS[Room.state] || []).includes(state);
+  };
+
+  /**
+   * Move the room to a new lifecycle state, ignoring transitions that are not allowed
+   * @param {RoomState} state - Target state
+   * @param {object} [data={}] - Extra detail for onRoomStateChange, e.g. reason
+   * @returns {boolean} True when the room is in the requested state afterwards
+   */
+  Room.setState = (state, data = {}) => {
+    if (state === Room.state) return true;
+
+    if (!Room.canTransition(state)) {
+      if (Room.parent?.configs.debug) {
+        console.warn(`Room state transition ${Room.state} -> ${state} ignored`);
+      }
+
+      return false;
+    }
+
+    const previous = Room.state;
+    Room.state = state;
+
+    Room.parent?.emit('onRoomStateChange', {
+      detail: { state, previous, ...data }
+    });
+
+    return true;
+  };
+
   /**
    * User notify to server join room successfully
    * @param {string} roomId - ID of the room
@@ -61,6 +366,8 @@ export default () => {
     const data = { peerJsId: Room.parent.peerJsId, ...userData };
 
     try {
+      Room.setState(ROOM_STATES.LEFT);
+      clearTimeout(Room.resumeCallTimer);
       Room.parent.People.closeAll();
       await Room.parent.Media.release();
 
@@ -82,6 +389,27 @@ export default () => {
     }
   };
 
+  /**
+   * Release room state, notifying the server when still inside a room
+   */
+  Room.destroy = () => {
+    const roomId = Room.information?.id;
+
+    if (roomId && Room.parent?.socket?.isConnected()) {
+      Room.parent.socket.emit('left-room', roomId, { peerJsId: Room.parent.peerJsId });
+    }
+
+    Room.setState(ROOM_STATES.LEFT);
+    Room.setState(ROOM_STATES.IDLE);
+    Room.information = null;
+    Room.actions = [];
+    Room.lastJoin = null;
+    Room.resuming = null;
+
+    clearTimeout(Room.resumeCallTimer);
+    Room.resumeCallTimer = null;
+  };
+
   /**
    * Request to execute a room action
    * @param {object} action - Action to execute
@@ -7,6 +7,8 @@ export default () => {
         sharePeerJsId: null,
         initializeShareScreen: false,
         connectionDelay: 10000,
+        listeners: [],
+        mediaConnections: [],
     };
 
     /**
@@ -56,13 +58,13 @@ export default () => {
             const peerObject = ShareScreen.sharePeer;
 
             connections.forEach((connection) => {
-                peerObject.call(connection.peerJsId, media, {
+                ShareScreen.mediaConnections.push(peerObject.call(connection.peerJsId, media, {
                     metadata: {
                         type: 'screen-sharing',
                         peerJsId: ShareScreen.parent.peerJsId,
                         sharePeerJsId: ShareScreen.sharePeerJsId
                     }
-                });
+                }));
             });
 
             return media;
@@ -178,6 +180,7 @@ export default () => {
 
         ShareScreen.sharePeerJsId = null;
         ShareScreen.initializeShareScreen = false;
+        ShareScreen.mediaConnections = [];
         resolve(true);
     };
 
@@ -217,8 +220,13 @@ export default () => {
      * @private
      */
     ShareScreen.setupListener = () => {
-        document.addEventListener('onPeerJsReady', ShareScreen.setupPeerCall);
-        document.addEventListener('onUserConnected', ShareScreen.callToNewJoinedUser);
+        ShareScreen.eventsListenersRemove();
+
+        ShareScreen.listeners = [
+            ShareScreen.parent.EventBus.on('onPeerJsReady', ShareScreen.setupPeerCall),
+            ShareScreen.parent.EventBus.on('onUserConnected', ShareScreen.callToNewJoinedUser),
+        ];
+
         window.addEventListener('beforeunload', ShareScreen.eventsListenersRemove);
     };
 
@@ -227,8 +235,30 @@ export default () => {
      * @private
      */
     ShareScreen.eventsListenersRemove = () => {
-        document.removeEventListener('onPeerJsReady', ShareScreen.setupPeerCall);
-        document.removeEventListener('onUserConnected', ShareScreen.callToNewJoinedUser);
+        ShareScreen.listeners.forEach(unsubscribe => unsubscribe());
+        ShareScreen.listeners = [];
+    };
+
+    /**
+     * Stops local sharing, destroys the share peer and removes all listeners
+     * @returns {Promise<void>}
+     */
+    ShareScreen.destroy = async () => {
+        ShareScreen.eventsListenersRemove();
+        window.removeEventListener('beforeunload', ShareScreen.eventsListenersRemove);
+
+        const userSettings = ShareScreen.parent?.userSettings;
+
+        if (userSettings?.shareMedia) {
+            userSettings.shareMedia.getTracks().forEach(track => track.stop());
+        }
+
+        if (userSettings) {
+            userSettings.share = false;
+            userSettings.shareMedia = null;
+        }
+
+        await ShareScreen.screenShareConnection(false);
     };
 
     /**
@@ -242,13 +272,13 @@ export default () => {
         const peerJsId = event.detail?.peerJsId;
         const peerObject = ShareScreen.sharePeer;
 
-        peerObject.call(peerJsId, ShareScreen.parent.userSettings.shareMedia, {
+        ShareScreen.mediaConnections.push(peerObject.call(peerJsId, ShareScreen.parent.userSettings.shareMedia, {
             metadata: {
                 type: 'screen-sharing',
                 peerJsId: ShareScreen.parent.peerJsId,
                 sharePeerJsId: ShareScreen.sharePeerJsId
             }
-        });
+        }));
     };
 
     /**
@@ -274,6 +304,16 @@ export default () => {
         ShareScreen.eventTrigger(false);
     };
 
+    /**
+     * Gets the peer connections of the outgoing screen sharing calls
+     * @returns {RTCPeerConnection[]} Empty when the transport publishes the share itself (SfuPeer)
+     */
+    ShareScreen.getPeerConnections = () => {
+        return ShareScreen.mediaConnections
+            .map(mediaConnection => mediaConnection.peerConnection)
+            .filter(Boolean);
+    };
+
     /**
      * Gets the screen sharing peer connection ID
      * @returns {string|null} The screen share peer ID or null if not connected
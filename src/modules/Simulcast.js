@@ -0,0 +1,136 @@
+/**
+ * Simulcast layers and per-receiver layer selection.
+ * Only transports with a shared upstream (SfuPeer) publish real simulcast encodings, the receiver
+ * then asks the SFU which layer to forward. The PeerJS mesh has one connection per receiver with a
+ * single encoding, so the receiver asks the sender over the data connection and the requested layer
+ * caps the Bandwidth encoding parameters of that connection instead.
+ */
+
+export const SIMULCAST_LAYERS = Object.freeze({
+  low: { rid: 'l', scaleResolutionDownBy: 4, maxBitrate: 150000, maxFramerate: 15 },
+  mid: { rid: 'm', scaleResolutionDownBy: 2, maxBitrate: 500000, maxFramerate: 24 },
+  high: { rid: 'h', scaleResolutionDownBy: 1, maxBitrate: 1500000, maxFramerate: 30 },
+});
+
+export default () => {
+
+  const DEFAULT_SIMULCAST = {
+    enable: false,
+    default_layer: 'high',
+  };
+
+  const Simulcast = {
+    parent: null,
+  };
+
+  /**
+   * Setup the module and register the layer request handler
+   * @param {object} parent - Webrtc object
+   */
+  Simulcast.setup = (parent) => {
+    Simulcast.parent = parent;
+
+    parent.on('peerJsData', 'simulcastLayer', Simulcast.handleLayerRequest);
+  };
+
+  /**
+   * Simulcast configuration merged with the defaults
+   * @returns {object}
+   * @private
+   */
+  Simulcast.getConfigs = () => {
+    return { ...DEFAULT_SIMULCAST, ...(Simulcast.parent?.configs.simulcast || {}) };
+  };
+
+  /**
+   * Whether simulcast publishing is enabled
+   * @returns {boolean}
+   */
+  Simulcast.isEnabled = () => {
+    return Simulcast.getConfigs().enable === true;
+  };
+
+  /**
+   * Encodings for transports publishing one upstream for every receiver, the PeerJS mesh does not use them
+   * @returns {RTCRtpEncodingParameters[]|undefined} Undefined when simulcast is disabled
+   */
+  Simulcast.getSendEncodings = () => {
+    if (!Simulcast.isEnabled()) return undefined;
+
+    return ['low', 'mid', 'high'].map(name => ({ ...SIMULCAST_LAYERS[name], active: true }));
+  };
+
+  /**
+   * Layer parameters a receiver asked this sender for, configs.simulcast.default_layer
+   * when the receiver did not ask for one
+   * @param {string} peerJsId - Receiver peer id
+   * @returns {object|null} Layer parameters, null only when simulcast is disabled or the layer name is unknown
+   */
+  Simulcast.getLayer = (peerJsId) => {
+    if (!Simulcast.isEnabled()) return null;
+
+    const connection = Simulcast.parent.People.findOne('peerJsId', peerJsId);
+    const name = connection?.sendLayer || Simulcast.getConfigs().default_layer;
+
+    return SIMULCAST_LAYERS[name] || null;
+  };
+
+  /**
+   * Ask for a layer of a sender, e.g. low for grid tiles and high for the active speaker.
+   * Transports forwarding simulcast themselves select it, otherwise the sender is asked directly.
+   * @param {string} peerJsId - Sender peer id
+   * @param {'low'|'mid'|'high'} layer - Requested layer
+   * @returns {boolean} True when the request was sent
+   */
+  Simulcast.requestLayer = (peerJsId, layer) => {
+    if (!SIMULCAST_LAYERS[layer]) {
+      throw new Error(`Unknown simulcast layer: ${layer}`);
+    }
+
+    const connection = Simulcast.parent.People.findOne('peerJsId', peerJsId);
+    const peerJs = Simulcast.parent.peerJs;
+
+    if (typeof peerJs?.selectLayer === 'function') {
+      if (!connection) return false;
+
+      connection.requestedLayer = layer;
+      peerJs.selectLayer(peerJsId, SIMULCAST_LAYERS[layer].rid);
+
+      return true;
+    }
+
+    if (!connection?.dataConnection?.open) return false;
+
+    connection.requestedLayer = layer;
+    connection.dataConnection.send({
+      event: 'simulcastLayer',
+      layer: layer,
+    });
+
+    return true;
+  };
+
+  /**
+   * Handle a layer request received from a receiver
+   * @param {object} data - Data message with peerJsId and layer
+   */
+  Simulcast.handleLayerRequest = (data) => {
+    if (!SIMULCAST_LAYERS[data.layer]) return;
+
+    Simulcast.parent.People.setData(data.peerJsId, 'sendLayer', data.layer);
+    Simulcast.apply(data.peerJsId);
+  };
+
+  /**
+   * Apply the requested layer to the encoding parameters of a receiver connection
+   * @param {string} peerJsId - Receiver peer id
+   * @returns {Promise<boolean>} True when sender parameters were updated
+   */
+  Simulcast.apply = async (peerJsId) => {
+    if (!Simulcast.getLayer(peerJsId)) return false;
+
+    return Simulcast.parent.Bandwidth.refresh(peerJsId);
+  };
+
+  return Simulcast;
+};
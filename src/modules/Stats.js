@@ -0,0 +1,324 @@
+/**
+ * Connection quality statistics sampled from RTCPeerConnection.getStats.
+ */
+export default () => {
+
+  const DEFAULT_STATS = {
+    enable: true,
+    interval: 2000,
+    history: 30,
+  };
+
+  const Stats = {
+    parent: null,
+    interval: null,
+    sampling: false,
+    entries: new Map(),
+  };
+
+  /**
+   * Setup the Stats module and start sampling when enabled
+   * @param {object} parent - Webrtc object
+   */
+  Stats.setup = (parent) => {
+    Stats.parent = parent;
+    Stats.stop();
+    Stats.entries = new Map();
+
+    if (Stats.getConfigs().enable) {
+      Stats.start();
+    }
+  };
+
+  /**
+   * Stats configuration merged with the defaults
+   * @returns {object}
+   * @private
+   */
+  Stats.getConfigs = () => {
+    return { ...DEFAULT_STATS, ...(Stats.parent?.configs.stats || {}) };
+  };
+
+  /**
+   * Start periodic sampling
+   */
+  Stats.start = () => {
+    Stats.stop();
+    Stats.interval = setInterval(Stats.sample, Stats.getConfigs().interval);
+  };
+
+  /**
+   * Stop periodic sampling
+   */
+  Stats.stop = () => {
+    clearInterval(Stats.interval);
+    Stats.interval = null;
+  };
+
+  /**
+   * Stop sampling and forget collected history
+   */
+  Stats.destroy = () => {
+    Stats.stop();
+    Stats.entries = new Map();
+  };
+
+  /**
+   * Collect the peer connections to sample, keyed by type and peerJsId
+   * @returns {Array<{key: string, type: string, peerJsId: string, peerConnection: RTCPeerConnection}>}
+   * @private
+   */
+  Stats.getTargets = () => {
+    const targets = [];
+    const connections = Stats.parent.People.getConnections() || [];
+
+    connections.forEach(connection => {
+      const peerConnection = connection.mediaConnection?.peerConnection;
+
+      if (peerConnection) {
+        targets.push({ key: `media:${connection.peerJsId}`, type: 'media', peerJsId: connection.peerJsId, peerConnection });
+      }
+    });
+
+    (Stats.parent.Media.screenShare?.mediaConnections || []).forEach(mediaConnection => {
+      if (mediaConnection.peerConnection) {
+        targets.push({
+          key: `share:${mediaConnection.peer}`,
+          type: 'share',
+          peerJsId: mediaConnection.peer,
+          peerConnection: mediaConnection.peerConnection,
+        });
+      }
+    });
+
+    return targets;
+  };
+
+  /**
+   * Sample every connection once and emit onConnectionQuality for each of them
+   * @returns {Promise<void>}
+   */
+  Stats.sample = async () => {
+    if (Stats.sampling || !Stats.parent?.People.getConnections()) return;
+
+    Stats.sampling = true;
+
+    try {
+      const targets = Stats.getTargets();
+      const keys = targets.map(target => target.key);
+
+      await Promise.all(targets.map(async (target) => {
+        try {
+          const report = await target.peerConnection.getStats();
+          Stats.store(target, Stats.parseReport(report));
+        } catch (error) {
+          if (Stats.parent.configs.debug) {
+            console.warn(`Failed to read stats for ${target.key}:`, error);
+          }
+        }
+      }));
+
+      Stats.sampleRecord();
+
+      // forget connections which are gone
+      [...Stats.entries.keys()].forEach(key => {
+        if (!key.startsWith('record:') && !keys.includes(key)) {
+          Stats.entries.delete(key);
+        }
+      });
+    } finally {
+      Stats.sampling = false;
+    }
+  };
+
+  /**
+   * Sample the local recording path, which has no peer connection, from its recorded bytes
+   * @private
+   */
+  Stats.sampleRecord = () => {
+    const record = Stats.parent.Media.screenRecord;
+
+    if (!record?.isRecording) {
+      Stats.entries.delete('record:local');
+      return;
+    }
+
+    const bytes = record.recordedChunks.reduce((total, chunk) => total + chunk.size, 0);
+
+    Stats.store({ key: 'record:local', type: 'record', peerJsId: Stats.parent.peerJsId }, {
+      timestamp: Date.now(),
+      bytesSent: bytes,
+      bytesReceived: 0,
+      packetsReceived: 0,
+      packetsLost: 0,
+    });
+  };
+
+  /**
+   * Reduce an RTCStatsReport to the raw counters used for derived metrics
+   * @param {RTCStatsReport} report
+   * @returns {object}
+   * @private
+   */
+  Stats.parseReport = (report) => {
+    const raw = {
+      timestamp: Date.now(),
+      bytesSent: 0,
+      bytesReceived: 0,
+      packetsReceived: 0,
+      packetsLost: 0,
+      jitter: null,
+      rtt: null,
+      frameRate: null,
+      frameWidth: null,
+      frameHeight: null,
+      availableOutgoingBitrate: null,
+      outgoingPacketLoss: null,
+    };
+
+    report.forEach(item => {
+      if (item.type === 'inbound-rtp') {
+        raw.bytesReceived += item.bytesReceived || 0;
+        raw.packetsReceived += item.packetsReceived || 0;
+        raw.packetsLost += item.packetsLost || 0;
+
+        if (item.jitter !== undefined) {
+          raw.jitter = Math.max(raw.jitter || 0, item.jitter);
+        }
+
+        if (item.kind === 'video') {
+          raw.frameRate = item.framesPerSecond ?? raw.frameRate;
+          raw.frameWidth = item.frameWidth ?? raw.frameWidth;
+          raw.frameHeight = item.frameHeight ?? raw.frameHeight;
+        }
+      } else if (item.type === 'outbound-rtp') {
+        raw.bytesSent += item.bytesSent || 0;
+
+        if (item.kind === 'video' && raw.frameRate === null) {
+          raw.frameRate = item.framesPerSecond ?? null;
+        }
+      } else if (item.type === 'remote-inbound-rtp') {
+        if (item.roundTripTime !== undefined && raw.rtt === null) {
+          raw.rtt = item.roundTripTime;
+        }
+
+        if (item.fractionLost !== undefined) {
+          raw.outgoingPacketLoss = Math.max(raw.outgoingPacketLoss || 0, item.fractionLost * 100);
+        }
+      } else if (item.type === 'candidate-pair' && item.nominated && item.state === 'succeeded') {
+        raw.rtt = item.currentRoundTripTime ?? raw.rtt;
+        raw.availableOutgoingBitrate = item.availableOutgoingBitrate ?? null;
+      }
+    });
+
+    return raw;
+  };
+
+  /**
+   * Compute derived metrics against the previous sample, store them and emit onConnectionQuality
+   * @param {object} target - Sampled target
+   * @param {object} raw - Raw counters
+   * @private
+   */
+  Stats.store = (target, raw) => {
+    const entry = Stats.entries.get(target.key) || { type: target.type, peerJsId: target.peerJsId, last: null, history: [] };
+    const last = entry.last;
+    const seconds = last ? (raw.timestamp - last.timestamp) / 1000 : 0;
+
+    const rate = (current, previous) => {
+      return seconds > 0 ? Math.max(0, (current - previous) * 8 / seconds) : 0;
+    };
+
+    const receivedDelta = last ? raw.packetsReceived - last.packetsReceived : 0;
+    const lostDelta = last ? raw.packetsLost - last.packetsLost : 0;
+    const packetLoss = receivedDelta + lostDelta > 0 ? Math.max(0, lostDelta) / (receivedDelta + lostDelta) * 100 : 0;
+
+    const metrics = {
+      timestamp: raw.timestamp,
+      bitrateIn: last ? rate(raw.bytesReceived, last.bytesReceived) : 0,
+      bitrateOut: last ? rate(raw.bytesSent, last.bytesSent) : 0,
+      packetLoss,
+      outgoingPacketLoss: raw.outgoingPacketLoss,
+      jitter: raw.jitter,
+      rtt: raw.rtt,
+      frameRate: raw.frameRate,
+      frameWidth: raw.frameWidth,
+      frameHeight: raw.frameHeight,
+      availableOutgoingBitrate: raw.availableOutgoingBitrate,
+    };
+
+    metrics.score = Stats.score(metrics);
+
+    entry.last = raw;
+    entry.history.push(metrics);
+
+    if (entry.history.length > Stats.getConfigs().history) {
+      entry.history.shift();
+    }
+
+    Stats.entries.set(target.key, entry);
+
+    Stats.parent.emit('onConnectionQuality', {
+      detail: {
+        peerJsId: target.peerJsId,
+        type: target.type,
+        metrics,
+        score: metrics.score,
+      }
+    });
+  };
+
+  /**
+   * Rate a sample from 0 (unusable) to 5 (excellent) using packet loss, round trip time and jitter
+   * @param {object} metrics - Derived metrics
+   * @returns {number}
+   */
+  Stats.score = (metrics) => {
+    const lossPenalty = [1, 3, 8, 15].filter(limit => metrics.packetLoss >= limit).length;
+    const rttPenalty = metrics.rtt === null ? 0 : [0.15, 0.3, 0.5].filter(limit => metrics.rtt >= limit).length;
+    const jitterPenalty = metrics.jitter === null ? 0 : [0.03, 0.1].filter(limit => metrics.jitter >= limit).length;
+
+    return Math.max(0, 5 - lossPenalty - rttPenalty - jitterPenalty);
+  };
+
+  /**
+   * Rolling history of a connection
+   * @param {string} peerJsId - Remote peer id
+   * @param {string} [type='media'] - media, share or record
+   * @returns {Array<object>}
+   */
+  Stats.getHistory = (peerJsId, type = 'media') => {
+    const key = type === 'record' ? 'record:local' : `${type}:${peerJsId}`;
+    return [...(Stats.entries.get(key)?.history || [])];
+  };
+
+  /**
+   * Latest metrics of a connection
+   * @param {string} peerJsId - Remote peer id
+   * @param {string} [type='media'] - media, share or record
+   * @returns {object|null}
+   */
+  Stats.getLatest = (peerJsId, type = 'media') => {
+    const history = Stats.getHistory(peerJsId, type);
+    return history[history.length - 1] || null;
+  };
+
+  /**
+   * Export collected history for diagnostics
+   * @returns {object} JSON serializable diagnostics report
+   */
+  Stats.export = () => {
+    return {
+      createdAt: new Date().toISOString(),
+      peerJsId: Stats.parent?.peerJsId || null,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      connections: [...Stats.entries.values()].map(entry => ({
+        type: entry.type,
+        peerJsId: entry.peerJsId,
+        history: [...entry.history],
+      })),
+    };
+  };
+
+  return Stats;
+};
@@ -0,0 +1,715 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import SfuPeer from '../src/SfuPeer.js';
+import VideoPeer from '../src/PeerJs.js';
+import createEventBus from '../src/modules/EventBus.js';
+import createEvents from '../src/modules/Events.js';
+import createPeople from '../src/modules/People.js';
+import createShareScreen from '../src/modules/ShareScreen.js';
+import createSimulcast from '../src/modules/Simulcast.js';
+
+let streamCount = 0;
+
+class FakeStream
+{
+  constructor(kinds = ['audio', 'video']) {
+    this.id = `stream-${++streamCount}`;
+    this.tracks = kinds.map(kind => Object.assign(new EventTarget(), { kind, stop: vi.fn() }));
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+}
+
+/**
+ * RTCPeerConnection stand-in, offers carry the sent streams in place of real media sections
+ */
+class FakePeerConnection extends EventTarget
+{
+  constructor(config) {
+    super();
+    this.config = config;
+    this.senders = [];
+    this.seen = new Set();
+    this.candidates = [];
+    this.offerOptions = [];
+    this.connectionState = 'new';
+    this.signalingState = 'stable';
+    this.onicecandidate = null;
+    this.ontrack = null;
+  }
+
+  addTransceiver(track, init) {
+    const sender = { track, init };
+
+    this.senders.push(sender);
+
+    return { sender };
+  }
+
+  removeTrack(sender) {
+    this.senders = this.senders.filter(item => item !== sender);
+  }
+
+  getSenders() {
+    return this.senders;
+  }
+
+  async createOffer(options = {}) {
+    this.offerOptions.push(options);
+
+    return { type: 'offer', sdp: 'offer', mediaStreams: [...new Set(this.senders.map(item => item.init.streams[0]))] };
+  }
+
+  async createAnswer() {
+    return { type: 'answer', sdp: 'answer' };
+  }
+
+  async setLocalDescription(description) {
+    this.localDescription = description;
+    setTimeout(() => this.onicecandidate?.({ candidate: { candidate: 'candidate:1' } }));
+  }
+
+  async setRemoteDescription(description) {
+    this.remoteDescription = description;
+
+    (description.mediaStreams || []).forEach(stream => {
+      if (this.seen.has(stream.id)) return;
+
+      this.seen.add(stream.id);
+      // like browsers, one track event per track of the stream
+      stream.getTracks().forEach(track => this.ontrack?.({ track, streams: [stream] }));
+    });
+  }
+
+  async addIceCandidate(candidate) {
+    this.candidates.push(candidate);
+  }
+
+  close() {
+    this.connectionState = 'closed';
+  }
+}
+
+/**
+ * Local stand-in SFU speaking the sfu:* protocol over per client socket objects.
+ * Every publication is forwarded to every other participant.
+ */
+class StandInSfu
+{
+  constructor({ rejectJoin = false } = {}) {
+    this.rejectJoin = rejectJoin;
+    this.clients = new Map();
+    this.log = [];
+    this.count = 0;
+  }
+
+  connect() {
+    const client = { id: null, handlers: {}, published: new Map(), connected: true };
+
+    client.deliver = (event, payload) => {
+      setTimeout(() => (client.handlers[event] || []).forEach(handler => handler(payload)));
+    };
+
+    client.socket = {
+      isConnected: () => client.connected,
+      listen: (event, handler) => {
+        (client.handlers[event] = client.handlers[event] || []).push(handler);
+      },
+      unlisten: (event, handler) => {
+        client.handlers[event] = (client.handlers[event] || []).filter(item => item !== handler);
+      },
+      emit: (event, payload, ack) => {
+        this.log.push({ from: client.id, event, payload });
+        setTimeout(() => this.receive(client, event, payload, ack));
+      },
+    };
+
+    return client.socket;
+  }
+
+  receive(client, event, payload, ack) {
+    switch (event) {
+      case 'sfu:join':
+        if (this.rejectJoin) {
+          ack({ error: 'room is full' });
+          return;
+        }
+
+        client.id = `sfu-peer-${++this.count}`;
+        this.clients.set(client.id, client);
+        ack({ peerJsId: client.id });
+        break;
+      case 'sfu:publish':
+        client.published = new Map(payload.sdp.mediaStreams
+          .filter(stream => payload.streams[stream.id])
+          .map(stream => [stream.id, { stream, owner: payload.streams[stream.id] }]));
+
+        ack({ sdp: { type: 'answer', sdp: 'answer' } });
+
+        this.clients.forEach(other => {
+          if (other !== client) this.offer(other);
+        });
+        break;
+      case 'sfu:unpublish':
+        client.published.delete(payload.streamId);
+
+        this.clients.forEach(other => {
+          if (other !== client) this.offer(other);
+        });
+        break;
+      case 'sfu:subscribe':
+      case 'sfu:restart':
+        this.offer(client);
+        break;
+      case 'sfu:data':
+        this.clients.get(payload.to)?.deliver('sfu:data', { from: client.id, data: payload.data });
+        break;
+      case 'sfu:leave':
+        this.clients.delete(client.id);
+        this.clients.forEach(other => this.offer(other));
+        break;
+    }
+  }
+
+  offer(client) {
+    const items = [...this.clients.values()]
+      .filter(other => other !== client)
+      .flatMap(other => [...other.published.values()]);
+
+    client.deliver('sfu:subscribe-offer', {
+      sdp: { type: 'offer', sdp: 'offer', mediaStreams: items.map(item => item.stream) },
+      streams: Object.fromEntries(items.map(item => [item.stream.id, item.owner])),
+    });
+  }
+}
+
+/**
+ * Local stand-in of the PeerJS server, peers reach each other through this registry
+ */
+const meshNetwork = vi.hoisted(() => new Map());
+
+vi.mock('peerjs', () => {
+  class Connection
+  {
+    constructor(owner, peer, type, metadata) {
+      this.handlers = {};
+      this.owner = owner;
+      this.peer = peer;
+      this.type = type;
+      this.metadata = metadata;
+      this.open = type === 'media';
+      this.remote = null;
+      this.localStream = null;
+      this.peerConnection = type === 'media' ? new RTCPeerConnection() : null;
+    }
+
+    on(event, handler) {
+      (this.handlers[event] = this.handlers[event] || []).push(handler);
+      return this;
+    }
+
+    once(event, handler) {
+      const wrapper = (...args) => {
+        this.off(event, wrapper);
+        handler(...args);
+      };
+
+      return this.on(event, wrapper);
+    }
+
+    off(event, handler) {
+      this.handlers[event] = (this.handlers[event] || []).filter(item => item !== handler);
+      return this;
+    }
+
+    emit(event, ...args) {
+      [...(this.handlers[event] || [])].forEach(handler => handler(...args));
+    }
+
+    answer(stream) {
+      this.localStream = stream || null;
+
+      setTimeout(() => {
+        if (stream) this.remote.emit('stream', stream);
+        if (this.remote.localStream) this.emit('stream', this.remote.localStream);
+      });
+    }
+
+    send(data) {
+      setTimeout(() => this.remote?.open && this.remote.emit('data', { ...data }));
+    }
+
+    close() {
+      if (this.closed) return;
+
+      this.closed = true;
+      this.open = false;
+      this.emit('close');
+      this.remote?.close();
+    }
+  }
+
+  let count = 0;
+
+  class Peer extends Connection
+  {
+    constructor(id, options) {
+      super(null, null, 'peer');
+      this.id = `mesh-peer-${++count}`;
+      this.options = options;
+      this.destroyed = false;
+      this.connections = [];
+      this.socket = {
+        on: (event, handler) => {
+          if (event === 'message') setTimeout(() => handler({ type: 'welcome' }));
+        },
+      };
+
+      meshNetwork.set(this.id, this);
+      setTimeout(() => this.emit('open', this.id));
+    }
+
+    pair(peerJsId, type, metadata) {
+      const remote = meshNetwork.get(peerJsId);
+      const local = new Connection(this, peerJsId, type, metadata);
+      const other = new Connection(remote, this.id, type, metadata);
+
+      local.remote = other;
+      other.remote = local;
+      this.connections.push(local);
+      remote.connections.push(other);
+
+      return { local, other, remote };
+    }
+
+    call(peerJsId, stream, options = {}) {
+      const { local, other, remote } = this.pair(peerJsId, 'media', options.metadata);
+
+      local.localStream = stream;
+      setTimeout(() => remote.emit('call', other));
+
+      return local;
+    }
+
+    connect(peerJsId) {
+      const { local, other, remote } = this.pair(peerJsId, 'data');
+
+      setTimeout(() => {
+        remote.emit('connection', other);
+        local.open = other.open = true;
+        local.emit('open');
+        other.emit('open');
+      });
+
+      return local;
+    }
+
+    destroy() {
+      this.destroyed = true;
+      meshNetwork.delete(this.id);
+      this.connections.forEach(connection => connection.close());
+    }
+  }
+
+  return { default: Peer };
+});
+
+/**
+ * Participant built from the real People, ShareScreen and event modules on top of a transport
+ */
+const createClient = async (Transport, sfu, users, name, configs = {}) => {
+  const parent = {
+    configs,
+    peerJsId: null,
+    socket: sfu.connect(),
+    userSettings: { camDisable: false, micDisable: true, share: false, shareMedia: null },
+    helpers: { iceServer: { getRtcConfig: () => ({ iceServers: [] }) } },
+    Room: { information: { users } },
+    Media: {
+      userMedia: new FakeStream(),
+      streamVideo: vi.fn(),
+      streamAudio: vi.fn(),
+      resetConnectionsStream: vi.fn(),
+      setConnectionMediaStatus: vi.fn(),
+    },
+    EventBus: createEventBus(),
+    Events: createEvents(),
+    People: createPeople(),
+    Simulcast: createSimulcast(),
+    on(type, event, method) {
+      return typeof event === 'function' ? this.EventBus.on(type, event) : this.Events.addEventHandler(type, event, method);
+    },
+    emit(type, data = {}) {
+      this.EventBus.emit(type, data.detail ? data : { detail: data });
+    },
+  };
+
+  parent.EventBus.setup(parent);
+  parent.Events.setup(parent);
+  parent.People.setup(parent);
+  parent.Simulcast.setup(parent);
+  parent.ShareScreen = parent.Media.screenShare = createShareScreen().initial(parent);
+
+  parent.peerJs = await new Transport(parent, 'token');
+  parent.peerJsId = parent.peerJs.getId();
+  parent.emit('onPeerJsReady');
+
+  users.push({ peerJsId: parent.peerJsId, name });
+
+  return parent;
+};
+
+const connectionOf = (client, peerJsId) => client.People.findOne('peerJsId', peerJsId);
+
+const connect = async (caller, callee) => {
+  const user = callee.Room.information.users.find(item => item.peerJsId === callee.peerJsId);
+
+  await caller.peerJs.establishConnectionWithUser({ ...user, roomCreator: false });
+  caller.emit('onUserConnected', { peerJsId: callee.peerJsId });
+};
+
+beforeEach(() => {
+  vi.stubGlobal('RTCPeerConnection', FakePeerConnection);
+  vi.stubGlobal('window', new EventTarget());
+  vi.stubGlobal('navigator', {
+    mediaDevices: { getDisplayMedia: async () => new FakeStream(['video']) },
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  meshNetwork.clear();
+});
+
+describe.each([
+  ['mesh', VideoPeer],
+  ['sfu', SfuPeer],
+])('People and ShareScreen over the %s transport', (transport, Transport) => {
+  let sfu;
+  let users;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    sfu = new StandInSfu();
+    users = [];
+    bob = await createClient(Transport, sfu, users, 'Bob');
+    alice = await createClient(Transport, sfu, users, 'Alice');
+  });
+
+  afterEach(() => {
+    alice.peerJs.destroy();
+    bob.peerJs.destroy();
+  });
+
+  it('connects both participants with media and data', async () => {
+    await connect(alice, bob);
+
+    await vi.waitFor(() => {
+      expect(connectionOf(alice, bob.peerJsId)).toMatchObject({ name: 'Bob', active: true, stream: bob.Media.userMedia });
+      expect(connectionOf(bob, alice.peerJsId)).toMatchObject({ name: 'Alice', active: true, stream: alice.Media.userMedia });
+    });
+
+    expect(alice.Media.streamVideo).toHaveBeenCalledWith(bob.peerJsId, bob.Media.userMedia);
+    expect(bob.Media.streamAudio).toHaveBeenCalledWith(alice.peerJsId, alice.Media.userMedia);
+
+    await vi.waitFor(() => {
+      expect(bob.Media.setConnectionMediaStatus).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'muteMedia', peerJsId: alice.peerJsId, camMute: false, micMute: true,
+      }));
+      expect(alice.Media.setConnectionMediaStatus).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'muteMedia', peerJsId: bob.peerJsId,
+      }));
+    });
+  });
+
+  it('shares the screen with every participant and stops sharing', async () => {
+    await connect(alice, bob);
+    await vi.waitFor(() => expect(connectionOf(bob, alice.peerJsId)?.active).toBe(true));
+
+    const display = vi.fn();
+    bob.on('onScreenShareDisplay', event => display(event.detail.status));
+
+    const media = await alice.ShareScreen.startShareScreen();
+
+    await vi.waitFor(() => {
+      expect(connectionOf(bob, alice.peerJsId)).toMatchObject({ share: true, sharePeerJsId: alice.ShareScreen.getShareId() });
+      expect(bob.Media.streamVideo).toHaveBeenCalledWith(null, media, expect.objectContaining({ customReference: 'screen-sharing-video' }));
+      expect(display).toHaveBeenLastCalledWith(true);
+    });
+
+    await alice.ShareScreen.stopShareScreen();
+
+    await vi.waitFor(() => {
+      expect(connectionOf(bob, alice.peerJsId).share).toBe(false);
+      expect(display).toHaveBeenLastCalledWith(false);
+    });
+
+    expect(alice.ShareScreen.getShareId()).toBeNull();
+    expect(media.getTracks()[0].stop).toHaveBeenCalled();
+  });
+
+  it('shares an ongoing screen share with participants joining later', async () => {
+    await connect(alice, bob);
+    await vi.waitFor(() => expect(connectionOf(bob, alice.peerJsId)?.active).toBe(true));
+
+    await alice.ShareScreen.startShareScreen();
+    const carol = await createClient(Transport, sfu, users, 'Carol');
+
+    await connect(alice, carol);
+
+    await vi.waitFor(() => {
+      expect(connectionOf(carol, alice.peerJsId)).toMatchObject({ name: 'Alice', share: true });
+      expect(carol.Media.streamVideo).toHaveBeenCalledWith(null, alice.userSettings.shareMedia, expect.anything());
+    });
+
+    carol.peerJs.destroy();
+  });
+
+  it('drops the participant on both sides when one leaves', async () => {
+    await connect(alice, bob);
+    await vi.waitFor(() => expect(connectionOf(bob, alice.peerJsId)?.active).toBe(true));
+
+    const { mediaConnection, dataConnection } = connectionOf(bob, alice.peerJsId);
+
+    // the room server announces user-left-room to the others, the leaving side closes everything
+    bob.People.remove(alice.peerJsId);
+    alice.People.closeAll();
+    alice.peerJs.disconnect();
+
+    expect(bob.People.getConnections()).toEqual([]);
+    expect(alice.People.getConnections()).toEqual([]);
+    expect(mediaConnection.open).toBe(false);
+    expect(dataConnection.open).toBe(false);
+  });
+});
+
+describe('SfuPeer', () => {
+  let sfu;
+  let users;
+
+  beforeEach(() => {
+    sfu = new StandInSfu();
+    users = [];
+  });
+
+  it('joins with the id assigned by the SFU', async () => {
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice');
+
+    expect(alice.peerJsId).toBe('sfu-peer-1');
+    expect(alice.peerJs.videoPeer).toBe(alice.peerJs);
+
+    alice.peerJs.destroy();
+  });
+
+  it('rejects when the SFU refuses the join or the socket is closed', async () => {
+    await expect(createClient(SfuPeer, new StandInSfu({ rejectJoin: true }), users, 'Alice')).rejects.toThrow('room is full');
+
+    const socket = sfu.connect();
+    socket.isConnected = () => false;
+
+    await expect(new SfuPeer({ socket, helpers: { iceServer: { getRtcConfig: () => null } } }, 'token'))
+      .rejects.toThrow('SFU transport requires an open socket connection');
+  });
+
+  it('unregisters its socket handlers when the join is rejected or times out', async () => {
+    const createParent = (socket) => ({
+      socket,
+      configs: {},
+      helpers: { iceServer: { getRtcConfig: () => null } },
+      Media: { setConnectionMediaStatus: vi.fn() },
+      on: vi.fn(),
+      emit: vi.fn(),
+    });
+    const trackHandlers = (socket) => {
+      const handlers = new Set();
+      const { listen, unlisten } = socket;
+
+      socket.listen = (event, handler) => handlers.add(handler) && listen(event, handler);
+      socket.unlisten = (event, handler) => handlers.delete(handler) && unlisten(event, handler);
+
+      return handlers;
+    };
+
+    const rejected = new StandInSfu({ rejectJoin: true }).connect();
+    const rejectedHandlers = trackHandlers(rejected);
+
+    await expect(new SfuPeer(createParent(rejected), 'token')).rejects.toThrow('room is full');
+    expect(rejectedHandlers.size).toBe(0);
+
+    vi.useFakeTimers();
+
+    const silent = sfu.connect();
+    const silentHandlers = trackHandlers(silent);
+    const parent = createParent(silent);
+
+    silent.emit = vi.fn();
+
+    const peer = new SfuPeer(parent, 'token');
+    const result = expect(peer).rejects.toThrow('SFU connection timeout');
+
+    expect(silentHandlers.size).toBe(4);
+    await vi.advanceTimersByTimeAsync(10000);
+    await result;
+
+    expect(silentHandlers.size).toBe(0);
+    expect(parent.emit).toHaveBeenCalledWith('onPeerJsConnectionFailed', expect.anything());
+
+    vi.useRealTimers();
+  });
+
+  it('shares one upstream instead of exposing a peer connection per participant', async () => {
+    const bob = await createClient(SfuPeer, sfu, users, 'Bob');
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice');
+
+    await connect(alice, bob);
+    await vi.waitFor(() => expect(connectionOf(bob, alice.peerJsId)?.active).toBe(true));
+
+    const media = await alice.ShareScreen.startShareScreen();
+    await vi.waitFor(() => expect(sfu.clients.get(alice.peerJsId).published.has(media.id)).toBe(true));
+
+    expect(connectionOf(alice, bob.peerJsId).mediaConnection.peerConnection).toBeNull();
+    expect(connectionOf(bob, alice.peerJsId).mediaConnection.peerConnection).toBeNull();
+    expect(alice.People.health.watchers.size).toBe(0);
+    expect(alice.peerJs.getSenders().map(sender => sender.track))
+      .toEqual(alice.Media.userMedia.getTracks());
+
+    [alice, bob].forEach(client => client.peerJs.destroy());
+  });
+
+  it('restarts ICE when one of its connections fails', async () => {
+    const bob = await createClient(SfuPeer, sfu, users, 'Bob');
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice');
+
+    await connect(alice, bob);
+
+    const publisher = alice.peerJs.publisher;
+
+    publisher.connectionState = 'failed';
+    publisher.dispatchEvent(new Event('connectionstatechange'));
+
+    await vi.waitFor(() => expect(publisher.offerOptions.at(-1)).toEqual({ iceRestart: true }));
+    expect(sfu.log).toContainEqual({ from: alice.peerJsId, event: 'sfu:restart', payload: { target: 'subscribe' } });
+
+    [alice, bob].forEach(client => client.peerJs.destroy());
+  });
+
+  it('publishes local media once for every participant', async () => {
+    const bob = await createClient(SfuPeer, sfu, users, 'Bob');
+    const carol = await createClient(SfuPeer, sfu, users, 'Carol');
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice');
+
+    await connect(alice, bob);
+    await connect(alice, carol);
+
+    await vi.waitFor(() => {
+      expect(connectionOf(bob, alice.peerJsId)?.active).toBe(true);
+      expect(connectionOf(carol, alice.peerJsId)?.active).toBe(true);
+    });
+
+    const publishes = sfu.log.filter(item => item.from === alice.peerJsId && item.event === 'sfu:publish');
+
+    expect(publishes).toHaveLength(1);
+    expect(Object.values(publishes[0].payload.streams)).toEqual([{ peerJsId: alice.peerJsId, type: 'media' }]);
+    expect(alice.peerJs.publisher.getSenders()).toHaveLength(2);
+    expect(sfu.log.filter(item => item.from === alice.peerJsId && item.event === 'sfu:subscribe').map(item => item.payload))
+      .toEqual([{ peerJsId: bob.peerJsId }, { peerJsId: carol.peerJsId }]);
+
+    [alice, bob, carol].forEach(client => client.peerJs.destroy());
+  });
+
+  it('adds simulcast encodings to the published video track when enabled', async () => {
+    const bob = await createClient(SfuPeer, sfu, users, 'Bob');
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice', { simulcast: { enable: true } });
+
+    await connect(alice, bob);
+
+    const [audio, video] = alice.peerJs.publisher.getSenders();
+
+    expect(audio.init.sendEncodings).toBeUndefined();
+    expect(video.init.sendEncodings.map(item => item.rid)).toEqual(['l', 'm', 'h']);
+
+    alice.Simulcast.requestLayer(bob.peerJsId, 'low');
+    await vi.waitFor(() => expect(sfu.log).toContainEqual({ from: alice.peerJsId, event: 'sfu:layer', payload: { peerJsId: bob.peerJsId, rid: 'l' } }));
+
+    [alice, bob].forEach(client => client.peerJs.destroy());
+  });
+
+  it('forwards ICE candidates and restarts ICE of both connections', async () => {
+    const bob = await createClient(SfuPeer, sfu, users, 'Bob');
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice');
+
+    await connect(alice, bob);
+    await vi.waitFor(() => expect(sfu.log).toContainEqual(expect.objectContaining({
+      from: alice.peerJsId, event: 'sfu:candidate', payload: { target: 'publish', candidate: { candidate: 'candidate:1' } },
+    })));
+
+    await vi.waitFor(() => expect(alice.peerJs.subscriber).toBeTruthy());
+    expect(alice.peerJs.getPeerConnections()).toEqual([alice.peerJs.publisher, alice.peerJs.subscriber]);
+
+    await alice.peerJs.restartIce();
+
+    expect(sfu.log).toContainEqual({ from: alice.peerJsId, event: 'sfu:restart', payload: { target: 'subscribe' } });
+    expect(alice.peerJs.publisher.offerOptions.at(-1)).toEqual({ iceRestart: true });
+
+    [alice, bob].forEach(client => client.peerJs.destroy());
+  });
+
+  it('offers a screen share with audio to the call handlers once and forgets it when it ends', async () => {
+    navigator.mediaDevices.getDisplayMedia = async () => new FakeStream(['audio', 'video']);
+
+    const bob = await createClient(SfuPeer, sfu, users, 'Bob');
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice');
+    const calls = vi.fn();
+
+    bob.peerJs.listen('call', calls);
+
+    await connect(alice, bob);
+    await vi.waitFor(() => expect(connectionOf(bob, alice.peerJsId)?.active).toBe(true));
+
+    const media = await alice.ShareScreen.startShareScreen();
+
+    await vi.waitFor(() => expect(connectionOf(bob, alice.peerJsId).share).toBe(true));
+    await vi.waitFor(() => expect(bob.peerJs.subscriber.seen.has(media.id)).toBe(true));
+
+    expect(calls).toHaveBeenCalledTimes(1);
+    expect(bob.peerJs.shares.size).toBe(1);
+
+    const [mediaConnection] = calls.mock.calls[0];
+
+    await alice.ShareScreen.stopShareScreen();
+
+    await vi.waitFor(() => expect(bob.peerJs.shares.size).toBe(0));
+    expect(mediaConnection.open).toBe(false);
+
+    [alice, bob].forEach(client => client.peerJs.destroy());
+  });
+
+  it('stops publishing a screen share and leaves the SFU', async () => {
+    const bob = await createClient(SfuPeer, sfu, users, 'Bob');
+    const alice = await createClient(SfuPeer, sfu, users, 'Alice');
+
+    await connect(alice, bob);
+
+    const media = await alice.ShareScreen.startShareScreen();
+    await vi.waitFor(() => expect(sfu.clients.get(alice.peerJsId).published.has(media.id)).toBe(true));
+
+    await alice.ShareScreen.stopShareScreen();
+    await vi.waitFor(() => expect(sfu.clients.get(alice.peerJsId).published.has(media.id)).toBe(false));
+
+    const publisher = alice.peerJs.publisher;
+
+    alice.peerJs.disconnect();
+
+    await vi.waitFor(() => expect(sfu.clients.has(alice.peerJsId)).toBe(false));
+    expect(publisher.connectionState).toBe('closed');
+    expect(alice.peerJs.connections.size).toBe(0);
+
+    bob.peerJs.destroy();
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createFaceApiAction from '../../src/actions/faceApiAction.js';
+import createFaceOverlayHelper from '../../src/helpers/faceApiAction.js';
+import createEventBus from '../../src/modules/EventBus.js';
+
+const BUCKET = 'https://room-bucket.s3.amazonaws.com';
+
+const createApi = (packs = {}, debug = false) => {
+  const get = vi.fn(async (url) => ({ data: packs[url] }));
+  const configs = {
+    debug,
+    aws: { bucket_name: 'room-bucket' },
+    face_overlays: { allowed_origins: ['https://cdn.example.com'] },
+  };
+
+  const helper = createFaceOverlayHelper({
+    configs,
+    axios: { getInstance: () => ({ get }) },
+    media: { registerFaceDetectorCallback: () => ({ enable: false }) },
+    core: {
+      EventBus: createEventBus(),
+      Assets: {
+        loadUrl: async () => 'blob:overlay',
+        revoke: () => {},
+        getIntegrity: () => null,
+        resolve: url => url,
+      },
+    },
+  });
+
+  return {
+    get,
+    helper,
+    api: {
+      core: { configs, helpers: { faceApiAction: helper } },
+      emit: vi.fn(),
+    },
+  };
+};
+
+const run = (api, attributes) => createFaceApiAction().run(api, { name: 'faceApi', moderator: false, users: [], attributes });
+
+beforeEach(() => {
+  vi.stubGlobal('Image', class {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('faceApi action', () => {
+  it('registers overlays hosted on an allowed origin', async () => {
+    const { api, helper } = createApi();
+    const overlay = { name: 'crown', src: 'https://cdn.example.com/crown.png' };
+
+    await run(api, { overlay, status: true });
+
+    expect(helper.overlays.crown.src).toBe(overlay.src);
+    expect(api.emit).toHaveBeenCalledWith('onFaceDetectDraw', { detail: { overlay, status: true } });
+  });
+
+  it('refuses overlays from other origins quietly', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { api, helper } = createApi();
+
+    await run(api, { overlay: { name: 'tracker', src: 'https://attacker.example/pixel.png' }, status: true });
+
+    expect(helper.overlays.tracker).toBeUndefined();
+    expect(api.emit).not.toHaveBeenCalled();
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  it('logs refused overlays in debug mode', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { api } = createApi({}, true);
+
+    await run(api, { overlay: { name: 'tracker', src: 'https://attacker.example/pixel.png' }, status: true });
+
+    expect(error).toHaveBeenCalledWith('Face overlay action failed:', expect.objectContaining({
+      message: 'Overlay origin is not allowed: https://attacker.example/pixel.png',
+    }));
+  });
+
+  it('does not fetch packs from other origins', async () => {
+    const { api, get } = createApi();
+
+    await run(api, { pack: 'https://attacker.example/overlays.json' });
+
+    expect(get).not.toHaveBeenCalled();
+    expect(api.emit).not.toHaveBeenCalled();
+  });
+
+  it('loads packs from the room bucket and skips overlays hosted elsewhere', async () => {
+    const pack = `${BUCKET}/room-1/overlay-pack.json`;
+    const { api, helper } = createApi({
+      [pack]: {
+        name: 'Party',
+        overlays: [
+          { name: 'balloon', src: 'balloon.png' },
+          { name: 'confetti', src: 'https://cdn.example.com/confetti.png' },
+          { name: 'tracker', src: 'https://attacker.example/pixel.png' },
+        ],
+      },
+    });
+
+    await run(api, { pack, type: 'balloon', status: true });
+
+    expect(helper.overlays.balloon.src).toBe(`${BUCKET}/room-1/balloon.png`);
+    expect(helper.overlays.confetti).toBeDefined();
+    expect(helper.overlays.tracker).toBeUndefined();
+    expect(helper.packs).toEqual([{ name: 'Party', url: pack, overlays: ['balloon', 'confetti'] }]);
+    expect(api.emit).toHaveBeenCalled();
+  });
+
+  it('switches registered overlays by type', async () => {
+    const { api, helper } = createApi();
+    helper.initialCallbacks();
+
+    await run(api, { type: 'hat', status: true });
+
+    expect(helper.getOverlays().find(item => item.name === 'hat').enabled).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createFaceOverlayHelper from '../../src/helpers/faceApiAction.js';
+import createEventBus from '../../src/modules/EventBus.js';
+
+const createHelper = () => {
+  let count = 0;
+
+  const Assets = {
+    loadUrl: vi.fn(async () => `blob:overlay-${++count}`),
+    revoke: vi.fn(),
+    getIntegrity: () => null,
+    resolve: url => url,
+  };
+
+  const helper = createFaceOverlayHelper({
+    configs: { aws: { bucket_name: 'room-bucket' } },
+    media: { registerFaceDetectorCallback: () => ({ enable: false }) },
+    core: { EventBus: createEventBus(), Assets },
+  });
+
+  return { helper, Assets };
+};
+
+beforeEach(() => {
+  vi.stubGlobal('Image', class {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Face overlay images', () => {
+  it('keeps the object url of an overlay until it is unregistered', async () => {
+    const { helper, Assets } = createHelper();
+    const overlay = helper.register({ name: 'crown', src: 'https://cdn.example.com/crown.png' });
+
+    await vi.waitFor(() => expect(overlay.image?.src).toMatch(/^blob:/));
+    expect(Assets.revoke).not.toHaveBeenCalledWith(overlay.image.src);
+
+    helper.unregister('crown');
+
+    expect(Assets.revoke).toHaveBeenCalledWith(overlay.image.src);
+  });
+
+  it('releases the previous image when an overlay is registered again', async () => {
+    const { helper, Assets } = createHelper();
+    const first = helper.register({ name: 'crown', src: 'https://cdn.example.com/crown.png' });
+    await vi.waitFor(() => expect(first.image).not.toBeNull());
+
+    const second = helper.register({ name: 'crown', src: 'https://cdn.example.com/crown-gold.png' });
+    await vi.waitFor(() => expect(second.image).not.toBeNull());
+
+    expect(Assets.revoke).toHaveBeenCalledWith(first.image.src);
+    expect(Assets.revoke).not.toHaveBeenCalledWith(second.image.src);
+  });
+
+  it('releases images that finish loading after the overlay was removed', async () => {
+    const { helper, Assets } = createHelper();
+    const overlay = helper.register({ name: 'crown', src: 'https://cdn.example.com/crown.png' });
+
+    helper.unregister('crown');
+
+    const index = Assets.loadUrl.mock.calls.findIndex(([src]) => src === 'https://cdn.example.com/crown.png');
+    const objectUrl = await Assets.loadUrl.mock.results[index].value;
+
+    await vi.waitFor(() => expect(Assets.revoke).toHaveBeenCalledWith(objectUrl));
+    expect(overlay.image).toBeNull();
+  });
+});
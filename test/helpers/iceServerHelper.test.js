@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createIceServerHelper from '../../src/helpers/iceServerHelper.js';
+
+const TURN = { urls: 'turn:turn.example.com', username: 'user', credential: 'secret' };
+
+const createHelper = (configs = {}, request = vi.fn(async () => ({ iceServers: [TURN], ttl: 600 }))) => {
+  const peerConnection = { setConfiguration: vi.fn() };
+  const core = {
+    peerJs: { videoPeer: { options: {} } },
+    Media: { screenShare: { sharePeer: { options: {} } } },
+    People: { getConnections: () => [{ mediaConnection: { peerConnection }, dataConnection: {} }] },
+  };
+
+  const helper = createIceServerHelper({
+    configs: {
+      iceServers: [{ urls: 'stun:stun.example.com' }],
+      turn: { credentials_url: '/turn', refresh_before_expiry: 60000, retry_delay: 2000, max_retry_delay: 60000 },
+      ...configs,
+    },
+    authenticatedRequest: request,
+    core,
+  });
+
+  return { helper, request, core, peerConnection };
+};
+
+describe('IceServerHelper', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps the PeerJS defaults without configured servers', async () => {
+    const { helper, request } = createHelper({ iceServers: [], turn: {} });
+
+    expect(await helper.prepare()).toBeUndefined();
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  it('stays relay only without servers instead of falling back to the PeerJS defaults', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { helper } = createHelper({ iceServers: [], iceTransportPolicy: 'relay' }, vi.fn(async () => {
+      throw new Error('offline');
+    }));
+
+    expect(await helper.prepare()).toEqual({ iceServers: [], iceTransportPolicy: 'relay' });
+    expect(warn).toHaveBeenCalled();
+
+    helper.destroy();
+    warn.mockRestore();
+  });
+
+  it('combines configured servers with fetched TURN credentials and applies them to live peers', async () => {
+    const { helper, core, peerConnection } = createHelper({ iceTransportPolicy: 'relay' });
+    const config = { iceServers: [{ urls: 'stun:stun.example.com' }, TURN], iceTransportPolicy: 'relay' };
+
+    expect(await helper.prepare()).toEqual(config);
+    expect(core.peerJs.videoPeer.options.config).toEqual(config);
+    expect(core.Media.screenShare.sharePeer.options.config).toEqual(config);
+    expect(peerConnection.setConfiguration).toHaveBeenCalledWith(config);
+
+    helper.destroy();
+  });
+
+  it('applies refreshed credentials to transport and screen share connections outside People', async () => {
+    const { helper, core, request } = createHelper();
+    const publisher = { setConfiguration: vi.fn() };
+    const subscriber = { setConfiguration: vi.fn() };
+    const outgoingShare = { setConfiguration: vi.fn() };
+    const incomingShare = { setConfiguration: vi.fn() };
+
+    core.peerJs.getPeerConnections = () => [publisher, subscriber];
+    core.Media.screenShare.getPeerConnections = () => [outgoingShare];
+    core.People.getConnections = () => [{ shareMediaConnection: { peerConnection: incomingShare } }];
+
+    await helper.prepare();
+    request.mockResolvedValue({ iceServers: [{ ...TURN, credential: 'renewed' }], ttl: 600 });
+    await vi.advanceTimersByTimeAsync(540000);
+
+    const config = helper.getRtcConfig();
+
+    expect(config.iceServers).toContainEqual(expect.objectContaining({ credential: 'renewed' }));
+    [publisher, subscriber, outgoingShare, incomingShare].forEach(peerConnection => {
+      expect(peerConnection.setConfiguration).toHaveBeenLastCalledWith(config);
+    });
+
+    helper.destroy();
+  });
+
+  it('refreshes the credentials before they expire', async () => {
+    const { helper, request } = createHelper();
+
+    await helper.prepare();
+    await helper.prepare();
+    expect(request).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(540000 - 1);
+    expect(request).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(request).toHaveBeenCalledTimes(2);
+
+    helper.destroy();
+  });
+
+  it('refreshes short-lived credentials halfway through their lifetime', async () => {
+    const { helper, request } = createHelper({}, vi.fn(async () => ({ iceServers: [TURN], ttl: 30 })));
+
+    await helper.prepare();
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect(request).toHaveBeenCalledTimes(2);
+
+    helper.destroy();
+  });
+
+  it.each([
+    ['without ttl', { iceServers: [TURN] }],
+    ['with a zero ttl', { iceServers: [TURN], ttl: 0 }],
+  ])('never refreshes credentials %s', async (name, response) => {
+    const { helper, request } = createHelper({}, vi.fn(async () => response));
+
+    await helper.prepare();
+    await vi.advanceTimersByTimeAsync(3600000);
+    await helper.prepare();
+
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(helper.refreshTimer).toBeNull();
+
+    helper.destroy();
+  });
+
+  it('retries a failed refresh with backoff and keeps the previous credentials', async () => {
+    const request = vi.fn(async () => ({ iceServers: [TURN], ttl: 600 }));
+    const { helper } = createHelper({}, request);
+
+    await helper.prepare();
+
+    request.mockRejectedValue(new Error('offline'));
+    await vi.advanceTimersByTimeAsync(540000);
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(helper.getRtcConfig().iceServers).toContain(TURN);
+
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(request).toHaveBeenCalledTimes(3);
+
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(request).toHaveBeenCalledTimes(4);
+
+    request.mockResolvedValue({ iceServers: [TURN], ttl: 600 });
+    await vi.advanceTimersByTimeAsync(8000);
+    expect(request).toHaveBeenCalledTimes(5);
+    expect(helper.attempts).toBe(0);
+
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(request).toHaveBeenCalledTimes(5);
+
+    helper.destroy();
+  });
+
+  it('caps the retry delay', async () => {
+    const { helper, request } = createHelper({}, vi.fn(async () => { throw new Error('offline'); }));
+
+    helper.attempts = 10;
+    await helper.refresh();
+
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(request).toHaveBeenCalledTimes(2);
+
+    helper.destroy();
+  });
+
+  it('cancels pending refreshes on destroy', async () => {
+    const { helper, request } = createHelper({}, vi.fn(async () => { throw new Error('offline'); }));
+
+    await helper.prepare();
+    helper.destroy();
+
+    await vi.advanceTimersByTimeAsync(3600000);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const storage = vi.hoisted(() => {
+  const items = new Map();
+
+  // the default instance is created on import, modules reach for the document right away
+  globalThis.document = { createElement: () => ({ style: {} }) };
+  globalThis.Image = class {};
+  globalThis.localStorage = {
+    items,
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+
+  return globalThis.localStorage;
+});
+
+const { createVidus } = await import('../src/index.js');
+
+describe('createVidus', () => {
+  beforeEach(() => {
+    storage.items.clear();
+  });
+
+  it('keeps the configs of each instance apart', () => {
+    const first = createVidus({ simulcast: { enable: true } });
+    const second = createVidus();
+
+    first.configs.bandwidth.profile = 'low';
+
+    expect(first.configs.simulcast.enable).toBe(true);
+    expect(second.configs.simulcast.enable).toBe(false);
+    expect(second.configs.bandwidth.profile).toBe('balanced');
+    expect(first.configs.iceServers).not.toBe(second.configs.iceServers);
+  });
+
+  it('delivers events only to the instance they were emitted on', () => {
+    const first = createVidus();
+    const second = createVidus();
+    const firstHandler = vi.fn();
+    const secondHandler = vi.fn();
+
+    first.on('onAppReady', firstHandler);
+    second.on('onAppReady', secondHandler);
+    first.emit('onAppReady');
+
+    expect(firstHandler).toHaveBeenCalledTimes(1);
+    expect(secondHandler).not.toHaveBeenCalled();
+  });
+
+  it('stores the user token of each instance under its own key', async () => {
+    const first = createVidus();
+    const second = createVidus();
+
+    await first.helpers.userToken.setToken({ username: 'alice', token: 'alice-token', abilities: {} });
+    await second.helpers.userToken.setToken({ username: 'bob', token: 'bob-token', abilities: {} });
+
+    expect(first.helpers.userToken.webrtcToken.token).toBe('alice-token');
+    expect(second.helpers.userToken.webrtcToken.token).toBe('bob-token');
+    expect(first.helpers.userToken.storageName).not.toBe(second.helpers.userToken.storageName);
+    expect(storage.items.size).toBe(2);
+
+    second.helpers.userToken.removeToken();
+
+    expect(JSON.parse(storage.getItem(first.helpers.userToken.storageName)).token).toBe('alice-token');
+  });
+
+  it('restores the token of a named instance on the next page load', async () => {
+    await createVidus({ instance: 'lobby' }).helpers.userToken.setToken({ username: 'alice', token: 'alice-token', abilities: {} });
+
+    expect(storage.getItem('codenidus.vidus.user.token.lobby')).toBeTruthy();
+    expect(createVidus({ instance: 'lobby' }).helpers.userToken.webrtcToken.username).toBe('alice');
+    expect(createVidus({ instance: 'stage' }).helpers.userToken.webrtcToken.username).toBeNull();
+  });
+});
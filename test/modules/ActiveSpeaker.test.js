@@ -0,0 +1,260 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createActiveSpeaker from '../../src/modules/ActiveSpeaker.js';
+import createEventBus from '../../src/modules/EventBus.js';
+
+/**
+ * Levels read by the stand-in analysers, keyed by audio track id
+ */
+let levels;
+
+class FakeAudioContext
+{
+  constructor() {
+    this.state = 'running';
+  }
+
+  createMediaStreamSource(stream) {
+    return {
+      connect: (analyser) => analyser.trackId = stream.getAudioTracks()[0].id,
+      disconnect: vi.fn(),
+    };
+  }
+
+  createAnalyser() {
+    return {
+      fftSize: 0,
+      getFloatTimeDomainData(buffer) {
+        buffer.fill(levels[this.trackId] ?? 0);
+      },
+    };
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+const createStream = (id) => {
+  const tracks = [{ kind: 'audio', id }];
+
+  return {
+    id,
+    tracks,
+    getAudioTracks: () => tracks.filter(track => track.kind === 'audio'),
+  };
+};
+
+const createParent = (connections, activeSpeaker = {}) => {
+  const EventBus = createEventBus();
+
+  return {
+    peerJsId: 'local',
+    configs: {
+      active_speaker: {
+        enable: false,
+        smoothing: 0.5,
+        speaking_threshold: 0.2,
+        silence_threshold: 0.1,
+        release: 600,
+        switch_interval: 1500,
+        ...activeSpeaker,
+      },
+    },
+    userSettings: { micDisable: false },
+    EventBus,
+    emit: (type, data) => EventBus.emit(type, data),
+    Media: { userMedia: createStream('local') },
+    People: {
+      getConnections: () => connections,
+      findOne: (key, value) => connections.find(item => item[key] === value) || null,
+    },
+  };
+};
+
+const createConnection = (peerJsId) => ({ peerJsId, stream: createStream(peerJsId), micMute: false });
+
+describe('ActiveSpeaker', () => {
+  let connections;
+  let parent;
+  let speaker;
+  let changes;
+
+  const measure = (times = 1, step = 100) => {
+    for (let i = 0; i < times; i++) {
+      vi.advanceTimersByTime(step);
+      speaker.measure();
+    }
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('window', { AudioContext: FakeAudioContext });
+
+    levels = {};
+    connections = [createConnection('alice'), createConnection('bob')];
+    parent = createParent(connections);
+    speaker = createActiveSpeaker();
+    speaker.setup(parent);
+
+    changes = [];
+    parent.EventBus.on('onActiveSpeakerChange', event => changes.push(event.detail));
+  });
+
+  afterEach(() => {
+    speaker.destroy();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('smooths the measured levels', () => {
+    levels.alice = 0.8;
+
+    measure();
+    expect(connections[0].audioLevel).toBeCloseTo(0.4);
+
+    measure();
+    expect(connections[0].audioLevel).toBeCloseTo(0.6);
+
+    levels.alice = 0;
+    measure();
+    expect(connections[0].audioLevel).toBeCloseTo(0.3);
+  });
+
+  it('starts speaking above the speaking threshold and stops after release below the silence threshold', () => {
+    levels.alice = 0.5;
+    measure();
+    expect(connections[0].speaking).toBe(true);
+
+    // between both thresholds the state holds
+    levels.alice = 0.15;
+    measure(10);
+    expect(connections[0].audioLevel).toBeCloseTo(0.15);
+    expect(connections[0].speaking).toBe(true);
+
+    levels.alice = 0;
+    measure(2);
+    expect(connections[0].audioLevel).toBeLessThan(0.1);
+    expect(connections[0].speaking).toBe(true);
+
+    measure(6);
+    expect(connections[0].speaking).toBe(false);
+  });
+
+  it('keeps speaking when the level rises again before the release', () => {
+    levels.alice = 0.5;
+    measure();
+
+    levels.alice = 0;
+    measure(3);
+
+    levels.alice = 0.5;
+    measure(2);
+
+    levels.alice = 0;
+    measure(4);
+
+    expect(connections[0].speaking).toBe(true);
+  });
+
+  it('makes the loudest speaker dominant and switches only after switch_interval', () => {
+    levels.alice = 0.4;
+    measure();
+
+    expect(speaker.getActiveSpeaker()).toBe('alice');
+    expect(changes).toEqual([{ peerJsId: 'alice', previous: null, local: false }]);
+
+    levels.bob = 0.8;
+    measure(10);
+    expect(speaker.getActiveSpeaker()).toBe('alice');
+
+    measure(5);
+    expect(speaker.getActiveSpeaker()).toBe('bob');
+    expect(changes.at(-1)).toEqual({ peerJsId: 'bob', previous: 'alice', local: false });
+  });
+
+  it('switches right away when the dominant speaker went silent', () => {
+    levels.alice = 0.4;
+    measure();
+
+    levels.alice = 0;
+    measure(8);
+    expect(connections[0].speaking).toBe(false);
+
+    levels.bob = 0.4;
+    measure();
+
+    expect(speaker.getActiveSpeaker()).toBe('bob');
+    expect(changes).toHaveLength(2);
+  });
+
+  it('treats muted microphones as silent and reports the local user', () => {
+    levels.alice = 0.8;
+    levels.local = 0.4;
+    connections[0].micMute = true;
+
+    measure();
+
+    expect(connections[0].audioLevel).toBe(0);
+    expect(speaker.local.speaking).toBe(true);
+    expect(speaker.local.audioLevel).toBeCloseTo(0.2);
+    expect(changes).toEqual([{ peerJsId: 'local', previous: null, local: true }]);
+
+    parent.userSettings.micDisable = true;
+    measure();
+
+    expect(speaker.local.audioLevel).toBeCloseTo(0.1);
+  });
+
+  it('detaches the analyser of connections which are gone', () => {
+    measure();
+    expect([...speaker.analysers.keys()]).toEqual(['alice', 'bob', 'local']);
+
+    const { source } = speaker.analysers.get('bob');
+
+    connections.splice(1, 1);
+    measure();
+
+    expect([...speaker.analysers.keys()]).toEqual(['alice', 'local']);
+    expect(source.disconnect).toHaveBeenCalled();
+  });
+
+  it('re-attaches when the audio track is replaced inside the same stream', () => {
+    levels.local = 0.4;
+    measure();
+
+    const { source } = speaker.analysers.get('local');
+
+    // Media.replaceOutgoingTrack swaps the track, the stream stays the same
+    parent.Media.userMedia.tracks.splice(0, 1, { kind: 'audio', id: 'local-switched' });
+    levels.local = 0;
+    levels['local-switched'] = 0.8;
+    measure();
+
+    expect(source.disconnect).toHaveBeenCalled();
+    expect(speaker.analysers.get('local').trackId).toBe('local-switched');
+    expect(speaker.local.audioLevel).toBeCloseTo(0.4);
+
+    measure();
+    expect(speaker.analysers.get('local').source).not.toBe(source);
+  });
+
+  it('drops the analyser when the stream has no audio track left', () => {
+    measure();
+
+    connections[0].stream.tracks.length = 0;
+    measure();
+
+    expect(speaker.analysers.has('alice')).toBe(false);
+  });
+
+  it('measures on its own interval when enabled', () => {
+    speaker.destroy();
+    parent.configs.active_speaker.enable = true;
+    speaker.setup(parent);
+
+    levels.bob = 0.8;
+    vi.advanceTimersByTime(100);
+
+    expect(speaker.getActiveSpeaker()).toBe('bob');
+  });
+});
@@ -0,0 +1,256 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createHash } from 'node:crypto';
+import { resolveObjectURL } from 'node:buffer';
+import createAssetLoader from '../../src/modules/AssetLoader.js';
+
+const MODEL = 'https://models.example.com/face/model.tflite';
+const BYTES = new TextEncoder().encode('model bytes');
+
+const sri = (algorithm, data) => `${algorithm}-${createHash(algorithm).update(data).digest('base64')}`;
+
+/**
+ * In-memory Cache Storage
+ */
+const createCacheStorage = () => {
+  const stores = new Map();
+
+  const open = async (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+
+    const store = stores.get(name);
+
+    return {
+      match: async (key) => store.get(key)?.clone(),
+      put: async (key, response) => {
+        store.set(key, response);
+      },
+      delete: async (key) => store.delete(key),
+    };
+  };
+
+  return {
+    stores,
+    open,
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name),
+  };
+};
+
+const createResponse = (data, headers = {}) => new Response(new Blob([data]), {
+  headers: { 'content-type': 'application/octet-stream', 'content-length': String(data.byteLength), ...headers },
+});
+
+const createLoader = (assets = {}) => {
+  const parent = { configs: { assets }, emit: vi.fn() };
+  const loader = createAssetLoader();
+
+  loader.setup(parent);
+
+  return { loader, parent };
+};
+
+let fetchMock;
+let cacheStorage;
+
+beforeEach(() => {
+  fetchMock = vi.fn(async () => createResponse(BYTES));
+  cacheStorage = createCacheStorage();
+
+  vi.stubGlobal('fetch', fetchMock);
+  vi.stubGlobal('caches', cacheStorage);
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('AssetLoader.resolve', () => {
+  it('remaps urls with the longest matching prefix', () => {
+    const { loader } = createLoader({
+      paths: {
+        'https://models.example.com/': '/vendor/',
+        'https://models.example.com/face/': '/models/face/',
+      },
+    });
+
+    expect(loader.resolve(MODEL)).toBe('/models/face/model.tflite');
+    expect(loader.resolve('https://models.example.com/selfie/model.tflite')).toBe('/vendor/selfie/model.tflite');
+    expect(loader.resolve('https://other.example.com/a.png')).toBe('https://other.example.com/a.png');
+  });
+});
+
+describe('AssetLoader.verify', () => {
+  it('accepts matching hashes of every supported algorithm', async () => {
+    const { loader } = createLoader();
+
+    for (const algorithm of ['sha256', 'sha384', 'sha512']) {
+      expect(await loader.verify(BYTES, sri(algorithm, BYTES))).toBe(true);
+    }
+  });
+
+  it('rejects other bytes', async () => {
+    const { loader } = createLoader();
+
+    expect(await loader.verify(new TextEncoder().encode('tampered'), sri('sha384', BYTES))).toBe(false);
+  });
+
+  it('only checks the strongest algorithm listed', async () => {
+    const { loader } = createLoader();
+    const wrong = sri('sha512', new TextEncoder().encode('other'));
+
+    expect(await loader.verify(BYTES, `${sri('sha256', BYTES)} ${wrong}`)).toBe(false);
+    expect(await loader.verify(BYTES, `${sri('sha256', BYTES)} ${wrong} ${sri('sha512', BYTES)}`)).toBe(true);
+  });
+
+  it('throws on unsupported integrity values', async () => {
+    const { loader } = createLoader();
+
+    await expect(loader.verify(BYTES, 'md5-abc')).rejects.toThrow('Unsupported integrity value: md5-abc');
+  });
+});
+
+describe('AssetLoader.load', () => {
+  it('downloads from the self-hosted path and reports progress', async () => {
+    const { loader, parent } = createLoader({ paths: { 'https://models.example.com/': '/models/' } });
+
+    const blob = await loader.load(MODEL, { feature: 'faceDetector' });
+
+    expect(fetchMock).toHaveBeenCalledWith('/models/face/model.tflite');
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(BYTES);
+    expect(parent.emit).toHaveBeenLastCalledWith('onAssetLoadProgress', {
+      detail: { url: '/models/face/model.tflite', feature: 'faceDetector', loaded: BYTES.byteLength, total: BYTES.byteLength, progress: 1 },
+    });
+  });
+
+  it('shares one download between concurrent loads', async () => {
+    const { loader } = createLoader();
+
+    await Promise.all([loader.load(MODEL), loader.load(MODEL)]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails on an integrity mismatch without caching the download', async () => {
+    const { loader } = createLoader({ integrity: { [MODEL]: sri('sha384', new TextEncoder().encode('expected')) } });
+
+    await expect(loader.load(MODEL)).rejects.toThrow(`Integrity check failed for ${MODEL}`);
+    expect(cacheStorage.stores.get(loader.getCacheName()).size).toBe(0);
+  });
+
+  it('fails on http errors', async () => {
+    fetchMock.mockResolvedValueOnce(new Response('', { status: 404 }));
+    const { loader } = createLoader();
+
+    await expect(loader.load(MODEL)).rejects.toThrow(`Failed to load ${MODEL}: 404`);
+  });
+
+  it('serves verified cache entries without downloading', async () => {
+    const { loader } = createLoader({ integrity: { [MODEL]: sri('sha256', BYTES) } });
+
+    await loader.load(MODEL);
+    const blob = await loader.load(MODEL);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(BYTES);
+  });
+
+  it('evicts tampered cache entries and downloads them again', async () => {
+    const { loader } = createLoader({ integrity: { [MODEL]: sri('sha256', BYTES) } });
+    const cache = await cacheStorage.open(loader.getCacheName());
+
+    await cache.put(MODEL, createResponse(new TextEncoder().encode('tampered')));
+
+    const blob = await loader.load(MODEL);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(BYTES);
+    expect(new Uint8Array(await (await cache.match(MODEL)).arrayBuffer())).toEqual(BYTES);
+  });
+
+  it('drops caches of older versions on setup', async () => {
+    await cacheStorage.open('vidus-assets-v1');
+    await cacheStorage.open('other-cache');
+
+    const { loader } = createLoader({ version: '2' });
+    await vi.waitFor(async () => expect(await cacheStorage.keys()).toEqual(['other-cache']));
+
+    expect(loader.getCacheName()).toBe('vidus-assets-v2');
+  });
+
+  it('works without Cache Storage', async () => {
+    vi.stubGlobal('caches', undefined);
+    const { loader } = createLoader();
+
+    await loader.load(MODEL);
+    await loader.load(MODEL);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('AssetLoader.preload', () => {
+  it('hands verified files to the model through object urls', async () => {
+    const base = 'https://models.example.com/face';
+    const { loader } = createLoader({
+      paths: { 'https://models.example.com/': '/models/' },
+      preload: { faceDetector: ['model.tflite'] },
+      integrity: { [MODEL]: sri('sha256', BYTES) },
+    });
+
+    const locateFile = await loader.preload('faceDetector', base + '/');
+    const objectUrl = locateFile('model.tflite');
+
+    expect(objectUrl).toMatch(/^blob:/);
+    expect(new Uint8Array(await resolveObjectURL(objectUrl).arrayBuffer())).toEqual(BYTES);
+    expect(locateFile('solution.js')).toBe('/models/face/solution.js');
+  });
+
+  it('reuses object urls of files preloaded before', async () => {
+    const { loader } = createLoader({ preload: { faceDetector: ['model.tflite'] } });
+
+    const first = await loader.preload('faceDetector', 'https://models.example.com/face');
+    const second = await loader.preload('faceDetector', 'https://models.example.com/face');
+
+    expect(second('model.tflite')).toBe(first('model.tflite'));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails when a listed file does not verify', async () => {
+    const { loader } = createLoader({
+      preload: { faceDetector: ['model.tflite'] },
+      integrity: { [MODEL]: sri('sha256', new TextEncoder().encode('expected')) },
+    });
+
+    await expect(loader.preload('faceDetector', 'https://models.example.com/face')).rejects.toThrow('Integrity check failed');
+  });
+});
+
+describe('AssetLoader object urls', () => {
+  it('destroy releases preloaded model files but not urls owned by callers', async () => {
+    const revoke = vi.spyOn(URL, 'revokeObjectURL');
+    const { loader } = createLoader({ preload: { faceDetector: ['model.tflite'] } });
+
+    const locateFile = await loader.preload('faceDetector', 'https://models.example.com/face');
+    const overlayUrl = await loader.loadUrl('https://cdn.example.com/hat.png');
+
+    loader.destroy();
+
+    expect(revoke).toHaveBeenCalledWith(locateFile('model.tflite'));
+    expect(revoke).not.toHaveBeenCalledWith(overlayUrl);
+
+    loader.revoke(overlayUrl);
+    expect(revoke).toHaveBeenCalledWith(overlayUrl);
+  });
+
+  it('ignores urls that are not object urls', () => {
+    const revoke = vi.spyOn(URL, 'revokeObjectURL');
+    const { loader } = createLoader();
+
+    loader.revoke(null);
+    loader.revoke('https://cdn.example.com/hat.png');
+
+    expect(revoke).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createAudioProcessor from '../../src/modules/AudioProcessor.js';
+
+const createTrack = (id) => ({
+  id,
+  readyState: 'live',
+  stop: vi.fn(function () { this.readyState = 'ended'; }),
+  getConstraints: () => ({}),
+  applyConstraints: vi.fn(async () => {}),
+});
+
+const createNode = (extra = {}) => ({ connect: vi.fn(node => node), disconnect: vi.fn(), ...extra });
+
+let contexts;
+
+class FakeAudioContext
+{
+  constructor() {
+    this.state = 'suspended';
+    this.resume = vi.fn(async () => { this.state = 'running'; });
+    this.close = vi.fn(async () => { this.state = 'closed'; });
+    this.track = createTrack(`processed-${contexts.length + 1}`);
+    contexts.push(this);
+  }
+
+  createMediaStreamSource() {
+    return createNode();
+  }
+
+  createMediaStreamDestination() {
+    return createNode({ stream: { getAudioTracks: () => [this.track] } });
+  }
+
+  createGain() {
+    return createNode({ gain: { value: 1 } });
+  }
+}
+
+const createProcessor = (audioProcessing = {}) => {
+  return createAudioProcessor().initial({ configs: { audio_processing: audioProcessing } });
+};
+
+beforeEach(() => {
+  contexts = [];
+
+  vi.stubGlobal('window', { AudioContext: FakeAudioContext });
+  vi.stubGlobal('MediaStream', class { constructor(tracks) { this.tracks = tracks; } });
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('AudioProcessor', () => {
+  it('builds browser constraints from the configuration', () => {
+    expect(createProcessor({ noiseSuppression: false }).getConstraints()).toEqual({
+      echoCancellation: true,
+      noiseSuppression: false,
+      autoGainControl: true,
+    });
+  });
+
+  it('sends the raw track when no custom processing is configured', async () => {
+    const processor = createProcessor();
+    const raw = createTrack('raw');
+
+    expect(await processor.process(raw)).toBe(raw);
+    expect(contexts).toHaveLength(0);
+  });
+
+  it('runs the track through the gain stage and resumes a suspended context', async () => {
+    const processor = createProcessor({ gain: 1.5 });
+    const raw = createTrack('raw');
+
+    const track = await processor.process(raw);
+
+    expect(track).toBe(contexts[0].track);
+    expect(contexts[0].resume).toHaveBeenCalled();
+    expect(processor._nodes).toHaveLength(3);
+    expect(processor._nodes[1].gain.value).toBe(1.5);
+  });
+
+  it('swaps to the new track before tearing down the previous graph', async () => {
+    const processor = createProcessor({ gain: 1.5 });
+    const raw = createTrack('raw');
+    const previous = await processor.process(raw);
+    const swap = vi.fn(async (track) => {
+      expect(track).toBe(contexts[1].track);
+      expect(previous.readyState).toBe('live');
+      expect(contexts[0].state).not.toBe('closed');
+    });
+
+    const track = await processor.update({ gain: 2 }, swap);
+
+    expect(swap).toHaveBeenCalledTimes(1);
+    expect(track).toBe(contexts[1].track);
+    expect(track.readyState).toBe('live');
+    expect(previous.stop).toHaveBeenCalled();
+    expect(contexts[0].close).toHaveBeenCalled();
+    expect(raw.stop).not.toHaveBeenCalled();
+  });
+
+  it('applies changed browser constraints to the raw track', async () => {
+    const processor = createProcessor();
+    const raw = createTrack('raw');
+
+    await processor.process(raw);
+    await processor.update({ echoCancellation: false });
+
+    expect(raw.applyConstraints).toHaveBeenCalledWith(expect.objectContaining({ echoCancellation: false }));
+  });
+
+  it('falls back to the raw track when the new graph fails and keeps the old one until swapped', async () => {
+    const processor = createProcessor({ gain: 1.5 });
+    const raw = createTrack('raw');
+    const previous = await processor.process(raw);
+    const swap = vi.fn(async (track) => {
+      expect(track).toBe(raw);
+      expect(previous.readyState).toBe('live');
+    });
+
+    const track = await processor.update({ denoiser: async () => { throw new Error('wasm failed'); } }, swap);
+
+    expect(track).toBe(raw);
+    expect(swap).toHaveBeenCalledWith(raw);
+    expect(previous.stop).toHaveBeenCalled();
+    expect(contexts[1].close).toHaveBeenCalled();
+    expect(processor.track).toBeNull();
+  });
+
+  it('returns null for updates without a live microphone', async () => {
+    const processor = createProcessor();
+    const raw = createTrack('raw');
+
+    expect(await processor.update({ gain: 2 })).toBeNull();
+
+    await processor.process(raw);
+    raw.readyState = 'ended';
+
+    expect(await processor.update({ gain: 2 })).toBeNull();
+    expect(processor.settings.gain).toBe(2);
+  });
+
+  it('tears the graph down on stop without stopping the raw track', async () => {
+    const processor = createProcessor({ gain: 1.5 });
+    const raw = createTrack('raw');
+    const track = await processor.process(raw);
+
+    processor.stop();
+
+    expect(track.stop).toHaveBeenCalled();
+    expect(contexts[0].close).toHaveBeenCalled();
+    expect(raw.stop).not.toHaveBeenCalled();
+    expect(processor.rawTrack).toBeNull();
+  });
+});
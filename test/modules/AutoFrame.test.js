@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createAutoFrame from '../../src/modules/AutoFrame.js';
+
+const createCanvas = (width = 640, height = 480) => {
+  const context = { drawImage: vi.fn() };
+
+  return { width, height, context, getContext: () => context };
+};
+
+const createFace = (xMin, yMin, xMax, yMax) => ({ box: { xMin, yMin, xMax, yMax } });
+
+const FULL = { x: 0, y: 0, width: 640, height: 480 };
+
+describe('AutoFrame', () => {
+  let autoFrame;
+  let canvas;
+  let buffer;
+
+  beforeEach(() => {
+    buffer = createCanvas(0, 0);
+    vi.stubGlobal('document', { createElement: () => buffer });
+
+    canvas = createCanvas();
+    autoFrame = createAutoFrame();
+    autoFrame.configure({ enable: true });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('detects again once the detection interval passed', () => {
+    expect(autoFrame.shouldDetect(0)).toBe(true);
+
+    autoFrame.update([], canvas, 0);
+
+    expect(autoFrame.shouldDetect(99)).toBe(false);
+    expect(autoFrame.shouldDetect(100)).toBe(true);
+  });
+
+  it('centres the target window on the face with headroom at the canvas aspect', () => {
+    autoFrame.configure({ max_zoom: 4 });
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 0);
+
+    const { x, y, width, height } = autoFrame.target;
+
+    // 80px face padded by 0.8 of its height on both sides
+    expect(height).toBeCloseTo(208);
+    expect(width).toBeCloseTo(208 * 4 / 3);
+    expect(x + width / 2).toBeCloseTo(320);
+    expect(y + height / 2).toBeCloseTo(200 + 208 * 0.1);
+  });
+
+  it('clamps the zoom to max_zoom', () => {
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 0);
+
+    expect(autoFrame.target).toEqual({ x: 160, y: 104, width: 320, height: 240 });
+  });
+
+  it('frames every face and keeps the window inside the canvas', () => {
+    autoFrame.update([createFace(0, 0, 80, 80), createFace(400, 40, 480, 120)], canvas, 0);
+
+    const { x, y, width, height } = autoFrame.target;
+
+    expect(x).toBe(0);
+    expect(y).toBe(0);
+    expect(width).toBeGreaterThanOrEqual(480);
+    expect(width / height).toBeCloseTo(4 / 3);
+  });
+
+  it('never zooms out beyond the full frame', () => {
+    autoFrame.update([createFace(0, 0, 640, 480)], canvas, 0);
+
+    expect(autoFrame.target).toEqual(FULL);
+  });
+
+  it('holds the last window before returning to the full frame', () => {
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 0);
+    const target = autoFrame.target;
+
+    autoFrame.update([], canvas, 1000);
+    autoFrame.update([], canvas, 2000);
+    expect(autoFrame.target).toBe(target);
+
+    autoFrame.update([], canvas, 2001);
+    expect(autoFrame.target).toEqual(FULL);
+  });
+
+  it('restarts the hold when a face shows up again', () => {
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 0);
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 1500);
+    autoFrame.update([], canvas, 3000);
+
+    expect(autoFrame.target).not.toEqual(FULL);
+  });
+
+  it('eases the window towards the target by the elapsed time', () => {
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 0);
+
+    autoFrame.render(canvas, 0);
+    expect(autoFrame.window).toEqual(FULL);
+    expect(canvas.context.drawImage).not.toHaveBeenCalled();
+
+    autoFrame.render(canvas, 1000);
+
+    const factor = 1 - Math.exp(-3);
+
+    expect(autoFrame.window.x).toBeCloseTo(160 * factor);
+    expect(autoFrame.window.y).toBeCloseTo(104 * factor);
+    expect(autoFrame.window.width).toBeCloseTo(640 - 320 * factor);
+    expect(autoFrame.window.height).toBeCloseTo(480 - 240 * factor);
+
+    const { x, y, width, height } = autoFrame.window;
+
+    expect(buffer.context.drawImage).toHaveBeenCalledWith(canvas, 0, 0);
+    expect(canvas.context.drawImage).toHaveBeenCalledWith(buffer, x, y, width, height, 0, 0, 640, 480);
+    expect(buffer.width).toBe(640);
+    expect(buffer.height).toBe(480);
+  });
+
+  it('eases faster with a higher transition speed', () => {
+    autoFrame.configure({ transition_speed: 6 });
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 0);
+
+    autoFrame.render(canvas, 0);
+    autoFrame.render(canvas, 500);
+
+    expect(autoFrame.window.x).toBeCloseTo(160 * (1 - Math.exp(-3)));
+  });
+
+  it('skips drawing once the window is back at the full frame', () => {
+    autoFrame.window = { x: 0.1, y: 0.1, width: 639.8, height: 479.8 };
+    autoFrame.lastRender = 0;
+
+    autoFrame.render(canvas, 16);
+
+    expect(canvas.context.drawImage).not.toHaveBeenCalled();
+  });
+
+  it('returns to the full frame on reset', () => {
+    autoFrame.update([createFace(280, 160, 360, 240)], canvas, 0);
+    autoFrame.render(canvas, 0);
+    autoFrame.render(canvas, 1000);
+
+    autoFrame.reset();
+    autoFrame.render(canvas, 2000);
+
+    expect(autoFrame.window).toEqual(FULL);
+    expect(autoFrame.shouldDetect(2000)).toBe(true);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, vi } from 'vitest';
+import createBandwidth, { BANDWIDTH_PROFILES } from '../../src/modules/Bandwidth.js';
+import createEventBus from '../../src/modules/EventBus.js';
+
+const createSender = (encodings = [{}]) => {
+  const parameters = { encodings };
+
+  return {
+    track: { kind: 'video' },
+    getParameters: () => parameters,
+    setParameters: vi.fn(async () => {}),
+  };
+};
+
+const createParent = (bandwidth = {}, { connections = [], layer = null } = {}) => ({
+  configs: { bandwidth },
+  EventBus: createEventBus(),
+  People: {
+    getConnections: () => connections,
+    findOne: (key, value) => connections.find(item => item[key] === value),
+  },
+  Simulcast: {
+    getLayer: () => layer,
+  },
+});
+
+const createConnection = (peerJsId, sender = createSender()) => ({
+  peerJsId,
+  sender,
+  mediaConnection: { peerConnection: { getSenders: () => [sender] } },
+});
+
+describe('Bandwidth profiles', () => {
+  it('uses the configured profile', () => {
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({ profile: 'data-saver' }));
+
+    expect(bandwidth.profile).toBe('data-saver');
+    expect(bandwidth.getProfile()).toBe(BANDWIDTH_PROFILES['data-saver']);
+  });
+
+  it('falls back to balanced for an unknown configured profile', () => {
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({ profile: 'ultra' }));
+
+    expect(bandwidth.profile).toBe('balanced');
+  });
+
+  it('rejects unknown profiles on setProfile and keeps the current one', () => {
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({ profile: 'high' }));
+
+    expect(() => bandwidth.setProfile('ultra')).toThrow('Unknown bandwidth profile: ultra');
+    expect(bandwidth.profile).toBe('high');
+  });
+
+  it('applies a new profile to connections without an override', async () => {
+    const first = createConnection('a');
+    const second = createConnection('b');
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({}, { connections: [first, second] }));
+    bandwidth.setOverride('b', { maxBitrate: 50000 });
+    second.sender.setParameters.mockClear();
+
+    bandwidth.setProfile('data-saver');
+    await vi.waitFor(() => expect(first.sender.setParameters).toHaveBeenCalled());
+
+    expect(first.sender.getParameters().encodings[0]).toMatchObject({ maxBitrate: 300000, maxFramerate: 15, scaleResolutionDownBy: 2 });
+    expect(second.sender.setParameters).not.toHaveBeenCalled();
+  });
+
+  it('only subscribes to quality samples when enabled', () => {
+    const parent = createParent({ enable: false });
+    const bandwidth = createBandwidth();
+    const handleQuality = vi.spyOn(bandwidth, 'handleQuality');
+    bandwidth.setup(parent);
+
+    parent.EventBus.emit('onConnectionQuality', { detail: { peerJsId: 'a', type: 'media', metrics: {} } });
+
+    expect(bandwidth.listeners).toHaveLength(0);
+    expect(handleQuality).not.toHaveBeenCalled();
+  });
+});
+
+describe('Bandwidth.getPeerBudget', () => {
+  it('is the profile maximum without a configured uplink', () => {
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({}, { connections: [createConnection('a'), createConnection('b')] }));
+
+    expect(bandwidth.getPeerBudget()).toBe(1000000);
+  });
+
+  it('shares the uplink between connections, capped by the profile', () => {
+    const connections = [createConnection('a'), createConnection('b'), createConnection('c'), createConnection('d')];
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({ uplink: 2000000 }, { connections }));
+
+    expect(bandwidth.getPeerBudget()).toBe(500000);
+
+    connections.splice(1);
+    expect(bandwidth.getPeerBudget()).toBe(1000000);
+  });
+});
+
+describe('Bandwidth.getLimits', () => {
+  it('clamps the bitrate between the profile bounds', () => {
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent());
+
+    expect(bandwidth.getLimits(5000000).maxBitrate).toBe(1000000);
+    expect(bandwidth.getLimits(1000).maxBitrate).toBe(150000);
+  });
+
+  it('halves the resolution below half of the ceiling and caps the frame rate below a quarter', () => {
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent());
+
+    expect(bandwidth.getLimits(800000)).toEqual({ maxBitrate: 800000, scaleResolutionDownBy: 1, maxFramerate: 24 });
+    expect(bandwidth.getLimits(400000)).toEqual({ maxBitrate: 400000, scaleResolutionDownBy: 2, maxFramerate: 24 });
+    expect(bandwidth.getLimits(200000)).toEqual({ maxBitrate: 200000, scaleResolutionDownBy: 4, maxFramerate: 15 });
+  });
+
+  it('caps the profile with the simulcast layer requested by the receiver', () => {
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({ profile: 'high' }, { layer: { maxBitrate: 500000, scaleResolutionDownBy: 2, maxFramerate: 20 } }));
+
+    expect(bandwidth.getLimits(2500000, 'a')).toEqual({ maxBitrate: 500000, scaleResolutionDownBy: 2, maxFramerate: 20 });
+    expect(bandwidth.getLimits(2500000)).toEqual({ maxBitrate: 2500000, scaleResolutionDownBy: 1, maxFramerate: 30 });
+  });
+});
+
+describe('Bandwidth.apply', () => {
+  it('writes changed parameters once', async () => {
+    const connection = createConnection('a');
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({}, { connections: [connection] }));
+
+    expect(await bandwidth.apply('a', { maxBitrate: 400000 })).toBe(true);
+    expect(await bandwidth.apply('a', { maxBitrate: 400000 })).toBe(false);
+    expect(connection.sender.setParameters).toHaveBeenCalledTimes(1);
+    expect(connection.sender.getParameters().encodings[0].maxBitrate).toBe(400000);
+  });
+
+  it('leaves senders with several encodings alone', async () => {
+    const connection = createConnection('a', createSender([{ rid: 'l' }, { rid: 'h' }]));
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({}, { connections: [connection] }));
+
+    expect(await bandwidth.apply('a', { maxBitrate: 400000 })).toBe(false);
+    expect(connection.sender.setParameters).not.toHaveBeenCalled();
+  });
+});
+
+describe('Bandwidth.handleQuality', () => {
+  const sample = (metrics) => ({ detail: { peerJsId: 'a', type: 'media', metrics } });
+
+  it('backs off on packet loss and recovers up to the budget', async () => {
+    const connection = createConnection('a');
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({}, { connections: [connection] }));
+
+    bandwidth.handleQuality(sample({ outgoingPacketLoss: 20 }));
+    await vi.waitFor(() => expect(bandwidth.senders.get('a')?.maxBitrate).toBe(850000));
+
+    bandwidth.handleQuality(sample({ outgoingPacketLoss: 0 }));
+    await vi.waitFor(() => expect(bandwidth.senders.get('a')?.maxBitrate).toBe(935000));
+
+    bandwidth.handleQuality(sample({ outgoingPacketLoss: 0 }));
+    await vi.waitFor(() => expect(bandwidth.senders.get('a')?.maxBitrate).toBe(1000000));
+  });
+
+  it('stays below the available outgoing bitrate and skips overridden connections', async () => {
+    const connection = createConnection('a');
+    const bandwidth = createBandwidth();
+    bandwidth.setup(createParent({}, { connections: [connection] }));
+
+    bandwidth.handleQuality(sample({ outgoingPacketLoss: 0, availableOutgoingBitrate: 600000 }));
+    await vi.waitFor(() => expect(bandwidth.senders.get('a')?.maxBitrate).toBe(510000));
+
+    bandwidth.setOverride('a', { maxBitrate: 200000 });
+    await vi.waitFor(() => expect(bandwidth.senders.get('a')?.maxBitrate).toBe(200000));
+
+    bandwidth.handleQuality(sample({ outgoingPacketLoss: 20 }));
+    await Promise.resolve();
+
+    expect(bandwidth.senders.get('a').maxBitrate).toBe(200000);
+  });
+});
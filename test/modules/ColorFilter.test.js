@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createColorFilter from '../../src/modules/ColorFilter.js';
+
+const createStorage = () => {
+  const items = new Map();
+
+  return {
+    items,
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+/**
+ * Canvas whose 2d context returns a uniform grey frame of the given level (0-255)
+ */
+const createCanvas = (level = 0) => {
+  const context = {
+    filter: 'none',
+    filters: [],
+    save: vi.fn(),
+    restore: vi.fn(),
+    fillRect: vi.fn(),
+    drawImage: vi.fn(function () { this.filters.push(this.filter); }),
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(canvas.level) }),
+  };
+  const canvas = { width: 64, height: 36, level, context, getContext: () => context };
+
+  return canvas;
+};
+
+describe('ColorFilter', () => {
+  let storage;
+  let probe;
+
+  beforeEach(() => {
+    storage = createStorage();
+    probe = createCanvas();
+
+    vi.stubGlobal('localStorage', storage);
+    vi.stubGlobal('document', { createElement: () => probe });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('clamps adjustments to their range and ignores invalid values', () => {
+    const filter = createColorFilter().initial({}, 'alice');
+
+    expect(filter.set({ brightness: 5, contrast: 0.1, saturation: -1, temperature: 2 })).toEqual({
+      brightness: 2,
+      contrast: 0.5,
+      saturation: 0,
+      temperature: 1,
+      lowLight: false,
+    });
+
+    filter.set({ brightness: Number.NaN, contrast: '1.5', sharpness: 2 });
+
+    expect(filter.get()).toMatchObject({ brightness: 2, contrast: 0.5 });
+    expect(filter.get()).not.toHaveProperty('sharpness');
+  });
+
+  it('reports whether any adjustment changes the frame', () => {
+    const filter = createColorFilter().initial({}, 'alice');
+
+    expect(filter.isActive()).toBe(false);
+
+    filter.set({ saturation: 1.2 });
+    expect(filter.isActive()).toBe(true);
+
+    filter.reset();
+    expect(filter.isActive()).toBe(false);
+
+    filter.set({ lowLight: true });
+    expect(filter.isActive()).toBe(true);
+  });
+
+  it('stores the adjustments per user', () => {
+    createColorFilter().initial({}, 'alice').set({ brightness: 1.4 });
+
+    expect(JSON.parse(storage.getItem('codenidus.vidus.colorFilters.alice'))).toMatchObject({ brightness: 1.4 });
+    expect(createColorFilter().initial({}, 'alice').get().brightness).toBe(1.4);
+    expect(createColorFilter().initial({}, 'bob').get().brightness).toBe(1);
+  });
+
+  it('restores the adjustments of the user it switches to', () => {
+    storage.setItem('codenidus.vidus.colorFilters.bob', JSON.stringify({ contrast: 1.6 }));
+
+    const filter = createColorFilter().initial({}, 'alice');
+
+    filter.set({ brightness: 1.4 });
+    filter.setUser('alice');
+    expect(filter.get().brightness).toBe(1.4);
+
+    filter.setUser('bob');
+    expect(filter.get()).toMatchObject({ brightness: 1, contrast: 1.6 });
+
+    filter.set({ saturation: 0.5 });
+    expect(JSON.parse(storage.getItem('codenidus.vidus.colorFilters.alice'))).toMatchObject({ brightness: 1.4, saturation: 1 });
+  });
+
+  it('does not store or restore anything without a user', () => {
+    storage.setItem('codenidus.vidus.colorFilters', JSON.stringify({ brightness: 1.8 }));
+
+    const filter = createColorFilter().initial();
+
+    expect(filter.get().brightness).toBe(1);
+
+    filter.set({ brightness: 1.2 });
+
+    expect([...storage.items.keys()]).toEqual(['codenidus.vidus.colorFilters']);
+  });
+
+  it('does not store anything when persistence is disabled', () => {
+    createColorFilter().initial({ persist: false }, 'alice').set({ brightness: 1.2 });
+
+    expect(storage.items.size).toBe(0);
+  });
+
+  it('falls back to neutral values when the stored ones can not be read', () => {
+    storage.setItem('codenidus.vidus.colorFilters.alice', '{broken');
+
+    expect(createColorFilter().initial({ low_light: { enable: true } }, 'alice').get()).toEqual({
+      brightness: 1,
+      contrast: 1,
+      saturation: 1,
+      temperature: 0,
+      lowLight: true,
+    });
+  });
+
+  it('eases the low-light gain towards the target luminance', () => {
+    const filter = createColorFilter().initial({ low_light: { enable: true, target: 0.5, max_gain: 4 } });
+
+    // a uniform grey of 51 has a luminance of 0.2, the target needs a gain of 2.5
+    probe.level = 51;
+    filter.measure(createCanvas(), 0);
+
+    expect(filter.luminance).toBeCloseTo(0.2);
+    expect(filter.gain).toBeCloseTo(1 + 1.5 * 0.3);
+
+    filter.measure(createCanvas(), 100);
+    expect(filter.gain).toBeCloseTo(1.45);
+
+    filter.measure(createCanvas(), 500);
+    expect(filter.gain).toBeCloseTo(1.45 + (2.5 - 1.45) * 0.3);
+  });
+
+  it('limits the low-light gain to max_gain and never darkens bright frames', () => {
+    const filter = createColorFilter().initial({ low_light: { enable: true, interval: 0, max_gain: 1.8 } });
+
+    probe.level = 0;
+    for (let i = 0; i < 50; i++) {
+      filter.measure(createCanvas(), i);
+    }
+    expect(filter.gain).toBeCloseTo(1.8);
+
+    probe.level = 255;
+    for (let i = 50; i < 100; i++) {
+      filter.measure(createCanvas(), i);
+    }
+    expect(filter.gain).toBeCloseTo(1);
+  });
+
+  it('applies the low-light gain to brightness and drops it once disabled', () => {
+    const filter = createColorFilter().initial({ low_light: { enable: true, target: 0.5, max_gain: 4 } });
+    const canvas = createCanvas();
+
+    probe.level = 51;
+    filter.set({ brightness: 1.2 });
+    filter.process(canvas, 0);
+
+    expect(canvas.context.filters.at(-1)).toBe(`brightness(${1.2 * 1.45}) contrast(${1 + 0.45 * 0.25}) saturate(${1 + 0.45 * 0.25})`);
+
+    filter.set({ lowLight: false });
+    filter.process(canvas, 1000);
+
+    expect(filter.gain).toBe(1);
+    expect(canvas.context.filters.at(-1)).toBe('brightness(1.2) contrast(1) saturate(1)');
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import createEventBus, { EVENT_NAMES } from '../../src/modules/EventBus.js';
+
+describe('EventBus', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('delivers emitted events with their detail to subscribers', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+
+    bus.on('onAppReady', handler);
+    bus.emit('onAppReady', { detail: { ready: true } });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail).toEqual({ ready: true });
+  });
+
+  it('calls once handlers a single time', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+
+    bus.once('onRoomJoined', handler);
+    bus.emit('onRoomJoined');
+    bus.emit('onRoomJoined');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops delivering after off or the returned unsubscribe handle', () => {
+    const bus = createEventBus();
+    const first = vi.fn();
+    const second = vi.fn();
+
+    bus.on('onRoomLeft', first);
+    const unsubscribe = bus.on('onRoomLeft', second);
+
+    bus.off('onRoomLeft', first);
+    unsubscribe();
+    bus.emit('onRoomLeft');
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  it('rejects handlers which are not functions', () => {
+    expect(() => createEventBus().on('onAppReady', null)).toThrow('Event handler must be a function');
+  });
+
+  it('keeps instances isolated from each other', () => {
+    const first = createEventBus();
+    const second = createEventBus();
+    const handler = vi.fn();
+
+    first.on('onAppReady', handler);
+    second.emit('onAppReady');
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('mirrors to the document only when enabled in configs', () => {
+    const document = new EventTarget();
+    const handler = vi.fn();
+
+    vi.stubGlobal('document', document);
+    document.addEventListener('onAppReady', handler);
+
+    const bus = createEventBus();
+    bus.setup({ configs: { events: { mirror_to_document: false } } });
+    bus.emit('onAppReady');
+
+    expect(handler).not.toHaveBeenCalled();
+
+    bus.setup({ configs: { events: { mirror_to_document: true } } });
+    bus.emit('onAppReady');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('exposes every event name as a frozen map', () => {
+    expect(Object.isFrozen(EVENT_NAMES)).toBe(true);
+    expect(EVENT_NAMES.APP_READY).toBe('onAppReady');
+    expect(new Set(Object.values(EVENT_NAMES)).size).toBe(Object.values(EVENT_NAMES).length);
+  });
+});
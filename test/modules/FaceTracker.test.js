@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import createFaceTracker from '../../src/modules/FaceTracker.js';
+
+const face = (xMin, yMin, size, keypoints = []) => ({
+  box: { xMin, yMin, xMax: xMin + size, yMax: yMin + size, width: size, height: size },
+  keypoints,
+});
+
+describe('FaceTracker.update', () => {
+  it('keeps the id of a face moving between frames', () => {
+    const tracker = createFaceTracker();
+
+    const [first] = tracker.update([face(100, 100, 100)], 0);
+    const [second] = tracker.update([face(110, 105, 100)], 33);
+
+    expect(second.id).toBe(first.id);
+    expect(second.age).toBe(1);
+  });
+
+  it('starts a new track when the overlap is below the threshold', () => {
+    const tracker = createFaceTracker();
+    tracker.configure({ iou_threshold: 0.5 });
+
+    const [first] = tracker.update([face(0, 0, 100)], 0);
+    // intersection 50x100 over union 150x100 gives 1/3
+    const [second] = tracker.update([face(50, 0, 100)], 33);
+
+    expect(second.id).not.toBe(first.id);
+    expect(second.age).toBe(0);
+  });
+
+  it('matches every detection to the track it overlaps most', () => {
+    const tracker = createFaceTracker();
+
+    const [large, small] = tracker.update([face(0, 0, 200), face(400, 0, 100)], 0);
+    const tracked = tracker.update([face(410, 5, 100), face(10, 10, 200)], 33);
+
+    expect(tracked.map(item => item.id)).toEqual([large.id, small.id]);
+  });
+
+  it('does not match one track to two detections', () => {
+    const tracker = createFaceTracker();
+
+    const [first] = tracker.update([face(0, 0, 100)], 0);
+    const tracked = tracker.update([face(0, 0, 100), face(5, 5, 100)], 33);
+
+    expect(tracked).toHaveLength(2);
+    expect(tracked.filter(item => item.id === first.id)).toHaveLength(1);
+  });
+
+  it('returns faces largest first', () => {
+    const tracker = createFaceTracker();
+
+    const tracked = tracker.update([face(0, 0, 50), face(200, 0, 150), face(400, 0, 100)], 0);
+
+    expect(tracked.map(item => item.box.width)).toEqual([150, 100, 50]);
+  });
+});
+
+describe('FaceTracker smoothing', () => {
+  it('blends boxes and named keypoints towards the new detection', () => {
+    const tracker = createFaceTracker();
+    tracker.configure({ smoothing: 0.75 });
+
+    tracker.update([face(100, 100, 100, [{ name: 'noseTip', x: 150, y: 150 }])], 0);
+    const [tracked] = tracker.update([face(120, 100, 100, [{ name: 'noseTip', x: 170, y: 160 }])], 33);
+
+    expect(tracked.box).toEqual({ xMin: 105, yMin: 100, xMax: 205, yMax: 200, width: 100, height: 100 });
+    expect(tracked.keypoints).toEqual([{ name: 'noseTip', x: 155, y: 152.5 }]);
+  });
+
+  it('follows detections directly without smoothing', () => {
+    const tracker = createFaceTracker();
+    tracker.configure({ smoothing: 0 });
+
+    tracker.update([face(100, 100, 100)], 0);
+    const [tracked] = tracker.update([face(130, 110, 100)], 33);
+
+    expect(tracked.box).toMatchObject({ xMin: 130, yMin: 110 });
+  });
+
+  it('keeps the latest landmarks unsmoothed', () => {
+    const tracker = createFaceTracker();
+    const landmarks = [{ x: 1, y: 2, z: 3 }];
+
+    tracker.update([face(0, 0, 100)], 0);
+    const [tracked] = tracker.update([{ ...face(0, 0, 100), landmarks }], 33);
+
+    expect(tracked.landmarks).toBe(landmarks);
+  });
+});
+
+describe('FaceTracker expiry', () => {
+  it('keeps the id of a face missing for less than max_age', () => {
+    const tracker = createFaceTracker();
+    tracker.configure({ max_age: 500 });
+
+    const [first] = tracker.update([face(0, 0, 100)], 0);
+
+    expect(tracker.update([], 400)).toEqual([]);
+    expect(tracker.update([face(0, 0, 100)], 500)[0].id).toBe(first.id);
+  });
+
+  it('drops tracks not seen for longer than max_age', () => {
+    const tracker = createFaceTracker();
+    tracker.configure({ max_age: 500 });
+
+    const [first] = tracker.update([face(0, 0, 100)], 0);
+    tracker.update([], 501);
+
+    expect(tracker.tracks).toEqual([]);
+    expect(tracker.update([face(0, 0, 100)], 502)[0].id).not.toBe(first.id);
+  });
+
+  it('forgets every track on reset', () => {
+    const tracker = createFaceTracker();
+
+    const [first] = tracker.update([face(0, 0, 100)], 0);
+    tracker.reset();
+
+    expect(tracker.update([face(0, 0, 100)], 33)[0].id).not.toBe(first.id);
+  });
+});
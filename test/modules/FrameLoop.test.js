@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createFrameLoop from '../../src/modules/FrameLoop.js';
+
+/**
+ * Video element with a stand-in requestVideoFrameCallback, callbacks wait until fired by the test
+ */
+const createVideo = (videoFrames = true) => {
+  const video = { callbacks: new Map(), handles: 0 };
+
+  if (videoFrames) {
+    video.requestVideoFrameCallback = vi.fn((callback) => {
+      video.callbacks.set(++video.handles, callback);
+      return video.handles;
+    });
+    video.cancelVideoFrameCallback = vi.fn(handle => video.callbacks.delete(handle));
+  }
+
+  return video;
+};
+
+describe('FrameLoop', () => {
+  let loop;
+  let callback;
+  let animationFrames;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'setTimeout', 'clearTimeout', 'performance', 'Date'] });
+
+    animationFrames = new Map();
+
+    let handles = 0;
+
+    vi.stubGlobal('document', { hidden: false });
+    vi.stubGlobal('requestAnimationFrame', vi.fn((frame) => {
+      animationFrames.set(++handles, frame);
+      return handles;
+    }));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn(handle => animationFrames.delete(handle)));
+
+    loop = createFrameLoop();
+    callback = vi.fn(async () => {});
+  });
+
+  afterEach(() => {
+    loop.stop();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('runs on video frames and requests the next one before processing', () => {
+    const video = createVideo();
+
+    loop.start(video, callback, { fps: 30 });
+
+    expect(loop.mode).toBe('video-frame');
+    expect(video.requestVideoFrameCallback).toHaveBeenCalledTimes(1);
+
+    video.callbacks.get(loop.handle)(100, { presentedFrames: 1 });
+
+    expect(video.requestVideoFrameCallback).toHaveBeenCalledTimes(2);
+    expect(callback).toHaveBeenCalledWith(100, { presentedFrames: 1 });
+  });
+
+  it('skips frames arriving before the fps interval passed', async () => {
+    loop.start(createVideo(), callback, { fps: 30 });
+
+    await loop.run(100);
+    await loop.run(116);
+    await loop.run(125);
+    await loop.run(131);
+    await loop.run(166);
+
+    expect(callback.mock.calls.map(([now]) => now)).toEqual([100, 131, 166]);
+    expect(loop.getStats()).toMatchObject({ frames: 5, processed: 3, skipped: 2, dropped: 0 });
+  });
+
+  it('drops frames while the previous one is still processed', async () => {
+    let finish;
+
+    callback.mockImplementationOnce(() => new Promise(resolve => finish = resolve));
+    loop.start(createVideo(), callback, { fps: 30 });
+
+    const first = loop.run(100);
+    await loop.run(200);
+
+    expect(loop.getStats()).toMatchObject({ processed: 0, dropped: 1 });
+
+    finish();
+    await first;
+    await loop.run(300);
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(loop.getStats()).toMatchObject({ frames: 3, processed: 2, dropped: 1 });
+  });
+
+  it('counts the presented frames which never reached a callback', async () => {
+    loop.start(createVideo(), callback, { fps: 30 });
+
+    await loop.run(100, { presentedFrames: 10 });
+    await loop.run(200, { presentedFrames: 11 });
+    await loop.run(300, { presentedFrames: 14 });
+
+    expect(loop.getStats().missed).toBe(2);
+  });
+
+  it('counts frames processed over the fps budget', async () => {
+    callback.mockImplementation(async () => vi.advanceTimersByTime(50));
+    loop.start(createVideo(), callback, { fps: 30 });
+
+    await loop.run(100);
+
+    expect(loop.getStats()).toMatchObject({ processed: 1, overBudget: 1, processingTime: 50 });
+  });
+
+  it('falls back to animation frames when video frames stop firing', () => {
+    const video = createVideo();
+
+    loop.start(video, callback, { fps: 30 });
+    const handle = loop.handle;
+
+    vi.advanceTimersByTime(249);
+    expect(loop.mode).toBe('video-frame');
+
+    vi.advanceTimersByTime(1);
+
+    expect(video.cancelVideoFrameCallback).toHaveBeenCalledWith(handle);
+    expect(loop.mode).toBe('animation-frame');
+    expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+    expect(callback).not.toHaveBeenCalled();
+
+    animationFrames.get(loop.handle)(300);
+
+    expect(callback).toHaveBeenCalledWith(300, undefined);
+    expect(video.requestVideoFrameCallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps video frames while they fire in time', () => {
+    const video = createVideo();
+
+    loop.start(video, callback, { fps: 30 });
+
+    for (let i = 1; i <= 5; i++) {
+      vi.advanceTimersByTime(200);
+      video.callbacks.get(loop.handle)(i * 200);
+    }
+
+    expect(loop.mode).toBe('video-frame');
+    expect(requestAnimationFrame).not.toHaveBeenCalled();
+  });
+
+  it('runs on a timer while the tab is hidden', async () => {
+    document.hidden = true;
+    loop.start(createVideo(false), callback, { fps: 30 });
+
+    expect(loop.mode).toBe('animation-frame');
+
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(loop.mode).toBe('animation-frame');
+    expect(callback.mock.calls.map(([now]) => now)).toEqual([250, 500]);
+    expect(loop.getStats().timerFrames).toBe(2);
+  });
+
+  it('stays on video frames and runs on a timer when the hidden tab stops them', () => {
+    document.hidden = true;
+    loop.start(createVideo(), callback, { fps: 30 });
+
+    vi.advanceTimersByTime(250);
+
+    expect(loop.mode).toBe('video-frame');
+    expect(requestAnimationFrame).not.toHaveBeenCalled();
+    expect(loop.getStats().timerFrames).toBe(1);
+  });
+
+  it('cancels the pending video frame on stop', () => {
+    const video = createVideo();
+
+    loop.start(video, callback, { fps: 30 });
+    const handle = loop.handle;
+
+    loop.stop();
+
+    expect(video.cancelVideoFrameCallback).toHaveBeenCalledWith(handle);
+    expect(loop.handle).toBeNull();
+    expect(loop.getStats().running).toBe(false);
+
+    vi.advanceTimersByTime(1000);
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('cancels the pending animation frame on stop', () => {
+    loop.start(createVideo(false), callback, { fps: 30 });
+    const handle = loop.handle;
+
+    loop.stop();
+
+    expect(cancelAnimationFrame).toHaveBeenCalledWith(handle);
+    expect(animationFrames.size).toBe(0);
+    expect(loop.handle).toBeNull();
+  });
+
+  it('does not request another frame for a callback firing after stop', () => {
+    const video = createVideo();
+
+    loop.start(video, callback, { fps: 30 });
+    const tick = video.callbacks.get(loop.handle);
+
+    loop.stop();
+    tick(100);
+
+    expect(video.requestVideoFrameCallback).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,234 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createFrameProcessors from '../../src/modules/FrameProcessors.js';
+
+let clock;
+
+/**
+ * Processor taking a fixed time, recording the order it ran in
+ */
+const createProcessor = (name, calls, duration = 1) => vi.fn(() => {
+  calls.push(name);
+  clock += duration;
+});
+
+const frame = { canvas: {}, video: {}, now: 0, media: {} };
+
+describe('FrameProcessors', () => {
+  let calls;
+
+  beforeEach(() => {
+    clock = 0;
+    calls = [];
+
+    vi.stubGlobal('performance', { now: () => clock });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('runs processors by order and keeps insertion order for equal orders', async () => {
+    const processors = createFrameProcessors();
+
+    processors.add('late', createProcessor('late', calls), { order: 900 });
+    processors.add('first', createProcessor('first', calls), { order: 100 });
+    processors.add('default-a', createProcessor('default-a', calls));
+    processors.add('default-b', { process: createProcessor('default-b', calls) });
+
+    await processors.run(frame, { budget: 10 });
+
+    expect(calls).toEqual(['first', 'default-a', 'default-b', 'late']);
+  });
+
+  it('replaces a processor added under an existing name', async () => {
+    const processors = createFrameProcessors();
+    const destroy = vi.fn();
+
+    processors.add('filter', { process: createProcessor('old', calls), destroy });
+    processors.add('filter', createProcessor('new', calls), { order: 100 });
+
+    await processors.run(frame, { budget: 10 });
+
+    expect(destroy).toHaveBeenCalled();
+    expect(calls).toEqual(['new']);
+    expect(processors.items).toHaveLength(1);
+  });
+
+  it('rejects processors without a process method', () => {
+    expect(() => createFrameProcessors().add('broken', {})).toThrow('A processor must be a function or an object with a process method');
+  });
+
+  it('skips disabled and idle processors', async () => {
+    const processors = createFrameProcessors();
+    let active = false;
+
+    processors.add('idle', { process: createProcessor('idle', calls), isActive: () => active });
+    processors.add('disabled', createProcessor('disabled', calls), { enabled: false });
+    processors.add('running', createProcessor('running', calls));
+
+    await processors.run(frame, { budget: 10 });
+    expect(calls).toEqual(['running']);
+    expect(processors.getActive()).toEqual(['running']);
+
+    active = true;
+    processors.setEnabled('disabled');
+    calls.length = 0;
+
+    await processors.run(frame, { budget: 10 });
+    expect(calls).toEqual(['idle', 'disabled', 'running']);
+  });
+
+  it('disables a processor which exceeds the budget for max overruns frames in a row', async () => {
+    const onDisabled = vi.fn();
+    const processors = createFrameProcessors({ onDisabled });
+
+    processors.add('slow', createProcessor('slow', calls, 20));
+    processors.add('fast', createProcessor('fast', calls, 1));
+
+    for (let i = 0; i < 2; i++) {
+      await processors.run(frame, { budget: 10, maxOverruns: 3 });
+    }
+
+    expect(processors.get('slow').enabled).toBe(true);
+
+    await processors.run(frame, { budget: 10, maxOverruns: 3 });
+
+    const slow = processors.get('slow');
+
+    expect(slow.enabled).toBe(false);
+    expect(slow.disabledReason).toBe('budget');
+    expect(onDisabled).toHaveBeenCalledTimes(1);
+    expect(onDisabled).toHaveBeenCalledWith(slow, 10);
+    expect(processors.get('fast').enabled).toBe(true);
+
+    calls.length = 0;
+    await processors.run(frame, { budget: 10, maxOverruns: 3 });
+    expect(calls).toEqual(['fast']);
+  });
+
+  it('degrades a processor over the budget instead of disabling it while it can', async () => {
+    const onDisabled = vi.fn();
+    const processors = createFrameProcessors({ onDisabled });
+    const levels = ['medium', 'low'];
+    const degrade = vi.fn(() => levels.shift() !== undefined);
+
+    processors.add('blur', { process: createProcessor('blur', calls, 20), degrade });
+
+    for (let i = 0; i < 6; i++) {
+      await processors.run(frame, { budget: 10, maxOverruns: 3 });
+    }
+
+    expect(degrade).toHaveBeenCalledTimes(2);
+    expect(processors.get('blur').enabled).toBe(true);
+    expect(onDisabled).not.toHaveBeenCalled();
+
+    for (let i = 0; i < 3; i++) {
+      await processors.run(frame, { budget: 10, maxOverruns: 3 });
+    }
+
+    expect(degrade).toHaveBeenCalledTimes(3);
+    expect(processors.get('blur')).toMatchObject({ enabled: false, disabledReason: 'budget' });
+    expect(onDisabled).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a processor running over the budget while it degrades', async () => {
+    const processors = createFrameProcessors();
+
+    processors.add('background', { process: createProcessor('background', calls, 20), degrade: () => true });
+
+    for (let i = 0; i < 40; i++) {
+      await processors.run(frame, { budget: 10, maxOverruns: 3 });
+    }
+
+    expect(processors.get('background').enabled).toBe(true);
+    expect(calls).toHaveLength(40);
+  });
+
+  it('disables a processor whose degrade fails', async () => {
+    const processors = createFrameProcessors();
+
+    processors.add('slow', {
+      process: createProcessor('slow', calls, 20),
+      degrade: () => {
+        throw new Error('no lower quality');
+      },
+    });
+
+    await processors.run(frame, { budget: 10, maxOverruns: 1 });
+
+    expect(processors.get('slow').enabled).toBe(false);
+  });
+
+  it('resets the overrun count after a frame within the budget', async () => {
+    const onDisabled = vi.fn();
+    const processors = createFrameProcessors({ onDisabled });
+    const durations = [20, 20, 5, 20, 20];
+
+    processors.add('spiky', () => clock += durations.shift());
+
+    for (let i = 0; i < 5; i++) {
+      await processors.run(frame, { budget: 10, maxOverruns: 3 });
+    }
+
+    expect(processors.get('spiky').enabled).toBe(true);
+    expect(processors.get('spiky').metrics.overBudget).toBe(4);
+    expect(onDisabled).not.toHaveBeenCalled();
+  });
+
+  it('keeps slow processors running when auto disable is off', async () => {
+    const processors = createFrameProcessors();
+
+    processors.add('slow', createProcessor('slow', calls, 20));
+
+    for (let i = 0; i < 40; i++) {
+      await processors.run(frame, { budget: 10, autoDisable: false });
+    }
+
+    expect(processors.get('slow').enabled).toBe(true);
+  });
+
+  it('clears an automatic disable when enabled again', async () => {
+    const processors = createFrameProcessors();
+
+    processors.add('slow', createProcessor('slow', calls, 20));
+    await processors.run(frame, { budget: 10, maxOverruns: 1 });
+
+    processors.setEnabled('slow');
+
+    expect(processors.get('slow')).toMatchObject({ enabled: true, disabledReason: null, overruns: 0 });
+  });
+
+  it('reports timing metrics per processor', async () => {
+    const processors = createFrameProcessors();
+    const durations = [4, 8];
+
+    processors.add('blur', () => clock += durations.shift(), { order: 200 });
+    processors.add('broken', () => {
+      throw new Error('context lost');
+    }, { order: 300 });
+    processors.add('manual', createProcessor('manual', calls));
+    processors.setEnabled('manual', false);
+
+    await processors.run(frame, { budget: 6 });
+    await processors.run(frame, { budget: 6 });
+
+    const metrics = processors.getMetrics();
+
+    expect(metrics.blur).toEqual({
+      calls: 2,
+      lastTime: 8,
+      averageTime: 4 * 0.9 + 8 * 0.1,
+      maxTime: 8,
+      overBudget: 1,
+      errors: 0,
+      order: 200,
+      enabled: true,
+      active: true,
+      disabledReason: null,
+    });
+    expect(metrics.broken).toMatchObject({ calls: 2, errors: 2 });
+    expect(metrics.manual).toMatchObject({ calls: 0, enabled: false, active: false, disabledReason: 'manual' });
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createFrameWorker from '../../src/modules/FrameWorker.js';
+
+let workers;
+let sources;
+
+class FakeWorker
+{
+  constructor(url) {
+    this.url = url;
+    this.postMessage = vi.fn();
+    this.terminate = vi.fn();
+    workers.push(this);
+  }
+}
+
+class FakeOffscreenCanvas
+{
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.context = { setTransform: vi.fn(), drawImage: vi.fn() };
+  }
+
+  getContext() {
+    return this.context;
+  }
+}
+
+class FakeVideoFrame
+{
+  constructor(canvas, { timestamp }) {
+    this.canvas = canvas;
+    this.timestamp = timestamp;
+    this.close = vi.fn();
+  }
+}
+
+const createFrame = (milliseconds) => ({
+  timestamp: milliseconds * 1000,
+  displayWidth: 640,
+  displayHeight: 480,
+  close: vi.fn(),
+});
+
+/**
+ * Evaluate the worker source with stand-in worker globals
+ * @returns {object} Worker scope, onmessage is the worker entry point
+ */
+const evaluateWorker = () => {
+  const scope = { postMessage: vi.fn() };
+
+  new Function('self', 'OffscreenCanvas', 'VideoFrame', sources.at(-1))(scope, FakeOffscreenCanvas, FakeVideoFrame);
+
+  return scope;
+};
+
+/**
+ * Streams feeding frames to the worker, before each frame the writer queue is set to the paired size
+ * @param {Array<[object, number|null]>} frames - Frame and writer desiredSize pairs
+ */
+const createStreams = (frames) => {
+  const writer = {
+    desiredSize: 1,
+    write: vi.fn(async () => {}),
+    close: vi.fn(async () => {}),
+  };
+
+  const reader = {
+    read: async () => {
+      if (!frames.length) {
+        // let the one second stats report fire before the stream ends
+        vi.advanceTimersByTime(1000);
+        return { done: true };
+      }
+
+      const [frame, desiredSize] = frames.shift();
+
+      writer.desiredSize = desiredSize;
+
+      return { value: frame, done: false };
+    },
+  };
+
+  return {
+    writer,
+    readable: { getReader: () => reader },
+    writable: { getWriter: () => writer },
+  };
+};
+
+describe('FrameWorker', () => {
+  let frameWorker;
+
+  beforeEach(() => {
+    workers = [];
+    sources = [];
+
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.stubGlobal('OffscreenCanvas', FakeOffscreenCanvas);
+    vi.stubGlobal('MediaStreamTrackProcessor', class {
+      constructor({ track }) {
+        this.track = track;
+        this.readable = { name: 'readable' };
+      }
+    });
+    vi.stubGlobal('MediaStreamTrackGenerator', class {
+      constructor() {
+        this.writable = { name: 'writable' };
+        this.stop = vi.fn();
+      }
+    });
+    vi.stubGlobal('Blob', class {
+      constructor(parts) {
+        sources.push(parts.join(''));
+      }
+    });
+    vi.stubGlobal('URL', {
+      createObjectURL: vi.fn(() => 'blob:frame-worker'),
+      revokeObjectURL: vi.fn(),
+    });
+
+    frameWorker = createFrameWorker();
+  });
+
+  afterEach(() => {
+    frameWorker.stop();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('is supported only with workers, offscreen canvas and insertable streams', () => {
+    expect(frameWorker.isSupported()).toBe(true);
+
+    vi.stubGlobal('MediaStreamTrackGenerator', undefined);
+
+    expect(frameWorker.isSupported()).toBe(false);
+  });
+
+  it('hands the camera streams to the worker and returns the generated track', () => {
+    const source = { kind: 'video' };
+    const track = frameWorker.start(source, { fps: 24, mirror: false });
+    const [worker] = workers;
+
+    expect(worker.url).toBe('blob:frame-worker');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:frame-worker');
+    expect(worker.postMessage).toHaveBeenCalledWith({
+      type: 'start',
+      fps: 24,
+      mirror: false,
+      readable: { name: 'readable' },
+      writable: track.writable,
+    }, [{ name: 'readable' }, track.writable]);
+
+    expect(frameWorker.isRunning()).toBe(true);
+    expect(frameWorker.source).toBe(source);
+    expect(frameWorker.mirror).toBe(false);
+  });
+
+  it('reports the frame counters sent by the worker', () => {
+    frameWorker.start({ kind: 'video' });
+
+    expect(frameWorker.getStats()).toMatchObject({ frames: 0, processed: 0, mode: 'worker', running: true });
+
+    workers[0].onmessage({ data: { type: 'stats', stats: { frames: 30, processed: 20, skipped: 8, dropped: 2 } } });
+
+    expect(frameWorker.getStats()).toMatchObject({ frames: 30, processed: 20, skipped: 8, dropped: 2 });
+  });
+
+  it('terminates the worker and stops the generated track on stop', () => {
+    const source = { kind: 'video', stop: vi.fn() };
+    const track = frameWorker.start(source);
+    const [worker] = workers;
+
+    frameWorker.stop();
+
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(track.stop).toHaveBeenCalled();
+    expect(source.stop).not.toHaveBeenCalled();
+    expect(frameWorker.isRunning()).toBe(false);
+    expect(frameWorker.getStats()).toMatchObject({ running: false });
+  });
+
+  it('stops the previous worker when started again', () => {
+    const first = frameWorker.start({ kind: 'video' });
+
+    frameWorker.start({ kind: 'video' });
+
+    expect(workers[0].terminate).toHaveBeenCalled();
+    expect(first.stop).toHaveBeenCalled();
+    expect(workers).toHaveLength(2);
+  });
+
+  describe('worker', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      frameWorker.start({ kind: 'video' });
+    });
+
+    it('skips frames before the fps interval and drops frames while the output is backed up', async () => {
+      const frames = [createFrame(0), createFrame(16), createFrame(34), createFrame(68), createFrame(102)];
+      const streams = createStreams(frames.map((frame, index) => [frame, index === 3 ? 0 : 1]));
+      const scope = evaluateWorker();
+
+      await scope.onmessage({ data: { type: 'start', fps: 30, mirror: true, ...streams } });
+
+      expect(scope.postMessage).toHaveBeenCalledWith({
+        type: 'stats',
+        stats: { frames: 5, processed: 3, skipped: 1, dropped: 1 },
+      });
+      expect(streams.writer.write.mock.calls.map(([output]) => output.timestamp)).toEqual([0, 34000, 102000]);
+      frames.forEach(frame => expect(frame.close).toHaveBeenCalled());
+      expect(streams.writer.close).toHaveBeenCalled();
+    });
+
+    it('mirrors the frames only when asked', async () => {
+      const mirrored = createStreams([[createFrame(0), 1]]);
+      const scope = evaluateWorker();
+
+      await scope.onmessage({ data: { type: 'start', fps: 30, mirror: true, ...mirrored } });
+
+      const canvas = mirrored.writer.write.mock.calls[0][0].canvas;
+
+      expect(canvas.context.setTransform).toHaveBeenCalledWith(-1, 0, 0, 1, 640, 0);
+
+      const plain = createStreams([[createFrame(0), 1]]);
+      const other = evaluateWorker();
+
+      await other.onmessage({ data: { type: 'start', fps: 30, mirror: false, ...plain } });
+
+      expect(plain.writer.write.mock.calls[0][0].canvas.context.setTransform).toHaveBeenCalledWith(1, 0, 0, 1, 0, 0);
+    });
+
+    it('ignores other messages', async () => {
+      const scope = evaluateWorker();
+
+      await scope.onmessage({ data: { type: 'stats' } });
+
+      expect(scope.postMessage).not.toHaveBeenCalled();
+    });
+  });
+});
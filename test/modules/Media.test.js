@@ -0,0 +1,382 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createMedia from '../../src/modules/Media.js';
+
+const createSegmenter = vi.hoisted(() => vi.fn());
+
+vi.mock('@tensorflow-models/body-segmentation', () => ({
+  SupportedModels: { MediaPipeSelfieSegmentation: 'MediaPipeSelfieSegmentation' },
+  createSegmenter,
+  toBinaryMask: vi.fn(),
+}));
+
+const createParent = () => ({ configs: {}, emit: vi.fn() });
+
+let Media;
+
+beforeEach(() => {
+  vi.stubGlobal('document', { createElement: () => ({ style: {} }) });
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+  Media = createMedia();
+  Media.parent = createParent();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('Media.loadFeature', () => {
+  it('marks the feature available and returns its model', async () => {
+    const model = { dispose: vi.fn() };
+
+    expect(await Media.loadFeature('faceDetection', async () => model)).toBe(model);
+    expect(Media.isFeatureAvailable('faceDetection')).toBe(true);
+    expect(Media.parent.emit).not.toHaveBeenCalled();
+  });
+
+  it('emits onFeatureUnavailable instead of failing when the model does not load', async () => {
+    const model = await Media.loadFeature('bodySegmentation', async () => {
+      throw new Error('Integrity check failed for /models/selfie/model.tflite');
+    });
+
+    expect(model).toBeNull();
+    expect(Media.isFeatureAvailable('bodySegmentation')).toBe(false);
+    expect(Media.parent.emit).toHaveBeenCalledWith('onFeatureUnavailable', {
+      detail: {
+        feature: 'bodySegmentation',
+        error: 'Integrity check failed for /models/selfie/model.tflite',
+      }
+    });
+  });
+
+  it('keeps other features available when one fails', async () => {
+    await Media.loadFeature('faceDetection', async () => ({}));
+    await Media.loadFeature('bodySegmentation', async () => Promise.reject('offline'));
+
+    expect(Media.isFeatureAvailable('faceDetection')).toBe(true);
+    expect(Media.parent.emit).toHaveBeenCalledWith('onFeatureUnavailable', {
+      detail: { feature: 'bodySegmentation', error: 'offline' }
+    });
+  });
+});
+
+describe('Media.prepare', () => {
+  it('lets a preview start before setup and keeps it running through setup', async () => {
+    vi.stubGlobal('window', { innerWidth: 1280, innerHeight: 720 });
+
+    const parent = { configs: {}, emit: vi.fn() };
+
+    Media = createMedia();
+    await expect(Media.preview()).rejects.toThrow('Media.prepare or Media.setup must be called before Media.preview');
+
+    Media.prepare(parent, { resolution: 'hd' });
+
+    const { video, canvas, previewSession } = Media;
+
+    expect(video).toBeTruthy();
+    expect(canvas.width).toBe(1280);
+    expect(typeof previewSession.start).toBe('function');
+    expect(typeof Media.audioProcessor.getConstraints).toBe('function');
+
+    previewSession.stop = vi.fn();
+    Media.prepare(parent, { resolution: 'hd' });
+
+    expect(Media.video).toBe(video);
+    expect(Media.previewSession).toBe(previewSession);
+    expect(previewSession.stop).not.toHaveBeenCalled();
+  });
+});
+
+describe('Media body segmentation on demand', () => {
+  let parent;
+
+  beforeEach(() => {
+    vi.stubGlobal('window', { innerWidth: 1280, innerHeight: 720 });
+
+    createSegmenter.mockReset();
+    createSegmenter.mockImplementation(async () => ({ dispose: vi.fn() }));
+
+    parent = {
+      configs: { mediapipe: { models: { bodySegmentation: '/models/selfie' } }, blur: { level: 0.5 } },
+      emit: vi.fn(),
+    };
+
+    Media = createMedia();
+    Media.prepare(parent, { resolution: 'hd' });
+  });
+
+  it('loads the segmenter when blur is enabled in a preview before setup', async () => {
+    expect(Media.bodySegmenter.segmenter).toBeNull();
+
+    expect(await Media.blurBackground(true)).toBe(true);
+
+    expect(createSegmenter).toHaveBeenCalledTimes(1);
+    expect(createSegmenter.mock.calls[0][1]).toMatchObject({ solutionPath: '/models/selfie', modelType: 'general' });
+    expect(Media.bodySegmenter.segmenter).toBeTruthy();
+    expect(Media.isFeatureAvailable('bodySegmentation')).toBe(true);
+  });
+
+  it('loads the segmenter once for every effect enabled while it loads', async () => {
+    const results = await Promise.all([
+      Media.blurBackground(0.2),
+      Media.setPortraitLight(true),
+      Media.setBackground({ type: 'color', source: '#000' }),
+    ]);
+
+    expect(results).toEqual([true, true, true]);
+    expect(createSegmenter).toHaveBeenCalledTimes(1);
+
+    await Media.blurBackground(true);
+    expect(createSegmenter).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not load the segmenter for effects turned off', async () => {
+    expect(await Media.blurBackground(false)).toBe(true);
+    expect(await Media.setPortraitLight(0)).toBe(true);
+    expect(await Media.setBackground({ type: 'none' })).toBe(true);
+
+    expect(createSegmenter).not.toHaveBeenCalled();
+  });
+
+  it('reports the effect unavailable when the segmenter does not load', async () => {
+    createSegmenter.mockRejectedValue(new Error('offline'));
+
+    expect(await Media.blurBackground(true)).toBe(false);
+
+    expect(Media.isFeatureAvailable('bodySegmentation')).toBe(false);
+    expect(parent.emit).toHaveBeenCalledWith('onFeatureUnavailable', {
+      detail: { feature: 'bodySegmentation', error: 'offline' }
+    });
+  });
+});
+
+describe('Media.blurBackground', () => {
+  beforeEach(() => {
+    createSegmenter.mockReset();
+    createSegmenter.mockImplementation(async () => ({ dispose: vi.fn() }));
+
+    Media.parent = { ...createParent(), configs: { mediapipe: { models: {} } } };
+  });
+
+  it('maps the configured level to the blur radius', async () => {
+    Media.parent.configs.blur = { level: 0.5 };
+
+    await Media.blurBackground(true);
+
+    expect(Media.bodySegmenter.blur).toBe(10);
+    expect(Media.getBlurLevel()).toBe(0.5);
+  });
+
+  it('falls back to a level of 0.4 without a configured level', async () => {
+    await Media.blurBackground();
+
+    expect(Media.bodySegmenter.blur).toBe(8);
+  });
+
+  it('maps a numeric level to the blur radius and clamps it', async () => {
+    await Media.blurBackground(0.25);
+    expect(Media.bodySegmenter.blur).toBe(5);
+
+    await Media.blurBackground(2);
+    expect(Media.bodySegmenter.blur).toBe(20);
+    expect(Media.getBlurLevel()).toBe(1);
+
+    await Media.blurBackground(-1);
+    expect(Media.bodySegmenter.blur).toBe(0);
+  });
+
+  it('turns the blur off with false or 0', async () => {
+    await Media.blurBackground(0.5);
+    await Media.blurBackground(false);
+    expect(Media.bodySegmenter.blur).toBe(0);
+
+    await Media.blurBackground(0.5);
+    await Media.blurBackground(0);
+    expect(Media.getBlurLevel()).toBe(0);
+  });
+
+  it('replaces an active background only when the blur is turned on', async () => {
+    const background = { type: 'color', source: '#000' };
+
+    Media.bodySegmenter.background = background;
+    await Media.blurBackground(false);
+    expect(Media.bodySegmenter.background).toBe(background);
+
+    await Media.blurBackground(true);
+    expect(Media.bodySegmenter.background).toBeNull();
+  });
+});
+
+describe('Media device changes', () => {
+  const createTrack = (kind, deviceId) => ({
+    kind,
+    deviceId,
+    enabled: true,
+    readyState: 'live',
+    stop: vi.fn(function () { this.readyState = 'ended'; }),
+  });
+
+  const createStream = (tracks) => ({
+    getTracks: () => [...tracks],
+    getVideoTracks: () => tracks.filter(track => track.kind === 'video'),
+    getAudioTracks: () => tracks.filter(track => track.kind === 'audio'),
+    addTrack: (track) => tracks.push(track),
+    removeTrack: (track) => tracks.splice(tracks.indexOf(track), 1),
+  });
+
+  const createDevice = (kind, deviceId) => ({ kind, deviceId, label: deviceId });
+
+  let available;
+  let sender;
+  let sinks;
+
+  beforeEach(() => {
+    available = [
+      createDevice('videoinput', 'default'),
+      createDevice('videoinput', 'camera-1'),
+      createDevice('videoinput', 'camera-2'),
+      createDevice('audioinput', 'default'),
+      createDevice('audioinput', 'mic-1'),
+      createDevice('audioinput', 'mic-2'),
+      createDevice('audiooutput', 'speaker-1'),
+    ];
+    sinks = [];
+
+    vi.stubGlobal('navigator', {
+      mediaDevices: {
+        enumerateDevices: vi.fn(async () => available),
+        getUserMedia: vi.fn(async ({ video, audio }) => createStream([
+          video ? createTrack('video', video.deviceId.exact) : createTrack('audio', audio.deviceId.exact),
+        ])),
+      },
+    });
+    vi.stubGlobal('HTMLMediaElement', class { setSinkId() {} });
+    vi.stubGlobal('document', {
+      createElement: () => ({ style: {} }),
+      getElementById: () => ({ setSinkId: vi.fn(async (deviceId) => sinks.push(deviceId)) }),
+    });
+
+    const microphone = createTrack('audio', 'mic-1');
+
+    sender = { track: microphone, replaceTrack: vi.fn(async function (track) { this.track = track; }) };
+
+    Media.parent = {
+      ...createParent(),
+      userSettings: { camDisable: false, micDisable: false },
+      People: {
+        getConnections: () => [{ peerJsId: 'remote', mediaConnection: { peerConnection: { getSenders: () => [sender] } } }],
+      },
+    };
+    Media.options = { remoteAudioRef: 'audio' };
+    Media.devices = { camera: 'camera-1', microphone: 'mic-1' };
+    Media.speaker = 'speaker-1';
+    Media.video = { srcObject: createStream([createTrack('video', 'camera-1'), microphone]) };
+    Media.userMedia = createStream([createTrack('video', 'canvas'), microphone]);
+    Media.audioProcessor = {
+      getConstraints: () => ({ echoCancellation: true }),
+      process: vi.fn(async (track, swap) => {
+        await swap(track);
+        return track;
+      }),
+    };
+    Media.muteMonitor = { stop: vi.fn(), update: vi.fn() };
+  });
+
+  const lastDevicesChanged = () => {
+    return Media.parent.emit.mock.calls.filter(([type]) => type === 'onDevicesChanged').at(-1)[1].detail;
+  };
+
+  it('emits the current devices without the browser default entries', async () => {
+    await Media.handleDeviceChange();
+
+    const detail = lastDevicesChanged();
+
+    expect(detail.cameras.map(device => device.deviceId)).toEqual(['camera-1', 'camera-2']);
+    expect(detail.microphones.map(device => device.deviceId)).toEqual(['mic-1', 'mic-2']);
+    expect(detail.speakers.map(device => device.deviceId)).toEqual(['speaker-1']);
+    expect(detail.fallback).toEqual({});
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  it('falls back to another camera when the active one was removed', async () => {
+    const [previous] = Media.video.srcObject.getVideoTracks();
+
+    available = available.filter(device => device.deviceId !== 'camera-1');
+    await Media.handleDeviceChange();
+
+    expect(lastDevicesChanged().fallback).toEqual({ camera: 'camera-2' });
+    expect(Media.devices.camera).toBe('camera-2');
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+      video: expect.objectContaining({ deviceId: { exact: 'camera-2' } }),
+    });
+    expect(previous.stop).toHaveBeenCalled();
+    expect(Media.video.srcObject.getVideoTracks().map(track => track.deviceId)).toEqual(['camera-2']);
+    // the outgoing canvas track is kept
+    expect(sender.replaceTrack).not.toHaveBeenCalled();
+  });
+
+  it('falls back to another microphone and replaces the outgoing audio track', async () => {
+    const [previous] = Media.video.srcObject.getAudioTracks();
+
+    Media.parent.userSettings.micDisable = true;
+    available = available.filter(device => device.deviceId !== 'mic-1');
+    await Media.handleDeviceChange();
+
+    const [track] = Media.video.srcObject.getAudioTracks();
+
+    expect(lastDevicesChanged().fallback).toEqual({ microphone: 'mic-2' });
+    expect(Media.devices.microphone).toBe('mic-2');
+    expect(previous.stop).toHaveBeenCalled();
+    expect(track.deviceId).toBe('mic-2');
+    expect(track.enabled).toBe(false);
+    expect(sender.replaceTrack).toHaveBeenCalledWith(track);
+    expect(Media.userMedia.getAudioTracks()).toEqual([track]);
+    expect(Media.muteMonitor.update).toHaveBeenCalledWith(track);
+  });
+
+  it('routes audio to the default output when the active speaker was removed', async () => {
+    available = available.filter(device => device.kind !== 'audiooutput');
+    await Media.handleDeviceChange();
+
+    expect(lastDevicesChanged().fallback).toEqual({ speaker: 'default' });
+    expect(Media.speaker).toBe('default');
+    expect(sinks).toEqual(['default']);
+  });
+
+  it('keeps the device when no other one is available', async () => {
+    available = available.filter(device => device.kind !== 'videoinput');
+    await Media.handleDeviceChange();
+
+    expect(lastDevicesChanged().fallback).toEqual({});
+    expect(Media.devices.camera).toBe('camera-1');
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  it('only records the camera while it is disabled', async () => {
+    Media.parent.userSettings.camDisable = true;
+
+    expect(await Media.switchCamera('camera-2')).toBe(true);
+    expect(Media.devices).toEqual({ camera: 'camera-2', microphone: 'mic-1' });
+    expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+  });
+
+  it('keeps the current microphone when the new one can not be opened', async () => {
+    const tracks = Media.video.srcObject.getAudioTracks();
+
+    navigator.mediaDevices.getUserMedia.mockRejectedValue(new Error('NotReadableError'));
+
+    expect(await Media.switchMicrophone('mic-2')).toBe(false);
+    expect(Media.video.srcObject.getAudioTracks()).toEqual(tracks);
+    expect(tracks[0].stop).not.toHaveBeenCalled();
+    expect(sender.replaceTrack).not.toHaveBeenCalled();
+  });
+
+  it('does not emit when the devices can not be read', async () => {
+    navigator.mediaDevices.enumerateDevices.mockRejectedValue(new Error('NotAllowedError'));
+
+    await Media.handleDeviceChange();
+
+    expect(Media.parent.emit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createBodySegmentation from '../../src/modules/MediapipeBodySegment.js';
+
+const toBinaryMask = vi.hoisted(() => vi.fn(async () => ({})));
+
+vi.mock('@tensorflow-models/body-segmentation', () => ({
+  SupportedModels: { MediaPipeSelfieSegmentation: 'MediaPipeSelfieSegmentation' },
+  createSegmenter: vi.fn(),
+  toBinaryMask,
+}));
+
+const createCanvas = () => ({
+  width: 0,
+  height: 0,
+  getContext: () => ({ drawImage: vi.fn(), putImageData: vi.fn(), clearRect: vi.fn() }),
+});
+
+const createSegmenter = (extra = {}) => ({
+  segmenter: { segmentPeople: vi.fn(async () => []) },
+  quality: 'high',
+  threshold: 0.6,
+  background: null,
+  frameId: 1,
+  maskFrame: null,
+  buffers: null,
+  ...extra,
+});
+
+describe('MediapipeBodySegment.segment', () => {
+  beforeEach(() => {
+    toBinaryMask.mockClear();
+    vi.stubGlobal('document', { createElement: createCanvas });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('segments with the configured foreground threshold', async () => {
+    const body = createBodySegmentation();
+
+    await body.segment(createSegmenter(), { ...createCanvas(), width: 64, height: 48 });
+
+    expect(toBinaryMask.mock.calls[0][4]).toBe(0.6);
+  });
+
+  it('segments with the threshold of an active background', async () => {
+    const body = createBodySegmentation();
+    const bodySegmenter = createSegmenter({ background: { type: 'color', source: '#000', threshold: 0.8 } });
+
+    await body.segment(bodySegmenter, { ...createCanvas(), width: 64, height: 48 });
+
+    expect(toBinaryMask.mock.calls[0][4]).toBe(0.8);
+  });
+
+  it('falls back to the configured threshold for a background without one', async () => {
+    const body = createBodySegmentation();
+    const bodySegmenter = createSegmenter({ background: { type: 'color', source: '#000' } });
+
+    await body.segment(bodySegmenter, { ...createCanvas(), width: 64, height: 48 });
+
+    expect(toBinaryMask.mock.calls[0][4]).toBe(0.6);
+  });
+});
+
+describe('MediapipeBodySegment.degrade', () => {
+  it('steps the quality down one level and announces it', () => {
+    const body = createBodySegmentation();
+    const onQualityChange = vi.fn();
+    const bodySegmenter = createSegmenter({ autoQuality: true, overruns: 10, headroom: 0, segmentationTime: 30, onQualityChange });
+
+    expect(body.degrade(bodySegmenter)).toBe(true);
+    expect(bodySegmenter).toMatchObject({ quality: 'medium', overruns: 0, segmentationTime: 0 });
+    expect(onQualityChange).toHaveBeenCalledWith('medium', 'high');
+
+    expect(body.degrade(bodySegmenter)).toBe(true);
+    expect(bodySegmenter.quality).toBe('low');
+
+    expect(body.degrade(bodySegmenter)).toBe(false);
+    expect(bodySegmenter.quality).toBe('low');
+    expect(onQualityChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps a pinned quality', () => {
+    const body = createBodySegmentation();
+    const bodySegmenter = createSegmenter({ autoQuality: false });
+
+    expect(body.degrade(bodySegmenter)).toBe(false);
+    expect(bodySegmenter.quality).toBe('high');
+  });
+});
+
+describe('MediapipeBodySegment.adjustQuality', () => {
+  const measure = (body, bodySegmenter, duration, times) => {
+    for (let i = 0; i < times; i++) {
+      body.adjustQuality(bodySegmenter, duration);
+    }
+  };
+
+  it('steps down after 15 segmentations over the budget in a row', () => {
+    const body = createBodySegmentation();
+    const onQualityChange = vi.fn();
+    const bodySegmenter = createSegmenter({ autoQuality: true, budget: 33, onQualityChange });
+
+    measure(body, bodySegmenter, 30, 14);
+    expect(bodySegmenter.quality).toBe('high');
+
+    measure(body, bodySegmenter, 30, 1);
+    expect(bodySegmenter).toMatchObject({ quality: 'medium', overruns: 0, headroom: 0, segmentationTime: 0 });
+    expect(onQualityChange).toHaveBeenCalledWith('medium', 'high');
+
+    measure(body, bodySegmenter, 30, 15);
+    expect(bodySegmenter.quality).toBe('low');
+    expect(onQualityChange).toHaveBeenLastCalledWith('low', 'medium');
+
+    measure(body, bodySegmenter, 30, 30);
+    expect(bodySegmenter.quality).toBe('low');
+    expect(onQualityChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('steps up after 150 segmentations well within the budget', () => {
+    const body = createBodySegmentation();
+    const onQualityChange = vi.fn();
+    const bodySegmenter = createSegmenter({ autoQuality: true, budget: 33, quality: 'low', onQualityChange });
+
+    measure(body, bodySegmenter, 5, 149);
+    expect(bodySegmenter.quality).toBe('low');
+
+    measure(body, bodySegmenter, 5, 1);
+    expect(bodySegmenter.quality).toBe('medium');
+    expect(onQualityChange).toHaveBeenCalledWith('medium', 'low');
+
+    measure(body, bodySegmenter, 5, 300);
+    expect(bodySegmenter.quality).toBe('high');
+    expect(onQualityChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('holds the quality between 40% and 80% of the budget', () => {
+    const body = createBodySegmentation();
+    const bodySegmenter = createSegmenter({ autoQuality: true, budget: 33, quality: 'medium' });
+
+    measure(body, bodySegmenter, 20, 300);
+
+    expect(bodySegmenter.quality).toBe('medium');
+  });
+
+  it('keeps the quality while auto quality is off', () => {
+    const body = createBodySegmentation();
+    const onQualityChange = vi.fn();
+    const bodySegmenter = createSegmenter({ autoQuality: false, budget: 33, onQualityChange });
+
+    measure(body, bodySegmenter, 30, 100);
+
+    expect(bodySegmenter.quality).toBe('high');
+    expect(bodySegmenter.segmentationTime).toBeCloseTo(30);
+    expect(onQualityChange).not.toHaveBeenCalled();
+  });
+
+  it('keeps the quality without a frame budget', () => {
+    const body = createBodySegmentation();
+    const bodySegmenter = createSegmenter({ autoQuality: true, budget: null });
+
+    measure(body, bodySegmenter, 300, 100);
+
+    expect(bodySegmenter.quality).toBe('high');
+  });
+});
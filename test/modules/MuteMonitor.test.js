@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createMuteMonitor from '../../src/modules/MuteMonitor.js';
+import createEventBus from '../../src/modules/EventBus.js';
+
+/**
+ * Signal read by the stand-in analyser: time domain amplitude and the
+ * decibels of the bins inside and outside the voice band
+ */
+let signal;
+let contexts;
+
+const createTrack = () => ({
+  readyState: 'live',
+  enabled: false,
+  stop: vi.fn(function () { this.readyState = 'ended'; }),
+  clone: vi.fn(() => ({ ...createTrack(), enabled: false })),
+});
+
+class FakeAudioContext
+{
+  constructor() {
+    this.state = 'running';
+    this.sampleRate = 48000;
+    this.resume = vi.fn(async () => { this.state = 'running'; });
+    this.close = vi.fn(async () => { this.state = 'closed'; });
+    contexts.push(this);
+  }
+
+  createMediaStreamSource() {
+    return { connect: vi.fn(), disconnect: vi.fn() };
+  }
+
+  createAnalyser() {
+    return {
+      fftSize: 2048,
+      get frequencyBinCount() {
+        return this.fftSize / 2;
+      },
+      getFloatTimeDomainData: (buffer) => buffer.fill(signal.amplitude),
+      getFloatFrequencyData(buffer) {
+        const binWidth = 48000 / this.fftSize;
+
+        buffer.forEach((value, index) => {
+          const frequency = index * binWidth;
+          buffer[index] = frequency >= 300 && frequency <= 3400 ? signal.voice : signal.noise;
+        });
+      },
+    };
+  }
+}
+
+const createParent = (talkingWhileMuted = {}) => {
+  const EventBus = createEventBus();
+
+  return {
+    configs: { talking_while_muted: talkingWhileMuted },
+    userSettings: { micDisable: true },
+    EventBus,
+    emit: (type, data) => EventBus.emit(type, data),
+  };
+};
+
+const SPEECH = { amplitude: 0.1, voice: -30, noise: -70 };
+const SILENCE = { amplitude: 0.001, voice: -90, noise: -90 };
+
+describe('MuteMonitor', () => {
+  let parent;
+  let monitor;
+  let events;
+  let raw;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('window', { AudioContext: FakeAudioContext });
+    vi.stubGlobal('MediaStream', class { constructor(tracks) { this.tracks = tracks; } });
+
+    signal = { ...SILENCE };
+    contexts = [];
+    raw = createTrack();
+    parent = createParent();
+    monitor = createMuteMonitor().initial(parent);
+
+    events = [];
+    parent.EventBus.on('onTalkingWhileMuted', event => events.push(event.detail));
+  });
+
+  afterEach(() => {
+    monitor.destroy();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('analyses an enabled clone while muted and releases it once unmuted', () => {
+    monitor.update(raw);
+
+    expect(raw.clone).toHaveBeenCalledTimes(1);
+    expect(monitor.track.enabled).toBe(true);
+    expect(raw.enabled).toBe(false);
+
+    const track = monitor.track;
+
+    parent.userSettings.micDisable = false;
+    monitor.update(raw);
+
+    expect(track.stop).toHaveBeenCalled();
+    expect(contexts[0].close).toHaveBeenCalled();
+    expect(raw.stop).not.toHaveBeenCalled();
+    expect(monitor.interval).toBeNull();
+  });
+
+  it('does not monitor when disabled in the configuration', () => {
+    parent.configs.talking_while_muted.enable = false;
+
+    monitor.update(raw);
+
+    expect(monitor.track).toBeNull();
+    expect(contexts).toHaveLength(0);
+  });
+
+  it('emits once speech was sustained for the minimum duration', () => {
+    monitor.update(raw);
+    signal = { ...SPEECH };
+
+    vi.advanceTimersByTime(50 * 11);
+    expect(events).toHaveLength(0);
+
+    vi.advanceTimersByTime(50);
+    expect(events).toHaveLength(1);
+    expect(events[0].duration).toBe(600);
+    expect(events[0].level).toBeCloseTo(-20);
+  });
+
+  it('ignores loud sound outside the voice band', () => {
+    monitor.update(raw);
+    signal = { amplitude: 0.1, voice: -70, noise: -30 };
+
+    vi.advanceTimersByTime(3000);
+
+    expect(events).toHaveLength(0);
+  });
+
+  it('ignores voice below the energy threshold', () => {
+    monitor.update(raw);
+    signal = { ...SPEECH, amplitude: 0.001 };
+
+    vi.advanceTimersByTime(3000);
+
+    expect(events).toHaveLength(0);
+  });
+
+  it('only counts voiced frames inside the window', () => {
+    parent.configs.talking_while_muted.window = 500;
+    monitor.update(raw);
+    signal = { ...SPEECH };
+
+    vi.advanceTimersByTime(3000);
+
+    expect(events).toHaveLength(0);
+  });
+
+  it('waits for the cooldown before emitting again', () => {
+    monitor.update(raw);
+    signal = { ...SPEECH };
+
+    vi.advanceTimersByTime(600);
+    expect(events).toHaveLength(1);
+
+    vi.advanceTimersByTime(10000 - 50);
+    expect(events).toHaveLength(1);
+
+    vi.advanceTimersByTime(50);
+    expect(events).toHaveLength(2);
+  });
+
+  it('resets the cooldown on destroy', () => {
+    monitor.update(raw);
+    signal = { ...SPEECH };
+    vi.advanceTimersByTime(600);
+
+    monitor.destroy();
+    monitor.update(raw);
+    vi.advanceTimersByTime(600);
+
+    expect(events).toHaveLength(2);
+  });
+
+  it('resumes a suspended audio context', () => {
+    monitor.update(raw);
+    contexts[0].state = 'suspended';
+
+    vi.advanceTimersByTime(50);
+
+    expect(contexts[0].resume).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,271 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createPeerHealth from '../../src/modules/PeerHealth.js';
+
+const createPeerConnection = () => {
+  const peerConnection = new EventTarget();
+
+  peerConnection.connectionState = 'connected';
+  peerConnection.signalingState = 'stable';
+  peerConnection.setConnectionState = (state) => {
+    peerConnection.connectionState = state;
+    peerConnection.dispatchEvent(new Event('connectionstatechange'));
+  };
+
+  return peerConnection;
+};
+
+const createConnection = (peerJsId) => {
+  const handlers = {};
+
+  return {
+    peerJsId,
+    name: 'Remote',
+    isCreator: false,
+    dataConnection: { open: true, send: vi.fn() },
+    mediaConnection: {
+      peerConnection: createPeerConnection(),
+      on: vi.fn((event, handler) => handlers[event] = handler),
+      off: vi.fn((event, handler) => handlers[event] === handler && delete handlers[event]),
+      once: vi.fn(),
+      close: () => handlers.close?.(),
+    },
+  };
+};
+
+const createParent = (peerJsId, users) => {
+  const connections = [];
+
+  return {
+    peerJsId,
+    configs: { connection_recovery: {} },
+    Room: { information: users ? { users } : null },
+    on: vi.fn(),
+    emit: vi.fn(),
+    connections,
+    People: {
+      findOne: (key, value) => connections.find(item => item[key] === value),
+      remove: vi.fn((id) => connections.splice(connections.findIndex(item => item.peerJsId === id), 1)),
+    },
+    peerJs: {
+      establishConnectionWithUser: vi.fn(async () => {}),
+    },
+  };
+};
+
+describe('PeerHealth', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('picks the peer with the lower id as initiator', () => {
+    const health = createPeerHealth();
+
+    health.setup(createParent('a'));
+
+    expect(health.isInitiator('b')).toBe(true);
+    expect(health.isInitiator('0')).toBe(false);
+  });
+
+  it('lets the non-initiator take over when the initiator never recovers the connection', async () => {
+    const parent = createParent('b');
+    const health = createPeerHealth();
+    const connection = createConnection('a');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.peerConnection.setConnectionState('disconnected');
+
+    await vi.advanceTimersByTimeAsync(3000 + 15000);
+
+    expect(parent.People.remove).toHaveBeenCalledWith('a');
+    expect(parent.peerJs.establishConnectionWithUser).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(15000 + 1000);
+
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledWith(expect.objectContaining({ peerJsId: 'a' }));
+  });
+
+  it('keeps the non-initiator waiting while the connection recovers', async () => {
+    const parent = createParent('b');
+    const health = createPeerHealth();
+    const connection = createConnection('a');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.peerConnection.setConnectionState('disconnected');
+    await vi.advanceTimersByTimeAsync(3000 + 5000);
+
+    connection.mediaConnection.peerConnection.setConnectionState('connected');
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(parent.People.remove).not.toHaveBeenCalled();
+    expect(parent.peerJs.establishConnectionWithUser).not.toHaveBeenCalled();
+  });
+
+  it('does not call again when the initiator called first', async () => {
+    const parent = createParent('b');
+    const health = createPeerHealth();
+    const connection = createConnection('a');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.peerConnection.setConnectionState('failed');
+    expect(parent.People.remove).toHaveBeenCalledWith('a');
+
+    parent.connections.push(createConnection('a'));
+    await vi.advanceTimersByTimeAsync(15000 + 1000);
+
+    expect(parent.peerJs.establishConnectionWithUser).not.toHaveBeenCalled();
+  });
+
+  it('calls again sooner on the initiator side', async () => {
+    const parent = createParent('a');
+    const health = createPeerHealth();
+    const connection = createConnection('b');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.peerConnection.setConnectionState('failed');
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats a closed call as a failure when the user is still in the room', async () => {
+    const parent = createParent('a', [{ peerJsId: 'a' }, { peerJsId: 'b' }]);
+    const health = createPeerHealth();
+    const connection = createConnection('b');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.close();
+    expect(parent.People.remove).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(parent.People.remove).toHaveBeenCalledWith('b');
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledWith(expect.objectContaining({ peerJsId: 'b' }));
+  });
+
+  it('ignores the close of a user who left the room', async () => {
+    const users = [{ peerJsId: 'a' }, { peerJsId: 'b' }];
+    const parent = createParent('a', users);
+    const health = createPeerHealth();
+    const connection = createConnection('b');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    // the call closes first, user-left-room follows within the grace period
+    connection.mediaConnection.close();
+    parent.Room.information.users = users.filter(user => user.peerJsId !== 'b');
+
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(health.watchers.has('b')).toBe(false);
+    expect(parent.People.remove).not.toHaveBeenCalled();
+    expect(parent.peerJs.establishConnectionWithUser).not.toHaveBeenCalled();
+  });
+
+  it('stops watching right away when the closed user is no longer listed', () => {
+    const parent = createParent('a', [{ peerJsId: 'a' }]);
+    const health = createPeerHealth();
+    const connection = createConnection('b');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.close();
+
+    expect(health.watchers.has('b')).toBe(false);
+    expect(connection.mediaConnection.off).toHaveBeenCalledWith('close', expect.any(Function));
+  });
+
+  it('does not call a user again who left while the call was pending', async () => {
+    const users = [{ peerJsId: 'a' }, { peerJsId: 'b' }];
+    const parent = createParent('a', users);
+    const health = createPeerHealth();
+    const connection = createConnection('b');
+
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.peerConnection.setConnectionState('failed');
+    parent.Room.information.users = users.filter(user => user.peerJsId !== 'b');
+
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(parent.peerJs.establishConnectionWithUser).not.toHaveBeenCalled();
+    expect(health.watchers.has('b')).toBe(false);
+  });
+
+  it('keeps backing off when calling again fails', async () => {
+    const parent = createParent('a', [{ peerJsId: 'a' }, { peerJsId: 'b' }]);
+    const health = createPeerHealth();
+    const connection = createConnection('b');
+
+    parent.configs.connection_recovery = { max_attempts: 3 };
+    parent.peerJs.establishConnectionWithUser.mockRejectedValue(new Error('Could not connect to peer b'));
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.peerConnection.setConnectionState('failed');
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(1);
+    expect(health.watchers.get('b').attempts).toBe(2);
+
+    await vi.advanceTimersByTimeAsync(2000 - 1);
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(3);
+
+    // max_attempts reached, give up
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(3);
+    expect(health.watchers.has('b')).toBe(false);
+    expect(parent.emit).toHaveBeenLastCalledWith('onPeerConnectionStateChange', { detail: { peerJsId: 'b', state: 'failed' } });
+  });
+
+  it('stops backing off once calling again succeeds', async () => {
+    const parent = createParent('a', [{ peerJsId: 'a' }, { peerJsId: 'b' }]);
+    const health = createPeerHealth();
+    const connection = createConnection('b');
+
+    parent.peerJs.establishConnectionWithUser.mockRejectedValueOnce(new Error('Could not connect to peer b'));
+    parent.connections.push(connection);
+    health.setup(parent);
+    health.watch(connection);
+
+    connection.mediaConnection.peerConnection.setConnectionState('failed');
+    await vi.advanceTimersByTimeAsync(1000 + 2000);
+
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(parent.peerJs.establishConnectionWithUser).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import createPreview from '../../src/modules/Preview.js';
+
+const createTrack = (kind, deviceId) => ({
+  kind,
+  readyState: 'live',
+  stop: vi.fn(function () { this.readyState = 'ended'; }),
+  getSettings: () => ({ deviceId, width: 640, height: 480, frameRate: 30 }),
+});
+
+const createStream = (tracks) => ({
+  tracks,
+  getTracks: () => tracks,
+  getVideoTracks: () => tracks.filter(track => track.kind === 'video'),
+  getAudioTracks: () => tracks.filter(track => track.kind === 'audio'),
+  removeTrack: (track) => tracks.splice(tracks.indexOf(track), 1),
+});
+
+class FakeAudioContext
+{
+  createAnalyser() {
+    return { fftSize: 0, getFloatTimeDomainData: (buffer) => buffer.fill(0.5) };
+  }
+
+  createMediaStreamSource() {
+    return { connect: vi.fn() };
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+class FakePeerConnection
+{
+  createDataChannel() {}
+
+  async createOffer() {
+    return { type: 'offer', sdp: 'offer' };
+  }
+
+  async setLocalDescription() {
+    setTimeout(() => {
+      this.onicecandidate({ candidate: { type: 'host' } });
+      this.onicecandidate({ candidate: { type: 'srflx' } });
+      this.onicecandidate({ candidate: null });
+    });
+  }
+
+  close() {}
+}
+
+const createParent = () => {
+  const video = Object.assign(new EventTarget(), { play: vi.fn(), srcObject: null, muted: false });
+
+  return {
+    helpers: {
+      iceServer: { prepare: async () => ({ iceServers: [{ urls: 'stun:stun.example.com' }, { urls: ['turn:turn.example.com'] }] }) },
+    },
+    Media: {
+      video,
+      canvas: { captureStream: () => createStream([createTrack('video', 'canvas')]) },
+      speaker: null,
+      getConstraints: vi.fn(() => ({ video: true, audio: true })),
+      setInterval: vi.fn(),
+      stopFrameLoop: vi.fn(),
+      streamVideo: vi.fn(),
+    },
+  };
+};
+
+let camera;
+
+beforeEach(() => {
+  camera = createStream([createTrack('video', 'camera-1'), createTrack('audio', 'mic-1')]);
+
+  vi.stubGlobal('window', { AudioContext: FakeAudioContext });
+  vi.stubGlobal('MediaStream', class { constructor(tracks) { this.tracks = tracks; } });
+  vi.stubGlobal('RTCPeerConnection', FakePeerConnection);
+  vi.stubGlobal('navigator', { mediaDevices: { getUserMedia: vi.fn(async () => camera) } });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Preview', () => {
+  it('renders the camera through the Media canvas and measures the microphone', async () => {
+    const parent = createParent();
+    const preview = createPreview().initial(parent);
+    const onAudioLevel = vi.fn();
+
+    const stream = await preview.start({ camera: 'camera-1' }, { onAudioLevel });
+
+    expect(preview.active).toBe(true);
+    expect(parent.Media.video.srcObject).toBe(camera);
+    expect(parent.Media.streamVideo).toHaveBeenCalledWith(null, stream);
+
+    parent.Media.video.dispatchEvent(new Event('loadeddata'));
+    expect(parent.Media.setInterval).toHaveBeenCalledTimes(1);
+
+    await vi.waitFor(() => expect(onAudioLevel).toHaveBeenCalledWith(0.5));
+    expect(preview.getAudioLevel()).toBe(0.5);
+
+    preview.stop();
+  });
+
+  it('stops the frame loop and the tracks when no grab took over', async () => {
+    const parent = createParent();
+    const preview = createPreview().initial(parent);
+
+    const stream = await preview.start();
+    parent.Media.stopFrameLoop.mockClear();
+
+    preview.stop();
+
+    expect(preview.active).toBe(false);
+    expect(parent.Media.stopFrameLoop).toHaveBeenCalledTimes(1);
+    expect(parent.Media.video.srcObject).toBeNull();
+    expect(camera.getTracks().every(track => track.stop.mock.calls.length === 1)).toBe(true);
+    expect(stream.getTracks()[0].stop).toHaveBeenCalled();
+
+    parent.Media.video.dispatchEvent(new Event('loadeddata'));
+    expect(parent.Media.setInterval).not.toHaveBeenCalled();
+  });
+
+  it('does not stack frame loop listeners over several previews', async () => {
+    const parent = createParent();
+    const preview = createPreview().initial(parent);
+
+    await preview.start();
+    await preview.start();
+
+    parent.Media.video.dispatchEvent(new Event('loadeddata'));
+    expect(parent.Media.setInterval).toHaveBeenCalledTimes(1);
+
+    preview.stop();
+  });
+
+  it('hands matching tracks to grab and keeps the frame loop running', async () => {
+    const parent = createParent();
+    const preview = createPreview().initial(parent);
+
+    await preview.start();
+    parent.Media.stopFrameLoop.mockClear();
+
+    expect(preview.take({ camera: 'camera-1', microphone: 'mic-1' })).toBe(camera);
+
+    expect(preview.active).toBe(false);
+    expect(parent.Media.stopFrameLoop).not.toHaveBeenCalled();
+    expect(parent.Media.video.srcObject).toBe(camera);
+    expect(camera.getTracks().some(track => track.stop.mock.calls.length > 0)).toBe(false);
+  });
+
+  it('drops the camera track when grab asks for audio only', async () => {
+    const parent = createParent();
+    const preview = createPreview().initial(parent);
+    const [video] = camera.getVideoTracks();
+
+    await preview.start();
+
+    const media = preview.take({}, true);
+
+    expect(media.getVideoTracks()).toEqual([]);
+    expect(media.getAudioTracks()).toHaveLength(1);
+    expect(video.stop).toHaveBeenCalled();
+  });
+
+  it('stops the preview instead of handing over tracks of other devices', async () => {
+    const parent = createParent();
+    const preview = createPreview().initial(parent);
+
+    await preview.start();
+
+    expect(preview.take({ camera: 'camera-2' })).toBeNull();
+    expect(preview.active).toBe(false);
+    expect(parent.Media.stopFrameLoop).toHaveBeenCalled();
+    expect(camera.getVideoTracks()[0].stop).toHaveBeenCalled();
+  });
+
+  it('reports camera, microphone and network in the self-test', async () => {
+    const preview = createPreview().initial(createParent());
+
+    await expect(preview.runSelfTest()).rejects.toThrow('Media.preview must be started before running the self-test');
+
+    await preview.start();
+
+    const report = await preview.runSelfTest({ duration: 200, timeout: 1000 });
+
+    expect(report.camera).toEqual({ available: true, deviceId: 'camera-1', width: 640, height: 480, frameRate: 30 });
+    expect(report.microphone).toEqual({ available: true, deviceId: 'mic-1', level: 0.5, detected: true });
+    expect(report.network).toEqual({ stun: true, turn: false, candidates: ['host', 'srflx'] });
+
+    preview.stop();
+  });
+
+  it('reports missing devices in the self-test', async () => {
+    camera = createStream([createTrack('audio', 'mic-1')]);
+    vi.stubGlobal('window', {});
+
+    const parent = createParent();
+    const preview = createPreview().initial(parent);
+
+    parent.helpers.iceServer.prepare = async () => ({ iceServers: [] });
+    await preview.start();
+
+    const report = await preview.runSelfTest({ duration: 10 });
+
+    expect(report.camera.available).toBe(false);
+    expect(report.microphone).toEqual({ available: false, level: 0, detected: false });
+    expect(report.network).toEqual({ stun: null, turn: null, candidates: [] });
+
+    preview.stop();
+  });
+});
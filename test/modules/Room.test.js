@@ -0,0 +1,348 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import createRoom, { ROOM_STATES, ROOM_JOIN_ERRORS, RoomJoinError } from '../../src/modules/Room.js';
+import createEventBus from '../../src/modules/EventBus.js';
+
+const createParent = () => {
+  const EventBus = createEventBus();
+
+  return {
+    peerJsId: 'local-peer',
+    configs: {},
+    EventBus,
+    emit: (type, data) => EventBus.emit(type, data),
+    socket: {
+      isConnected: () => true,
+      emit: vi.fn(),
+    },
+  };
+};
+
+const createJoinedRoom = () => {
+  const parent = createParent();
+  const room = createRoom();
+
+  room.setup(parent, {});
+
+  return { room, parent };
+};
+
+describe('Room state machine', () => {
+  it('starts idle and follows allowed transitions', () => {
+    const { room } = createJoinedRoom();
+
+    expect(room.state).toBe(ROOM_STATES.IDLE);
+    expect(room.setState(ROOM_STATES.CONNECTING)).toBe(true);
+    expect(room.setState(ROOM_STATES.WAITING_ADMISSION)).toBe(true);
+    expect(room.setState(ROOM_STATES.JOINED)).toBe(true);
+    expect(room.setState(ROOM_STATES.RECONNECTING)).toBe(true);
+    expect(room.setState(ROOM_STATES.JOINED)).toBe(true);
+    expect(room.setState(ROOM_STATES.LEFT)).toBe(true);
+    expect(room.setState(ROOM_STATES.IDLE)).toBe(true);
+  });
+
+  it('ignores transitions which are not allowed', () => {
+    const { room } = createJoinedRoom();
+
+    expect(room.setState(ROOM_STATES.JOINED)).toBe(false);
+    expect(room.setState(ROOM_STATES.TERMINATED)).toBe(false);
+    expect(room.state).toBe(ROOM_STATES.IDLE);
+  });
+
+  it('treats the current state as reachable without emitting', () => {
+    const { room, parent } = createJoinedRoom();
+    const handler = vi.fn();
+
+    parent.EventBus.on('onRoomStateChange', handler);
+
+    expect(room.canTransition(ROOM_STATES.IDLE)).toBe(true);
+    expect(room.setState(ROOM_STATES.IDLE)).toBe(true);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('emits onRoomStateChange with the previous state and extra detail', () => {
+    const { room, parent } = createJoinedRoom();
+    const handler = vi.fn();
+
+    parent.EventBus.on('onRoomStateChange', handler);
+    room.setState(ROOM_STATES.CONNECTING, { roomId: 'room-1' });
+
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      state: ROOM_STATES.CONNECTING,
+      previous: ROOM_STATES.IDLE,
+      roomId: 'room-1',
+    });
+  });
+});
+
+describe('Room.joinAndWait', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('resolves with the onRoomJoined detail once joined', async () => {
+    const { room, parent } = createJoinedRoom();
+    const promise = room.joinAndWait('room-1', { name: 'Ada' }, { timeout: 0 });
+
+    expect(parent.socket.emit).toHaveBeenCalledWith('join-room', 'room-1', { peerJsId: 'local-peer', name: 'Ada' });
+
+    parent.emit('onRoomJoined', { detail: { roomId: 'room-1' } });
+    room.setState(ROOM_STATES.JOINED);
+
+    await expect(promise).resolves.toEqual({ roomId: 'room-1' });
+  });
+
+  it('rejects with the state as reason when banned', async () => {
+    const { room } = createJoinedRoom();
+    const promise = room.joinAndWait('room-1', {}, { timeout: 0 });
+
+    room.setState(ROOM_STATES.BANNED);
+
+    await expect(promise).rejects.toMatchObject({ name: 'RoomJoinError', reason: ROOM_JOIN_ERRORS.BANNED });
+  });
+
+  it('rejects with the failure reason', async () => {
+    const { room } = createJoinedRoom();
+    const promise = room.joinAndWait('room-1', {}, { timeout: 0 });
+
+    room.setState(ROOM_STATES.FAILED, { reason: ROOM_JOIN_ERRORS.INVALID_ROOM });
+
+    await expect(promise).rejects.toMatchObject({ reason: ROOM_JOIN_ERRORS.INVALID_ROOM });
+  });
+
+  it('fails the room and rejects with timeout when nothing happens in time', async () => {
+    vi.useFakeTimers();
+
+    const { room } = createJoinedRoom();
+    const promise = room.joinAndWait('room-1', {}, { timeout: 1000 });
+    const assertion = expect(promise).rejects.toBeInstanceOf(RoomJoinError);
+
+    vi.advanceTimersByTime(999);
+    expect(room.state).toBe(ROOM_STATES.CONNECTING);
+
+    vi.advanceTimersByTime(1);
+
+    await assertion;
+    await expect(promise).rejects.toMatchObject({ reason: ROOM_JOIN_ERRORS.TIMEOUT });
+    expect(room.state).toBe(ROOM_STATES.FAILED);
+  });
+
+  it('stops listening after settling', async () => {
+    vi.useFakeTimers();
+
+    const { room } = createJoinedRoom();
+    const promise = room.joinAndWait('room-1', {}, { timeout: 1000 });
+
+    room.setState(ROOM_STATES.JOINED);
+    await promise;
+
+    vi.advanceTimersByTime(5000);
+
+    expect(room.state).toBe(ROOM_STATES.JOINED);
+  });
+
+  it('rejects when the join itself throws', async () => {
+    const { room, parent } = createJoinedRoom();
+
+    parent.socket.emit.mockImplementation(() => {
+      throw new Error('socket closed');
+    });
+
+    await expect(room.joinAndWait('room-1', {}, { timeout: 0 })).rejects.toMatchObject({ reason: ROOM_JOIN_ERRORS.FAILED });
+    expect(room.state).toBe(ROOM_STATES.FAILED);
+  });
+});
+
+describe('Room session resume', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const createConnection = (peerJsId, open = true) => ({ peerJsId, mediaConnection: { open } });
+
+  const createResumingRoom = (connections = []) => {
+    const { room, parent } = createJoinedRoom();
+    const events = { resumed: vi.fn(), lost: vi.fn() };
+
+    Object.assign(parent, {
+      peerJs: { videoPeer: { destroyed: false }, token: 'peer-token', destroy: vi.fn() },
+      initialPeerJs: vi.fn(async () => 'local-peer'),
+      connectToNewUser: vi.fn(async () => {}),
+      People: {
+        getConnections: () => connections,
+        findOne: (key, value) => connections.find(item => item[key] === value) || null,
+        remove: vi.fn((peerJsId) => connections.splice(connections.findIndex(item => item.peerJsId === peerJsId), 1)),
+      },
+    });
+
+    parent.EventBus.on('onSessionResumed', event => events.resumed(event.detail));
+    parent.EventBus.on('onSessionLost', event => events.lost(event.detail));
+
+    room.lastJoin = { roomId: 'room-1', userData: { name: 'Ada' } };
+    room.setState(ROOM_STATES.CONNECTING);
+    room.setState(ROOM_STATES.JOINED);
+    room.setState(ROOM_STATES.RECONNECTING);
+
+    return { room, parent, events, connections };
+  };
+
+  it('rejoins the last room with the live peer and reconciles the user list', async () => {
+    const { room, parent, events, connections } = createResumingRoom([
+      createConnection('kept'),
+      createConnection('stale'),
+      createConnection('dead', false),
+    ]);
+
+    const resumed = room.resume();
+
+    expect(parent.socket.emit).toHaveBeenCalledWith('join-room', 'room-1', { peerJsId: 'local-peer', name: 'Ada' });
+    expect(parent.initialPeerJs).not.toHaveBeenCalled();
+
+    room.resumeInformation({
+      users: [{ peerJsId: 'local-peer' }, { peerJsId: 'kept' }, { peerJsId: 'dead' }, { peerJsId: 'new' }],
+    });
+    expect(events.resumed).not.toHaveBeenCalled();
+
+    room.setState(ROOM_STATES.JOINED);
+
+    await expect(resumed).resolves.toBe(true);
+
+    expect(parent.People.remove.mock.calls.map(call => call[0])).toEqual(['stale', 'dead']);
+    // the others call us once the server announces the rejoin
+    expect(parent.connectToNewUser).not.toHaveBeenCalled();
+    expect(connections.map(item => item.peerJsId)).toEqual(['kept']);
+    expect(events.resumed).toHaveBeenCalledWith({
+      roomId: 'room-1',
+      peerJsId: 'local-peer',
+      added: ['dead', 'new'],
+      removed: ['stale'],
+    });
+    expect(room.resuming).toBeNull();
+
+    room.destroy();
+  });
+
+  it('calls the users whose call did not arrive after takeover_delay', async () => {
+    vi.useFakeTimers();
+
+    const { room, parent, connections } = createResumingRoom();
+    const users = [{ peerJsId: 'local-peer' }, { peerJsId: 'calling' }, { peerJsId: 'silent' }, { peerJsId: 'gone' }];
+
+    parent.configs.connection_recovery = { takeover_delay: 5000 };
+
+    const resumed = room.resume();
+
+    room.information = { id: 'room-1', users: [...users] };
+    room.resumeInformation(room.information);
+    room.setState(ROOM_STATES.JOINED);
+    await resumed;
+
+    connections.push(createConnection('calling'));
+    room.information.users = users.filter(user => user.peerJsId !== 'gone');
+
+    await vi.advanceTimersByTimeAsync(5000 - 1);
+    expect(parent.connectToNewUser).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(parent.connectToNewUser.mock.calls.map(call => call[0].peerJsId)).toEqual(['silent']);
+  });
+
+  it('does not call anyone after leaving during the takeover delay', async () => {
+    vi.useFakeTimers();
+
+    const { room, parent } = createResumingRoom();
+
+    const resumed = room.resume();
+
+    room.information = { id: 'room-1', users: [{ peerJsId: 'local-peer' }, { peerJsId: 'silent' }] };
+    room.resumeInformation(room.information);
+    room.setState(ROOM_STATES.JOINED);
+    await resumed;
+
+    room.destroy();
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(parent.connectToNewUser).not.toHaveBeenCalled();
+  });
+
+  it('completes once the room information arrives after the join', async () => {
+    const { room, events } = createResumingRoom();
+
+    const resumed = room.resume();
+    room.setState(ROOM_STATES.JOINED);
+
+    await expect(resumed).resolves.toBe(true);
+    expect(events.resumed).not.toHaveBeenCalled();
+
+    room.resumeInformation({ users: [{ peerJsId: 'local-peer' }, { peerJsId: 'new' }] });
+
+    expect(events.resumed).toHaveBeenCalledWith(expect.objectContaining({ added: ['new'], removed: [] }));
+  });
+
+  it('creates a new peer when the previous one was destroyed', async () => {
+    const { room, parent } = createResumingRoom();
+    const peerJs = parent.peerJs;
+
+    peerJs.videoPeer.destroyed = true;
+
+    const resumed = room.resume();
+
+    await vi.waitFor(() => expect(parent.socket.emit).toHaveBeenCalledWith('join-room', 'room-1', expect.anything()));
+    room.setState(ROOM_STATES.JOINED);
+    await resumed;
+
+    expect(peerJs.destroy).toHaveBeenCalled();
+    expect(parent.initialPeerJs).toHaveBeenCalledWith('peer-token');
+  });
+
+  it('ignores a second resume while one is running', async () => {
+    const { room, parent } = createResumingRoom();
+
+    const resumed = room.resume();
+
+    await expect(room.resume()).resolves.toBe(false);
+    expect(parent.socket.emit).toHaveBeenCalledTimes(1);
+
+    room.setState(ROOM_STATES.JOINED);
+    await resumed;
+  });
+
+  it('loses the session when the rejoin is rejected', async () => {
+    const { room, events } = createResumingRoom();
+
+    const resumed = room.resume();
+    room.setState(ROOM_STATES.BANNED);
+
+    await expect(resumed).resolves.toBe(false);
+
+    expect(events.lost).toHaveBeenCalledWith({ roomId: 'room-1', reason: ROOM_JOIN_ERRORS.BANNED });
+    expect(events.resumed).not.toHaveBeenCalled();
+    expect(room.state).toBe(ROOM_STATES.BANNED);
+    expect(room.resuming).toBeNull();
+
+    room.resumeInformation({ users: [] });
+    expect(events.resumed).not.toHaveBeenCalled();
+  });
+
+  it('loses the session when a new peer can not be created', async () => {
+    const { room, parent, events } = createResumingRoom();
+
+    parent.peerJs.videoPeer = null;
+    parent.initialPeerJs.mockRejectedValue(new Error('peer server unreachable'));
+
+    await expect(room.resume()).resolves.toBe(false);
+
+    expect(events.lost).toHaveBeenCalledWith({ roomId: 'room-1', reason: ROOM_JOIN_ERRORS.FAILED });
+  });
+
+  it('loses the session when no room was joined before', async () => {
+    const { room, parent, events } = createResumingRoom();
+
+    room.lastJoin = null;
+
+    await expect(room.resume()).resolves.toBe(false);
+
+    expect(parent.socket.emit).not.toHaveBeenCalled();
+    expect(events.lost).toHaveBeenCalledWith({ roomId: null, reason: ROOM_JOIN_ERRORS.FAILED });
+    expect(room.state).toBe(ROOM_STATES.FAILED);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, vi } from 'vitest';
+import createSimulcast, { SIMULCAST_LAYERS } from '../../src/modules/Simulcast.js';
+
+const createParent = ({ simulcast = { enable: true }, connections = [], peerJs = {} } = {}) => {
+  const handlers = {};
+
+  return {
+    handlers,
+    peerJs,
+    configs: { simulcast },
+    on: (type, name, handler) => {
+      handlers[name] = handler;
+    },
+    People: {
+      findOne: (key, value) => connections.find(item => item[key] === value),
+      setData: (peerJsId, key, value) => {
+        const connection = connections.find(item => item.peerJsId === peerJsId);
+
+        if (connection) {
+          connection[key] = value;
+        }
+      },
+    },
+    Bandwidth: {
+      refresh: vi.fn(async () => true),
+    },
+  };
+};
+
+const createConnection = (peerJsId, open = true) => ({
+  peerJsId,
+  dataConnection: { open, send: vi.fn() },
+});
+
+describe('Simulcast.getSendEncodings', () => {
+  it('is undefined while disabled', () => {
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent({ simulcast: {} }));
+
+    expect(simulcast.getSendEncodings()).toBeUndefined();
+  });
+
+  it('lists every layer from low to high', () => {
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent());
+
+    expect(simulcast.getSendEncodings().map(item => [item.rid, item.active])).toEqual([['l', true], ['m', true], ['h', true]]);
+  });
+});
+
+describe('Simulcast.getLayer', () => {
+  it('uses the requested layer or the configured default', () => {
+    const connections = [createConnection('a'), { ...createConnection('b'), sendLayer: 'low' }];
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent({ simulcast: { enable: true, default_layer: 'mid' }, connections }));
+
+    expect(simulcast.getLayer('a')).toBe(SIMULCAST_LAYERS.mid);
+    expect(simulcast.getLayer('b')).toBe(SIMULCAST_LAYERS.low);
+  });
+
+  it('is null while disabled', () => {
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent({ simulcast: { enable: false }, connections: [createConnection('a')] }));
+
+    expect(simulcast.getLayer('a')).toBeNull();
+  });
+});
+
+describe('Simulcast layer requests over the mesh', () => {
+  it('sends the request over the data connection', () => {
+    const connection = createConnection('sender');
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent({ connections: [connection] }));
+
+    expect(simulcast.requestLayer('sender', 'low')).toBe(true);
+    expect(connection.dataConnection.send).toHaveBeenCalledWith({ event: 'simulcastLayer', layer: 'low' });
+    expect(connection.requestedLayer).toBe('low');
+  });
+
+  it('does not send without an open data connection', () => {
+    const connection = createConnection('sender', false);
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent({ connections: [connection] }));
+
+    expect(simulcast.requestLayer('sender', 'low')).toBe(false);
+    expect(connection.dataConnection.send).not.toHaveBeenCalled();
+    expect(simulcast.requestLayer('missing', 'low')).toBe(false);
+  });
+
+  it('rejects unknown layers', () => {
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent());
+
+    expect(() => simulcast.requestLayer('sender', 'ultra')).toThrow('Unknown simulcast layer: ultra');
+  });
+
+  it('stores the layer of the receiver and re-applies its bandwidth limits', async () => {
+    const connection = createConnection('receiver');
+    const parent = createParent({ connections: [connection] });
+    const simulcast = createSimulcast();
+    simulcast.setup(parent);
+
+    parent.handlers.simulcastLayer({ peerJsId: 'receiver', layer: 'mid' });
+
+    expect(connection.sendLayer).toBe('mid');
+    expect(simulcast.getLayer('receiver')).toBe(SIMULCAST_LAYERS.mid);
+    await vi.waitFor(() => expect(parent.Bandwidth.refresh).toHaveBeenCalledWith('receiver'));
+  });
+
+  it('ignores unknown layers and requests while disabled', async () => {
+    const connection = createConnection('receiver');
+    const parent = createParent({ simulcast: { enable: false }, connections: [connection] });
+    const simulcast = createSimulcast();
+    simulcast.setup(parent);
+
+    parent.handlers.simulcastLayer({ peerJsId: 'receiver', layer: 'ultra' });
+    expect(connection.sendLayer).toBeUndefined();
+
+    parent.handlers.simulcastLayer({ peerJsId: 'receiver', layer: 'low' });
+    expect(await simulcast.apply('receiver')).toBe(false);
+    expect(parent.Bandwidth.refresh).not.toHaveBeenCalled();
+  });
+});
+
+describe('Simulcast layer requests through an SFU', () => {
+  it('asks the transport for the layer rid instead of the sender', () => {
+    const connection = createConnection('sender');
+    const peerJs = { selectLayer: vi.fn() };
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent({ connections: [connection], peerJs }));
+
+    expect(simulcast.requestLayer('sender', 'mid')).toBe(true);
+    expect(peerJs.selectLayer).toHaveBeenCalledWith('sender', 'm');
+    expect(connection.dataConnection.send).not.toHaveBeenCalled();
+    expect(connection.requestedLayer).toBe('mid');
+  });
+
+  it('does not select layers of unknown participants', () => {
+    const peerJs = { selectLayer: vi.fn() };
+    const simulcast = createSimulcast();
+    simulcast.setup(createParent({ peerJs }));
+
+    expect(simulcast.requestLayer('missing', 'mid')).toBe(false);
+    expect(peerJs.selectLayer).not.toHaveBeenCalled();
+  });
+});
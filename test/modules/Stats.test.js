@@ -0,0 +1,107 @@
+import { describe, it, expect, vi } from 'vitest';
+import createStats from '../../src/modules/Stats.js';
+
+const createReport = (items) => new Map(items.map((item, index) => [String(index), item]));
+
+const createParent = () => ({
+  configs: { stats: { enable: false, history: 3 } },
+  emit: vi.fn(),
+});
+
+describe('Stats.parseReport', () => {
+  it('sums inbound and outbound counters and keeps video details', () => {
+    const stats = createStats();
+    const raw = stats.parseReport(createReport([
+      { type: 'inbound-rtp', kind: 'audio', bytesReceived: 100, packetsReceived: 10, packetsLost: 1, jitter: 0.01 },
+      { type: 'inbound-rtp', kind: 'video', bytesReceived: 900, packetsReceived: 90, packetsLost: 4, jitter: 0.05,
+        framesPerSecond: 24, frameWidth: 640, frameHeight: 480 },
+      { type: 'outbound-rtp', kind: 'video', bytesSent: 500, framesPerSecond: 30 },
+      { type: 'remote-inbound-rtp', roundTripTime: 0.2, fractionLost: 0.02 },
+    ]));
+
+    expect(raw).toMatchObject({
+      bytesReceived: 1000,
+      bytesSent: 500,
+      packetsReceived: 100,
+      packetsLost: 5,
+      jitter: 0.05,
+      rtt: 0.2,
+      frameRate: 24,
+      frameWidth: 640,
+      frameHeight: 480,
+      outgoingPacketLoss: 2,
+    });
+  });
+
+  it('prefers the nominated candidate pair round trip time', () => {
+    const raw = createStats().parseReport(createReport([
+      { type: 'remote-inbound-rtp', roundTripTime: 0.4 },
+      { type: 'candidate-pair', nominated: true, state: 'succeeded', currentRoundTripTime: 0.05, availableOutgoingBitrate: 1500000 },
+      { type: 'candidate-pair', nominated: false, state: 'succeeded', currentRoundTripTime: 0.9 },
+    ]));
+
+    expect(raw.rtt).toBe(0.05);
+    expect(raw.availableOutgoingBitrate).toBe(1500000);
+  });
+
+  it('falls back to the outbound frame rate when nothing is received', () => {
+    const raw = createStats().parseReport(createReport([
+      { type: 'outbound-rtp', kind: 'video', bytesSent: 10, framesPerSecond: 15 },
+    ]));
+
+    expect(raw.frameRate).toBe(15);
+    expect(raw.rtt).toBeNull();
+  });
+});
+
+describe('Stats.score', () => {
+  const stats = createStats();
+
+  it('rates a clean connection 5', () => {
+    expect(stats.score({ packetLoss: 0, rtt: 0.05, jitter: 0.01 })).toBe(5);
+  });
+
+  it('ignores unknown round trip time and jitter', () => {
+    expect(stats.score({ packetLoss: 0, rtt: null, jitter: null })).toBe(5);
+  });
+
+  it('subtracts a point per threshold crossed', () => {
+    expect(stats.score({ packetLoss: 3, rtt: 0.3, jitter: 0.03 })).toBe(0);
+    expect(stats.score({ packetLoss: 1, rtt: 0.15, jitter: 0 })).toBe(3);
+  });
+
+  it('never goes below 0', () => {
+    expect(stats.score({ packetLoss: 50, rtt: 2, jitter: 1 })).toBe(0);
+  });
+});
+
+describe('Stats.store', () => {
+  it('derives bitrates and packet loss between samples and bounds the history', () => {
+    const stats = createStats();
+    const parent = createParent();
+    const target = { key: 'media:peer', type: 'media', peerJsId: 'peer' };
+    const raw = (timestamp, bytes, received, lost) => ({
+      timestamp, bytesSent: bytes, bytesReceived: bytes, packetsReceived: received, packetsLost: lost,
+      jitter: null, rtt: null, frameRate: null, frameWidth: null, frameHeight: null,
+      availableOutgoingBitrate: null, outgoingPacketLoss: null,
+    });
+
+    stats.setup(parent);
+    stats.store(target, raw(0, 0, 0, 0));
+    stats.store(target, raw(1000, 1000, 90, 10));
+
+    const latest = stats.getLatest('peer');
+
+    expect(latest.bitrateIn).toBe(8000);
+    expect(latest.bitrateOut).toBe(8000);
+    expect(latest.packetLoss).toBe(10);
+    expect(parent.emit).toHaveBeenLastCalledWith('onConnectionQuality', expect.objectContaining({
+      detail: expect.objectContaining({ peerJsId: 'peer', score: latest.score }),
+    }));
+
+    stats.store(target, raw(2000, 2000, 180, 10));
+    stats.store(target, raw(3000, 3000, 270, 10));
+
+    expect(stats.getHistory('peer')).toHaveLength(3);
+  });
+});